@@ -1,15 +1,24 @@
 import { BrowserRouter as Router, Routes, Route, Link, useLocation } from 'react-router-dom';
 import Orders from './components/Orders';
+import OrderJournal from './components/OrderJournal';
+import OrderHistory from './components/OrderHistory';
+import TradeFills from './components/TradeFills';
+import ExportRecords from './components/ExportRecords';
 import PlaceOrder from './components/PlaceOrder';
 import Positions from './components/Positions';
 import Balance from './components/Balance';
+import Portfolio from './components/Portfolio';
 import Withdraw from './components/Withdraw';
 import Deposit from './components/Deposit';
 import CreateAgent from './components/CreateAgent';
 import CreateAgentButton from './components/CreateAgentButton';
 import MarketPrices from './components/MarketPrices';
+import KeystoreUnlock from './components/KeystoreUnlock';
+import WalletConnect from './components/WalletConnect';
+import NetworkToggle from './components/NetworkToggle';
 import { useWallet } from './hooks/useWallet';
-import { Wallet, ShoppingCart, TrendingUp, DollarSign, ArrowDownCircle, ArrowUpCircle, Plus, UserPlus } from 'lucide-react';
+import { useKeystore } from './hooks/useKeystore';
+import { Wallet, ShoppingCart, TrendingUp, DollarSign, ArrowDownCircle, ArrowUpCircle, Plus, UserPlus, History, Receipt, LineChart, Download } from 'lucide-react';
 
 const Navigation = () => {
     const location = useLocation();
@@ -17,12 +26,16 @@ const Navigation = () => {
 
     const navItems = [
         { path: '/', label: 'Balance', icon: DollarSign },
+        { path: '/portfolio', label: 'Portfolio', icon: LineChart },
         { path: '/place-order', label: 'Place Order', icon: Plus },
         { path: '/orders', label: 'Orders', icon: ShoppingCart },
+        { path: '/history', label: 'History', icon: History },
+        { path: '/fills', label: 'Fills', icon: Receipt },
+        { path: '/export', label: 'Export', icon: Download },
         { path: '/positions', label: 'Positions', icon: TrendingUp },
         { path: '/deposit', label: 'Deposit', icon: ArrowUpCircle },
         { path: '/withdraw', label: 'Withdraw', icon: ArrowDownCircle },
-        { path: '/create-agent', label: 'Create Agent', icon: UserPlus },
+        { path: '/create-agent', label: 'Agents', icon: UserPlus },
     ];
 
     return (
@@ -51,7 +64,8 @@ const Navigation = () => {
 };
 
 const App = () => {
-    const { account, isConnected, connect, isConnecting, error: walletError } = useWallet();
+    const { account, isConnected, walletName } = useWallet();
+    const { needsMigration } = useKeystore();
 
     return (
         <Router>
@@ -60,6 +74,9 @@ const App = () => {
                     <div className="mb-8 text-center">
                         <h1 className="text-4xl font-bold text-white mb-2">Hyperliquid Trading Dashboard</h1>
                         <p className="text-blue-100">Manage your perpetual trading positions</p>
+                        <div className="mt-4">
+                            <NetworkToggle />
+                        </div>
                     </div>
 
                     {isConnected && account && (
@@ -73,7 +90,9 @@ const App = () => {
                                         <p className="text-sm font-medium text-gray-900">
                                             {account.slice(0, 6)}...{account.slice(-4)}
                                         </p>
-                                        <p className="text-xs text-gray-500">Connected via MetaMask</p>
+                                        <p className="text-xs text-gray-500">
+                                            Connected via {walletName || 'browser wallet'}
+                                        </p>
                                     </div>
                                 </div>
                                 <div className="flex items-center gap-3">
@@ -83,6 +102,9 @@ const App = () => {
                         </div>
                     )}
 
+                    {/* Plaintext agent keys are encrypted as soon as possible, even before a wallet is connected */}
+                    {((isConnected && account) || needsMigration) && <KeystoreUnlock />}
+
                     {isConnected && (
                         <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
                             {/* Perpetual Market Prices Sidebar - Left */}
@@ -97,8 +119,12 @@ const App = () => {
                                 <Navigation />
                                 <Routes>
                                     <Route path="/" element={<Balance />} />
+                                    <Route path="/portfolio" element={<Portfolio />} />
                                     <Route path="/place-order" element={<PlaceOrder />} />
-                                    <Route path="/orders" element={<Orders />} />
+                                    <Route path="/orders" element={<div className="space-y-4"><Orders /><OrderJournal /></div>} />
+                                    <Route path="/history" element={<OrderHistory />} />
+                                    <Route path="/fills" element={<TradeFills />} />
+                                    <Route path="/export" element={<ExportRecords />} />
                                     <Route path="/positions" element={<Positions />} />
                                     <Route path="/deposit" element={<Deposit />} />
                                     <Route path="/withdraw" element={<Withdraw />} />
@@ -113,18 +139,11 @@ const App = () => {
                             <Wallet className="w-16 h-16 text-gray-400 mx-auto mb-4" />
                             <h2 className="text-2xl font-bold text-gray-900 mb-2">Welcome to Hyperliquid Trading</h2>
                             <p className="text-gray-600 mb-4">
-                                Please connect your MetaMask wallet to get started.
+                                Please connect your wallet to get started.
                             </p>
-                            {walletError && (
-                                <p className="text-red-600 text-sm mb-4">{walletError}</p>
-                            )}
-                            <button
-                                onClick={connect}
-                                disabled={isConnecting}
-                                className="px-6 py-3 bg-primary-600 text-white rounded-lg font-medium hover:bg-primary-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
-                            >
-                                {isConnecting ? 'Connecting...' : 'Connect MetaMask'}
-                            </button>
+                            <div className="max-w-md mx-auto">
+                                <WalletConnect />
+                            </div>
                         </div>
                     )}
                 </div>
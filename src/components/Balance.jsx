@@ -1,41 +1,14 @@
-import { useState, useEffect } from 'react';
-import { getUserPerpBalance } from '../services/hyperliquid-api';
+import { toPerpBalance } from '../services/hyperliquid-api';
 import { Wallet, RefreshCw, AlertCircle, DollarSign } from 'lucide-react';
 import { useWallet } from '../hooks/useWallet';
+import { useClearinghouseState } from '../hooks/useClearinghouseState';
 
 const Balance = () => {
-    const { account, isConnected, chainId } = useWallet();
-    const [balance, setBalance] = useState(null);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-
-    const fetchBalance = async () => {
-        if (!account || !chainId) {
-            setLoading(false);
-            return;
-        }
-
-        try {
-            setLoading(true);
-            setError(null);
-            // Fetch balance directly from Hyperliquid info endpoint
-            const data = await getUserPerpBalance(account, chainId);
-            setBalance(data);
-        } catch (err) {
-            setError(err.message || 'Failed to fetch balance');
-            console.error('Error fetching balance:', err);
-        } finally {
-            setLoading(false);
-        }
-    };
-
-    useEffect(() => {
-        fetchBalance();
-        if (account && chainId) {
-            const interval = setInterval(fetchBalance, 10000); // Refresh every 10 seconds
-            return () => clearInterval(interval);
-        }
-    }, [account, chainId]);
+    const { account } = useWallet();
+    // Shared clearinghouse state, refreshed by the info client
+    const { data: userState, error: stateError, loading, refresh } = useClearinghouseState(account);
+    const balance = account && userState !== undefined ? toPerpBalance(account, userState) : null;
+    const error = stateError ? stateError.message || 'Failed to fetch balance' : null;
 
     if (loading && !balance) {
         return (
@@ -76,7 +49,7 @@ const Balance = () => {
                     Account Balance
                 </h2>
                 <button
-                    onClick={fetchBalance}
+                    onClick={refresh}
                     className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2"
                 >
                     <RefreshCw className="w-4 h-4" />
@@ -1,73 +1,96 @@
 import { useState } from 'react';
 import { useWallet } from '../hooks/useWallet';
-import { saveAgent } from '../utils/agent-storage';
-import { createAgentOnFrontend } from '../utils/agent-creation';
-import { UserPlus, CheckCircle, AlertCircle, Loader } from 'lucide-react';
+import { useAgents } from '../hooks/useAgents';
+import { saveAgent, setActiveAgent, removeAgent, getAgentNetwork } from '../utils/agent-storage';
+import { createAgentOnFrontend, revokeAgent, AGENT_EXPIRY_OPTIONS, getValidUntil } from '../utils/agent-creation';
+import { isKeystoreUnlocked } from '../utils/agent-keystore';
+import { AGENT_STATUS, getAgentStatusMessage } from '../utils/agent-reconcile';
+import { UserPlus, CheckCircle, AlertCircle, Loader, Trash2, RefreshCw } from 'lucide-react';
+
+const formatDate = (value) => {
+    if (!value) return 'Never';
+    return new Date(value).toLocaleString();
+};
 
 const CreateAgent = () => {
     const { account, signer, isConnected, chainId } = useWallet();
+    const { agents } = useAgents(account);
     const [agentName, setAgentName] = useState('');
+    const [expiryDays, setExpiryDays] = useState('');
     const [loading, setLoading] = useState(false);
+    const [revoking, setRevoking] = useState(null);
     const [error, setError] = useState(null);
-    const [success, setSuccess] = useState(false);
-    const [agentInfo, setAgentInfo] = useState(null);
+    const [success, setSuccess] = useState(null);
 
-    const handleCreateAgent = async (e) => {
-        e.preventDefault();
+    const network = getAgentNetwork();
 
+    const checkCanApprove = () => {
         if (!account || !isConnected) {
             setError('Please connect your MetaMask wallet first');
-            return;
+            return false;
         }
 
         if (!signer) {
             setError('Signer not available. Please ensure MetaMask is connected.');
-            return;
+            return false;
         }
 
         if (!chainId) {
             setError('Chain ID not available. Please ensure your wallet is connected to a network.');
+            return false;
+        }
+
+        // The new agent key can only be stored encrypted
+        if (!isKeystoreUnlocked()) {
+            setError('Unlock your agent keystore before approving an agent.');
+            return false;
+        }
+
+        return true;
+    };
+
+    const handleCreateAgent = async (e) => {
+        e.preventDefault();
+
+        if (!checkCanApprove()) {
             return;
         }
 
         setLoading(true);
         setError(null);
-        setSuccess(false);
-        setAgentInfo(null);
+        setSuccess(null);
 
         try {
+            const validUntil = getValidUntil(expiryDays ? parseInt(expiryDays) : null);
+
             console.log('Creating agent on frontend with MetaMask wallet:', {
                 user: account,
-                chainId,
-                agentName: agentName || null
+                agentName: agentName || null,
+                validUntil
             });
 
             // Create agent on frontend using MetaMask wallet
             const result = await createAgentOnFrontend(
                 signer,
                 account,
-                chainId,
-                agentName || null
+                agentName || null,
+                validUntil
             );
 
             if (result.status === 'success') {
-                // Save agent to local storage
-                const saved = saveAgent(
+                // Save agent to the registry (replaces any agent with the same name)
+                const saved = await saveAgent(
                     result.user_address,
                     result.agent_address,
                     result.agent_private_key,
-                    result.agent_name
+                    result.agent_name,
+                    result.valid_until
                 );
 
                 if (saved) {
-                    setSuccess(true);
-                    setAgentInfo({
-                        address: result.agent_address,
-                        name: result.agent_name,
-                        user_address: result.user_address
-                    });
+                    setSuccess(`Agent ${result.agent_address} approved and set as active.`);
                     setAgentName(''); // Clear form
-                    console.log('Agent created and saved to local storage:', result.agent_address);
+                    console.log('Agent created and saved to registry:', result.agent_address);
                 } else {
                     throw new Error('Failed to save agent to local storage');
                 }
@@ -82,71 +105,207 @@ const CreateAgent = () => {
         }
     };
 
+    const handleSetActive = (agent) => {
+        try {
+            setActiveAgent(account, agent.agent_address);
+            setError(null);
+        } catch (err) {
+            setError(err.message || 'Failed to select agent');
+        }
+    };
+
+    const handleRevoke = async (agent) => {
+        if (!checkCanApprove()) {
+            return;
+        }
+
+        if (!window.confirm(`Revoke agent ${agent.agent_name || agent.agent_address}? A replacement agent with the same name will be approved in its place.`)) {
+            return;
+        }
+
+        setRevoking(agent.agent_address);
+        setError(null);
+        setSuccess(null);
+
+        try {
+            const replacement = await revokeAgent(signer, account, agent, agent.valid_until && !agent.is_expired ? agent.valid_until : null);
+            setSuccess(`Agent ${agent.agent_address} revoked. Replacement ${replacement.agent_address} is now active.`);
+        } catch (err) {
+            setError(err.message || 'Failed to revoke agent');
+            console.error('Error revoking agent:', err);
+        } finally {
+            setRevoking(null);
+        }
+    };
+
+    const handleRemove = (agent) => {
+        if (!window.confirm(`Forget agent ${agent.agent_name || agent.agent_address}? This only deletes the local key; the agent stays approved on Hyperliquid until revoked or expired.`)) {
+            return;
+        }
+        removeAgent(account, agent.agent_address);
+    };
+
     if (!isConnected || !account) {
         return (
             <div className="bg-white rounded-lg shadow-lg p-6 text-center">
                 <AlertCircle className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-                <p className="text-gray-600">Please connect your MetaMask wallet to create an agent</p>
+                <p className="text-gray-600">Please connect your MetaMask wallet to manage agents</p>
             </div>
         );
     }
 
     return (
         <div className="bg-white rounded-lg shadow-lg p-6">
-            <div className="flex items-center gap-3 mb-6">
-                <UserPlus className="w-6 h-6 text-primary-600" />
-                <h2 className="text-2xl font-bold text-gray-900">Create Agent</h2>
+            <div className="flex items-center justify-between mb-6">
+                <div className="flex items-center gap-3">
+                    <UserPlus className="w-6 h-6 text-primary-600" />
+                    <h2 className="text-2xl font-bold text-gray-900">Agents</h2>
+                </div>
+                {network && (
+                    <span className="px-3 py-1 bg-purple-100 text-purple-700 text-xs font-semibold rounded-full uppercase">
+                        {network}
+                    </span>
+                )}
             </div>
 
             <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
                 <p className="text-sm text-blue-700">
-                    <strong>What is an Agent?</strong> An agent is a sub-account that can be used for deposits and trading.
-                    The agent will be created and stored locally in your browser.
+                    <strong>What is an Agent?</strong> An agent is an API wallet approved by your account to sign trades on your behalf.
+                    Hyperliquid allows one unnamed agent and a few named agents per account; approving an agent with an existing name replaces (revokes) the previous one.
                 </p>
             </div>
 
-            {success && agentInfo && (
-                <div className="mb-4 p-4 bg-green-50 border border-green-200 rounded-lg">
-                    <div className="flex items-start gap-3">
-                        <CheckCircle className="w-5 h-5 text-green-600 mt-0.5" />
-                        <div className="flex-1">
-                            <p className="font-medium text-green-900 mb-2">Agent Created Successfully!</p>
-                            <div className="text-sm text-green-700 space-y-1">
-                                <p><strong>Agent Address:</strong> {agentInfo.address}</p>
-                                {agentInfo.name && <p><strong>Name:</strong> {agentInfo.name}</p>}
-                                <p><strong>User:</strong> {agentInfo.user_address}</p>
-                            </div>
-                            <p className="text-xs text-green-600 mt-2">
-                                Agent credentials have been saved to local storage and will be used for deposits.
-                            </p>
-                        </div>
-                    </div>
+            {success && (
+                <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg flex items-center gap-2 text-green-600">
+                    <CheckCircle className="w-5 h-5" />
+                    <span className="text-sm">{success}</span>
                 </div>
             )}
 
-            <form onSubmit={handleCreateAgent} className="space-y-4">
-                <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Agent Name (Optional)
-                    </label>
-                    <input
-                        type="text"
-                        value={agentName}
-                        onChange={(e) => setAgentName(e.target.value)}
-                        placeholder="My Trading Agent"
-                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                    />
-                    <p className="mt-1 text-xs text-gray-500">
-                        Give your agent a name to identify it (optional)
-                    </p>
+            {error && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2 text-red-600">
+                    <AlertCircle className="w-5 h-5" />
+                    <span className="text-sm">{error}</span>
                 </div>
+            )}
 
-                {error && (
-                    <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2 text-red-600">
-                        <AlertCircle className="w-5 h-5" />
-                        <span className="text-sm">{error}</span>
+            {agents.length === 0 ? (
+                <div className="text-center py-8 mb-6 border border-dashed border-gray-300 rounded-lg">
+                    <p className="text-gray-500">No agents stored for this wallet on {network}</p>
+                </div>
+            ) : (
+                <div className="overflow-x-auto mb-6">
+                    <table className="w-full">
+                        <thead>
+                            <tr className="border-b border-gray-200">
+                                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Name</th>
+                                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Address</th>
+                                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Created</th>
+                                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Valid Until</th>
+                                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {agents.map((agent) => (
+                                <tr key={agent.agent_address} className="border-b border-gray-100 hover:bg-gray-50">
+                                    <td className="py-3 px-4 text-sm font-medium text-gray-900">
+                                        <div className="flex items-center gap-2">
+                                            <span>{agent.agent_name || '(unnamed)'}</span>
+                                            {agent.is_active && (
+                                                <span className="px-2 py-0.5 bg-green-100 text-green-700 text-xs font-medium rounded">Active</span>
+                                            )}
+                                            {(agent.status === AGENT_STATUS.STALE || agent.status === AGENT_STATUS.UNKNOWN) && (
+                                                <span
+                                                    title={getAgentStatusMessage(agent.status)}
+                                                    className="px-2 py-0.5 bg-orange-100 text-orange-700 text-xs font-medium rounded"
+                                                >
+                                                    {agent.status === AGENT_STATUS.STALE ? 'Replaced' : 'Not approved'}
+                                                </span>
+                                            )}
+                                        </div>
+                                    </td>
+                                    <td className="py-3 px-4 text-sm text-gray-700 font-mono">
+                                        {agent.agent_address.slice(0, 6)}...{agent.agent_address.slice(-4)}
+                                    </td>
+                                    <td className="py-3 px-4 text-sm text-gray-700">{formatDate(agent.created_at)}</td>
+                                    <td className="py-3 px-4 text-sm">
+                                        {agent.is_expired ? (
+                                            <span className="px-2 py-0.5 bg-red-100 text-red-700 text-xs font-medium rounded">
+                                                Expired {formatDate(agent.valid_until)}
+                                            </span>
+                                        ) : (
+                                            <span className="text-gray-700">{formatDate(agent.valid_until)}</span>
+                                        )}
+                                    </td>
+                                    <td className="py-3 px-4 text-right">
+                                        <div className="flex justify-end gap-2">
+                                            {!agent.is_active && (
+                                                <button
+                                                    onClick={() => handleSetActive(agent)}
+                                                    className="px-3 py-1 bg-primary-600 text-white rounded hover:bg-primary-700 transition text-sm"
+                                                >
+                                                    Use
+                                                </button>
+                                            )}
+                                            <button
+                                                onClick={() => handleRevoke(agent)}
+                                                disabled={revoking === agent.agent_address}
+                                                className="px-3 py-1 bg-orange-500 text-white rounded hover:bg-orange-600 transition text-sm disabled:opacity-50 flex items-center gap-1"
+                                            >
+                                                <RefreshCw className={`w-3 h-3 ${revoking === agent.agent_address ? 'animate-spin' : ''}`} />
+                                                {revoking === agent.agent_address ? 'Revoking...' : 'Revoke'}
+                                            </button>
+                                            <button
+                                                onClick={() => handleRemove(agent)}
+                                                className="px-2 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition text-sm"
+                                                title="Forget local key"
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Approve New Agent</h3>
+            <form onSubmit={handleCreateAgent} className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Agent Name (Optional)
+                        </label>
+                        <input
+                            type="text"
+                            value={agentName}
+                            onChange={(e) => setAgentName(e.target.value)}
+                            placeholder="My Trading Agent"
+                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        />
+                        <p className="mt-1 text-xs text-gray-500">
+                            Reusing a name replaces the agent with that name
+                        </p>
                     </div>
-                )}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Expires
+                        </label>
+                        <select
+                            value={expiryDays}
+                            onChange={(e) => setExpiryDays(e.target.value)}
+                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        >
+                            {AGENT_EXPIRY_OPTIONS.map((option) => (
+                                <option key={option.label} value={option.days || ''}>
+                                    {option.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
 
                 <button
                     type="submit"
@@ -156,12 +315,12 @@ const CreateAgent = () => {
                     {loading ? (
                         <>
                             <Loader className="w-5 h-5 animate-spin" />
-                            <span>Creating Agent...</span>
+                            <span>Approving Agent...</span>
                         </>
                     ) : (
                         <>
                             <UserPlus className="w-5 h-5" />
-                            <span>Create Agent</span>
+                            <span>Approve Agent</span>
                         </>
                     )}
                 </button>
@@ -169,8 +328,8 @@ const CreateAgent = () => {
 
             <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
                 <p className="text-xs text-yellow-700">
-                    <strong>Security Note:</strong> You will be asked to sign a message with MetaMask to authorize agent creation.
-                    The agent private key will be stored in your browser's local storage. Keep your browser secure.
+                    <strong>Security Note:</strong> You will be asked to sign a message with MetaMask to authorize each agent.
+                    Agent private keys are encrypted with your keystore passphrase before they are stored in your browser.
                 </p>
             </div>
         </div>
@@ -178,4 +337,3 @@ const CreateAgent = () => {
 };
 
 export default CreateAgent;
-
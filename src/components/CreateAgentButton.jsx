@@ -1,36 +1,73 @@
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useWallet } from '../hooks/useWallet';
-import { getAgent, saveAgent } from '../utils/agent-storage';
-import { createAgentOnFrontend } from '../utils/agent-creation';
-import { UserPlus, CheckCircle, AlertCircle, Loader, X } from 'lucide-react';
+import { useAgents } from '../hooks/useAgents';
+import { saveAgent, setActiveAgent } from '../utils/agent-storage';
+import { createAgentOnFrontend, AGENT_EXPIRY_OPTIONS, getValidUntil } from '../utils/agent-creation';
+import { isKeystoreUnlocked } from '../utils/agent-keystore';
+import { AGENT_STATUS, getAgentStatusMessage } from '../utils/agent-reconcile';
+import { UserPlus, CheckCircle, AlertCircle, Loader, X, ChevronDown, Clock } from 'lucide-react';
+
+// Badge labels for agents Hyperliquid no longer accepts
+const STATUS_LABELS = {
+    [AGENT_STATUS.EXPIRED]: { label: 'Expired', className: 'text-red-600' },
+    [AGENT_STATUS.STALE]: { label: 'Replaced', className: 'text-orange-600' },
+    [AGENT_STATUS.UNKNOWN]: { label: 'Not approved', className: 'text-red-600' }
+};
+
+const getProblemStatus = (agent) => {
+    if (agent.is_expired) return AGENT_STATUS.EXPIRED;
+    return STATUS_LABELS[agent.status] ? agent.status : null;
+};
+
+const formatExpiry = (validUntil) => {
+    const remainingMs = validUntil - Date.now();
+    if (remainingMs <= 0) return 'expired';
+    const hours = Math.floor(remainingMs / (60 * 60 * 1000));
+    if (hours >= 24) return `${Math.floor(hours / 24)}d left`;
+    return `${hours}h left`;
+};
 
 /**
  * Reusable Create Agent Button Component
- * Can be used anywhere in the app to create and set an agent
+ * Shows the active agent with a switcher for other stored agents and can
+ * approve a new agent anywhere in the app
  */
 const CreateAgentButton = ({ onAgentCreated, showInline = false, className = '' }) => {
     const { account, signer, chainId, isConnected } = useWallet();
+    const { agents, activeAgent, untrackedAgents } = useAgents(account);
     const [showForm, setShowForm] = useState(false);
+    const [showSwitcher, setShowSwitcher] = useState(false);
     const [creatingAgent, setCreatingAgent] = useState(false);
     const [agentName, setAgentName] = useState('');
+    const [expiryDays, setExpiryDays] = useState('');
     const [error, setError] = useState(null);
     const [success, setSuccess] = useState(false);
-    const [agentInfo, setAgentInfo] = useState(null);
 
-    // Check if agent already exists
-    useEffect(() => {
-        if (account) {
-            const agent = getAgent(account);
-            if (agent) {
-                setAgentInfo({
-                    address: agent.agent_address,
-                    name: agent.agent_name
-                });
-            } else {
-                setAgentInfo(null);
-            }
+    const handleSelectAgent = (agentAddress) => {
+        try {
+            setActiveAgent(account, agentAddress);
+            setShowSwitcher(false);
+        } catch (err) {
+            console.error('Error selecting agent:', err);
         }
-    }, [account]);
+    };
+
+    const expirySelect = (compact) => (
+        <select
+            value={expiryDays}
+            onChange={(e) => setExpiryDays(e.target.value)}
+            className={compact
+                ? 'w-full px-2 py-1.5 border border-blue-300 rounded text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent'
+                : 'w-full px-3 py-2 border border-blue-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm'}
+        >
+            {AGENT_EXPIRY_OPTIONS.map((option) => (
+                <option key={option.label} value={option.days || ''}>
+                    Expires: {option.label}
+                </option>
+            ))}
+        </select>
+    );
 
     const handleCreateAgent = async (e) => {
         if (e) e.preventDefault();
@@ -40,6 +77,12 @@ const CreateAgentButton = ({ onAgentCreated, showInline = false, className = ''
             return;
         }
 
+        // The new agent key can only be stored encrypted
+        if (!isKeystoreUnlocked()) {
+            setError('Unlock your agent keystore before creating an agent.');
+            return;
+        }
+
         setCreatingAgent(true);
         setError(null);
         setSuccess(false);
@@ -48,26 +91,24 @@ const CreateAgentButton = ({ onAgentCreated, showInline = false, className = ''
             const result = await createAgentOnFrontend(
                 signer,
                 account,
-                chainId,
-                agentName || null
+                agentName || null,
+                getValidUntil(expiryDays ? parseInt(expiryDays) : null)
             );
 
             if (result.status === 'success') {
-                const saved = saveAgent(
+                const saved = await saveAgent(
                     result.user_address,
                     result.agent_address,
                     result.agent_private_key,
-                    result.agent_name
+                    result.agent_name,
+                    result.valid_until
                 );
 
                 if (saved) {
                     setAgentName('');
+                    setExpiryDays('');
                     setShowForm(false);
                     setSuccess(true);
-                    setAgentInfo({
-                        address: result.agent_address,
-                        name: result.agent_name
-                    });
 
                     // Call callback if provided
                     if (onAgentCreated) {
@@ -97,20 +138,81 @@ const CreateAgentButton = ({ onAgentCreated, showInline = false, className = ''
         return null;
     }
 
-    // If agent exists and not inline, show status with button
-    if (agentInfo && !showInline) {
+    // If agent exists and not inline, show status with switcher and button
+    if (activeAgent && !showInline) {
+        const activeProblem = getProblemStatus(activeAgent);
+
         return (
             <div className={`relative flex items-center gap-3 ${className}`}>
-                <div className="flex items-center gap-2 text-sm text-green-700">
-                    <CheckCircle className="w-4 h-4" />
+                <button
+                    onClick={() => {
+                        setShowSwitcher(!showSwitcher);
+                        setShowForm(false);
+                    }}
+                    title={getAgentStatusMessage(activeProblem) || undefined}
+                    className={`flex items-center gap-2 text-sm ${activeProblem ? STATUS_LABELS[activeProblem].className : 'text-green-700'}`}
+                >
+                    {activeProblem ? <AlertCircle className="w-4 h-4" /> : <CheckCircle className="w-4 h-4" />}
                     <span>
-                        Agent: {agentInfo.address.slice(0, 6)}...{agentInfo.address.slice(-4)}
-                        {agentInfo.name && ` (${agentInfo.name})`}
+                        Agent: {activeAgent.agent_address.slice(0, 6)}...{activeAgent.agent_address.slice(-4)}
+                        {activeAgent.agent_name && ` (${activeAgent.agent_name})`}
                     </span>
-                </div>
+                    {activeProblem && (
+                        <span className="px-1.5 py-0.5 bg-red-50 border border-red-200 rounded text-xs font-medium">
+                            {STATUS_LABELS[activeProblem].label}
+                        </span>
+                    )}
+                    {!activeProblem && activeAgent.valid_until && (
+                        <span className="flex items-center gap-1 text-xs text-gray-500">
+                            <Clock className="w-3 h-3" />
+                            {formatExpiry(activeAgent.valid_until)}
+                        </span>
+                    )}
+                    <ChevronDown className="w-3 h-3" />
+                </button>
+                {showSwitcher && (
+                    <div className="absolute right-0 top-full mt-2 py-2 bg-white border border-gray-200 rounded-lg shadow-lg z-50 min-w-[300px]">
+                        {agents.map((agent) => (
+                            <button
+                                key={agent.agent_address}
+                                onClick={() => handleSelectAgent(agent.agent_address)}
+                                className={`w-full px-4 py-2 text-left text-sm hover:bg-gray-50 flex items-center justify-between ${agent.is_active ? 'bg-primary-50' : ''}`}
+                            >
+                                <span>
+                                    <span className="font-medium text-gray-900">{agent.agent_name || '(unnamed)'}</span>
+                                    <span className="ml-2 font-mono text-gray-500">
+                                        {agent.agent_address.slice(0, 6)}...{agent.agent_address.slice(-4)}
+                                    </span>
+                                </span>
+                                {getProblemStatus(agent) && (
+                                    <span className={`text-xs ${STATUS_LABELS[getProblemStatus(agent)].className}`}>
+                                        {STATUS_LABELS[getProblemStatus(agent)].label}
+                                    </span>
+                                )}
+                            </button>
+                        ))}
+                        {untrackedAgents.length > 0 && (
+                            <p className="px-4 py-1 text-xs text-gray-500">
+                                {untrackedAgents.length} other agent{untrackedAgents.length > 1 ? 's' : ''} approved on Hyperliquid without a key in this browser
+                            </p>
+                        )}
+                        <div className="border-t border-gray-100 mt-1 pt-1 px-4">
+                            <Link
+                                to="/create-agent"
+                                onClick={() => setShowSwitcher(false)}
+                                className="block py-1 text-sm text-primary-600 hover:text-primary-700"
+                            >
+                                Manage agents
+                            </Link>
+                        </div>
+                    </div>
+                )}
                 {!showForm ? (
                     <button
-                        onClick={() => setShowForm(true)}
+                        onClick={() => {
+                            setShowForm(true);
+                            setShowSwitcher(false);
+                        }}
                         className="inline-flex items-center gap-1 px-3 py-1 bg-primary-600 text-white rounded text-xs font-medium hover:bg-primary-700 transition"
                     >
                         <UserPlus className="w-3 h-3" />
@@ -144,6 +246,7 @@ const CreateAgentButton = ({ onAgentCreated, showInline = false, className = ''
                                 placeholder="Agent Name (Optional)"
                                 className="w-full px-2 py-1.5 border border-blue-300 rounded text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                             />
+                            {expirySelect(true)}
                             {error && (
                                 <div className="p-1.5 bg-red-50 border border-red-200 rounded text-xs text-red-600">
                                     {error}
@@ -186,7 +289,7 @@ const CreateAgentButton = ({ onAgentCreated, showInline = false, className = ''
                     className="inline-flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg text-sm font-medium hover:bg-primary-700 transition"
                 >
                     <UserPlus className="w-4 h-4" />
-                    {agentInfo ? 'Create New Agent' : 'Create Agent'}
+                    {agents.length > 0 ? 'Create New Agent' : 'Create Agent'}
                 </button>
             ) : (
                 <div className={`p-4 bg-blue-50 border border-blue-200 rounded-lg ${showInline ? '' : 'min-w-[300px]'}`}>
@@ -218,6 +321,9 @@ const CreateAgentButton = ({ onAgentCreated, showInline = false, className = ''
                                 className="w-full px-3 py-2 border border-blue-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
                             />
                         </div>
+                        <div>
+                            {expirySelect(false)}
+                        </div>
                         {error && (
                             <div className="p-2 bg-red-50 border border-red-200 rounded text-sm text-red-600">
                                 {error}
@@ -0,0 +1,50 @@
+import { Calendar } from 'lucide-react';
+import { HISTORY_RANGES } from '../utils/history';
+
+/**
+ * Date range preset buttons with from/to inputs for a custom range
+ * @param {string} rangeId - Selected HISTORY_RANGES id
+ * @param {Object} custom - {from, to} as yyyy-mm-dd strings
+ * @param {Function} onChange - Called with (rangeId, custom)
+ */
+const DateRangeFilter = ({ rangeId, custom, onChange }) => {
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <Calendar className="w-4 h-4 text-gray-500" />
+            {HISTORY_RANGES.map(range => (
+                <button
+                    key={range.id}
+                    type="button"
+                    onClick={() => onChange(range.id, custom)}
+                    className={`px-3 py-1 rounded-lg text-sm transition ${rangeId === range.id
+                        ? 'bg-primary-600 text-white'
+                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
+                >
+                    {range.label}
+                </button>
+            ))}
+            {rangeId === 'custom' && (
+                <div className="flex items-center gap-2 text-sm">
+                    <input
+                        type="date"
+                        value={custom.from || ''}
+                        max={custom.to || undefined}
+                        onChange={(e) => onChange('custom', { ...custom, from: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                    <span className="text-gray-500">to</span>
+                    <input
+                        type="date"
+                        value={custom.to || ''}
+                        min={custom.from || undefined}
+                        onChange={(e) => onChange('custom', { ...custom, to: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DateRangeFilter;
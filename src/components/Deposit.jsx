@@ -2,10 +2,12 @@ import { useState, useEffect } from 'react';
 import { useWallet } from '../hooks/useWallet';
 import { getTokenBalance } from '../utils/token-balance';
 import { depositUSDC } from '../utils/deposit';
+import { getNetworkConfig, isOnNetworkChain, switchToNetworkChain } from '../utils/network';
 import { ArrowUpCircle, AlertCircle, CheckCircle, RefreshCw } from 'lucide-react';
 
 const Deposit = () => {
-    const { account, signer, chainId, isConnected, provider } = useWallet();
+    const { account, signer, chainId, isConnected, provider, walletType } = useWallet();
+    const network = getNetworkConfig();
     const [amount, setAmount] = useState('');
     const [token, setToken] = useState('USDC');
     const [loading, setLoading] = useState(false);
@@ -14,6 +16,9 @@ const Deposit = () => {
     const [successMessage, setSuccessMessage] = useState('');
     const [tokenBalance, setTokenBalance] = useState(null);
     const [loadingBalance, setLoadingBalance] = useState(false);
+    const [switchingChain, setSwitchingChain] = useState(false);
+
+    const onNetworkChain = isOnNetworkChain(chainId);
 
     // Fetch token balance on Arbitrum
     const fetchTokenBalance = async () => {
@@ -22,9 +27,8 @@ const Deposit = () => {
             return;
         }
 
-        // Only fetch if on Arbitrum network
-        const isArbitrum = chainId === '42161' || chainId === 42161 || chainId === '421614' || chainId === 421614;
-        if (!isArbitrum) {
+        // Only fetch if on the selected network's Arbitrum chain
+        if (!onNetworkChain) {
             setTokenBalance(null);
             return;
         }
@@ -60,10 +64,9 @@ const Deposit = () => {
             return;
         }
 
-        // Check if on Arbitrum network
-        const isArbitrum = chainId === '42161' || chainId === 42161 || chainId === '421614' || chainId === 421614;
-        if (!isArbitrum) {
-            setError('Please switch to Arbitrum network to deposit');
+        // Deposits go to the bridge of the selected network
+        if (!onNetworkChain) {
+            setError(`Please switch to ${network.chain.chainName} to deposit on Hyperliquid ${network.name}`);
             return;
         }
 
@@ -115,6 +118,20 @@ const Deposit = () => {
         }
     };
 
+    // The wallet reloads the page on chainChanged, so no state to update here
+    const handleSwitchChain = async () => {
+        setSwitchingChain(true);
+        setError(null);
+        try {
+            await switchToNetworkChain(provider);
+        } catch (err) {
+            setError(err.message || `Failed to switch to ${network.chain.chainName}`);
+            console.error('Chain switch error:', err);
+        } finally {
+            setSwitchingChain(false);
+        }
+    };
+
     if (!account) {
         return (
             <div className="bg-white rounded-lg shadow-lg p-6 text-center">
@@ -132,27 +149,38 @@ const Deposit = () => {
             </div>
 
             {/* Network Check */}
-            {chainId && chainId !== '42161' && chainId !== 42161 && chainId !== '421614' && chainId !== 421614 && (
+            {chainId && !onNetworkChain && (
                 <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
                     <div className="flex items-start gap-3">
                         <AlertCircle className="w-5 h-5 text-yellow-600 mt-0.5" />
                         <div className="flex-1">
                             <p className="font-medium text-yellow-900 mb-2">Wrong Network</p>
                             <p className="text-sm text-yellow-700">
-                                Please switch to Arbitrum network to make deposits.
+                                Deposits to Hyperliquid {network.name} are sent from {network.chain.chainName}.
+                                {walletType === 'headless' && ' Re-import your keyfile wallet on that network to deposit.'}
                             </p>
+                            {walletType !== 'headless' && (
+                                <button
+                                    type="button"
+                                    onClick={handleSwitchChain}
+                                    disabled={switchingChain}
+                                    className="mt-3 px-4 py-2 bg-yellow-600 text-white rounded-lg text-sm font-medium hover:bg-yellow-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    {switchingChain ? 'Switching...' : `Switch to ${network.chain.chainName}`}
+                                </button>
+                            )}
                         </div>
                     </div>
                 </div>
             )}
 
             {/* Token Balance Display */}
-            {tokenBalance && (chainId === '42161' || chainId === 42161 || chainId === '421614' || chainId === 421614) && (
+            {tokenBalance && onNetworkChain && (
                 <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
                     <div className="flex items-center justify-between">
                         <div className="flex items-center gap-2">
                             <span className="text-sm font-medium text-blue-900">
-                                {token} Balance on Arbitrum:
+                                {token} Balance on {network.chain.chainName}:
                             </span>
                             {loadingBalance ? (
                                 <RefreshCw className="w-4 h-4 text-blue-600 animate-spin" />
@@ -185,7 +213,7 @@ const Deposit = () => {
                         className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                     >
                         <option value="USDC">USDC</option>
-                        <option value="USDT">USDT</option>
+                        {network.usdtAddress && <option value="USDT">USDT</option>}
                     </select>
                 </div>
 
@@ -0,0 +1,179 @@
+import { useState } from 'react';
+import { Download, RefreshCw, AlertCircle, CheckCircle } from 'lucide-react';
+import { useWallet } from '../hooks/useWallet';
+import DateRangeFilter from './DateRangeFilter';
+import { getRangeTimes } from '../utils/history';
+import {
+    EXPORT_FORMATS,
+    EXPORT_SOURCES,
+    loadExportRecords,
+    toCsv,
+    toJson,
+    getExportFileName,
+    downloadFile
+} from '../utils/export';
+
+/**
+ * Export account records for tax and reconciliation
+ * Fills, funding, order history and ledger updates over a date range are
+ * downloaded as CSV or JSON with normalized columns.
+ */
+const ExportRecords = () => {
+    const { account } = useWallet();
+    const [rangeId, setRangeId] = useState('30d');
+    const [custom, setCustom] = useState({});
+    const [sourceIds, setSourceIds] = useState(EXPORT_SOURCES.map(source => source.id));
+    const [format, setFormat] = useState(EXPORT_FORMATS.CSV);
+    const [loadingSource, setLoadingSource] = useState(null);
+    const [error, setError] = useState(null);
+    const [result, setResult] = useState(null); // {fileName, counts, truncated, total}
+
+    const exporting = loadingSource !== null;
+
+    const toggleSource = (id) => {
+        setSourceIds(ids => ids.includes(id) ? ids.filter(sourceId => sourceId !== id) : [...ids, id]);
+    };
+
+    const handleRangeChange = (nextRangeId, nextCustom) => {
+        setRangeId(nextRangeId);
+        setCustom(nextCustom);
+    };
+
+    const handleExport = async () => {
+        const { startTime, endTime } = getRangeTimes(rangeId, custom);
+        if (startTime > endTime) {
+            setError('The start date is after the end date');
+            return;
+        }
+
+        setError(null);
+        setResult(null);
+
+        try {
+            const { records, counts, truncated } = await loadExportRecords(account, sourceIds, startTime, endTime, setLoadingSource);
+            const fileName = getExportFileName(account, startTime, endTime, format);
+            const content = format === EXPORT_FORMATS.CSV
+                ? toCsv(records)
+                : toJson(records, { user: account, startTime, endTime, sources: sourceIds });
+
+            downloadFile(content, fileName, format === EXPORT_FORMATS.CSV ? 'text/csv;charset=utf-8' : 'application/json');
+            setResult({ fileName, counts, truncated, total: records.length });
+        } catch (err) {
+            console.error('Error exporting records:', err);
+            setError(err.message || 'Failed to export records');
+        } finally {
+            setLoadingSource(null);
+        }
+    };
+
+    if (!account) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex items-center gap-2 mb-6">
+                <Download className="w-6 h-6 text-primary-600" />
+                <h2 className="text-2xl font-bold text-gray-900">Export Records</h2>
+            </div>
+
+            <div className="space-y-5">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Date Range</label>
+                    <DateRangeFilter rangeId={rangeId} custom={custom} onChange={handleRangeChange} />
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Records</label>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        {EXPORT_SOURCES.map(source => (
+                            <label key={source.id} className="flex items-center gap-2 p-2 border border-gray-200 rounded-lg text-sm text-gray-700 cursor-pointer hover:bg-gray-50">
+                                <input
+                                    type="checkbox"
+                                    checked={sourceIds.includes(source.id)}
+                                    onChange={() => toggleSource(source.id)}
+                                    disabled={exporting}
+                                    className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                                />
+                                <span>{source.label}</span>
+                                <span className="ml-auto text-xs font-mono text-gray-400">{source.infoType}</span>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Format</label>
+                    <div className="flex gap-2">
+                        {Object.values(EXPORT_FORMATS).map(option => (
+                            <button
+                                key={option}
+                                type="button"
+                                onClick={() => setFormat(option)}
+                                disabled={exporting}
+                                className={`px-4 py-2 rounded-lg text-sm font-medium transition ${format === option
+                                    ? 'bg-primary-600 text-white'
+                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                    }`}
+                            >
+                                {option.toUpperCase()}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {error && (
+                    <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2 text-red-600">
+                        <AlertCircle className="w-5 h-5" />
+                        <span className="text-sm">{error}</span>
+                    </div>
+                )}
+
+                {result && (
+                    <div className="p-3 bg-green-50 border border-green-200 rounded-lg text-green-700 text-sm">
+                        <div className="flex items-center gap-2 font-medium">
+                            <CheckCircle className="w-5 h-5" />
+                            <span>Saved {result.total} records to {result.fileName}</span>
+                        </div>
+                        <p className="mt-1 ml-7 text-xs">
+                            {EXPORT_SOURCES.filter(source => source.id in result.counts)
+                                .map(source => `${source.label}: ${result.counts[source.id]}`)
+                                .join(' · ')}
+                        </p>
+                        {EXPORT_SOURCES.filter(source => source.id in result.truncated).map(source => (
+                            <p key={source.id} className="mt-1 ml-7 text-xs text-yellow-700">
+                                {source.label} only covers {new Date(result.truncated[source.id].start).toLocaleString()} to {new Date(result.truncated[source.id].end).toLocaleString()}; the rest of the range is missing from the file.
+                            </p>
+                        ))}
+                    </div>
+                )}
+
+                <button
+                    onClick={handleExport}
+                    disabled={exporting || sourceIds.length === 0}
+                    className="w-full py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 font-medium"
+                >
+                    {exporting ? (
+                        <>
+                            <RefreshCw className="w-4 h-4 animate-spin" />
+                            Loading {EXPORT_SOURCES.find(source => source.id === loadingSource)?.label.toLowerCase()}...
+                        </>
+                    ) : (
+                        <>
+                            <Download className="w-4 h-4" />
+                            Export {format.toUpperCase()}
+                        </>
+                    )}
+                </button>
+
+                <p className="text-xs text-gray-500">
+                    Columns: timestamp (UTC), record type, coin, side, price, size, fee, fee token, realized PnL, tx hash, oid, status and details.
+                    Funding payments are in the realized PnL column (received positive). Hyperliquid keeps the 10000 most recent fills
+                    and 2000 most recent orders per account, so older records may be missing from long ranges.
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default ExportRecords;
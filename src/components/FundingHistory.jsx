@@ -0,0 +1,169 @@
+import { useState, useMemo } from 'react';
+import { Percent, RefreshCw, AlertCircle } from 'lucide-react';
+import { useWallet } from '../hooks/useWallet';
+import { useUserFunding } from '../hooks/useUserFunding';
+import DateRangeFilter from './DateRangeFilter';
+import { getRangeTimes } from '../utils/history';
+import { summarizeFunding, formatFundingRate } from '../utils/funding';
+
+const PAYMENTS_VISIBLE_STEP = 50;
+
+const formatUsdc = (value, digits = 2) => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(digits)}`;
+
+const usdcClass = (value) => (value > 0 ? 'text-green-600' : value < 0 ? 'text-red-600' : 'text-gray-500');
+
+/**
+ * Funding payments of the connected user in a date range (userFunding)
+ * Totals per coin and for the range, plus the individual hourly payments with
+ * a running total. Received funding is positive, paid funding negative.
+ */
+const FundingHistory = () => {
+    const { account } = useWallet();
+    const [rangeId, setRangeId] = useState('30d');
+    const [custom, setCustom] = useState({});
+    const [rangeAnchor, setRangeAnchor] = useState(() => Date.now());
+    const [coinFilter, setCoinFilter] = useState(null);
+    const [showPayments, setShowPayments] = useState(false);
+    const [visibleCount, setVisibleCount] = useState(PAYMENTS_VISIBLE_STEP);
+
+    // Anchored when the range changes or the user refreshes
+    const { startTime, endTime } = useMemo(() => getRangeTimes(rangeId, custom, rangeAnchor), [rangeId, custom, rangeAnchor]);
+    const { entries, truncatedAt, error, loading } = useUserFunding(account, startTime, endTime);
+
+    const summary = useMemo(() => summarizeFunding(entries), [entries]);
+    const payments = useMemo(() => {
+        const series = coinFilter ? summarizeFunding(entries.filter(entry => entry.delta?.coin === coinFilter)).series : summary.series;
+        return [...series].reverse();
+    }, [entries, summary, coinFilter]);
+
+    const handleRangeChange = (nextRangeId, nextCustom) => {
+        setRangeId(nextRangeId);
+        setCustom(nextCustom);
+        setRangeAnchor(Date.now());
+        setVisibleCount(PAYMENTS_VISIBLE_STEP);
+    };
+
+    if (!account) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <Percent className="w-5 h-5 text-primary-600" />
+                    <h2 className="text-xl font-bold text-gray-900">Funding History</h2>
+                </div>
+                <button
+                    onClick={() => setRangeAnchor(Date.now())}
+                    className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm"
+                >
+                    <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                    Refresh
+                </button>
+            </div>
+
+            <div className="mb-4">
+                <DateRangeFilter rangeId={rangeId} custom={custom} onChange={handleRangeChange} />
+            </div>
+
+            {error && entries.length === 0 ? (
+                <div className="flex items-center gap-2 text-red-600 text-sm">
+                    <AlertCircle className="w-4 h-4" />
+                    <span>{error.message || 'Failed to load funding history'}</span>
+                </div>
+            ) : loading && entries.length === 0 ? (
+                <p className="text-center py-8 text-gray-500">Loading funding history...</p>
+            ) : summary.coins.length === 0 ? (
+                <p className="text-center py-8 text-gray-500">No funding payments in this range</p>
+            ) : (
+                <>
+                    {truncatedAt !== null && (
+                        <div className="mb-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                            Too many payments to load at once; payments from {new Date(truncatedAt).toLocaleString()} on may be missing. Pick a shorter range.
+                        </div>
+                    )}
+                    <div className="flex items-center justify-between mb-3 p-3 bg-gray-50 rounded-lg text-sm">
+                        <span className="text-gray-600">Net funding ({summary.series.length} payments)</span>
+                        <span className={`font-mono font-semibold ${usdcClass(summary.total)}`}>{formatUsdc(summary.total)}</span>
+                    </div>
+
+                    <div className="overflow-x-auto mb-3">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="border-b border-gray-200">
+                                    <th className="text-left py-2 px-3 font-semibold text-gray-700">Coin</th>
+                                    <th className="text-right py-2 px-3 font-semibold text-gray-700">Payments</th>
+                                    <th className="text-right py-2 px-3 font-semibold text-gray-700">Total</th>
+                                    <th className="text-right py-2 px-3 font-semibold text-gray-700">Last Payment</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {summary.coins.map(coin => (
+                                    <tr
+                                        key={coin.coin}
+                                        onClick={() => {
+                                            setCoinFilter(coinFilter === coin.coin ? null : coin.coin);
+                                            setShowPayments(true);
+                                        }}
+                                        className={`border-b border-gray-100 cursor-pointer ${coinFilter === coin.coin ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+                                        title="Show the payments of this coin"
+                                    >
+                                        <td className="py-2 px-3 font-medium text-gray-900">{coin.coin}</td>
+                                        <td className="py-2 px-3 text-right text-gray-700">{coin.count}</td>
+                                        <td className={`py-2 px-3 text-right font-mono ${usdcClass(coin.total)}`}>{formatUsdc(coin.total)}</td>
+                                        <td className="py-2 px-3 text-right text-gray-500 whitespace-nowrap">{new Date(coin.lastTime).toLocaleString()}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <button
+                        onClick={() => setShowPayments(show => !show)}
+                        className="text-sm text-primary-600 hover:underline"
+                    >
+                        {showPayments ? 'Hide payments' : 'Show payments'}{coinFilter ? ` (${coinFilter})` : ''}
+                    </button>
+
+                    {showPayments && (
+                        <div className="overflow-x-auto mt-3">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="border-b border-gray-200">
+                                        <th className="text-left py-2 px-3 font-semibold text-gray-700">Time</th>
+                                        <th className="text-left py-2 px-3 font-semibold text-gray-700">Coin</th>
+                                        <th className="text-right py-2 px-3 font-semibold text-gray-700">Rate</th>
+                                        <th className="text-right py-2 px-3 font-semibold text-gray-700">Payment</th>
+                                        <th className="text-right py-2 px-3 font-semibold text-gray-700">Cumulative</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {payments.slice(0, visibleCount).map(payment => (
+                                        <tr key={`${payment.time}:${payment.coin}`} className="border-b border-gray-100">
+                                            <td className="py-1.5 px-3 text-gray-500 whitespace-nowrap">{new Date(payment.time).toLocaleString()}</td>
+                                            <td className="py-1.5 px-3 text-gray-900">{payment.coin}</td>
+                                            <td className="py-1.5 px-3 text-right font-mono text-gray-700">{formatFundingRate(payment.fundingRate)}</td>
+                                            <td className={`py-1.5 px-3 text-right font-mono ${usdcClass(payment.usdc)}`}>{formatUsdc(payment.usdc, 4)}</td>
+                                            <td className={`py-1.5 px-3 text-right font-mono ${usdcClass(payment.cumulative)}`}>{formatUsdc(payment.cumulative)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {payments.length > visibleCount && (
+                                <button
+                                    onClick={() => setVisibleCount(count => count + PAYMENTS_VISIBLE_STEP)}
+                                    className="mt-3 w-full py-2 text-sm text-primary-600 hover:bg-gray-50 rounded"
+                                >
+                                    Show more ({payments.length - visibleCount} older)
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default FundingHistory;
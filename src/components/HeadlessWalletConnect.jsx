@@ -0,0 +1,252 @@
+import { useState } from 'react';
+import { useWallet } from '../hooks/useWallet';
+import {
+    HEADLESS_NETWORKS,
+    getHeadlessWalletInfo,
+    importKeystoreFile,
+    importPrivateKey,
+    removeHeadlessWallet
+} from '../utils/headless-wallet';
+import { formatAddress } from '../utils/wallet';
+import { getNetworkConfig } from '../utils/network';
+import { FileKey, Upload, Loader, Trash2 } from 'lucide-react';
+
+/**
+ * Connect without MetaMask using an imported keyfile
+ * Unlocks a previously imported keystore, or imports a JSON keystore file /
+ * pasted private key (encrypted before it is stored)
+ */
+const HeadlessWalletConnect = () => {
+    const { connectHeadless, isConnecting } = useWallet();
+    const [storedWallet, setStoredWallet] = useState(getHeadlessWalletInfo);
+    const [showImport, setShowImport] = useState(false);
+    const [importMode, setImportMode] = useState('file'); // 'file' | 'key'
+    const [keystoreJson, setKeystoreJson] = useState('');
+    const [fileName, setFileName] = useState('');
+    const [privateKey, setPrivateKey] = useState('');
+    const [password, setPassword] = useState('');
+    const [networkChainId, setNetworkChainId] = useState(() => getNetworkConfig().chain.chainId);
+    const [importing, setImporting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleFileChange = (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            setKeystoreJson(reader.result);
+            setFileName(file.name);
+        };
+        reader.onerror = () => setError('Could not read keystore file');
+        reader.readAsText(file);
+    };
+
+    const handleUnlock = async (e) => {
+        e.preventDefault();
+        setError(null);
+
+        try {
+            await connectHeadless(password);
+            setPassword('');
+        } catch (err) {
+            setError(err.message || 'Failed to unlock keyfile wallet');
+        }
+    };
+
+    const handleImport = async (e) => {
+        e.preventDefault();
+        setImporting(true);
+        setError(null);
+
+        try {
+            if (importMode === 'file') {
+                if (!keystoreJson) {
+                    throw new Error('Choose a keystore file first');
+                }
+                await importKeystoreFile(keystoreJson, password, networkChainId);
+            } else {
+                await importPrivateKey(privateKey, password, networkChainId);
+            }
+            setPrivateKey('');
+            setKeystoreJson('');
+            setPassword('');
+            setStoredWallet(getHeadlessWalletInfo());
+        } catch (err) {
+            setError(err.message || 'Failed to import wallet');
+            console.error('Error importing headless wallet:', err);
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const handleRemove = () => {
+        if (!window.confirm('Remove the stored keyfile wallet from this browser?')) {
+            return;
+        }
+        removeHeadlessWallet();
+        setStoredWallet(null);
+    };
+
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+    if (storedWallet && !showImport) {
+        return (
+            <div className="mt-6 pt-6 border-t border-gray-200 text-left">
+                <div className="flex items-center justify-between mb-3">
+                    <div className="flex items-center gap-2">
+                        <FileKey className="w-5 h-5 text-gray-600" />
+                        <span className="text-sm font-medium text-gray-900">
+                            Keyfile wallet {formatAddress(storedWallet.address)}
+                        </span>
+                        <span className="px-2 py-0.5 bg-purple-100 text-purple-700 text-xs font-medium rounded">
+                            {HEADLESS_NETWORKS[storedWallet.chain_id]?.name || `Chain ${storedWallet.chain_id}`}
+                        </span>
+                    </div>
+                    <button
+                        onClick={handleRemove}
+                        className="text-gray-500 hover:text-red-600"
+                        title="Remove keyfile wallet"
+                    >
+                        <Trash2 className="w-4 h-4" />
+                    </button>
+                </div>
+                <form onSubmit={handleUnlock} className="flex gap-2">
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Keystore password"
+                        autoComplete="current-password"
+                        className={inputClass}
+                        required
+                    />
+                    <button
+                        type="submit"
+                        disabled={isConnecting || !password}
+                        className="px-4 py-2 bg-gray-800 text-white rounded-lg text-sm font-medium hover:bg-gray-900 transition disabled:opacity-50 whitespace-nowrap flex items-center gap-2"
+                    >
+                        {isConnecting && <Loader className="w-4 h-4 animate-spin" />}
+                        {isConnecting ? 'Unlocking...' : 'Use Keyfile'}
+                    </button>
+                </form>
+                <button
+                    onClick={() => setShowImport(true)}
+                    className="mt-2 text-xs text-primary-600 hover:text-primary-700"
+                >
+                    Import a different wallet
+                </button>
+                {error && (
+                    <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-600">
+                        {error}
+                    </div>
+                )}
+            </div>
+        );
+    }
+
+    if (!showImport) {
+        return (
+            <div className="mt-6 pt-6 border-t border-gray-200">
+                <button
+                    onClick={() => setShowImport(true)}
+                    className="inline-flex items-center gap-2 text-sm text-gray-600 hover:text-gray-900"
+                >
+                    <FileKey className="w-4 h-4" />
+                    No MetaMask? Use a keyfile wallet (testnet bots and demos)
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="mt-6 pt-6 border-t border-gray-200 text-left">
+            <div className="flex items-center gap-2 mb-3">
+                <FileKey className="w-5 h-5 text-gray-600" />
+                <h3 className="font-medium text-gray-900">Import Keyfile Wallet</h3>
+            </div>
+            <div className="flex gap-2 mb-3">
+                {[['file', 'Keystore file'], ['key', 'Private key']].map(([mode, label]) => (
+                    <button
+                        key={mode}
+                        type="button"
+                        onClick={() => setImportMode(mode)}
+                        className={`px-3 py-1 rounded text-sm font-medium ${importMode === mode
+                            ? 'bg-primary-600 text-white'
+                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                            }`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            <form onSubmit={handleImport} className="space-y-3">
+                {importMode === 'file' ? (
+                    <label className="flex items-center gap-2 px-3 py-2 border border-dashed border-gray-300 rounded-lg text-sm text-gray-600 cursor-pointer hover:bg-gray-50">
+                        <Upload className="w-4 h-4" />
+                        <span>{fileName || 'Choose encrypted JSON keystore file'}</span>
+                        <input type="file" accept=".json,application/json" onChange={handleFileChange} className="hidden" />
+                    </label>
+                ) : (
+                    <input
+                        type="password"
+                        value={privateKey}
+                        onChange={(e) => setPrivateKey(e.target.value)}
+                        placeholder="0x... private key"
+                        autoComplete="off"
+                        className={`${inputClass} font-mono`}
+                        required
+                    />
+                )}
+                <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder={importMode === 'file' ? 'Keystore password' : 'New password to encrypt the key (min 8 characters)'}
+                    autoComplete={importMode === 'file' ? 'current-password' : 'new-password'}
+                    className={inputClass}
+                    required
+                />
+                <select
+                    value={networkChainId}
+                    onChange={(e) => setNetworkChainId(e.target.value)}
+                    className={inputClass}
+                >
+                    {Object.entries(HEADLESS_NETWORKS).map(([id, network]) => (
+                        <option key={id} value={id}>{network.name}</option>
+                    ))}
+                </select>
+                {error && (
+                    <div className="p-2 bg-red-50 border border-red-200 rounded text-sm text-red-600">
+                        {error}
+                    </div>
+                )}
+                <div className="flex gap-2">
+                    <button
+                        type="submit"
+                        disabled={importing}
+                        className="flex-1 px-4 py-2 bg-gray-800 text-white rounded-lg text-sm font-medium hover:bg-gray-900 transition disabled:opacity-50 flex items-center justify-center gap-2"
+                    >
+                        {importing && <Loader className="w-4 h-4 animate-spin" />}
+                        {importing ? 'Encrypting...' : 'Import & Connect'}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => {
+                            setShowImport(false);
+                            setError(null);
+                        }}
+                        className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300 transition"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </form>
+            <p className="mt-3 text-xs text-yellow-700">
+                Only the encrypted keystore is stored in this browser. Use a dedicated wallet with limited funds.
+            </p>
+        </div>
+    );
+};
+
+export default HeadlessWalletConnect;
@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { useKeystore } from '../hooks/useKeystore';
+import { IDLE_TIMEOUT_MS } from '../utils/agent-keystore';
+import { Lock, Unlock, KeyRound, Loader, AlertTriangle } from 'lucide-react';
+
+/**
+ * Unlock prompt for the encrypted agent keystore
+ * Shows a passphrase form while locked (or a setup form on first use)
+ * and a compact lock bar while unlocked. Unencrypted agent keys found in
+ * storage are flagged so they get encrypted right away.
+ */
+const KeystoreUnlock = () => {
+    const { isInitialized, isUnlocked, needsMigration, unlock, lock } = useKeystore();
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmPassphrase, setConfirmPassphrase] = useState('');
+    const [unlocking, setUnlocking] = useState(false);
+    const [error, setError] = useState(null);
+
+    const idleMinutes = Math.round(IDLE_TIMEOUT_MS / 60000);
+
+    const handleUnlock = async (e) => {
+        e.preventDefault();
+
+        if (!isInitialized && passphrase !== confirmPassphrase) {
+            setError('Passphrases do not match');
+            return;
+        }
+
+        setUnlocking(true);
+        setError(null);
+
+        try {
+            await unlock(passphrase);
+            setPassphrase('');
+            setConfirmPassphrase('');
+        } catch (err) {
+            setError(err.message || 'Failed to unlock keystore');
+            console.error('Error unlocking keystore:', err);
+        } finally {
+            setUnlocking(false);
+        }
+    };
+
+    // An unencrypted key keeps the form up even while unlocked, so it can be encrypted
+    if (isUnlocked && !needsMigration) {
+        return (
+            <div className="mb-6 bg-white rounded-lg shadow-lg px-4 py-2 flex items-center justify-between">
+                <div className="flex items-center gap-2 text-sm text-green-700">
+                    <Unlock className="w-4 h-4" />
+                    <span>Agent keystore unlocked · auto-locks after {idleMinutes} min of inactivity</span>
+                </div>
+                <button
+                    onClick={lock}
+                    className="inline-flex items-center gap-1 px-3 py-1 bg-gray-100 text-gray-700 rounded text-xs font-medium hover:bg-gray-200 transition"
+                >
+                    <Lock className="w-3 h-3" />
+                    Lock now
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="mb-6 bg-white rounded-lg shadow-lg p-4">
+            <div className="flex items-start gap-3 mb-3">
+                <div className="w-10 h-10 bg-yellow-100 rounded-full flex items-center justify-center flex-shrink-0">
+                    <KeyRound className="w-5 h-5 text-yellow-600" />
+                </div>
+                <div>
+                    <h3 className="font-medium text-gray-900">
+                        {isInitialized ? 'Unlock Agent Keystore' : 'Protect Your Agent Keys'}
+                    </h3>
+                    <p className="text-sm text-gray-600">
+                        {isInitialized
+                            ? 'Enter your passphrase to sign orders with your agent.'
+                            : 'Set a passphrase to encrypt agent keys stored in this browser.'}
+                    </p>
+                </div>
+            </div>
+            {needsMigration && (
+                <div className="mb-3 p-2 bg-red-50 border border-red-200 rounded flex items-center gap-2 text-sm text-red-700">
+                    <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                    <span>
+                        An agent key is stored unencrypted in this browser.
+                        {isInitialized ? ' Enter your passphrase to encrypt it now.' : ' Set a passphrase to encrypt it now.'}
+                    </span>
+                </div>
+            )}
+            <form onSubmit={handleUnlock} className="flex flex-wrap items-center gap-2">
+                <input
+                    type="password"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    placeholder="Passphrase"
+                    autoComplete={isInitialized ? 'current-password' : 'new-password'}
+                    className="flex-1 min-w-[180px] px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    required
+                />
+                {!isInitialized && (
+                    <input
+                        type="password"
+                        value={confirmPassphrase}
+                        onChange={(e) => setConfirmPassphrase(e.target.value)}
+                        placeholder="Confirm passphrase"
+                        autoComplete="new-password"
+                        className="flex-1 min-w-[180px] px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        required
+                    />
+                )}
+                <button
+                    type="submit"
+                    disabled={unlocking || !passphrase}
+                    className="px-4 py-2 bg-primary-600 text-white rounded-lg text-sm font-medium hover:bg-primary-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                >
+                    {unlocking ? (
+                        <>
+                            <Loader className="w-4 h-4 animate-spin" />
+                            <span>{isInitialized && !needsMigration ? 'Unlocking...' : 'Encrypting...'}</span>
+                        </>
+                    ) : (
+                        <>
+                            <Unlock className="w-4 h-4" />
+                            <span>{!isInitialized ? 'Set Passphrase' : needsMigration ? 'Unlock & Encrypt' : 'Unlock'}</span>
+                        </>
+                    )}
+                </button>
+            </form>
+            {error && (
+                <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-600">
+                    {error}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default KeystoreUnlock;
@@ -1,12 +1,15 @@
 import { useState, useEffect } from 'react';
-import { setLeverage, getMarketMeta, getErrorMessage } from '../services/api';
+import { getErrorMessage } from '../services/api';
+import { setLeverage } from '../services/trading';
 import { getAllCoinLeverages } from '../services/hyperliquid-api';
 import { Settings, CheckCircle, AlertCircle, RefreshCw } from 'lucide-react';
 import { useWallet } from '../hooks/useWallet';
+import { useMeta } from '../hooks/useMeta';
 import { getAgentAddress, getAgentPrivateKey } from '../utils/agent-storage';
 
 const LeverageSettings = () => {
-    const { account, isConnected, chainId } = useWallet();
+    const { account, isConnected } = useWallet();
+    const { data: meta, error: metaError } = useMeta();
     const [perpCoins, setPerpCoins] = useState([]);
     const [coinLeverages, setCoinLeverages] = useState({}); // coin -> current leverage
     const [editingCoin, setEditingCoin] = useState(null); // coin being edited
@@ -17,41 +20,34 @@ const LeverageSettings = () => {
     const [error, setError] = useState(null);
     const [success, setSuccess] = useState(null);
 
-    // Fetch available perpetual coins
+    // Load available perpetual coins from the shared meta
     useEffect(() => {
-        const fetchCoins = async () => {
-            setLoading(true);
-            try {
-                const meta = await getMarketMeta();
-                if (meta && meta.universe) {
-                    const coins = meta.universe
-                        .map(item => item.name || item)
-                        .filter(Boolean)
-                        .sort();
-                    setPerpCoins(coins);
-
-                    // Initialize leverage inputs for each coin
-                    const initialLeverages = {};
-                    const initialInputs = {};
-                    coins.forEach(coin => {
-                        initialLeverages[coin] = 1; // Default leverage
-                        initialInputs[coin] = '1';
-                    });
-                    setCoinLeverages(initialLeverages);
-                    setLeverageInputs(initialInputs);
-                } else {
-                    console.error('No universe data in market meta:', meta);
-                    setError('Failed to load perpetual markets. Please try refreshing.');
-                }
-            } catch (err) {
-                console.error('Failed to fetch perpetual coins:', err);
-                setError(`Failed to load perpetual markets: ${err.message || 'Unknown error'}`);
-            } finally {
-                setLoading(false);
-            }
-        };
-        fetchCoins();
-    }, []);
+        if (metaError && !meta) {
+            console.error('Failed to fetch perpetual coins:', metaError);
+            setError(`Failed to load perpetual markets: ${metaError.message || 'Unknown error'}`);
+            setLoading(false);
+            return;
+        }
+        if (!meta) {
+            return;
+        }
+
+        if (meta.universe) {
+            const coins = meta.universe
+                .map(item => item.name || item)
+                .filter(Boolean)
+                .sort();
+            setPerpCoins(coins);
+
+            // Initialize leverage inputs for new coins, keeping values already loaded
+            setCoinLeverages(prev => Object.fromEntries(coins.map(coin => [coin, prev[coin] || 1])));
+            setLeverageInputs(prev => Object.fromEntries(coins.map(coin => [coin, prev[coin] || '1'])));
+        } else {
+            console.error('No universe data in market meta:', meta);
+            setError('Failed to load perpetual markets. Please try refreshing.');
+        }
+        setLoading(false);
+    }, [meta, metaError]);
 
     // Initialize with defaults - don't fetch leverage automatically to avoid rate limits
     useEffect(() => {
@@ -70,7 +66,7 @@ const LeverageSettings = () => {
 
     // Function to manually refresh leverage for all coins
     const handleRefreshLeverages = async () => {
-        if (!account || !chainId || perpCoins.length === 0) {
+        if (!account || perpCoins.length === 0) {
             setError('Please connect your wallet to refresh leverage settings');
             return;
         }
@@ -79,7 +75,7 @@ const LeverageSettings = () => {
         setError(null);
         try {
             // Fetch leverage for all coins using activeAssetData endpoint
-            const leverages = await getAllCoinLeverages(account, perpCoins, chainId);
+            const leverages = await getAllCoinLeverages(account, perpCoins);
 
             // Build inputs map
             const inputs = {};
@@ -109,11 +105,11 @@ const LeverageSettings = () => {
 
     // Fetch leverage for a single coin when user clicks to edit
     const fetchCoinLeverage = async (coin) => {
-        if (!account || !chainId) return;
+        if (!account) return;
 
         try {
             const { getCoinLeverage } = await import('../services/hyperliquid-api');
-            const leverageData = await getCoinLeverage(account, coin, chainId);
+            const leverageData = await getCoinLeverage(account, coin);
 
             if (leverageData) {
                 let leverageValue = null;
@@ -148,7 +144,12 @@ const LeverageSettings = () => {
         const agentAddress = getAgentAddress(account);
         const agentPrivateKey = getAgentPrivateKey(account);
 
-        if (!agentAddress || !agentPrivateKey) {
+        if (agentAddress && !agentPrivateKey) {
+            setError('Agent keystore is locked. Unlock it with your passphrase first.');
+            return;
+        }
+
+        if (!agentAddress) {
             setError('No agent found. Please create an agent first.');
             return;
         }
@@ -165,12 +166,11 @@ const LeverageSettings = () => {
 
         try {
             // Always use isolated margin (is_cross: false)
-            const result = await setLeverage(
+            await setLeverage(
                 coin,
                 leverage,
                 false, // Always isolated margin
-                agentAddress,
-                agentPrivateKey
+                account
             );
 
             // Update the leverage for this coin
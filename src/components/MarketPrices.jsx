@@ -1,57 +1,39 @@
-import { useState, useEffect } from 'react';
-import { getAllMids, getMarketMeta } from '../services/api';
-import { TrendingUp, TrendingDown, Minus } from 'lucide-react';
+import { useState, useEffect, useRef } from 'react';
+import { useAllMids } from '../hooks/useAllMids';
+import { useMeta } from '../hooks/useMeta';
+import { useWsStatus } from '../hooks/useWsStatus';
+import { useFundingRates } from '../hooks/useFundingRates';
+import { useFundingCountdown } from '../hooks/useFundingCountdown';
+import { WS_STATUS } from '../services/hyperliquid-ws';
+import { annualizeFundingRate, formatFundingRate, formatFundingCountdown } from '../utils/funding';
+import { TrendingUp, TrendingDown, Minus, Clock } from 'lucide-react';
 
 const MarketPrices = () => {
-    const [prices, setPrices] = useState({});
+    // Shared with the order form and positions; live over the WebSocket, polled every 5 seconds as fallback
+    const { data: mids, error: midsError, loading } = useAllMids();
+    const wsStatus = useWsStatus();
+    const { data: meta } = useMeta();
+    const { rates: fundingRates } = useFundingRates();
+    const { remainingMs: fundingRemainingMs } = useFundingCountdown();
     const [prevPrices, setPrevPrices] = useState({});
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-    const [perpPairs, setPerpPairs] = useState([]);
+    const lastPrices = useRef(null);
 
-    useEffect(() => {
-        const fetchPrices = async () => {
-            try {
-                setError(null);
-
-                // Get perpetual pairs from meta
-                const meta = await getMarketMeta();
-                if (meta && meta.universe) {
-                    // Filter only perpetual pairs (universe contains perp pairs)
-                    const perps = meta.universe
-                        .map(item => item.name || item)
-                        .filter(Boolean)
-                        .sort();
-                    setPerpPairs(perps);
-                }
+    const prices = mids || {};
+    const error = midsError ? 'Failed to load market prices' : null;
 
-                // Get current prices
-                const mids = await getAllMids();
-                if (mids && mids.all_mids) {
-                    // Store current prices as previous before updating
-                    setPrices(currentPrices => {
-                        // Save current prices as previous (if they exist)
-                        if (Object.keys(currentPrices).length > 0) {
-                            setPrevPrices({ ...currentPrices });
-                        }
-                        // Return new prices
-                        return mids.all_mids;
-                    });
-                }
-            } catch (err) {
-                console.error('Failed to fetch prices:', err);
-                setError('Failed to load market prices');
-            } finally {
-                setLoading(false);
-            }
-        };
+    // Filter only perpetual pairs (universe contains perp pairs)
+    const perpPairs = meta?.universe
+        ? meta.universe.map(item => item.name || item).filter(Boolean).sort()
+        : [];
 
-        fetchPrices();
-        // Update prices every 5 seconds
-        const interval = setInterval(fetchPrices, 5000);
-        return () => clearInterval(interval);
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, []);
+    // Keep the previous snapshot to show the change since the last update
+    useEffect(() => {
+        if (!mids) return;
+        if (lastPrices.current) {
+            setPrevPrices(lastPrices.current);
+        }
+        lastPrices.current = mids;
+    }, [mids]);
 
     const getPriceChange = (coin) => {
         const current = parseFloat(prices[coin] || 0);
@@ -107,6 +89,7 @@ const MarketPrices = () => {
                         {displayPairs.map((coin) => {
                             const price = prices[coin];
                             const change = getPriceChange(coin);
+                            const funding = fundingRates[coin];
 
                             return (
                                 <div key={coin} className="flex items-center justify-between text-xs py-1.5 px-2 hover:bg-gray-50 rounded border-b border-gray-100 last:border-b-0">
@@ -122,13 +105,23 @@ const MarketPrices = () => {
                                             </span>
                                         )}
                                     </div>
-                                    <div className="flex items-center gap-2 flex-shrink-0">
-                                        <span className="text-gray-600 font-mono">${formatPrice(price)}</span>
-                                        {change !== null && (
-                                            <span className={`text-xs font-medium ${change > 0 ? 'text-green-600' :
-                                                change < 0 ? 'text-red-600' : 'text-gray-500'
-                                                }`}>
-                                                {change > 0 ? '+' : ''}{change.toFixed(2)}%
+                                    <div className="flex flex-col items-end flex-shrink-0">
+                                        <div className="flex items-center gap-2">
+                                            <span className="text-gray-600 font-mono">${formatPrice(price)}</span>
+                                            {change !== null && (
+                                                <span className={`text-xs font-medium ${change > 0 ? 'text-green-600' :
+                                                    change < 0 ? 'text-red-600' : 'text-gray-500'
+                                                    }`}>
+                                                    {change > 0 ? '+' : ''}{change.toFixed(2)}%
+                                                </span>
+                                            )}
+                                        </div>
+                                        {funding && (
+                                            <span
+                                                className={`text-[10px] font-mono ${funding.current > 0 ? 'text-green-600' : funding.current < 0 ? 'text-red-600' : 'text-gray-400'}`}
+                                                title={`Funding per hour (longs pay shorts when positive). Annualized ${formatFundingRate(annualizeFundingRate(funding.current), 2)}${funding.predicted !== null ? `, predicted ${formatFundingRate(funding.predicted)}` : ''}`}
+                                            >
+                                                {formatFundingRate(funding.current)}/h
                                             </span>
                                         )}
                                     </div>
@@ -140,7 +133,11 @@ const MarketPrices = () => {
             )}
 
             <div className="mt-2 text-xs text-gray-400 text-center">
-                Updates every 5s
+                {wsStatus === WS_STATUS.OPEN ? 'Live' : 'Updates every 5s'}
+            </div>
+            <div className="mt-1 flex items-center justify-center gap-1 text-xs text-gray-400">
+                <Clock className="w-3 h-3" />
+                <span>Next funding in {formatFundingCountdown(fundingRemainingMs)}</span>
             </div>
         </div>
     );
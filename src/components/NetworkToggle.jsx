@@ -0,0 +1,39 @@
+import { NETWORKS, getNetworkMode, setNetworkMode } from '../utils/network';
+import { Globe } from 'lucide-react';
+
+/**
+ * Mainnet/Testnet switch for the Hyperliquid network
+ * Every API call, signature and deposit address follows this selection,
+ * so switching reloads the app to start from a clean state
+ */
+const NetworkToggle = () => {
+    const current = getNetworkMode();
+
+    const handleSelect = (mode) => {
+        if (mode === current) return;
+        setNetworkMode(mode);
+        window.location.reload();
+    };
+
+    return (
+        <div className="inline-flex items-center gap-2 bg-white/10 rounded-lg p-1">
+            <Globe className="w-4 h-4 text-blue-100 ml-2" />
+            {Object.values(NETWORKS).map((network) => (
+                <button
+                    key={network.key}
+                    onClick={() => handleSelect(network.key)}
+                    className={`px-3 py-1 rounded-md text-sm font-medium transition ${network.key === current
+                        ? network.isMainnet
+                            ? 'bg-white text-gray-900'
+                            : 'bg-yellow-400 text-yellow-900'
+                        : 'text-blue-100 hover:bg-white/20'
+                        }`}
+                >
+                    {network.name}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default NetworkToggle;
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { useL2Book } from '../hooks/useL2Book';
+import { BookOpen, RefreshCw, AlertCircle } from 'lucide-react';
+
+const BOOK_ROWS = 10;
+// Significant figures offered for price grouping (null = finest, 5 significant figures)
+const GROUPING_OPTIONS = [null, 4, 3, 2];
+
+// Price step of a grouping at the current price level, e.g. 1, 10, 0.01
+const getGroupingStep = (price, nSigFigs) => {
+    if (!price) return null;
+    const exponent = Math.floor(Math.log10(price)) - (nSigFigs || 5) + 1;
+    return exponent >= 0 ? (10 ** exponent).toString() : (10 ** exponent).toFixed(-exponent);
+};
+
+// Best levels first, with running size totals
+const toBookSide = (levels = []) => {
+    let total = 0;
+    return levels.slice(0, BOOK_ROWS).map((level) => {
+        total += parseFloat(level.sz);
+        return { px: level.px, sz: parseFloat(level.sz), total };
+    });
+};
+
+const getDecimals = (px) => (px.includes('.') ? px.split('.')[1].length : 0);
+
+const formatSize = (size) => size.toLocaleString('en-US', { maximumFractionDigits: 4 });
+
+/**
+ * Order book depth ladder for a coin
+ * Asks on top, bids below, with the spread in between. Clicking a level
+ * passes its price to onSelectPrice.
+ * @param {string} coin - Coin name
+ * @param {Function} onSelectPrice - Called with the clicked price (string)
+ */
+const OrderBook = ({ coin, onSelectPrice }) => {
+    const [nSigFigs, setNSigFigs] = useState(null);
+    const { data: book, error, loading } = useL2Book(coin, nSigFigs);
+
+    const bids = toBookSide(book?.levels?.[0]);
+    const asks = toBookSide(book?.levels?.[1]);
+    const maxTotal = Math.max(bids[bids.length - 1]?.total || 0, asks[asks.length - 1]?.total || 0);
+
+    const bestBid = bids[0] ? parseFloat(bids[0].px) : null;
+    const bestAsk = asks[0] ? parseFloat(asks[0].px) : null;
+    const mid = bestBid && bestAsk ? (bestBid + bestAsk) / 2 : bestBid || bestAsk;
+    const spread = bestBid && bestAsk ? bestAsk - bestBid : null;
+    const spreadDecimals = bids[0] && asks[0] ? Math.max(getDecimals(bids[0].px), getDecimals(asks[0].px)) : 0;
+
+    const renderLevel = (level, isBid) => (
+        <button
+            key={`${isBid ? 'b' : 'a'}-${level.px}`}
+            type="button"
+            onClick={() => onSelectPrice?.(level.px)}
+            className="relative w-full grid grid-cols-3 px-2 py-0.5 text-xs font-mono hover:bg-gray-100 transition"
+            title="Use as limit price"
+        >
+            <span
+                className={`absolute inset-y-0 right-0 ${isBid ? 'bg-green-100' : 'bg-red-100'}`}
+                style={{ width: `${maxTotal > 0 ? (level.total / maxTotal) * 100 : 0}%` }}
+            />
+            <span className={`relative text-left ${isBid ? 'text-green-600' : 'text-red-600'}`}>{level.px}</span>
+            <span className="relative text-right text-gray-700">{formatSize(level.sz)}</span>
+            <span className="relative text-right text-gray-500">{formatSize(level.total)}</span>
+        </button>
+    );
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-4">
+            <div className="flex items-center justify-between mb-3">
+                <div className="flex items-center gap-2">
+                    <BookOpen className="w-5 h-5 text-primary-600" />
+                    <h3 className="text-sm font-semibold text-gray-700">Order Book</h3>
+                    <span className="text-xs text-gray-400">{coin}</span>
+                </div>
+                <select
+                    value={nSigFigs ?? ''}
+                    onChange={(e) => setNSigFigs(e.target.value ? parseInt(e.target.value) : null)}
+                    className="px-2 py-1 text-xs border border-gray-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    title="Price grouping"
+                >
+                    {GROUPING_OPTIONS.map((option) => (
+                        <option key={option ?? 'full'} value={option ?? ''}>
+                            {getGroupingStep(mid, option) ?? (option ? `${option} sig figs` : 'Full')}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            {loading && !book ? (
+                <div className="flex items-center justify-center py-8">
+                    <RefreshCw className="w-5 h-5 text-primary-600 animate-spin" />
+                    <span className="ml-2 text-sm text-gray-600">Loading order book...</span>
+                </div>
+            ) : error && !book ? (
+                <div className="flex items-center gap-2 text-red-600 text-sm py-4">
+                    <AlertCircle className="w-4 h-4" />
+                    <span>Failed to load order book</span>
+                </div>
+            ) : (
+                <div>
+                    <div className="grid grid-cols-3 px-2 pb-1 text-xs font-semibold text-gray-500">
+                        <span className="text-left">Price</span>
+                        <span className="text-right">Size ({coin})</span>
+                        <span className="text-right">Total</span>
+                    </div>
+
+                    <div>
+                        {[...asks].reverse().map(level => renderLevel(level, false))}
+                    </div>
+
+                    <div className="flex items-center justify-between px-2 py-1.5 my-1 bg-gray-50 rounded text-xs">
+                        <span className="text-gray-500">Spread</span>
+                        <span className="font-mono text-gray-700">
+                            {spread !== null
+                                ? `${spread.toFixed(spreadDecimals)} (${((spread / mid) * 100).toFixed(3)}%)`
+                                : 'N/A'}
+                        </span>
+                    </div>
+
+                    <div>
+                        {bids.map(level => renderLevel(level, true))}
+                    </div>
+
+                    {bids.length === 0 && asks.length === 0 && (
+                        <p className="text-center text-sm text-gray-500 py-4">No resting orders</p>
+                    )}
+
+                    <p className="mt-2 text-xs text-gray-400 text-center">Click a price to use it as the limit price</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OrderBook;
@@ -0,0 +1,194 @@
+import { useState, useMemo, useEffect } from 'react';
+import { History, RefreshCw, AlertCircle } from 'lucide-react';
+import { useWallet } from '../hooks/useWallet';
+import { useHistoricalOrders } from '../hooks/useHistoricalOrders';
+import DateRangeFilter from './DateRangeFilter';
+import { getRangeTimes, getOrderStatusGroup, describeOrderStatus } from '../utils/history';
+
+const HISTORY_PAGE_SIZE = 50;
+
+const STATUS_FILTERS = [
+    { id: 'all', label: 'All' },
+    { id: 'filled', label: 'Filled' },
+    { id: 'canceled', label: 'Canceled' },
+    { id: 'rejected', label: 'Rejected' },
+    { id: 'open', label: 'Open' }
+];
+
+const STATUS_GROUP_STYLES = {
+    open: 'bg-blue-100 text-blue-700',
+    filled: 'bg-green-100 text-green-700',
+    canceled: 'bg-gray-100 text-gray-600',
+    rejected: 'bg-red-100 text-red-700'
+};
+
+/**
+ * Order history of the connected user: filled, canceled and rejected orders
+ * with the reason Hyperliquid gives. historicalOrders returns the most recent
+ * orders in one response, so the date range and paging are applied locally.
+ */
+const OrderHistory = () => {
+    const { account } = useWallet();
+    const { data: orders, error, loading, refresh } = useHistoricalOrders(account);
+    const [rangeId, setRangeId] = useState('7d');
+    const [custom, setCustom] = useState({});
+    const [statusFilter, setStatusFilter] = useState('all');
+    const [page, setPage] = useState(0);
+    const [rangeAnchor, setRangeAnchor] = useState(() => Date.now());
+
+    // Move a preset window forward with every poll so new orders stay inside it
+    useEffect(() => {
+        setRangeAnchor(Date.now());
+    }, [orders]);
+
+    const { startTime, endTime } = useMemo(() => getRangeTimes(rangeId, custom, rangeAnchor), [rangeId, custom, rangeAnchor]);
+
+    const filtered = useMemo(() => orders.filter((entry) => {
+        const time = entry.statusTimestamp || entry.order?.timestamp;
+        if (time < startTime || time > endTime) return false;
+        return statusFilter === 'all' || getOrderStatusGroup(entry.status) === statusFilter;
+    }), [orders, startTime, endTime, statusFilter]);
+
+    useEffect(() => {
+        setPage(0);
+    }, [rangeId, custom, statusFilter, account]);
+
+    const pageCount = Math.max(1, Math.ceil(filtered.length / HISTORY_PAGE_SIZE));
+    const visible = filtered.slice(page * HISTORY_PAGE_SIZE, (page + 1) * HISTORY_PAGE_SIZE);
+
+    const handleRangeChange = (nextRangeId, nextCustom) => {
+        setRangeId(nextRangeId);
+        setCustom(nextCustom);
+        setRangeAnchor(Date.now());
+    };
+
+    if (!account) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <History className="w-5 h-5 text-primary-600" />
+                    <h2 className="text-xl font-bold text-gray-900">Order History</h2>
+                </div>
+                <button
+                    onClick={refresh}
+                    className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm"
+                >
+                    <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                    Refresh
+                </button>
+            </div>
+
+            <div className="space-y-3 mb-4">
+                <DateRangeFilter rangeId={rangeId} custom={custom} onChange={handleRangeChange} />
+                <div className="flex flex-wrap gap-2">
+                    {STATUS_FILTERS.map(filter => (
+                        <button
+                            key={filter.id}
+                            onClick={() => setStatusFilter(filter.id)}
+                            className={`px-3 py-1 rounded-lg text-sm transition ${statusFilter === filter.id
+                                ? 'bg-gray-800 text-white'
+                                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                }`}
+                        >
+                            {filter.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {error && orders.length === 0 ? (
+                <div className="flex items-center gap-2 text-red-600 text-sm">
+                    <AlertCircle className="w-4 h-4" />
+                    <span>{error.message || 'Failed to load order history'}</span>
+                </div>
+            ) : loading ? (
+                <p className="text-center py-8 text-gray-500">Loading order history...</p>
+            ) : filtered.length === 0 ? (
+                <p className="text-center py-8 text-gray-500">No orders in this range</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="border-b border-gray-200">
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Time</th>
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Coin</th>
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Side</th>
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Type</th>
+                                <th className="text-right py-2 px-3 font-semibold text-gray-700">Price</th>
+                                <th className="text-right py-2 px-3 font-semibold text-gray-700">Size</th>
+                                <th className="text-right py-2 px-3 font-semibold text-gray-700">Filled</th>
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {visible.map(({ order, status, statusTimestamp }) => {
+                                const origSz = parseFloat(order.origSz);
+                                // sz is what was left unfilled when the order reached this status
+                                const filledSz = origSz - parseFloat(order.sz);
+                                const group = getOrderStatusGroup(status);
+                                return (
+                                    <tr key={`${order.oid}:${status}`} className="border-b border-gray-100 hover:bg-gray-50">
+                                        <td className="py-2 px-3 text-gray-500 whitespace-nowrap">{new Date(statusTimestamp).toLocaleString()}</td>
+                                        <td className="py-2 px-3 text-gray-900 font-medium">{order.coin}</td>
+                                        <td className={`py-2 px-3 ${order.side === 'B' ? 'text-green-700' : 'text-red-700'}`}>
+                                            {order.side === 'B' ? 'Buy' : 'Sell'}
+                                        </td>
+                                        <td className="py-2 px-3 text-gray-700 whitespace-nowrap">
+                                            {order.orderType || 'Limit'}
+                                            {order.reduceOnly && <span className="ml-1 text-xs text-gray-500">RO</span>}
+                                        </td>
+                                        <td className="py-2 px-3 text-right font-mono text-gray-900">
+                                            {order.isTrigger ? order.triggerCondition : `$${order.limitPx}`}
+                                        </td>
+                                        <td className="py-2 px-3 text-right font-mono text-gray-900">{order.origSz}</td>
+                                        <td className="py-2 px-3 text-right font-mono text-gray-700">
+                                            {filledSz > 0 ? parseFloat(filledSz.toPrecision(10)) : '—'}
+                                        </td>
+                                        <td className="py-2 px-3">
+                                            <span
+                                                className={`px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap ${STATUS_GROUP_STYLES[group]}`}
+                                                title={status}
+                                            >
+                                                {describeOrderStatus(status)}
+                                            </span>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+
+                    <div className="flex items-center justify-between mt-3 text-sm text-gray-600">
+                        <span>{filtered.length} orders</span>
+                        {pageCount > 1 && (
+                            <div className="flex items-center gap-2">
+                                <button
+                                    onClick={() => setPage(p => p - 1)}
+                                    disabled={page === 0}
+                                    className="px-3 py-1 bg-gray-100 rounded hover:bg-gray-200 transition disabled:opacity-50"
+                                >
+                                    Newer
+                                </button>
+                                <span>Page {page + 1} of {pageCount}</span>
+                                <button
+                                    onClick={() => setPage(p => p + 1)}
+                                    disabled={page >= pageCount - 1}
+                                    className="px-3 py-1 bg-gray-100 rounded hover:bg-gray-200 transition disabled:opacity-50"
+                                >
+                                    Older
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                    <p className="mt-2 text-xs text-gray-500">Hyperliquid keeps the 2000 most recent orders per account.</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OrderHistory;
@@ -0,0 +1,271 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getOrderStatus } from '../services/hyperliquid-api';
+import { cancelOrdersByCloid } from '../services/trading';
+import { getErrorMessage } from '../services/api';
+import { BookText, RefreshCw, Search, Trash2 } from 'lucide-react';
+import { useWallet } from '../hooks/useWallet';
+import { getOrderJournal, clearOrderJournal } from '../utils/order-journal';
+import { isValidCloid } from '../utils/cloid';
+
+const JOURNAL_PAGE_SIZE = 25;
+
+const EXCHANGE_STATUS_STYLES = {
+    open: 'bg-blue-100 text-blue-700',
+    filled: 'bg-green-100 text-green-700',
+    triggered: 'bg-green-100 text-green-700',
+    canceled: 'bg-gray-100 text-gray-600',
+    unknown: 'bg-gray-100 text-gray-500'
+};
+
+const shortCloid = (cloid) => `${cloid.slice(0, 10)}…${cloid.slice(-4)}`;
+
+// Reduce an orderStatus response to {status, order}
+const toExchangeStatus = (response) => {
+    if (response?.status !== 'order') {
+        return { status: 'unknown', order: null };
+    }
+    return { status: response.order.status, order: response.order.order };
+};
+
+/**
+ * Orders sent from this app with their cloids, matched to exchange state
+ * Each entry can be looked up with orderStatus by cloid and, while it rests,
+ * canceled with cancelByCloid. Any oid or cloid can also be looked up directly.
+ */
+const OrderJournal = () => {
+    const { account } = useWallet();
+    const [entries, setEntries] = useState([]);
+    const [visibleCount, setVisibleCount] = useState(JOURNAL_PAGE_SIZE);
+    const [exchangeStatus, setExchangeStatus] = useState({}); // cloid -> {status, order} or {error}
+    const [checking, setChecking] = useState(null); // cloid being looked up, or 'all'
+    const [canceling, setCanceling] = useState(null);
+    const [lookupId, setLookupId] = useState('');
+    const [lookupResult, setLookupResult] = useState(null);
+
+    const loadJournal = useCallback(() => {
+        setEntries(getOrderJournal(account));
+    }, [account]);
+
+    useEffect(() => {
+        loadJournal();
+        setExchangeStatus({});
+    }, [loadJournal]);
+
+    const checkEntry = async (cloid) => {
+        try {
+            const response = await getOrderStatus(account, cloid);
+            setExchangeStatus(prev => ({ ...prev, [cloid]: toExchangeStatus(response) }));
+        } catch (err) {
+            setExchangeStatus(prev => ({ ...prev, [cloid]: { error: err.message || 'Lookup failed' } }));
+        }
+    };
+
+    const handleCheck = async (cloid) => {
+        setChecking(cloid);
+        await checkEntry(cloid);
+        setChecking(null);
+    };
+
+    // Look up the visible entries one at a time to stay well inside the info rate limit
+    const handleCheckVisible = async () => {
+        setChecking('all');
+        for (const entry of entries.slice(0, visibleCount)) {
+            await checkEntry(entry.cloid);
+        }
+        setChecking(null);
+    };
+
+    const handleCancel = async (entry) => {
+        try {
+            setCanceling(entry.cloid);
+            await cancelOrdersByCloid([{ coin: entry.coin, cloid: entry.cloid }], account);
+            await checkEntry(entry.cloid);
+        } catch (err) {
+            const errorMessage = err.userMessage || getErrorMessage(err) || 'Failed to cancel order';
+            alert(`Failed to cancel order: ${errorMessage}`);
+        } finally {
+            setCanceling(null);
+        }
+    };
+
+    const handleLookup = async (e) => {
+        e.preventDefault();
+        const id = lookupId.trim().toLowerCase();
+        if (!isValidCloid(id) && !/^\d+$/.test(id)) {
+            setLookupResult({ error: 'Enter a numeric oid or a cloid (0x + 32 hex characters)' });
+            return;
+        }
+
+        try {
+            setLookupResult({ loading: true });
+            setLookupResult(toExchangeStatus(await getOrderStatus(account, id)));
+        } catch (err) {
+            setLookupResult({ error: err.message || 'Lookup failed' });
+        }
+    };
+
+    const handleClear = () => {
+        if (!window.confirm('Clear the local order journal? Orders on the exchange are not affected.')) {
+            return;
+        }
+        clearOrderJournal(account);
+        loadJournal();
+        setExchangeStatus({});
+    };
+
+    if (!account) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <BookText className="w-5 h-5 text-primary-600" />
+                    <h2 className="text-xl font-bold text-gray-900">Order Journal</h2>
+                </div>
+                <div className="flex gap-2">
+                    <button
+                        onClick={loadJournal}
+                        className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm"
+                    >
+                        <RefreshCw className="w-4 h-4" />
+                        Reload
+                    </button>
+                    {entries.length > 0 && (
+                        <>
+                            <button
+                                onClick={handleCheckVisible}
+                                disabled={checking !== null}
+                                className="px-3 py-1.5 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition disabled:opacity-50 flex items-center gap-2 text-sm"
+                            >
+                                {checking === 'all' ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+                                Check Status
+                            </button>
+                            <button
+                                onClick={handleClear}
+                                className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition"
+                                title="Clear journal"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+
+            <form onSubmit={handleLookup} className="flex gap-2 mb-2">
+                <input
+                    type="text"
+                    value={lookupId}
+                    onChange={(e) => setLookupId(e.target.value)}
+                    placeholder="Look up an order by oid or cloid"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+                <button
+                    type="submit"
+                    className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm"
+                >
+                    <Search className="w-4 h-4" />
+                    Look up
+                </button>
+            </form>
+            {lookupResult && (
+                <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+                    {lookupResult.loading ? (
+                        <span className="text-gray-500">Looking up...</span>
+                    ) : lookupResult.error ? (
+                        <span className="text-red-600">{lookupResult.error}</span>
+                    ) : lookupResult.order ? (
+                        <span className="text-gray-700">
+                            <strong>{lookupResult.status}</strong> · {lookupResult.order.coin} {lookupResult.order.side === 'B' ? 'Buy' : 'Sell'} {lookupResult.order.origSz} @ ${lookupResult.order.limitPx} · oid {lookupResult.order.oid}
+                            {lookupResult.order.cloid && <> · cloid <span className="font-mono">{lookupResult.order.cloid}</span></>}
+                        </span>
+                    ) : (
+                        <span className="text-gray-500">No order found for this user</span>
+                    )}
+                </div>
+            )}
+
+            {entries.length === 0 ? (
+                <p className="text-center py-8 text-gray-500">No orders recorded on this network yet</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="border-b border-gray-200">
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Time</th>
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Order</th>
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Strategy</th>
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Cloid</th>
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Sent</th>
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Exchange</th>
+                                <th className="text-right py-2 px-3 font-semibold text-gray-700">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {entries.slice(0, visibleCount).map((entry) => {
+                                const current = exchangeStatus[entry.cloid];
+                                return (
+                                    <tr key={entry.cloid} className="border-b border-gray-100 hover:bg-gray-50">
+                                        <td className="py-2 px-3 text-gray-500 whitespace-nowrap">{new Date(entry.placedAt).toLocaleString()}</td>
+                                        <td className="py-2 px-3 text-gray-900 whitespace-nowrap">
+                                            <span className={entry.side === 'B' ? 'text-green-700' : 'text-red-700'}>
+                                                {entry.side === 'B' ? 'Buy' : 'Sell'}
+                                            </span>{' '}
+                                            {entry.sz} {entry.coin} @ ${entry.px}
+                                        </td>
+                                        <td className="py-2 px-3 text-gray-700">{entry.strategy || '—'}</td>
+                                        <td className="py-2 px-3 font-mono text-xs text-gray-600" title={entry.cloid}>{shortCloid(entry.cloid)}</td>
+                                        <td className="py-2 px-3 text-gray-700" title={entry.error || undefined}>
+                                            {entry.status}{entry.oid ? ` (oid ${entry.oid})` : ''}
+                                        </td>
+                                        <td className="py-2 px-3">
+                                            {current?.error ? (
+                                                <span className="text-xs text-red-600">{current.error}</span>
+                                            ) : current ? (
+                                                <span className={`px-2 py-0.5 rounded text-xs font-medium ${EXCHANGE_STATUS_STYLES[current.status] || 'bg-orange-100 text-orange-700'}`}>
+                                                    {current.status}
+                                                </span>
+                                            ) : (
+                                                <span className="text-xs text-gray-400">not checked</span>
+                                            )}
+                                        </td>
+                                        <td className="py-2 px-3 text-right whitespace-nowrap">
+                                            <button
+                                                onClick={() => handleCheck(entry.cloid)}
+                                                disabled={checking !== null}
+                                                className="px-2 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition text-xs disabled:opacity-50"
+                                            >
+                                                {checking === entry.cloid ? 'Checking...' : 'Check'}
+                                            </button>
+                                            {current?.status === 'open' && (
+                                                <button
+                                                    onClick={() => handleCancel(entry)}
+                                                    disabled={canceling === entry.cloid}
+                                                    className="ml-2 px-2 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition text-xs disabled:opacity-50"
+                                                >
+                                                    {canceling === entry.cloid ? 'Canceling...' : 'Cancel'}
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    {entries.length > visibleCount && (
+                        <button
+                            onClick={() => setVisibleCount(count => count + JOURNAL_PAGE_SIZE)}
+                            className="mt-3 w-full py-2 text-sm text-primary-600 hover:bg-gray-50 rounded"
+                        >
+                            Show more ({entries.length - visibleCount} older)
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OrderJournal;
@@ -1,43 +1,44 @@
-import { useState, useEffect } from 'react';
-import { getOpenOrders, cancelOrder, cancelAllOrders, getErrorMessage } from '../services/api';
-import { X, RefreshCw, AlertCircle } from 'lucide-react';
+import { useState } from 'react';
+import { cancelOrder, cancelAllOrders, getErrorMessage } from '../services/api';
+import { modifyOrder, batchModifyOrders } from '../services/trading';
+import { X, RefreshCw, AlertCircle, Pencil, Check, Timer } from 'lucide-react';
 import { useWallet } from '../hooks/useWallet';
+import { useOpenOrders } from '../hooks/useOpenOrders';
+import { useMeta } from '../hooks/useMeta';
+import { useWsSubscription } from '../hooks/useWsSubscription';
+import { useDeadMansSwitch } from '../hooks/useDeadMansSwitch';
 import { signCancelOrder, signCancelAllOrders } from '../utils/hyperliquid-signing';
+import { validatePriceTick, validateSizeLot } from '../utils/precision';
+import { getAgentAddress, getAgentPrivateKey } from '../utils/agent-storage';
+
+const formatCountdown = (ms) => {
+    const totalSeconds = Math.ceil(ms / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+const withoutKey = (object, key) => {
+    const next = { ...object };
+    delete next[key];
+    return next;
+};
 
 const Orders = () => {
     const { account, signer, chainId, isConnected } = useWallet();
-    const [orders, setOrders] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
+    const { data: orders, error: ordersError, loading, refresh: fetchOrders } = useOpenOrders(account);
+    const { data: meta } = useMeta();
     const [canceling, setCanceling] = useState(null);
+    const [edits, setEdits] = useState({}); // oid -> {sz, px} while a row is being edited
+    const [editErrors, setEditErrors] = useState({}); // oid -> validation or exchange error
+    const [saving, setSaving] = useState(null); // oid being saved, or 'all'
+    const deadMansSwitch = useDeadMansSwitch(account);
+    const [togglingSwitch, setTogglingSwitch] = useState(false);
 
-    const fetchOrders = async () => {
-        if (!account) {
-            setLoading(false);
-            return;
-        }
-
-        try {
-            setLoading(true);
-            setError(null);
-            const data = await getOpenOrders(account);
-            setOrders(data.open_orders || []);
-        } catch (err) {
-            const errorMessage = err.userMessage || getErrorMessage(err) || 'Failed to fetch orders';
-            setError(errorMessage);
-            console.error('Error fetching orders:', err);
-        } finally {
-            setLoading(false);
-        }
-    };
+    const error = ordersError ? ordersError.message || 'Failed to fetch orders' : null;
 
-    useEffect(() => {
+    // Order updates arrive over the WebSocket; refetch so fills and cancels show immediately
+    useWsSubscription(account ? { type: 'orderUpdates', user: account } : null, () => {
         fetchOrders();
-        if (account) {
-            const interval = setInterval(fetchOrders, 10000); // Refresh every 10 seconds
-            return () => clearInterval(interval);
-        }
-    }, [account]);
+    });
 
     const handleCancel = async (order) => {
         if (!account || !isConnected) {
@@ -84,6 +85,124 @@ const Orders = () => {
         }
     };
 
+    // Edits of orders that filled or were canceled meanwhile are ignored
+    const editedOrders = orders.filter(order => edits[order.oid]);
+
+    const getSzDecimals = (coin) => meta?.universe?.find(item => item.name === coin)?.szDecimals ?? 0;
+
+    const startEdit = (order) => {
+        setEdits(current => ({ ...current, [order.oid]: { sz: order.sz, px: order.limitPx } }));
+        setEditErrors(current => ({ ...current, [order.oid]: null }));
+    };
+
+    const stopEdit = (oid) => {
+        setEdits(current => withoutKey(current, oid));
+        setEditErrors(current => withoutKey(current, oid));
+    };
+
+    const updateEdit = (oid, field, value) => {
+        setEdits(current => ({ ...current, [oid]: { ...current[oid], [field]: value } }));
+    };
+
+    // Validate an edited row and turn it into a modify; the rest of the order is kept as is
+    const buildModify = (order) => {
+        const edit = edits[order.oid];
+        const szDecimals = getSzDecimals(order.coin);
+        const validationError = validateSizeLot(edit.sz, szDecimals) || validatePriceTick(edit.px, szDecimals);
+        if (validationError) {
+            setEditErrors(current => ({ ...current, [order.oid]: validationError }));
+            return null;
+        }
+
+        return {
+            oid: order.oid,
+            order: {
+                coin: order.coin,
+                is_buy: order.side === 'B',
+                sz: parseFloat(edit.sz),
+                limit_px: parseFloat(edit.px),
+                order_type: 'Limit',
+                tif: order.tif || 'Gtc',
+                reduce_only: !!order.reduceOnly,
+                cloid: order.cloid || null
+            }
+        };
+    };
+
+    const checkAgent = () => {
+        const agentAddress = getAgentAddress(account);
+        if (agentAddress && !getAgentPrivateKey(account)) {
+            alert('Agent keystore is locked. Unlock it with your passphrase first.');
+            return false;
+        }
+        if (!agentAddress) {
+            alert('No agent found. Please create an agent first.');
+            return false;
+        }
+        return true;
+    };
+
+    const handleSaveEdit = async (order) => {
+        const modify = buildModify(order);
+        if (!modify || !checkAgent()) {
+            return;
+        }
+
+        try {
+            setSaving(order.oid);
+            await modifyOrder(modify.oid, modify.order, account);
+            stopEdit(order.oid);
+            await fetchOrders();
+        } catch (err) {
+            const errorMessage = err.userMessage || getErrorMessage(err) || 'Failed to modify order';
+            setEditErrors(current => ({ ...current, [order.oid]: errorMessage }));
+        } finally {
+            setSaving(null);
+        }
+    };
+
+    const handleSaveAllEdits = async () => {
+        const modifies = editedOrders.map(buildModify);
+        if (modifies.some(modify => !modify) || !checkAgent()) {
+            return;
+        }
+
+        try {
+            setSaving('all');
+            const result = await batchModifyOrders(modifies, account);
+            const failed = new Map(result.errors.map(({ oid, error }) => [oid, error]));
+            editedOrders.forEach((order) => {
+                if (failed.has(order.oid)) {
+                    setEditErrors(current => ({ ...current, [order.oid]: failed.get(order.oid) }));
+                } else {
+                    stopEdit(order.oid);
+                }
+            });
+            await fetchOrders();
+        } catch (err) {
+            const errorMessage = err.userMessage || getErrorMessage(err) || 'Failed to modify orders';
+            alert(`Failed to modify orders: ${errorMessage}`);
+        } finally {
+            setSaving(null);
+        }
+    };
+
+    const handleToggleDeadMansSwitch = async () => {
+        try {
+            setTogglingSwitch(true);
+            if (deadMansSwitch.enabled) {
+                await deadMansSwitch.disable();
+            } else {
+                await deadMansSwitch.enable();
+            }
+        } catch (err) {
+            const errorMessage = err.userMessage || getErrorMessage(err) || 'Failed to update scheduled cancel';
+            alert(`Dead man's switch: ${errorMessage}`);
+        } finally {
+            setTogglingSwitch(false);
+        }
+    };
+
     const handleCancelAll = async () => {
         if (!account || !isConnected) {
             alert('Please connect your MetaMask wallet first');
@@ -150,6 +269,18 @@ const Orders = () => {
             <div className="flex items-center justify-between mb-6">
                 <h2 className="text-2xl font-bold text-gray-900">Open Orders</h2>
                 <div className="flex gap-2">
+                    <button
+                        onClick={handleToggleDeadMansSwitch}
+                        disabled={togglingSwitch}
+                        className={`px-4 py-2 rounded-lg transition flex items-center gap-2 disabled:opacity-50 ${deadMansSwitch.enabled
+                            ? 'bg-orange-500 text-white hover:bg-orange-600'
+                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                            }`}
+                        title="Cancel all orders automatically if this tab stops renewing a scheduled cancel"
+                    >
+                        <Timer className={`w-4 h-4 ${togglingSwitch ? 'animate-spin' : ''}`} />
+                        {deadMansSwitch.enabled ? 'Dead Man\'s Switch On' : 'Dead Man\'s Switch'}
+                    </button>
                     <button
                         onClick={fetchOrders}
                         className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2"
@@ -157,6 +288,16 @@ const Orders = () => {
                         <RefreshCw className="w-4 h-4" />
                         Refresh
                     </button>
+                    {editedOrders.length > 1 && (
+                        <button
+                            onClick={handleSaveAllEdits}
+                            disabled={saving !== null}
+                            className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition disabled:opacity-50 flex items-center gap-2"
+                        >
+                            {saving === 'all' ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+                            Save All ({editedOrders.length})
+                        </button>
+                    )}
                     {orders.length > 0 && (
                         <button
                             onClick={handleCancelAll}
@@ -168,6 +309,35 @@ const Orders = () => {
                 </div>
             </div>
 
+            {deadMansSwitch.enabled && (
+                <div className="mb-4 p-3 bg-orange-50 border border-orange-200 rounded-lg flex items-center justify-between gap-3 text-sm text-orange-700">
+                    <span>
+                        All open orders will be canceled in{' '}
+                        <strong className="font-mono">
+                            {deadMansSwitch.remainingMs !== null ? formatCountdown(deadMansSwitch.remainingMs) : '--:--'}
+                        </strong>
+                        {' '}unless this tab keeps renewing the scheduled cancel.
+                    </span>
+                    {deadMansSwitch.renewing && <RefreshCw className="w-4 h-4 animate-spin flex-shrink-0" />}
+                </div>
+            )}
+            {deadMansSwitch.lockedDeadline && (
+                <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center gap-2 text-sm text-yellow-800">
+                    <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                    <span>
+                        The agent keystore locked after inactivity, so the scheduled cancel is no longer renewed.
+                        Open orders will still be canceled at {new Date(deadMansSwitch.lockedDeadline).toLocaleTimeString()};
+                        unlock the keystore and turn the switch on again to keep them.
+                    </span>
+                </div>
+            )}
+            {deadMansSwitch.error && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2 text-sm text-red-600">
+                    <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                    <span>Scheduled cancel could not be renewed: {deadMansSwitch.error}</span>
+                </div>
+            )}
+
             {orders.length === 0 ? (
                 <div className="text-center py-12">
                     <p className="text-gray-500">No open orders</p>
@@ -179,6 +349,7 @@ const Orders = () => {
                             <tr className="border-b border-gray-200">
                                 <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Coin</th>
                                 <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Side</th>
+                                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Type</th>
                                 <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Size</th>
                                 <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Price</th>
                                 <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Actions</th>
@@ -187,7 +358,14 @@ const Orders = () => {
                         <tbody>
                             {orders.map((order) => (
                                 <tr key={order.oid || order.cloid} className="border-b border-gray-100 hover:bg-gray-50">
-                                    <td className="py-3 px-4 text-sm font-medium text-gray-900">{order.coin}</td>
+                                    <td className="py-3 px-4 text-sm font-medium text-gray-900">
+                                        {order.coin}
+                                        {order.cloid && (
+                                            <span className="block text-xs font-mono font-normal text-gray-400" title={order.cloid}>
+                                                {order.cloid.slice(0, 10)}…
+                                            </span>
+                                        )}
+                                    </td>
                                     <td className="py-3 px-4">
                                         <span className={`px-2 py-1 rounded text-xs font-medium ${order.side === 'B' || order.side === 'buy'
                                             ? 'bg-green-100 text-green-700'
@@ -196,16 +374,84 @@ const Orders = () => {
                                             {order.side === 'B' || order.side === 'buy' ? 'Buy' : 'Sell'}
                                         </span>
                                     </td>
-                                    <td className="py-3 px-4 text-sm text-gray-900 text-right">{order.sz}</td>
-                                    <td className="py-3 px-4 text-sm text-gray-900 text-right">${parseFloat(order.limit_px).toFixed(2)}</td>
+                                    <td className="py-3 px-4 text-sm text-gray-700">
+                                        {order.orderType || 'Limit'}
+                                        {order.isTrigger && (
+                                            <span className="block text-xs text-gray-500">
+                                                Trigger {order.triggerCondition || `@ ${order.triggerPx}`}
+                                            </span>
+                                        )}
+                                    </td>
+                                    {edits[order.oid] ? (
+                                        <>
+                                            <td className="py-3 px-4 text-right">
+                                                <input
+                                                    type="number"
+                                                    step="any"
+                                                    min="0"
+                                                    value={edits[order.oid].sz}
+                                                    onChange={(e) => updateEdit(order.oid, 'sz', e.target.value)}
+                                                    className="w-28 px-2 py-1 border border-gray-300 rounded text-sm text-right focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                                />
+                                            </td>
+                                            <td className="py-3 px-4 text-right">
+                                                <input
+                                                    type="number"
+                                                    step="any"
+                                                    min="0"
+                                                    value={edits[order.oid].px}
+                                                    onChange={(e) => updateEdit(order.oid, 'px', e.target.value)}
+                                                    className="w-28 px-2 py-1 border border-gray-300 rounded text-sm text-right focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                                />
+                                                {editErrors[order.oid] && (
+                                                    <p className="mt-1 text-xs text-red-600">{editErrors[order.oid]}</p>
+                                                )}
+                                            </td>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <td className="py-3 px-4 text-sm text-gray-900 text-right">{order.sz}</td>
+                                            <td className="py-3 px-4 text-sm text-gray-900 text-right">${parseFloat(order.limitPx).toFixed(2)}</td>
+                                        </>
+                                    )}
                                     <td className="py-3 px-4 text-right">
-                                        <button
-                                            onClick={() => handleCancel(order)}
-                                            disabled={canceling === order.oid}
-                                            className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition text-sm disabled:opacity-50"
-                                        >
-                                            {canceling === order.oid ? 'Canceling...' : 'Cancel'}
-                                        </button>
+                                        <div className="flex items-center justify-end gap-2">
+                                            {edits[order.oid] ? (
+                                                <>
+                                                    <button
+                                                        onClick={() => handleSaveEdit(order)}
+                                                        disabled={saving !== null}
+                                                        className="p-1.5 bg-primary-600 text-white rounded hover:bg-primary-700 transition disabled:opacity-50"
+                                                        title="Save changes"
+                                                    >
+                                                        {saving === order.oid ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => stopEdit(order.oid)}
+                                                        disabled={saving !== null}
+                                                        className="p-1.5 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition disabled:opacity-50"
+                                                        title="Discard changes"
+                                                    >
+                                                        <X className="w-4 h-4" />
+                                                    </button>
+                                                </>
+                                            ) : !order.isTrigger && (
+                                                <button
+                                                    onClick={() => startEdit(order)}
+                                                    className="p-1.5 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition"
+                                                    title="Edit size and price"
+                                                >
+                                                    <Pencil className="w-4 h-4" />
+                                                </button>
+                                            )}
+                                            <button
+                                                onClick={() => handleCancel(order)}
+                                                disabled={canceling === order.oid}
+                                                className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition text-sm disabled:opacity-50"
+                                            >
+                                                {canceling === order.oid ? 'Canceling...' : 'Cancel'}
+                                            </button>
+                                        </div>
                                     </td>
                                 </tr>
                             ))}
@@ -1,13 +1,56 @@
 import { useState, useEffect } from 'react';
-import { placeOrder, getMarketMeta, getErrorMessage, setLeverage } from '../services/api';
-import { getAllMids } from '../services/api';
-import { getCoinLeverage } from '../services/hyperliquid-api';
-import { ShoppingCart, AlertCircle, CheckCircle, Settings, RefreshCw } from 'lucide-react';
+import { getErrorMessage } from '../services/api';
+import { placeOrder, setLeverage } from '../services/trading';
+import { getCoinLeverage, getMids } from '../services/hyperliquid-api';
+import { ShoppingCart, AlertCircle, CheckCircle, Settings, RefreshCw, ShieldAlert } from 'lucide-react';
 import { useWallet } from '../hooks/useWallet';
+import { useAgents } from '../hooks/useAgents';
+import { useAllMids } from '../hooks/useAllMids';
+import { useMeta } from '../hooks/useMeta';
+import { useL2Book } from '../hooks/useL2Book';
+import OrderBook from './OrderBook';
+import PriceChart from './PriceChart';
+import ScaleOrder from './ScaleOrder';
+import TwapOrder from './TwapOrder';
+import RunningTwaps from './RunningTwaps';
 import { getAgentAddress, getAgentPrivateKey } from '../utils/agent-storage';
+import { AGENT_STATUS, getAgentStatusMessage } from '../utils/agent-reconcile';
+import { reapproveAgent } from '../utils/agent-creation';
+import { isKeystoreUnlocked } from '../utils/agent-keystore';
+import { validateTpslPrices } from '../utils/tpsl';
+import { TIME_IN_FORCE } from '../utils/hyperliquid-signing';
+import { roundSize, validatePriceTick, getSlippagePrice } from '../utils/precision';
+import { estimateMarketFill, getFillSlippage, summarizeOrderStatus } from '../utils/market-order';
+import { getOrderPreferences, setOrderPreferences, getDefaultTif } from '../utils/order-preferences';
+
+const FORM_MODES = [
+    { id: 'order', label: 'Limit / Market' },
+    { id: 'scale', label: 'Scale' },
+    { id: 'twap', label: 'TWAP' }
+];
+
+// Upper bound on the market order slippage setting (as a fraction)
+const MAX_MARKET_SLIPPAGE = 0.5;
+
+const formatPx = (price) => {
+    const num = parseFloat(price);
+    return num >= 1000 ? num.toLocaleString('en-US', { maximumFractionDigits: 2 }) : num.toPrecision(5);
+};
+
+// Success message for a market order from the exchange statuses (agent signing only)
+const describeMarketFill = (result, requestedSz, coin) => {
+    const fill = summarizeOrderStatus(result?.statuses?.[0], requestedSz);
+    if (fill.state === 'filled') {
+        return `Market order filled: ${fill.totalSz} ${coin} at an average of $${formatPx(fill.avgPx)}`;
+    }
+    if (fill.state === 'partial') {
+        return `Market order partially filled: ${fill.totalSz} of ${requestedSz} ${coin} at an average of $${formatPx(fill.avgPx)}. The rest was canceled (IOC).`;
+    }
+    return 'Market order sent';
+};
 
 const PlaceOrder = () => {
-    const { account, signer, chainId, isConnected } = useWallet();
+    const { account, signer, isConnected } = useWallet();
     const [coin, setCoin] = useState('BTC');
     const [availableCoins, setAvailableCoins] = useState(['BTC', 'ETH', 'SOL']);
     const [perpCoins, setPerpCoins] = useState([]); // Store list of perpetual coins for validation
@@ -15,8 +58,15 @@ const PlaceOrder = () => {
     const [usdcAmount, setUsdcAmount] = useState('');
     const [calculatedSize, setCalculatedSize] = useState(null);
     const [limitPrice, setLimitPrice] = useState('');
+    const [formMode, setFormMode] = useState('order');
     const [orderType, setOrderType] = useState('Limit');
+    const [tif, setTif] = useState(getDefaultTif);
+    const [postOnlyDefault, setPostOnlyDefault] = useState(() => getOrderPreferences().postOnlyDefault);
+    const [slippagePercent, setSlippagePercent] = useState(() => (getOrderPreferences().marketSlippage * 100).toString());
     const [reduceOnly, setReduceOnly] = useState(false);
+    const [tpslEnabled, setTpslEnabled] = useState(false);
+    const [tpPrice, setTpPrice] = useState('');
+    const [slPrice, setSlPrice] = useState('');
     const [currentLeverage, setCurrentLeverage] = useState(1);
     const [leverageInput, setLeverageInput] = useState('1');
     const [isEditingLeverage, setIsEditingLeverage] = useState(false);
@@ -25,71 +75,64 @@ const PlaceOrder = () => {
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [success, setSuccess] = useState(false);
+    const [reapproving, setReapproving] = useState(false);
+    const { activeAgent } = useAgents(account);
+    const { data: mids } = useAllMids();
+    const { data: meta } = useMeta();
+    // Always the full-precision book: the fill estimate must not walk grouped levels
+    const { data: book } = useL2Book(orderType === 'Market' ? coin : null);
+
+    // Orders from an agent Hyperliquid no longer accepts would be rejected
+    const agentProblem = activeAgent && (activeAgent.is_expired
+        ? AGENT_STATUS.EXPIRED
+        : activeAgent.status && activeAgent.status !== AGENT_STATUS.APPROVED ? activeAgent.status : null);
 
-    // Fetch available perpetual coins on mount
+    const szDecimals = meta?.universe?.find(item => item.name === coin)?.szDecimals ?? 0;
+
+    // Load available perpetual coins once meta arrives
     useEffect(() => {
-        const fetchAvailableCoins = async () => {
-            try {
-                const meta = await getMarketMeta();
-                if (meta && meta.universe) {
-                    // Filter only perpetual pairs (universe contains perp pairs only)
-                    const coins = meta.universe
-                        .map(item => item.name || item)
-                        .filter(Boolean)
-                        .sort();
-                    setAvailableCoins(coins);
-                    setPerpCoins(coins); // Store for validation
-                    // Set default to BTC (common perp pair) if available, otherwise first coin
-                    if (coins.includes('BTC')) {
-                        setCoin('BTC');
-                    } else if (coins.length > 0) {
-                        setCoin(coins[0]);
-                    }
-                }
-            } catch (err) {
-                console.error('Failed to fetch available perpetual coins:', err);
-                // Keep default coins
-            }
-        };
-        fetchAvailableCoins();
-    }, []);
+        if (!meta?.universe) {
+            return;
+        }
+
+        // Filter only perpetual pairs (universe contains perp pairs only)
+        const coins = meta.universe
+            .map(item => item.name || item)
+            .filter(Boolean)
+            .sort();
+        setAvailableCoins(coins);
+        setPerpCoins(coins); // Store for validation
+        // Keep the selected coin if listed, otherwise default to BTC (common perp pair) or the first coin
+        setCoin(current => {
+            if (coins.includes(current)) return current;
+            return coins.includes('BTC') ? 'BTC' : coins[0] || current;
+        });
+    }, [meta]);
 
     // Calculate size from USDC amount when price or amount changes
     useEffect(() => {
-        const calculateSize = async () => {
-            if (!usdcAmount || parseFloat(usdcAmount) <= 0) {
-                setCalculatedSize(null);
-                return;
-            }
+        if (!usdcAmount || parseFloat(usdcAmount) <= 0) {
+            setCalculatedSize(null);
+            return;
+        }
 
-            try {
-                const allMids = await getAllMids();
-                const currentPrice = limitPrice
-                    ? parseFloat(limitPrice)
-                    : parseFloat(allMids.all_mids[coin] || 0);
-
-                if (currentPrice > 0) {
-                    const usdc = parseFloat(usdcAmount);
-                    // Size = USDC amount / price
-                    // Leverage is set separately in Leverage Settings
-                    const size = usdc / currentPrice;
-                    setCalculatedSize(size);
-                } else {
-                    setCalculatedSize(null);
-                }
-            } catch (err) {
-                console.error('Error calculating size:', err);
-                setCalculatedSize(null);
-            }
-        };
+        const currentPrice = orderType === 'Limit' && limitPrice
+            ? parseFloat(limitPrice)
+            : parseFloat(mids?.[coin] || 0);
 
-        calculateSize();
-    }, [usdcAmount, limitPrice, coin, orderType]);
+        if (currentPrice > 0) {
+            // Size = USDC amount / price, rounded to the coin's lot size
+            // Leverage is set separately in Leverage Settings
+            setCalculatedSize(roundSize(parseFloat(usdcAmount) / currentPrice, szDecimals));
+        } else {
+            setCalculatedSize(null);
+        }
+    }, [usdcAmount, limitPrice, coin, orderType, mids, szDecimals]);
 
     // Fetch leverage for the selected coin when it changes
     useEffect(() => {
         const fetchCoinLeverage = async () => {
-            if (!account || !chainId || !coin) {
+            if (!account || !coin) {
                 setCurrentLeverage(1);
                 setLeverageInput('1');
                 return;
@@ -97,7 +140,7 @@ const PlaceOrder = () => {
 
             setLoadingLeverage(true);
             try {
-                const leverageData = await getCoinLeverage(account, coin, chainId);
+                const leverageData = await getCoinLeverage(account, coin);
 
                 if (leverageData) {
                     let leverageValue = null;
@@ -133,7 +176,7 @@ const PlaceOrder = () => {
         };
 
         fetchCoinLeverage();
-    }, [account, chainId, coin]);
+    }, [account, coin]);
 
     // Handle setting leverage for the selected coin
     const handleSetLeverage = async () => {
@@ -145,7 +188,12 @@ const PlaceOrder = () => {
         const agentAddress = getAgentAddress(account);
         const agentPrivateKey = getAgentPrivateKey(account);
 
-        if (!agentAddress || !agentPrivateKey) {
+        if (agentAddress && !agentPrivateKey) {
+            setError('Agent keystore is locked. Unlock it with your passphrase first.');
+            return;
+        }
+
+        if (!agentAddress) {
             setError('No agent found. Please create an agent first.');
             return;
         }
@@ -165,8 +213,7 @@ const PlaceOrder = () => {
                 coin,
                 leverage,
                 false, // Always isolated margin
-                agentAddress,
-                agentPrivateKey
+                account
             );
 
             setCurrentLeverage(leverage);
@@ -181,9 +228,74 @@ const PlaceOrder = () => {
         }
     };
 
+    const handleReapproveAgent = async () => {
+        if (!signer) {
+            setError('Signer not available. Please ensure MetaMask is connected.');
+            return;
+        }
+
+        if (!isKeystoreUnlocked()) {
+            setError('Unlock your agent keystore before re-approving the agent.');
+            return;
+        }
+
+        setReapproving(true);
+        setError(null);
+
+        try {
+            const replacement = await reapproveAgent(signer, account, activeAgent);
+            setSuccess(`Agent re-approved: ${replacement.agent_address.slice(0, 6)}...${replacement.agent_address.slice(-4)}`);
+            setTimeout(() => setSuccess(false), 3000);
+        } catch (err) {
+            setError(err.message || 'Failed to re-approve agent');
+            console.error('Error re-approving agent:', err);
+        } finally {
+            setReapproving(false);
+        }
+    };
+
+    // Saved post-only preference also switches the current order to Alo (or back to Gtc)
+    const handlePostOnlyDefaultChange = (enabled) => {
+        setOrderPreferences({ postOnlyDefault: enabled });
+        setPostOnlyDefault(enabled);
+        setTif(enabled ? TIME_IN_FORCE.ALO : TIME_IN_FORCE.GTC);
+    };
+
+    const slippage = parseFloat(slippagePercent) / 100;
+    const isSlippageValid = slippage > 0 && slippage <= MAX_MARKET_SLIPPAGE;
+
+    const handleSlippageChange = (value) => {
+        setSlippagePercent(value);
+        const fraction = parseFloat(value) / 100;
+        if (fraction > 0 && fraction <= MAX_MARKET_SLIPPAGE) {
+            setOrderPreferences({ marketSlippage: fraction });
+        }
+    };
+
+    // Market orders: aggressive IOC limit price and the fill the current book would give
+    const midPrice = parseFloat(mids?.[coin] || 0);
+    const marketLimitPx = orderType === 'Market' && midPrice && isSlippageValid
+        ? getSlippagePrice(midPrice, isBuy, slippage, szDecimals)
+        : null;
+    const marketEstimate = marketLimitPx && calculatedSize
+        ? estimateMarketFill(book, calculatedSize, isBuy, marketLimitPx)
+        : null;
+
+    // Clicking a book level fills the limit price
+    const handleSelectBookPrice = (px) => {
+        setFormMode('order');
+        setOrderType('Limit');
+        setLimitPrice(px);
+    };
+
     const handlePlaceOrder = async (e) => {
         e.preventDefault();
 
+        if (agentProblem) {
+            setError(`${getAgentStatusMessage(agentProblem)} Re-approve the agent before placing orders.`);
+            return;
+        }
+
         if (!account || !isConnected) {
             setError('Please connect your MetaMask wallet first');
             return;
@@ -199,7 +311,25 @@ const PlaceOrder = () => {
             return;
         }
 
-        if (!calculatedSize || calculatedSize <= 0) {
+        if (orderType === 'Market' && !isSlippageValid) {
+            setError(`Max slippage must be between 0 and ${MAX_MARKET_SLIPPAGE * 100}%`);
+            return;
+        }
+
+        if (orderType === 'Limit') {
+            const tickError = validatePriceTick(limitPrice, szDecimals);
+            if (tickError) {
+                setError(tickError);
+                return;
+            }
+        }
+
+        if (calculatedSize === 0) {
+            setError(`Order size is below the minimum lot size of ${10 ** -szDecimals} ${coin}. Increase the USDC amount.`);
+            return;
+        }
+
+        if (!calculatedSize || calculatedSize < 0) {
             setError('Could not calculate order size. Please check your inputs.');
             return;
         }
@@ -210,11 +340,31 @@ const PlaceOrder = () => {
             return;
         }
 
+        const tpPx = tpslEnabled && tpPrice ? parseFloat(tpPrice) : null;
+        const slPx = tpslEnabled && slPrice ? parseFloat(slPrice) : null;
+        if (tpslEnabled) {
+            const tpslError = validateTpslPrices({
+                isLong: isBuy,
+                midPrice: parseFloat(mids?.[coin] || 0),
+                tpPx,
+                slPx
+            });
+            if (tpslError) {
+                setError(tpslError);
+                return;
+            }
+        }
+
         // Check if agent exists
         const agentAddress = getAgentAddress(account);
         const agentPrivateKey = getAgentPrivateKey(account);
 
-        if (!agentAddress || !agentPrivateKey) {
+        if (agentAddress && !agentPrivateKey) {
+            setError('Agent keystore is locked. Unlock it with your passphrase first.');
+            return;
+        }
+
+        if (!agentAddress) {
             setError('No agent found. Please create an agent first before placing orders.');
             return;
         }
@@ -225,24 +375,29 @@ const PlaceOrder = () => {
 
         try {
             // Get market data
-            const allMids = await getAllMids();
+            const allMids = await getMids();
             let finalLimitPrice = parseFloat(limitPrice);
+            let sizingPrice = finalLimitPrice;
 
-            // For market orders, use current mid price if no price provided
-            if (orderType === 'Market' && !limitPrice) {
-                finalLimitPrice = parseFloat(allMids.all_mids[coin] || 0);
-                if (finalLimitPrice === 0) {
+            // Market orders are IOC limits at the mid moved by the max slippage
+            // (like the SDK's market_open); size still comes from the mid
+            if (orderType === 'Market') {
+                sizingPrice = parseFloat(allMids[coin] || 0);
+                if (sizingPrice === 0) {
                     throw new Error(`Could not get market price for ${coin}`);
                 }
+                finalLimitPrice = getSlippagePrice(sizingPrice, isBuy, slippage, szDecimals);
             }
 
-            // Calculate final size from USDC amount
+            // Calculate final size from USDC amount, rounded to the coin's lot size
             // Leverage is set separately in Leverage Settings and will be used automatically
             const usdc = parseFloat(usdcAmount);
-            const finalSize = usdc / finalLimitPrice;
+            const finalSize = roundSize(usdc / sizingPrice, szDecimals);
+            if (finalSize <= 0) {
+                throw new Error(`Order size is below the minimum lot size of ${10 ** -szDecimals} ${coin}`);
+            }
 
-            // Send order to backend with agent credentials
-            // Backend will initialize SDK and place the order
+            // Sign the order with the agent wallet and submit it to Hyperliquid
             // Leverage is already set for the coin in Leverage Settings
             const result = await placeOrder({
                 coin,
@@ -250,20 +405,34 @@ const PlaceOrder = () => {
                 sz: finalSize,
                 limit_px: finalLimitPrice,
                 order_type: orderType,
-                reduce_only: reduceOnly
-            }, agentAddress, agentPrivateKey);
+                tif: orderType === 'Limit' ? tif : TIME_IN_FORCE.IOC,
+                reduce_only: reduceOnly,
+                tp_px: tpPx,
+                sl_px: slPx
+            }, account);
 
-            setSuccess(true);
+            setSuccess(orderType === 'Market' ? describeMarketFill(result, finalSize, coin) : true);
             setUsdcAmount('');
             setLimitPrice('');
+            setTpPrice('');
+            setSlPrice('');
             setCalculatedSize(null);
 
-            // Clear success message after 3 seconds
-            setTimeout(() => setSuccess(false), 3000);
+            // Clear success message after a few seconds (fill reports stay longer)
+            setTimeout(() => setSuccess(false), orderType === 'Market' ? 8000 : 3000);
         } catch (err) {
             // Extract error message from backend response
             const errorMessage = err.userMessage || getErrorMessage(err) || 'Failed to place order';
-            setError(errorMessage);
+            // Hyperliquid rejects post-only orders that would take liquidity, e.g.
+            // "Post only order would have immediately matched, bbo was 3000.1@3000.2"
+            if (orderType === 'Limit' && tif === TIME_IN_FORCE.ALO && /post only/i.test(errorMessage)) {
+                setError(`Post-only order rejected: at this price it would cross the book and take liquidity. Move the price away from the spread. (${errorMessage})`);
+            } else if (orderType === 'Market' && /could not immediately match/i.test(errorMessage)) {
+                // IOC with nothing to take within the slippage bound
+                setError(`Market order did not fill: no liquidity within ${slippagePercent}% of the mid. Increase the max slippage or try again. (${errorMessage})`);
+            } else {
+                setError(errorMessage);
+            }
             console.error('Error placing order:', err);
         } finally {
             setLoading(false);
@@ -280,277 +449,470 @@ const PlaceOrder = () => {
     }
 
     return (
-        <div className="bg-white rounded-lg shadow-lg p-6">
-            <div className="flex items-center justify-between mb-6">
-                <div className="flex items-center gap-3">
-                    <ShoppingCart className="w-6 h-6 text-primary-600" />
-                    <h2 className="text-2xl font-bold text-gray-900">Place Order</h2>
-                </div>
-                <span className="px-3 py-1 bg-purple-100 text-purple-700 text-xs font-semibold rounded-full">
-                    PERPETUAL ONLY
-                </span>
+        <div className="grid grid-cols-1 xl:grid-cols-3 gap-4">
+            <div className="xl:col-span-3">
+                <PriceChart coin={coin} />
             </div>
 
-            <form onSubmit={handlePlaceOrder} className="space-y-4">
-                <div className="grid grid-cols-2 gap-4">
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Perpetual Coin
-                        </label>
-                        <select
-                            value={coin}
-                            onChange={(e) => setCoin(e.target.value)}
-                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                            required
+            <div className="xl:col-span-2 bg-white rounded-lg shadow-lg p-6">
+                <div className="flex items-center justify-between mb-6">
+                    <div className="flex items-center gap-3">
+                        <ShoppingCart className="w-6 h-6 text-primary-600" />
+                        <h2 className="text-2xl font-bold text-gray-900">Place Order</h2>
+                    </div>
+                    <span className="px-3 py-1 bg-purple-100 text-purple-700 text-xs font-semibold rounded-full">
+                        PERPETUAL ONLY
+                    </span>
+                </div>
+
+                {agentProblem && (
+                    <div className="mb-4 p-3 bg-orange-50 border border-orange-200 rounded-lg flex items-center justify-between gap-3">
+                        <div className="flex items-center gap-2 text-orange-700">
+                            <ShieldAlert className="w-5 h-5 flex-shrink-0" />
+                            <span className="text-sm">
+                                {getAgentStatusMessage(agentProblem)} Orders are blocked until the agent is re-approved.
+                            </span>
+                        </div>
+                        <button
+                            type="button"
+                            onClick={handleReapproveAgent}
+                            disabled={reapproving}
+                            className="px-3 py-1.5 bg-orange-500 text-white rounded-lg text-sm font-medium hover:bg-orange-600 transition disabled:opacity-50 whitespace-nowrap flex items-center gap-1"
                         >
-                            {availableCoins.map((coinOption) => (
-                                <option key={coinOption} value={coinOption}>
-                                    {coinOption} (Perp)
-                                </option>
-                            ))}
-                        </select>
-                        {availableCoins.length === 0 && (
-                            <div className="text-sm text-gray-500 mt-2">
-                                Loading perpetual markets...
-                            </div>
-                        )}
+                            {reapproving && <RefreshCw className="w-4 h-4 animate-spin" />}
+                            {reapproving ? 'Re-approving...' : 'Re-approve agent'}
+                        </button>
                     </div>
+                )}
 
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Leverage (Isolated)
-                        </label>
-                        {isEditingLeverage ? (
-                            <div className="space-y-2">
-                                <div className="flex gap-2">
+                <div className="flex gap-2 mb-4 border-b border-gray-200">
+                    {FORM_MODES.map((mode) => (
+                        <button
+                            key={mode.id}
+                            type="button"
+                            onClick={() => setFormMode(mode.id)}
+                            className={`px-4 py-2 text-sm font-medium -mb-px border-b-2 transition ${formMode === mode.id
+                                ? 'border-primary-600 text-primary-600'
+                                : 'border-transparent text-gray-500 hover:text-gray-700'
+                                }`}
+                        >
+                            {mode.label}
+                        </button>
+                    ))}
+                </div>
+
+                {formMode === 'twap' ? (
+                    <TwapOrder coin={coin} coins={availableCoins} onCoinChange={setCoin} disabled={!!agentProblem} />
+                ) : formMode === 'scale' ? (
+                    <ScaleOrder coin={coin} coins={availableCoins} onCoinChange={setCoin} disabled={!!agentProblem} />
+                ) : (
+                    <form onSubmit={handlePlaceOrder} className="space-y-4">
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Perpetual Coin
+                                </label>
+                                <select
+                                    value={coin}
+                                    onChange={(e) => setCoin(e.target.value)}
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                    required
+                                >
+                                    {availableCoins.map((coinOption) => (
+                                        <option key={coinOption} value={coinOption}>
+                                            {coinOption} (Perp)
+                                        </option>
+                                    ))}
+                                </select>
+                                {availableCoins.length === 0 && (
+                                    <div className="text-sm text-gray-500 mt-2">
+                                        Loading perpetual markets...
+                                    </div>
+                                )}
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Leverage (Isolated)
+                                </label>
+                                {isEditingLeverage ? (
+                                    <div className="space-y-2">
+                                        <div className="flex gap-2">
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                max="50"
+                                                step="0.1"
+                                                value={leverageInput}
+                                                onChange={(e) => setLeverageInput(e.target.value)}
+                                                disabled={savingLeverage || loadingLeverage}
+                                                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                            />
+                                            <span className="flex items-center text-gray-500">x</span>
+                                            <button
+                                                type="button"
+                                                onClick={handleSetLeverage}
+                                                disabled={savingLeverage || loadingLeverage}
+                                                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 text-sm"
+                                            >
+                                                {savingLeverage ? (
+                                                    <>
+                                                        <RefreshCw className="w-4 h-4 animate-spin" />
+                                                        Setting...
+                                                    </>
+                                                ) : (
+                                                    'Set'
+                                                )}
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => {
+                                                    setIsEditingLeverage(false);
+                                                    setLeverageInput(currentLeverage.toString());
+                                                    setError(null);
+                                                }}
+                                                disabled={savingLeverage}
+                                                className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition disabled:opacity-50 text-sm"
+                                            >
+                                                Cancel
+                                            </button>
+                                        </div>
+                                        <div className="flex gap-1">
+                                            {[1, 2, 3, 5, 10, 20, 50].map((lev) => (
+                                                <button
+                                                    key={lev}
+                                                    type="button"
+                                                    onClick={() => setLeverageInput(lev.toString())}
+                                                    disabled={savingLeverage}
+                                                    className={`px-2 py-1 text-xs rounded ${leverageInput === lev.toString()
+                                                            ? 'bg-primary-600 text-white'
+                                                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                                        }`}
+                                                >
+                                                    {lev}x
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <div className="flex items-center gap-2">
+                                        <div className="flex-1 px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 flex items-center justify-between">
+                                            <span className="text-gray-700">
+                                                {loadingLeverage ? (
+                                                    <span className="flex items-center gap-2">
+                                                        <RefreshCw className="w-4 h-4 animate-spin" />
+                                                        Loading...
+                                                    </span>
+                                                ) : (
+                                                    <strong>{currentLeverage}x</strong>
+                                                )}
+                                            </span>
+                                            <span className="px-2 py-1 bg-orange-100 text-orange-700 text-xs font-medium rounded">
+                                                ISOLATED
+                                            </span>
+                                        </div>
+                                        <button
+                                            type="button"
+                                            onClick={() => setIsEditingLeverage(true)}
+                                            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm"
+                                        >
+                                            <Settings className="w-4 h-4" />
+                                            Set
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Order Type
+                                </label>
+                                <select
+                                    value={orderType}
+                                    onChange={(e) => setOrderType(e.target.value)}
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                >
+                                    <option value="Limit">Limit</option>
+                                    <option value="Market">Market</option>
+                                </select>
+                            </div>
+
+                            {orderType === 'Limit' && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        Time in Force
+                                    </label>
+                                    <select
+                                        value={tif}
+                                        onChange={(e) => setTif(e.target.value)}
+                                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                    >
+                                        <option value={TIME_IN_FORCE.GTC}>GTC (Good til canceled)</option>
+                                        <option value={TIME_IN_FORCE.IOC}>IOC (Immediate or cancel)</option>
+                                        <option value={TIME_IN_FORCE.ALO}>ALO (Post only)</option>
+                                    </select>
+                                    <label className="mt-2 flex items-center text-xs text-gray-600">
+                                        <input
+                                            type="checkbox"
+                                            checked={postOnlyDefault}
+                                            onChange={(e) => handlePostOnlyDefaultChange(e.target.checked)}
+                                            className="w-3.5 h-3.5 mr-2 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                                        />
+                                        Use post-only by default
+                                    </label>
+                                </div>
+                            )}
+
+                            {orderType === 'Market' && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        Max Slippage (%)
+                                    </label>
                                     <input
                                         type="number"
-                                        min="1"
-                                        max="50"
                                         step="0.1"
-                                        value={leverageInput}
-                                        onChange={(e) => setLeverageInput(e.target.value)}
-                                        disabled={savingLeverage || loadingLeverage}
-                                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                        min="0"
+                                        max={MAX_MARKET_SLIPPAGE * 100}
+                                        value={slippagePercent}
+                                        onChange={(e) => handleSlippageChange(e.target.value)}
+                                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                                     />
-                                    <span className="flex items-center text-gray-500">x</span>
+                                    <div className="mt-2 flex gap-1">
+                                        {['0.5', '1', '3', '5'].map((option) => (
+                                            <button
+                                                key={option}
+                                                type="button"
+                                                onClick={() => handleSlippageChange(option)}
+                                                className={`px-2 py-1 text-xs rounded ${slippagePercent === option
+                                                    ? 'bg-primary-600 text-white'
+                                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                                    }`}
+                                            >
+                                                {option}%
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Side
+                                </label>
+                                <div className="flex gap-2">
                                     <button
                                         type="button"
-                                        onClick={handleSetLeverage}
-                                        disabled={savingLeverage || loadingLeverage}
-                                        className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 text-sm"
+                                        onClick={() => setIsBuy(true)}
+                                        className={`flex-1 px-4 py-2 rounded-lg font-medium transition ${isBuy
+                                            ? 'bg-green-500 text-white'
+                                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                            }`}
                                     >
-                                        {savingLeverage ? (
-                                            <>
-                                                <RefreshCw className="w-4 h-4 animate-spin" />
-                                                Setting...
-                                            </>
-                                        ) : (
-                                            'Set'
-                                        )}
+                                        Buy
                                     </button>
                                     <button
                                         type="button"
-                                        onClick={() => {
-                                            setIsEditingLeverage(false);
-                                            setLeverageInput(currentLeverage.toString());
-                                            setError(null);
-                                        }}
-                                        disabled={savingLeverage}
-                                        className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition disabled:opacity-50 text-sm"
+                                        onClick={() => setIsBuy(false)}
+                                        className={`flex-1 px-4 py-2 rounded-lg font-medium transition ${!isBuy
+                                            ? 'bg-red-500 text-white'
+                                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                            }`}
                                     >
-                                        Cancel
+                                        Sell
                                     </button>
                                 </div>
-                                <div className="flex gap-1">
-                                    {[1, 2, 3, 5, 10, 20, 50].map((lev) => (
-                                        <button
-                                            key={lev}
-                                            type="button"
-                                            onClick={() => setLeverageInput(lev.toString())}
-                                            disabled={savingLeverage}
-                                            className={`px-2 py-1 text-xs rounded ${leverageInput === lev.toString()
-                                                    ? 'bg-primary-600 text-white'
-                                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                                                }`}
-                                        >
-                                            {lev}x
-                                        </button>
-                                    ))}
-                                </div>
                             </div>
-                        ) : (
-                            <div className="flex items-center gap-2">
-                                <div className="flex-1 px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 flex items-center justify-between">
-                                    <span className="text-gray-700">
-                                        {loadingLeverage ? (
-                                            <span className="flex items-center gap-2">
-                                                <RefreshCw className="w-4 h-4 animate-spin" />
-                                                Loading...
-                                            </span>
-                                        ) : (
-                                            <strong>{currentLeverage}x</strong>
-                                        )}
-                                    </span>
-                                    <span className="px-2 py-1 bg-orange-100 text-orange-700 text-xs font-medium rounded">
-                                        ISOLATED
-                                    </span>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Amount (USDC)
+                                </label>
+                                <input
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    value={usdcAmount}
+                                    onChange={(e) => setUsdcAmount(e.target.value)}
+                                    placeholder="0.00"
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                    required
+                                />
+                            </div>
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                                Calculated Size
+                            </label>
+                            <div className="px-4 py-2 border border-gray-300 rounded-lg bg-gray-50">
+                                <span className="text-gray-700">
+                                    {calculatedSize !== null
+                                        ? `${calculatedSize.toFixed(szDecimals)} ${coin}`
+                                        : 'Enter amount and price'
+                                    }
+                                </span>
+                            </div>
+                            {calculatedSize !== null && (
+                                <p className="text-xs text-gray-500 mt-1">
+                                    Notional: ${parseFloat(usdcAmount || 0).toFixed(2)} USDC
+                                </p>
+                            )}
+                            {orderType === 'Market' && marketLimitPx && calculatedSize > 0 && (
+                                <div className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs text-gray-600 space-y-1">
+                                    {marketEstimate ? (
+                                        <>
+                                            <div className="flex justify-between">
+                                                <span>Est. fill price</span>
+                                                <span className="font-mono text-gray-800">${formatPx(marketEstimate.avgPx)}</span>
+                                            </div>
+                                            <div className="flex justify-between">
+                                                <span>Est. slippage vs mid</span>
+                                                <span className="font-mono text-gray-800">
+                                                    {(getFillSlippage(marketEstimate.avgPx, midPrice, isBuy) * 100).toFixed(3)}%
+                                                </span>
+                                            </div>
+                                        </>
+                                    ) : (
+                                        <div className="text-orange-600">No book liquidity within {slippagePercent}% of the mid; the order would not fill.</div>
+                                    )}
+                                    <div className="flex justify-between">
+                                        <span>Worst price (IOC limit)</span>
+                                        <span className="font-mono text-gray-800">${formatPx(marketLimitPx)}</span>
+                                    </div>
+                                    {marketEstimate && !marketEstimate.fullyFilled && (
+                                        <div className="text-orange-600">
+                                            Only {marketEstimate.filledSz.toFixed(szDecimals)} {coin} is visible in the book within the slippage bound; the order may fill partially.
+                                        </div>
+                                    )}
                                 </div>
-                                <button
-                                    type="button"
-                                    onClick={() => setIsEditingLeverage(true)}
-                                    className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm"
-                                >
-                                    <Settings className="w-4 h-4" />
-                                    Set
-                                </button>
+                            )}
+                            <p className="text-xs text-blue-600 mt-2">
+                                💡 Leverage is set separately in the <strong>Leverage Settings</strong> page
+                            </p>
+                        </div>
+
+                        {orderType === 'Limit' && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Limit Price
+                                </label>
+                                <input
+                                    type="number"
+                                    step="any"
+                                    min="0"
+                                    value={limitPrice}
+                                    onChange={(e) => setLimitPrice(e.target.value)}
+                                    placeholder="0.00"
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                    required
+                                />
                             </div>
                         )}
-                    </div>
-                </div>
 
-                <div className="grid grid-cols-2 gap-4">
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Order Type
-                        </label>
-                        <select
-                            value={orderType}
-                            onChange={(e) => setOrderType(e.target.value)}
-                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                        >
-                            <option value="Limit">Limit</option>
-                            <option value="Market">Market</option>
-                        </select>
-                    </div>
-                </div>
+                        <div className="flex items-center">
+                            <input
+                                type="checkbox"
+                                id="reduceOnly"
+                                checked={reduceOnly}
+                                onChange={(e) => setReduceOnly(e.target.checked)}
+                                className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                            />
+                            <label htmlFor="reduceOnly" className="ml-2 text-sm text-gray-700">
+                                Reduce Only
+                            </label>
+                        </div>
 
-                <div className="grid grid-cols-2 gap-4">
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Side
-                        </label>
-                        <div className="flex gap-2">
-                            <button
-                                type="button"
-                                onClick={() => setIsBuy(true)}
-                                className={`flex-1 px-4 py-2 rounded-lg font-medium transition ${isBuy
-                                    ? 'bg-green-500 text-white'
-                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                                    }`}
-                            >
-                                Buy
-                            </button>
-                            <button
-                                type="button"
-                                onClick={() => setIsBuy(false)}
-                                className={`flex-1 px-4 py-2 rounded-lg font-medium transition ${!isBuy
-                                    ? 'bg-red-500 text-white'
-                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                                    }`}
-                            >
-                                Sell
-                            </button>
+                        <div>
+                            <div className="flex items-center">
+                                <input
+                                    type="checkbox"
+                                    id="tpslEnabled"
+                                    checked={tpslEnabled}
+                                    onChange={(e) => setTpslEnabled(e.target.checked)}
+                                    className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                                />
+                                <label htmlFor="tpslEnabled" className="ml-2 text-sm text-gray-700">
+                                    Take Profit / Stop Loss
+                                </label>
+                            </div>
+                            {tpslEnabled && (
+                                <div className="mt-3 grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                                            TP Trigger Price
+                                        </label>
+                                        <input
+                                            type="number"
+                                            step="any"
+                                            min="0"
+                                            value={tpPrice}
+                                            onChange={(e) => setTpPrice(e.target.value)}
+                                            placeholder={isBuy ? 'Above current price' : 'Below current price'}
+                                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                                            SL Trigger Price
+                                        </label>
+                                        <input
+                                            type="number"
+                                            step="any"
+                                            min="0"
+                                            value={slPrice}
+                                            onChange={(e) => setSlPrice(e.target.value)}
+                                            placeholder={isBuy ? 'Below current price' : 'Above current price'}
+                                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                        />
+                                    </div>
+                                    <p className="col-span-2 text-xs text-gray-500">
+                                        TP/SL are reduce-only market orders that activate once the entry fills. Current {coin} mid: {mids?.[coin] ? `$${mids[coin]}` : 'N/A'}
+                                    </p>
+                                </div>
+                            )}
                         </div>
-                    </div>
 
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Amount (USDC)
-                        </label>
-                        <input
-                            type="number"
-                            step="0.01"
-                            min="0"
-                            value={usdcAmount}
-                            onChange={(e) => setUsdcAmount(e.target.value)}
-                            placeholder="0.00"
-                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                            required
-                        />
-                    </div>
-                </div>
+                        {error && (
+                            <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2 text-red-600">
+                                <AlertCircle className="w-5 h-5" />
+                                <span className="text-sm">{error}</span>
+                            </div>
+                        )}
 
-                <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Calculated Size
-                    </label>
-                    <div className="px-4 py-2 border border-gray-300 rounded-lg bg-gray-50">
-                        <span className="text-gray-700">
-                            {calculatedSize !== null
-                                ? `${calculatedSize.toFixed(6)} ${coin}`
-                                : 'Enter amount and price'
-                            }
-                        </span>
-                    </div>
-                    {calculatedSize !== null && (
-                        <p className="text-xs text-gray-500 mt-1">
-                            Notional: ${parseFloat(usdcAmount || 0).toFixed(2)} USDC
-                        </p>
-                    )}
-                    <p className="text-xs text-blue-600 mt-2">
-                        💡 Leverage is set separately in the <strong>Leverage Settings</strong> page
-                    </p>
-                </div>
+                        {success && (
+                            <div className="p-3 bg-green-50 border border-green-200 rounded-lg flex items-center gap-2 text-green-600">
+                                <CheckCircle className="w-5 h-5" />
+                                <span className="text-sm">{typeof success === 'string' ? success : 'Order placed successfully!'}</span>
+                            </div>
+                        )}
 
-                {orderType === 'Limit' && (
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Limit Price
-                        </label>
-                        <input
-                            type="number"
-                            step="0.01"
-                            min="0"
-                            value={limitPrice}
-                            onChange={(e) => setLimitPrice(e.target.value)}
-                            placeholder="0.00"
-                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                            required
-                        />
-                    </div>
+                        <button
+                            type="submit"
+                            disabled={loading || !!agentProblem}
+                            className="w-full px-6 py-3 bg-primary-600 text-white rounded-lg font-medium hover:bg-primary-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {loading ? 'Placing Order...' : 'Place Order'}
+                        </button>
+                    </form>
                 )}
 
-                <div className="flex items-center">
-                    <input
-                        type="checkbox"
-                        id="reduceOnly"
-                        checked={reduceOnly}
-                        onChange={(e) => setReduceOnly(e.target.checked)}
-                        className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
-                    />
-                    <label htmlFor="reduceOnly" className="ml-2 text-sm text-gray-700">
-                        Reduce Only
-                    </label>
+                <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+                    <p className="text-xs text-blue-700">
+                        <strong>Note:</strong> This order form is for <strong>perpetual contracts only</strong>. Enter the amount in USDC and the system will calculate the position size automatically. You can set the leverage for the selected coin directly above. All positions use <strong>isolated margin</strong> mode. Make sure you have created an agent before placing orders.
+                    </p>
                 </div>
+            </div>
 
-                {error && (
-                    <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2 text-red-600">
-                        <AlertCircle className="w-5 h-5" />
-                        <span className="text-sm">{error}</span>
-                    </div>
-                )}
-
-                {success && (
-                    <div className="p-3 bg-green-50 border border-green-200 rounded-lg flex items-center gap-2 text-green-600">
-                        <CheckCircle className="w-5 h-5" />
-                        <span className="text-sm">Order placed successfully!</span>
-                    </div>
-                )}
+            <div className="xl:col-span-1">
+                <OrderBook coin={coin} onSelectPrice={handleSelectBookPrice} />
+            </div>
 
-                <button
-                    type="submit"
-                    disabled={loading}
-                    className="w-full px-6 py-3 bg-primary-600 text-white rounded-lg font-medium hover:bg-primary-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                    {loading ? 'Placing Order...' : 'Place Order'}
-                </button>
-            </form>
-
-            <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
-                <p className="text-xs text-blue-700">
-                    <strong>Note:</strong> This order form is for <strong>perpetual contracts only</strong>. Enter the amount in USDC and the system will calculate the position size automatically. You can set the leverage for the selected coin directly above. All positions use <strong>isolated margin</strong> mode. Make sure you have created an agent before placing orders.
-                </p>
+            <div className="xl:col-span-3">
+                <RunningTwaps showEmpty={formMode === 'twap'} />
             </div>
         </div>
     );
@@ -0,0 +1,341 @@
+import { useState, useMemo } from 'react';
+import { LineChart, RefreshCw, AlertCircle } from 'lucide-react';
+import { useWallet } from '../hooks/useWallet';
+import { usePortfolio } from '../hooks/usePortfolio';
+import { useFillsHistory } from '../hooks/useFillsHistory';
+import { useUserFunding } from '../hooks/useUserFunding';
+import { summarizeFunding } from '../utils/funding';
+import { PORTFOLIO_PERIODS, getPeriodStart, getPortfolioPeriod, getMaxDrawdown, getTradeStats } from '../utils/portfolio';
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 260;
+const AXIS_WIDTH = 72;
+const TIME_AXIS_HEIGHT = 20;
+const PLOT_WIDTH = CHART_WIDTH - AXIS_WIDTH;
+const PLOT_HEIGHT = CHART_HEIGHT - TIME_AXIS_HEIGHT;
+const VALUE_TICKS = 5;
+const TIME_TICKS = 6;
+
+const CHART_SERIES = [
+    { id: 'accountValue', label: 'Account Value' },
+    { id: 'pnl', label: 'PnL' }
+];
+
+const formatUsd = (value, signed = false) => {
+    const num = parseFloat(value || 0);
+    const sign = num < 0 ? '-' : signed && num > 0 ? '+' : '';
+    return `${sign}$${Math.abs(num).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatAxisUsd = (value) => {
+    const abs = Math.abs(value);
+    if (abs >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+    if (abs >= 1e3) return `${(value / 1e3).toFixed(1)}k`;
+    return value.toFixed(2);
+};
+
+const formatChartTime = (timestamp, periodId) => {
+    const date = new Date(timestamp);
+    if (periodId === 'day') {
+        return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+    }
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', ...(periodId === 'allTime' ? { year: '2-digit' } : {}) });
+};
+
+const valueClass = (value) => (value > 0 ? 'text-green-600' : value < 0 ? 'text-red-600' : 'text-gray-900');
+
+/**
+ * Portfolio of the connected user: account value and PnL over a period with
+ * volume, max drawdown, win rate and a realized PnL / funding / fees breakdown
+ * Histories and volume come from the portfolio info query; the breakdown and
+ * win rate are computed from the fills and funding payments of the period.
+ */
+const Portfolio = () => {
+    const { account } = useWallet();
+    const { data: portfolio, error, loading, refresh } = usePortfolio(account);
+    const [periodId, setPeriodId] = useState('week');
+    const [perpOnly, setPerpOnly] = useState(false);
+    const [seriesId, setSeriesId] = useState('accountValue');
+    const [hoverIndex, setHoverIndex] = useState(null);
+    const [endTime, setEndTime] = useState(() => Date.now());
+
+    const period = useMemo(() => getPortfolioPeriod(portfolio, periodId, perpOnly), [portfolio, periodId, perpOnly]);
+    const drawdown = useMemo(() => getMaxDrawdown(period.pnl, period.accountValue), [period]);
+
+    // endTime is reset when the period changes or the user refreshes
+    const startTime = getPeriodStart(periodId, endTime);
+    const { fills, truncatedAt: fillsTruncatedAt, error: fillsError, loading: loadingFills } = useFillsHistory(account, startTime, endTime);
+    const { entries: funding, truncatedAt: fundingTruncatedAt, error: fundingError, loading: loadingFunding } = useUserFunding(account, startTime, endTime);
+
+    // Spot fills are named @<index> (or PURR/USDC)
+    const periodFills = useMemo(() => (
+        perpOnly ? fills.filter(fill => !fill.coin.startsWith('@') && !fill.coin.includes('/')) : fills
+    ), [fills, perpOnly]);
+    const tradeStats = useMemo(() => getTradeStats(periodFills), [periodFills]);
+    const fundingTotal = useMemo(() => summarizeFunding(funding).total, [funding]);
+
+    const points = period[seriesId];
+    const first = period.pnl[0]?.value ?? 0;
+    const last = period.pnl[period.pnl.length - 1]?.value ?? 0;
+    const periodPnl = last - first;
+    const currentAccountValue = period.accountValue[period.accountValue.length - 1]?.value ?? 0;
+    const netRealized = tradeStats.realizedPnl + fundingTotal - tradeStats.fees;
+    // Earliest time from which fills or funding may be missing (null when both loaded fully)
+    const breakdownTruncatedAt = [fillsTruncatedAt, fundingTruncatedAt].filter(time => time !== null).sort((a, b) => a - b)[0] ?? null;
+
+    // Value range of the series with a little headroom
+    const values = points.map(point => point.value);
+    const rawMax = values.length ? Math.max(...values) : 0;
+    const rawMin = values.length ? Math.min(...values) : 0;
+    const padding = (rawMax - rawMin) * 0.05 || Math.abs(rawMax) * 0.01 || 1;
+    const maxValue = rawMax + padding;
+    const minValue = rawMin - padding;
+
+    const firstTime = points[0]?.time ?? 0;
+    const lastTime = points[points.length - 1]?.time ?? 1;
+    const toX = (time) => ((time - firstTime) / ((lastTime - firstTime) || 1)) * PLOT_WIDTH;
+    const toY = (value) => PLOT_HEIGHT - ((value - minValue) / (maxValue - minValue)) * PLOT_HEIGHT;
+
+    const linePath = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${toX(point.time)},${toY(point.value)}`).join(' ');
+    const baseY = toY(Math.max(minValue, Math.min(maxValue, 0)));
+    const areaPath = points.length > 1 ? `${linePath} L${toX(lastTime)},${baseY} L${toX(firstTime)},${baseY} Z` : '';
+    const lineColor = seriesId === 'pnl' ? (periodPnl >= 0 ? '#16a34a' : '#dc2626') : '#4f46e5';
+
+    const valueTicks = Array.from({ length: VALUE_TICKS }, (_, i) => minValue + ((maxValue - minValue) * (i + 0.5)) / VALUE_TICKS);
+    const timeStep = Math.max(1, Math.ceil(points.length / TIME_TICKS));
+    const hovered = points[hoverIndex ?? points.length - 1];
+
+    const handleRefresh = () => {
+        refresh();
+        setEndTime(Date.now());
+    };
+
+    const handleMouseMove = (e) => {
+        if (points.length === 0) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        const x = ((e.clientX - rect.left) / rect.width) * CHART_WIDTH;
+        const time = firstTime + (Math.min(x, PLOT_WIDTH) / PLOT_WIDTH) * (lastTime - firstTime);
+        // Nearest point to the cursor
+        let nearest = 0;
+        points.forEach((point, index) => {
+            if (Math.abs(point.time - time) < Math.abs(points[nearest].time - time)) nearest = index;
+        });
+        setHoverIndex(nearest);
+    };
+
+    if (!account) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+                    <LineChart className="w-6 h-6" />
+                    Portfolio
+                </h2>
+                <button
+                    onClick={handleRefresh}
+                    className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2"
+                >
+                    <RefreshCw className={`w-4 h-4 ${loading || loadingFills || loadingFunding ? 'animate-spin' : ''}`} />
+                    Refresh
+                </button>
+            </div>
+
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <div className="flex gap-1">
+                    {PORTFOLIO_PERIODS.map(option => (
+                        <button
+                            key={option.id}
+                            onClick={() => {
+                                setPeriodId(option.id);
+                                setEndTime(Date.now());
+                                setHoverIndex(null);
+                            }}
+                            className={`px-3 py-1 rounded-lg text-sm transition ${periodId === option.id
+                                ? 'bg-primary-600 text-white'
+                                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                }`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={perpOnly}
+                        onChange={(e) => setPerpOnly(e.target.checked)}
+                        className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    Perps only
+                </label>
+            </div>
+
+            {error && portfolio.length === 0 ? (
+                <div className="flex items-center gap-2 text-red-600 text-sm py-8 justify-center">
+                    <AlertCircle className="w-4 h-4" />
+                    <span>{error.message || 'Failed to load portfolio'}</span>
+                </div>
+            ) : loading ? (
+                <div className="flex items-center justify-center py-8">
+                    <RefreshCw className="w-5 h-5 text-primary-600 animate-spin" />
+                    <span className="ml-2 text-sm text-gray-600">Loading portfolio...</span>
+                </div>
+            ) : (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+                        <div className="bg-gray-50 rounded-lg p-3">
+                            <p className="text-gray-500 text-xs mb-1">Account Value</p>
+                            <p className="text-lg font-bold text-gray-900">{formatUsd(currentAccountValue)}</p>
+                        </div>
+                        <div className="bg-gray-50 rounded-lg p-3">
+                            <p className="text-gray-500 text-xs mb-1">PnL</p>
+                            <p className={`text-lg font-bold ${valueClass(periodPnl)}`}>{formatUsd(periodPnl, true)}</p>
+                        </div>
+                        <div className="bg-gray-50 rounded-lg p-3">
+                            <p className="text-gray-500 text-xs mb-1">Volume</p>
+                            <p className="text-lg font-bold text-gray-900">{formatUsd(period.volume)}</p>
+                        </div>
+                        <div className="bg-gray-50 rounded-lg p-3">
+                            <p className="text-gray-500 text-xs mb-1">Max Drawdown</p>
+                            <p className="text-lg font-bold text-gray-900">
+                                {drawdown.amount > 0 ? formatUsd(-drawdown.amount) : '—'}
+                            </p>
+                            {drawdown.percent !== null && (
+                                <p className="text-xs text-gray-500">{drawdown.percent.toFixed(2)}% from peak</p>
+                            )}
+                        </div>
+                        <div className="bg-gray-50 rounded-lg p-3">
+                            <p className="text-gray-500 text-xs mb-1">Win Rate</p>
+                            <p className="text-lg font-bold text-gray-900">
+                                {tradeStats.winRate !== null ? `${tradeStats.winRate.toFixed(1)}%` : '—'}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                                {loadingFills ? 'Loading fills...' : `${tradeStats.wins}W / ${tradeStats.losses}L`}
+                            </p>
+                        </div>
+                    </div>
+
+                    <div className="border border-gray-200 rounded-lg p-4 mb-4">
+                        <div className="flex items-center justify-between mb-2">
+                            <div className="flex gap-1">
+                                {CHART_SERIES.map(series => (
+                                    <button
+                                        key={series.id}
+                                        onClick={() => setSeriesId(series.id)}
+                                        className={`px-2 py-1 text-xs rounded ${seriesId === series.id
+                                            ? 'bg-primary-600 text-white'
+                                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                            }`}
+                                    >
+                                        {series.label}
+                                    </button>
+                                ))}
+                            </div>
+                            {hovered && (
+                                <span className="text-xs font-mono text-gray-500">
+                                    {new Date(hovered.time).toLocaleString()} · {formatUsd(hovered.value, seriesId === 'pnl')}
+                                </span>
+                            )}
+                        </div>
+
+                        {points.length < 2 ? (
+                            <p className="text-center py-8 text-sm text-gray-500">Not enough history for this period yet</p>
+                        ) : (
+                            <svg
+                                viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+                                className="w-full h-auto select-none"
+                                onMouseMove={handleMouseMove}
+                                onMouseLeave={() => setHoverIndex(null)}
+                            >
+                                {valueTicks.map(value => (
+                                    <g key={value}>
+                                        <line x1={0} x2={PLOT_WIDTH} y1={toY(value)} y2={toY(value)} stroke="#f3f4f6" />
+                                        <text x={PLOT_WIDTH + 6} y={toY(value) + 4} fontSize={10} fill="#6b7280">
+                                            {formatAxisUsd(value)}
+                                        </text>
+                                    </g>
+                                ))}
+
+                                {points.map((point, index) => {
+                                    if (index % timeStep !== 0) return null;
+                                    return (
+                                        <text
+                                            key={`time-${point.time}`}
+                                            x={Math.min(Math.max(toX(point.time), 20), PLOT_WIDTH - 20)}
+                                            y={CHART_HEIGHT - 6}
+                                            fontSize={10}
+                                            fill="#6b7280"
+                                            textAnchor="middle"
+                                        >
+                                            {formatChartTime(point.time, periodId)}
+                                        </text>
+                                    );
+                                })}
+
+                                {seriesId === 'pnl' && minValue < 0 && maxValue > 0 && (
+                                    <line x1={0} x2={PLOT_WIDTH} y1={toY(0)} y2={toY(0)} stroke="#9ca3af" strokeDasharray="4 3" />
+                                )}
+                                <path d={areaPath} fill={lineColor} fillOpacity={0.08} />
+                                <path d={linePath} fill="none" stroke={lineColor} strokeWidth={2} />
+
+                                {hovered && (
+                                    <g>
+                                        <line x1={toX(hovered.time)} x2={toX(hovered.time)} y1={0} y2={PLOT_HEIGHT} stroke="#d1d5db" />
+                                        <circle cx={toX(hovered.time)} cy={toY(hovered.value)} r={3} fill={lineColor} />
+                                    </g>
+                                )}
+                            </svg>
+                        )}
+                    </div>
+
+                    <div>
+                        <h3 className="text-sm font-semibold text-gray-700 mb-2">Breakdown</h3>
+                        {fillsError || fundingError ? (
+                            <div className="flex items-center gap-2 text-red-600 text-sm">
+                                <AlertCircle className="w-4 h-4" />
+                                <span>{(fillsError || fundingError).message || 'Failed to load fills and funding'}</span>
+                            </div>
+                        ) : loadingFills || loadingFunding ? (
+                            <p className="text-sm text-gray-500">Loading fills and funding...</p>
+                        ) : (
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                                <div className="p-3 bg-gray-50 rounded-lg">
+                                    <p className="text-gray-500 text-xs">Realized PnL</p>
+                                    <p className={`font-mono font-semibold ${valueClass(tradeStats.realizedPnl)}`}>{formatUsd(tradeStats.realizedPnl, true)}</p>
+                                    <p className="text-xs text-gray-500">{periodFills.length} fills</p>
+                                </div>
+                                <div className="p-3 bg-gray-50 rounded-lg">
+                                    <p className="text-gray-500 text-xs">Funding</p>
+                                    <p className={`font-mono font-semibold ${valueClass(fundingTotal)}`}>{formatUsd(fundingTotal, true)}</p>
+                                    <p className="text-xs text-gray-500">{funding.length} payments</p>
+                                </div>
+                                <div className="p-3 bg-gray-50 rounded-lg">
+                                    <p className="text-gray-500 text-xs">Fees</p>
+                                    <p className={`font-mono font-semibold ${valueClass(-tradeStats.fees)}`}>{formatUsd(-tradeStats.fees, true)}</p>
+                                </div>
+                                <div className="p-3 bg-gray-50 rounded-lg">
+                                    <p className="text-gray-500 text-xs">Net Realized</p>
+                                    <p className={`font-mono font-semibold ${valueClass(netRealized)}`}>{formatUsd(netRealized, true)}</p>
+                                    <p className="text-xs text-gray-500">Unrealized change {formatUsd(periodPnl - netRealized, true)}</p>
+                                </div>
+                            </div>
+                        )}
+                        {breakdownTruncatedAt !== null && (
+                            <p className="mt-2 text-xs text-yellow-700">
+                                Too many fills or funding payments to load at once; records from {new Date(breakdownTruncatedAt).toLocaleString()} on may be missing from the breakdown.
+                            </p>
+                        )}
+                        <p className="mt-2 text-xs text-gray-500">
+                            Realized PnL, fees and win rate come from fills (the 10000 most recent are available); a trade is an order that closed part of a position.
+                        </p>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default Portfolio;
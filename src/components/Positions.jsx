@@ -1,100 +1,63 @@
-import { useState, useEffect } from 'react';
-import { closePosition, getAllMids, getMarketMeta, getErrorMessage } from '../services/api';
-import { getUserPositions, getUserOpenOrders } from '../services/hyperliquid-api';
-import { TrendingUp, TrendingDown, RefreshCw, AlertCircle, X } from 'lucide-react';
+import { useState } from 'react';
+import { getErrorMessage } from '../services/api';
+import { closePosition, setPositionTpsl } from '../services/trading';
+import { toPositions } from '../services/hyperliquid-api';
+import { TrendingUp, TrendingDown, RefreshCw, AlertCircle, X, Target } from 'lucide-react';
 import { useWallet } from '../hooks/useWallet';
+import { useClearinghouseState } from '../hooks/useClearinghouseState';
+import { useAllMids } from '../hooks/useAllMids';
+import { useMeta } from '../hooks/useMeta';
+import { useOpenOrders } from '../hooks/useOpenOrders';
+import { useFundingRates } from '../hooks/useFundingRates';
+import { useFundingCountdown } from '../hooks/useFundingCountdown';
+import FundingHistory from './FundingHistory';
 import { getAgentAddress, getAgentPrivateKey } from '../utils/agent-storage';
+import { validateTpslPrices } from '../utils/tpsl';
+import { annualizeFundingRate, formatFundingRate, formatFundingCountdown } from '../utils/funding';
 
 const Positions = () => {
-    const { account, isConnected, chainId } = useWallet();
-    const [positions, setPositions] = useState([]);
-    const [openOrders, setOpenOrders] = useState({}); // Map of coin -> orders
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
+    const { account } = useWallet();
+    const { data: userState, error: stateError, loading, refresh: refreshState } = useClearinghouseState(account);
+    const { data: mids, loading: loadingPrices, refresh: refreshMids } = useAllMids();
+    const { data: meta } = useMeta();
+    const { data: orders, refresh: refreshOrders } = useOpenOrders(account);
+    const { rates: fundingRates } = useFundingRates();
+    const { remainingMs: fundingRemainingMs } = useFundingCountdown();
     const [closingPosition, setClosingPosition] = useState(null);
     const [closeError, setCloseError] = useState(null);
     const [closeSuccess, setCloseSuccess] = useState(null);
-    const [perpPrices, setPerpPrices] = useState({});
-    const [loadingPrices, setLoadingPrices] = useState(false);
+    const [tpslCoin, setTpslCoin] = useState(null); // Position whose TP/SL form is open
+    const [tpPrice, setTpPrice] = useState('');
+    const [slPrice, setSlPrice] = useState('');
+    const [savingTpsl, setSavingTpsl] = useState(false);
 
-    const fetchPositions = async () => {
-        if (!account || !chainId) {
-            setLoading(false);
-            return;
-        }
+    const positions = toPositions(userState);
+    const error = stateError ? stateError.message || 'Failed to fetch positions' : null;
 
-        try {
-            setLoading(true);
-            setError(null);
-
-            // Fetch positions directly from Hyperliquid info endpoint
-            const positionsData = await getUserPositions(account, chainId);
-            setPositions(positionsData || []);
-
-            // Also fetch open orders directly from Hyperliquid
-            try {
-                const orders = await getUserOpenOrders(account, chainId);
-
-                // Group orders by coin
-                const ordersByCoin = {};
-                orders.forEach(order => {
-                    const coin = order.coin;
-                    if (!ordersByCoin[coin]) {
-                        ordersByCoin[coin] = [];
-                    }
-                    ordersByCoin[coin].push(order);
-                });
-                setOpenOrders(ordersByCoin);
-            } catch (err) {
-                console.error('Error fetching open orders:', err);
-                setOpenOrders({});
+    // Mid prices of perpetual pairs only
+    const perpPrices = {};
+    if (meta?.universe && mids) {
+        meta.universe.forEach((item) => {
+            const coinName = item.name || item;
+            if (mids[coinName]) {
+                perpPrices[coinName] = parseFloat(mids[coinName]);
             }
-        } catch (err) {
-            setError(err.message || 'Failed to fetch positions');
-            console.error('Error fetching positions:', err);
-        } finally {
-            setLoading(false);
-        }
-    };
+        });
+    }
 
-    // Fetch all perpetual prices
-    const fetchPerpPrices = async () => {
-        setLoadingPrices(true);
-        try {
-            const [meta, mids] = await Promise.all([
-                getMarketMeta(),
-                getAllMids()
-            ]);
-
-            if (meta && meta.universe && mids && mids.all_mids) {
-                const prices = {};
-                meta.universe.forEach((item) => {
-                    const coinName = item.name || item;
-                    if (mids.all_mids[coinName]) {
-                        prices[coinName] = parseFloat(mids.all_mids[coinName]);
-                    }
-                });
-                setPerpPrices(prices);
-            }
-        } catch (err) {
-            console.error('Error fetching perpetual prices:', err);
-            setPerpPrices({});
-        } finally {
-            setLoadingPrices(false);
+    // Group open orders by coin
+    const openOrders = {};
+    orders.forEach(order => {
+        if (!openOrders[order.coin]) {
+            openOrders[order.coin] = [];
         }
-    };
+        openOrders[order.coin].push(order);
+    });
 
-    useEffect(() => {
-        fetchPositions();
-        fetchPerpPrices();
-        if (account && chainId) {
-            const interval = setInterval(() => {
-                fetchPositions();
-                fetchPerpPrices();
-            }, 10000); // Refresh every 10 seconds
-            return () => clearInterval(interval);
-        }
-    }, [account, chainId]);
+    const fetchPositions = () => {
+        refreshState();
+        refreshOrders();
+    };
 
     const handleClosePosition = async (coin) => {
         if (!account) {
@@ -106,7 +69,12 @@ const Positions = () => {
         const agentAddress = getAgentAddress(account);
         const agentPrivateKey = getAgentPrivateKey(account);
 
-        if (!agentAddress || !agentPrivateKey) {
+        if (agentAddress && !agentPrivateKey) {
+            setCloseError('Agent keystore is locked. Unlock it with your passphrase first.');
+            return;
+        }
+
+        if (!agentAddress) {
             setCloseError('No agent found. Please create an agent first before closing positions.');
             return;
         }
@@ -127,8 +95,6 @@ const Positions = () => {
 
             const result = await closePosition(
                 coin,
-                agentAddress,
-                agentPrivateKey,
                 account, // userAddress - check positions for user's main address
                 null, // sz - null means close full position
                 null, // px - null means use market price
@@ -156,6 +122,56 @@ const Positions = () => {
         }
     };
 
+    const openTpslForm = (coin) => {
+        setTpslCoin(tpslCoin === coin ? null : coin);
+        setTpPrice('');
+        setSlPrice('');
+        setCloseError(null);
+    };
+
+    const handleSaveTpsl = async (position) => {
+        const agentAddress = getAgentAddress(account);
+        if (agentAddress && !getAgentPrivateKey(account)) {
+            setCloseError('Agent keystore is locked. Unlock it with your passphrase first.');
+            return;
+        }
+        if (!agentAddress) {
+            setCloseError('No agent found. Please create an agent first.');
+            return;
+        }
+
+        const tpPx = tpPrice ? parseFloat(tpPrice) : null;
+        const slPx = slPrice ? parseFloat(slPrice) : null;
+        const tpslError = validateTpslPrices({
+            isLong: parseFloat(position.size) > 0,
+            midPrice: perpPrices[position.coin],
+            tpPx,
+            slPx
+        });
+        if (tpslError) {
+            setCloseError(tpslError);
+            return;
+        }
+
+        setSavingTpsl(true);
+        setCloseError(null);
+        setCloseSuccess(null);
+
+        try {
+            const result = await setPositionTpsl(position.coin, account, { tp_px: tpPx, sl_px: slPx });
+            setCloseSuccess(result.message || `TP/SL set for ${position.coin}`);
+            setTpslCoin(null);
+            refreshOrders();
+            setTimeout(() => setCloseSuccess(null), 3000);
+        } catch (err) {
+            const errorMessage = err.userMessage || getErrorMessage(err) || 'Failed to set TP/SL';
+            setCloseError(errorMessage);
+            console.error('Error setting TP/SL:', err);
+        } finally {
+            setSavingTpsl(false);
+        }
+    };
+
     if (loading && positions.length === 0) {
         return (
             <div className="bg-white rounded-lg shadow-lg p-6">
@@ -186,7 +202,7 @@ const Positions = () => {
                     <div className="flex items-center justify-between mb-3">
                         <h3 className="text-sm font-semibold text-gray-700">Perp Prices</h3>
                         <button
-                            onClick={fetchPerpPrices}
+                            onClick={refreshMids}
                             disabled={loadingPrices}
                             className="text-gray-600 hover:text-gray-800 transition"
                             title="Refresh prices"
@@ -223,7 +239,7 @@ const Positions = () => {
             </div>
 
             {/* Positions Content - Right */}
-            <div className="lg:col-span-3">
+            <div className="lg:col-span-3 space-y-4">
                 <div className="bg-white rounded-lg shadow-lg p-6">
                     <div className="flex items-center justify-between mb-6">
                         <h2 className="text-2xl font-bold text-gray-900">Positions</h2>
@@ -259,6 +275,12 @@ const Positions = () => {
                                 const isLong = parseFloat(position.size) > 0;
                                 const pnl = parseFloat(position.unrealized_pnl || 0);
                                 const pnlColor = pnl >= 0 ? 'text-green-600' : 'text-red-600';
+                                const funding = fundingRates[position.coin];
+                                // Longs pay shorts when the rate is positive
+                                const nextPayment = funding
+                                    ? -parseFloat(position.size) * (funding.markPx || perpPrices[position.coin] || 0) * funding.current
+                                    : null;
+                                const fundingSinceOpen = position.funding_since_open || 0;
 
                                 return (
                                     <div key={index} className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition">
@@ -298,6 +320,44 @@ const Positions = () => {
                                             </div>
                                         </div>
 
+                                        {funding && (
+                                            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-3 p-3 bg-gray-50 rounded-lg">
+                                                <div>
+                                                    <p className="text-gray-500">Funding Rate</p>
+                                                    <p className="font-medium text-gray-900 font-mono">
+                                                        {formatFundingRate(funding.current)}/h
+                                                    </p>
+                                                    <p className="text-xs text-gray-500">
+                                                        {formatFundingRate(annualizeFundingRate(funding.current), 2)} APR
+                                                    </p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-gray-500">Predicted</p>
+                                                    <p className="font-medium text-gray-900 font-mono">
+                                                        {funding.predicted !== null ? `${formatFundingRate(funding.predicted)}/h` : 'N/A'}
+                                                    </p>
+                                                    {funding.predicted !== null && (
+                                                        <p className="text-xs text-gray-500">
+                                                            {formatFundingRate(annualizeFundingRate(funding.predicted), 2)} APR
+                                                        </p>
+                                                    )}
+                                                </div>
+                                                <div>
+                                                    <p className="text-gray-500">Next Payment</p>
+                                                    <p className={`font-medium font-mono ${nextPayment >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                                        {nextPayment >= 0 ? '+' : '-'}${Math.abs(nextPayment).toFixed(4)}
+                                                    </p>
+                                                    <p className="text-xs text-gray-500">in {formatFundingCountdown(fundingRemainingMs)}</p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-gray-500">Funding Since Open</p>
+                                                    <p className={`font-medium font-mono ${fundingSinceOpen >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                                        {fundingSinceOpen >= 0 ? '+' : '-'}${Math.abs(fundingSinceOpen).toFixed(2)}
+                                                    </p>
+                                                </div>
+                                            </div>
+                                        )}
+
                                         {/* Display open orders for this coin */}
                                         {openOrders[position.coin] && openOrders[position.coin].length > 0 && (
                                             <div className="mb-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
@@ -308,7 +368,9 @@ const Positions = () => {
                                                     {openOrders[position.coin].map((order, orderIdx) => (
                                                         <div key={orderIdx} className="text-xs text-blue-700 flex items-center justify-between">
                                                             <span>
-                                                                {order.side === 'A' ? 'Sell' : 'Buy'} {order.sz} @ ${parseFloat(order.limit_px || 0).toFixed(2)}
+                                                                {order.isTrigger
+                                                                    ? `${order.orderType} ${parseFloat(order.sz) > 0 ? order.sz : '(position)'} @ trigger $${parseFloat(order.triggerPx || 0).toFixed(2)}`
+                                                                    : `${order.side === 'A' ? 'Sell' : 'Buy'} ${order.sz} @ $${parseFloat(order.limitPx || 0).toFixed(2)}`}
                                                             </span>
                                                             {order.oid && (
                                                                 <span className="text-blue-500">OID: {order.oid}</span>
@@ -319,7 +381,58 @@ const Positions = () => {
                                             </div>
                                         )}
 
-                                        <div className="flex justify-end">
+                                        {tpslCoin === position.coin && (
+                                            <div className="mb-3 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                                                <div className="grid grid-cols-2 gap-3">
+                                                    <div>
+                                                        <label className="block text-xs font-medium text-gray-700 mb-1">TP Trigger Price</label>
+                                                        <input
+                                                            type="number"
+                                                            step="any"
+                                                            min="0"
+                                                            value={tpPrice}
+                                                            onChange={(e) => setTpPrice(e.target.value)}
+                                                            placeholder={isLong ? 'Above current price' : 'Below current price'}
+                                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                                        />
+                                                    </div>
+                                                    <div>
+                                                        <label className="block text-xs font-medium text-gray-700 mb-1">SL Trigger Price</label>
+                                                        <input
+                                                            type="number"
+                                                            step="any"
+                                                            min="0"
+                                                            value={slPrice}
+                                                            onChange={(e) => setSlPrice(e.target.value)}
+                                                            placeholder={isLong ? 'Below current price' : 'Above current price'}
+                                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                                        />
+                                                    </div>
+                                                </div>
+                                                <div className="mt-2 flex items-center justify-between">
+                                                    <p className="text-xs text-gray-500">
+                                                        Closes the whole position at market when triggered. Mid: {perpPrices[position.coin] ? `$${perpPrices[position.coin]}` : 'N/A'}
+                                                    </p>
+                                                    <button
+                                                        onClick={() => handleSaveTpsl(position)}
+                                                        disabled={savingTpsl}
+                                                        className="px-3 py-1.5 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition disabled:opacity-50 text-sm flex items-center gap-1"
+                                                    >
+                                                        {savingTpsl && <RefreshCw className="w-4 h-4 animate-spin" />}
+                                                        {savingTpsl ? 'Saving...' : 'Save TP/SL'}
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        )}
+
+                                        <div className="flex justify-end gap-2">
+                                            <button
+                                                onClick={() => openTpslForm(position.coin)}
+                                                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm font-medium"
+                                            >
+                                                <Target className="w-4 h-4" />
+                                                <span>TP/SL</span>
+                                            </button>
                                             <button
                                                 onClick={() => handleClosePosition(position.coin)}
                                                 disabled={closingPosition === position.coin}
@@ -344,6 +457,8 @@ const Positions = () => {
                         </div>
                     )}
                 </div>
+
+                <FundingHistory />
             </div>
         </div>
     );
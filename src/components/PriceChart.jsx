@@ -0,0 +1,240 @@
+import { useState } from 'react';
+import { useWallet } from '../hooks/useWallet';
+import { useCandles } from '../hooks/useCandles';
+import { useOpenOrders } from '../hooks/useOpenOrders';
+import { useClearinghouseState } from '../hooks/useClearinghouseState';
+import { toPositions, CANDLE_INTERVALS } from '../services/hyperliquid-api';
+import { CandlestickChart, RefreshCw, AlertCircle } from 'lucide-react';
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 320;
+const AXIS_WIDTH = 72;
+const TIME_AXIS_HEIGHT = 20;
+const PLOT_WIDTH = CHART_WIDTH - AXIS_WIDTH;
+const PLOT_HEIGHT = CHART_HEIGHT - TIME_AXIS_HEIGHT;
+const PRICE_TICKS = 5;
+const TIME_TICKS = 6;
+
+const OVERLAY_COLORS = {
+    buy: '#16a34a',
+    sell: '#dc2626',
+    entry: '#2563eb',
+    liquidation: '#ea580c'
+};
+
+const formatPrice = (price) => {
+    if (!price && price !== 0) return 'N/A';
+    const num = parseFloat(price);
+    if (num >= 1000) return num.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    if (num >= 1) return num.toFixed(2);
+    if (num >= 0.01) return num.toFixed(4);
+    return num.toFixed(8);
+};
+
+const formatTime = (timestamp, interval) => {
+    const date = new Date(timestamp);
+    if (interval === '1d') {
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
+    return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+};
+
+/**
+ * Candlestick chart for a coin with interval selection
+ * Candles update live from the candle WebSocket feed. Open orders, the
+ * position entry price and the liquidation price are drawn as price lines;
+ * lines outside the visible range are pinned to the chart edge.
+ * @param {string} coin - Coin name
+ */
+const PriceChart = ({ coin }) => {
+    const { account } = useWallet();
+    const [candleInterval, setCandleInterval] = useState('15m');
+    const [hoverIndex, setHoverIndex] = useState(null);
+    const { candles, error, loading, reload } = useCandles(coin, candleInterval);
+    const { data: openOrders } = useOpenOrders(account);
+    const { data: userState } = useClearinghouseState(account);
+
+    const position = toPositions(userState).find(p => p.coin === coin);
+    const overlays = [
+        ...openOrders
+            .filter(order => order.coin === coin)
+            .map(order => ({
+                key: `order-${order.oid}`,
+                price: parseFloat(order.limitPx),
+                label: `${order.side === 'B' ? 'Buy' : 'Sell'} ${order.sz}`,
+                color: order.side === 'B' ? OVERLAY_COLORS.buy : OVERLAY_COLORS.sell,
+                dashed: true
+            })),
+        ...(position?.entry_px ? [{ key: 'entry', price: position.entry_px, label: 'Entry', color: OVERLAY_COLORS.entry }] : []),
+        ...(position?.liquidation_px ? [{ key: 'liq', price: position.liquidation_px, label: 'Liq', color: OVERLAY_COLORS.liquidation }] : [])
+    ];
+
+    // Price range of the candles with a little headroom
+    const highs = candles.map(c => parseFloat(c.h));
+    const lows = candles.map(c => parseFloat(c.l));
+    const rawMax = highs.length ? Math.max(...highs) : 0;
+    const rawMin = lows.length ? Math.min(...lows) : 0;
+    const padding = (rawMax - rawMin) * 0.05 || rawMax * 0.01 || 1;
+    const maxPrice = rawMax + padding;
+    const minPrice = rawMin - padding;
+
+    const toY = (price) => PLOT_HEIGHT - ((price - minPrice) / (maxPrice - minPrice)) * PLOT_HEIGHT;
+    const slotWidth = PLOT_WIDTH / Math.max(candles.length, 1);
+    const bodyWidth = Math.max(1, slotWidth * 0.7);
+
+    const priceTicks = Array.from({ length: PRICE_TICKS }, (_, i) => minPrice + ((maxPrice - minPrice) * (i + 0.5)) / PRICE_TICKS);
+    const timeStep = Math.max(1, Math.ceil(candles.length / TIME_TICKS));
+
+    const displayed = candles[hoverIndex ?? candles.length - 1];
+
+    const renderOverlay = (overlay) => {
+        const above = overlay.price > maxPrice;
+        const below = overlay.price < minPrice;
+        const y = above ? 6 : below ? PLOT_HEIGHT - 6 : toY(overlay.price);
+        const marker = above ? '▲ ' : below ? '▼ ' : '';
+
+        return (
+            <g key={overlay.key}>
+                {!above && !below && (
+                    <line
+                        x1={0}
+                        x2={PLOT_WIDTH}
+                        y1={y}
+                        y2={y}
+                        stroke={overlay.color}
+                        strokeWidth={1}
+                        strokeDasharray={overlay.dashed ? '4 3' : undefined}
+                    />
+                )}
+                <rect x={PLOT_WIDTH + 2} y={y - 8} width={AXIS_WIDTH - 4} height={16} rx={2} fill={overlay.color} />
+                <text x={PLOT_WIDTH + 6} y={y + 4} fontSize={10} fill="#ffffff">
+                    {formatPrice(overlay.price)}
+                </text>
+                <text x={PLOT_WIDTH - 4} y={y - 3} fontSize={10} fill={overlay.color} textAnchor="end">
+                    {marker}{overlay.label}
+                </text>
+            </g>
+        );
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-4">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <div className="flex items-center gap-2">
+                    <CandlestickChart className="w-5 h-5 text-primary-600" />
+                    <h3 className="text-sm font-semibold text-gray-700">{coin} Chart</h3>
+                    {displayed && (
+                        <span className="text-xs font-mono text-gray-500">
+                            O {formatPrice(displayed.o)} H {formatPrice(displayed.h)} L {formatPrice(displayed.l)} C {formatPrice(displayed.c)}
+                        </span>
+                    )}
+                </div>
+                <div className="flex items-center gap-1">
+                    {Object.keys(CANDLE_INTERVALS).map((option) => (
+                        <button
+                            key={option}
+                            type="button"
+                            onClick={() => setCandleInterval(option)}
+                            className={`px-2 py-1 text-xs rounded ${candleInterval === option
+                                ? 'bg-primary-600 text-white'
+                                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                }`}
+                        >
+                            {option}
+                        </button>
+                    ))}
+                    <button
+                        type="button"
+                        onClick={reload}
+                        className="px-2 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition"
+                        title="Reload candles"
+                    >
+                        <RefreshCw className={`w-3 h-3 ${loading ? 'animate-spin' : ''}`} />
+                    </button>
+                </div>
+            </div>
+
+            {error && candles.length === 0 ? (
+                <div className="flex items-center gap-2 text-red-600 text-sm py-8 justify-center">
+                    <AlertCircle className="w-4 h-4" />
+                    <span>Failed to load candles</span>
+                </div>
+            ) : candles.length === 0 ? (
+                <div className="flex items-center justify-center py-8">
+                    {loading ? (
+                        <>
+                            <RefreshCw className="w-5 h-5 text-primary-600 animate-spin" />
+                            <span className="ml-2 text-sm text-gray-600">Loading chart...</span>
+                        </>
+                    ) : (
+                        <span className="text-sm text-gray-500">No candles for this interval yet</span>
+                    )}
+                </div>
+            ) : (
+                <svg
+                    viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+                    className="w-full h-auto select-none"
+                    onMouseLeave={() => setHoverIndex(null)}
+                >
+                    {priceTicks.map((price) => (
+                        <g key={price}>
+                            <line x1={0} x2={PLOT_WIDTH} y1={toY(price)} y2={toY(price)} stroke="#f3f4f6" />
+                            <text x={PLOT_WIDTH + 6} y={toY(price) + 4} fontSize={10} fill="#6b7280">
+                                {formatPrice(price)}
+                            </text>
+                        </g>
+                    ))}
+
+                    {candles.map((candle, index) => {
+                        if (index % timeStep !== 0) return null;
+                        return (
+                            <text
+                                key={`time-${candle.t}`}
+                                x={index * slotWidth + slotWidth / 2}
+                                y={CHART_HEIGHT - 6}
+                                fontSize={10}
+                                fill="#6b7280"
+                                textAnchor="middle"
+                            >
+                                {formatTime(candle.t, candleInterval)}
+                            </text>
+                        );
+                    })}
+
+                    {candles.map((candle, index) => {
+                        const open = parseFloat(candle.o);
+                        const close = parseFloat(candle.c);
+                        const color = close >= open ? OVERLAY_COLORS.buy : OVERLAY_COLORS.sell;
+                        const x = index * slotWidth + slotWidth / 2;
+                        const bodyTop = toY(Math.max(open, close));
+                        const bodyHeight = Math.max(1, Math.abs(toY(open) - toY(close)));
+
+                        return (
+                            <g key={candle.t} onMouseEnter={() => setHoverIndex(index)}>
+                                <rect x={index * slotWidth} y={0} width={slotWidth} height={PLOT_HEIGHT} fill="transparent" />
+                                <line x1={x} x2={x} y1={toY(parseFloat(candle.h))} y2={toY(parseFloat(candle.l))} stroke={color} />
+                                <rect x={x - bodyWidth / 2} y={bodyTop} width={bodyWidth} height={bodyHeight} fill={color} />
+                            </g>
+                        );
+                    })}
+
+                    {overlays.map(renderOverlay)}
+                </svg>
+            )}
+
+            {overlays.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-3 text-xs text-gray-500">
+                    {position && (
+                        <span>
+                            Position: <span className="font-mono text-gray-700">{position.size}</span> @ {formatPrice(position.entry_px)}
+                            {position.liquidation_px > 0 && <> · Liq {formatPrice(position.liquidation_px)}</>}
+                        </span>
+                    )}
+                    {overlays.some(o => o.dashed) && <span>Dashed lines: open orders</span>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PriceChart;
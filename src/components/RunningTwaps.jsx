@@ -0,0 +1,192 @@
+import { useState, useEffect, useMemo } from 'react';
+import { getErrorMessage } from '../services/api';
+import { cancelTwapOrder } from '../services/trading';
+import { Timer, RefreshCw, AlertCircle, Shuffle } from 'lucide-react';
+import { useWallet } from '../hooks/useWallet';
+import { useTwapHistory } from '../hooks/useTwapHistory';
+import { useTwapSliceFills } from '../hooks/useTwapSliceFills';
+
+const formatPrice = (price) => {
+    if (!price) return 'N/A';
+    const num = parseFloat(price);
+    return num >= 1000 ? num.toLocaleString('en-US', { maximumFractionDigits: 2 }) : num.toPrecision(5);
+};
+
+const formatDuration = (ms) => {
+    const totalMinutes = Math.max(0, Math.round(ms / 60000));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+/**
+ * Latest entry of each TWAP in twapHistory
+ * twapHistory logs every status change, so a TWAP that finished or was terminated
+ * still has its earlier 'activated' entry
+ */
+const getLatestTwaps = (history) => {
+    const latest = new Map();
+    history.forEach((entry) => {
+        const current = latest.get(entry.twapId);
+        if (!current || entry.time >= current.time) {
+            latest.set(entry.twapId, entry);
+        }
+    });
+    return [...latest.values()];
+};
+
+/**
+ * Running TWAP orders of the connected user with progress, slice fills and average price
+ * Reads twapHistory (status of each TWAP) and userTwapSliceFills; the executed size
+ * and average price come from the slice fills, since the state snapshot in
+ * twapHistory is taken at the status change
+ * @param {boolean} showEmpty - Render the panel even when no TWAP is running
+ */
+const RunningTwaps = ({ showEmpty = false }) => {
+    const { account } = useWallet();
+    const { data: history, error, refresh } = useTwapHistory(account);
+    const { data: sliceFills, refresh: refreshFills } = useTwapSliceFills(account);
+    const [canceling, setCanceling] = useState(null);
+    const [now, setNow] = useState(Date.now());
+
+    const running = useMemo(() => (
+        getLatestTwaps(history)
+            .filter(twap => twap.status?.status === 'activated')
+            .sort((a, b) => b.state.timestamp - a.state.timestamp)
+    ), [history]);
+
+    // Tick the elapsed time while something is running
+    useEffect(() => {
+        if (running.length === 0) return undefined;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [running.length]);
+
+    const handleRefresh = () => {
+        refresh();
+        refreshFills();
+    };
+
+    const handleCancel = async (twap) => {
+        if (!window.confirm(`Cancel the ${twap.state.coin} TWAP? Slices already filled are kept.`)) {
+            return;
+        }
+
+        try {
+            setCanceling(twap.twapId);
+            await cancelTwapOrder(twap.state.coin, twap.twapId, account);
+            handleRefresh();
+        } catch (err) {
+            const errorMessage = err.userMessage || getErrorMessage(err) || 'Failed to cancel TWAP';
+            alert(`Failed to cancel TWAP: ${errorMessage}`);
+        } finally {
+            setCanceling(null);
+        }
+    };
+
+    if (!account || (running.length === 0 && !showEmpty)) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <Timer className="w-5 h-5 text-primary-600" />
+                    <h3 className="text-lg font-semibold text-gray-900">Running TWAPs</h3>
+                </div>
+                <button
+                    type="button"
+                    onClick={handleRefresh}
+                    className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm"
+                >
+                    <RefreshCw className="w-4 h-4" />
+                    Refresh
+                </button>
+            </div>
+
+            {error && running.length === 0 ? (
+                <div className="flex items-center gap-2 text-red-600 text-sm">
+                    <AlertCircle className="w-4 h-4" />
+                    <span>{error.message || 'Failed to load TWAPs'}</span>
+                </div>
+            ) : running.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-6">No running TWAPs</p>
+            ) : (
+                <div className="space-y-3">
+                    {running.map((twap) => {
+                        const { state } = twap;
+                        const size = parseFloat(state.sz);
+                        const fills = sliceFills.filter(entry => entry.twapId === twap.twapId);
+                        const executedSz = fills.reduce((sum, entry) => sum + parseFloat(entry.fill.sz), 0);
+                        const executedNtl = fills.reduce((sum, entry) => sum + parseFloat(entry.fill.px) * parseFloat(entry.fill.sz), 0);
+                        const avgPx = executedSz > 0 ? executedNtl / executedSz : null;
+                        const filledPercent = size > 0 ? Math.min(100, (executedSz / size) * 100) : 0;
+                        const durationMs = state.minutes * 60000;
+                        const elapsedMs = Math.min(durationMs, now - state.timestamp);
+                        const isBuy = state.side === 'B';
+
+                        return (
+                            <div key={twap.twapId} className="border border-gray-200 rounded-lg p-4">
+                                <div className="flex items-center justify-between gap-3 mb-2">
+                                    <div className="flex items-center gap-2">
+                                        <span className="font-semibold text-gray-900">{state.coin}</span>
+                                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${isBuy ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                                            {isBuy ? 'Buy' : 'Sell'}
+                                        </span>
+                                        {state.reduceOnly && (
+                                            <span className="px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-600">Reduce only</span>
+                                        )}
+                                        {state.randomize && (
+                                            <span title="Randomized"><Shuffle className="w-3.5 h-3.5 text-gray-500" /></span>
+                                        )}
+                                    </div>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleCancel(twap)}
+                                        disabled={canceling === twap.twapId}
+                                        className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition text-sm disabled:opacity-50"
+                                    >
+                                        {canceling === twap.twapId ? 'Canceling...' : 'Cancel'}
+                                    </button>
+                                </div>
+
+                                <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden mb-2">
+                                    <div
+                                        className={`h-full ${isBuy ? 'bg-green-500' : 'bg-red-500'}`}
+                                        style={{ width: `${filledPercent}%` }}
+                                    />
+                                </div>
+
+                                <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs text-gray-600">
+                                    <div>
+                                        Filled
+                                        <div className="font-mono text-gray-900">
+                                            {parseFloat(executedSz.toFixed(8))} / {size} ({filledPercent.toFixed(1)}%)
+                                        </div>
+                                    </div>
+                                    <div>
+                                        Slices filled
+                                        <div className="font-mono text-gray-900">{fills.length}</div>
+                                    </div>
+                                    <div>
+                                        Avg price
+                                        <div className="font-mono text-gray-900">{avgPx ? `$${formatPrice(avgPx)}` : 'N/A'}</div>
+                                    </div>
+                                    <div>
+                                        Time
+                                        <div className="font-mono text-gray-900">
+                                            {formatDuration(elapsedMs)} / {formatDuration(durationMs)}
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RunningTwaps;
@@ -0,0 +1,385 @@
+import { useState } from 'react';
+import { getErrorMessage } from '../services/api';
+import { placeOrders } from '../services/trading';
+import { AlertCircle, CheckCircle } from 'lucide-react';
+import { useWallet } from '../hooks/useWallet';
+import { useAllMids } from '../hooks/useAllMids';
+import { useMeta } from '../hooks/useMeta';
+import { getAgentAddress, getAgentPrivateKey } from '../utils/agent-storage';
+import { TIME_IN_FORCE } from '../utils/hyperliquid-signing';
+import { buildScaleLadder, SCALE_SPACING, SCALE_MIN_ORDERS, SCALE_MAX_ORDERS } from '../utils/scale-orders';
+import { summarizeOrderStatus } from '../utils/market-order';
+import { CLOID_STRATEGY } from '../utils/cloid';
+
+const formatPrice = (price) => {
+    const num = parseFloat(price);
+    return num >= 1000 ? num.toLocaleString('en-US', { maximumFractionDigits: 2 }) : num.toString();
+};
+
+const STATUS_STYLES = {
+    filled: 'text-green-700',
+    partial: 'text-green-700',
+    resting: 'text-blue-700',
+    error: 'text-red-600',
+    unknown: 'text-gray-500'
+};
+
+const describeStatus = (fill) => {
+    switch (fill.state) {
+        case 'filled':
+            return `Filled @ $${formatPrice(fill.avgPx)}`;
+        case 'partial':
+            return `Partially filled ${fill.totalSz} @ $${formatPrice(fill.avgPx)}`;
+        case 'resting':
+            return `Resting (oid ${fill.oid})`;
+        case 'error':
+            return fill.error;
+        default:
+            return 'No status';
+    }
+};
+
+/**
+ * Scale (ladder) order form
+ * Splits a USDC amount across several limit orders between two prices,
+ * previews the ladder and sends all orders in one signed order action
+ * @param {string} coin - Selected coin
+ * @param {Array<string>} coins - Perpetual coins to choose from
+ * @param {Function} onCoinChange - Called with the newly selected coin
+ * @param {boolean} disabled - Block submission (e.g. agent needs re-approval)
+ */
+const ScaleOrder = ({ coin, coins, onCoinChange, disabled = false }) => {
+    const { account } = useWallet();
+    const { data: mids } = useAllMids();
+    const { data: meta } = useMeta();
+    const [isBuy, setIsBuy] = useState(true);
+    const [totalUsdc, setTotalUsdc] = useState('');
+    const [startPrice, setStartPrice] = useState('');
+    const [endPrice, setEndPrice] = useState('');
+    const [count, setCount] = useState('5');
+    const [spacing, setSpacing] = useState(SCALE_SPACING.LINEAR);
+    const [skew, setSkew] = useState('1');
+    const [postOnly, setPostOnly] = useState(false);
+    const [reduceOnly, setReduceOnly] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [results, setResults] = useState(null); // [{px, sz, fill}] from the last submission
+
+    const szDecimals = meta?.universe?.find(item => item.name === coin)?.szDecimals ?? 0;
+    const midPrice = parseFloat(mids?.[coin] || 0);
+
+    let ladder = [];
+    let ladderError = null;
+    if (totalUsdc && startPrice && endPrice) {
+        try {
+            ladder = buildScaleLadder({
+                totalUsdc: parseFloat(totalUsdc),
+                startPx: parseFloat(startPrice),
+                endPx: parseFloat(endPrice),
+                count,
+                spacing,
+                skew: parseFloat(skew),
+                szDecimals
+            });
+        } catch (err) {
+            ladderError = err.message;
+        }
+    }
+
+    // Rungs on the wrong side of the mid fill immediately instead of resting
+    const crossingCount = midPrice
+        ? ladder.filter(rung => (isBuy ? rung.px >= midPrice : rung.px <= midPrice)).length
+        : 0;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (ladderError || ladder.length === 0) {
+            setError(ladderError || 'Enter the amount and price range');
+            return;
+        }
+
+        const agentAddress = getAgentAddress(account);
+        if (agentAddress && !getAgentPrivateKey(account)) {
+            setError('Agent keystore is locked. Unlock it with your passphrase first.');
+            return;
+        }
+        if (!agentAddress) {
+            setError('No agent found. Please create an agent first before placing orders.');
+            return;
+        }
+
+        setLoading(true);
+        setError(null);
+        setResults(null);
+
+        try {
+            const result = await placeOrders(ladder.map(rung => ({
+                coin,
+                is_buy: isBuy,
+                sz: rung.sz,
+                limit_px: rung.px,
+                order_type: 'Limit',
+                tif: postOnly ? TIME_IN_FORCE.ALO : TIME_IN_FORCE.GTC,
+                reduce_only: reduceOnly,
+                strategy: CLOID_STRATEGY.SCALE
+            })), account);
+
+            setResults(ladder.map((rung, index) => ({
+                ...rung,
+                fill: summarizeOrderStatus(result.statuses[index], rung.sz)
+            })));
+            if (result.errors.length > 0) {
+                setError(result.message);
+            }
+        } catch (err) {
+            const errorMessage = err.userMessage || getErrorMessage(err) || 'Failed to place scale orders';
+            setError(errorMessage);
+            console.error('Error placing scale orders:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Perpetual Coin
+                    </label>
+                    <select value={coin} onChange={(e) => onCoinChange(e.target.value)} className={inputClass} required>
+                        {coins.map((coinOption) => (
+                            <option key={coinOption} value={coinOption}>
+                                {coinOption} (Perp)
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Side
+                    </label>
+                    <div className="flex gap-2">
+                        <button
+                            type="button"
+                            onClick={() => setIsBuy(true)}
+                            className={`flex-1 px-4 py-2 rounded-lg font-medium transition ${isBuy
+                                ? 'bg-green-500 text-white'
+                                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                }`}
+                        >
+                            Buy
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setIsBuy(false)}
+                            className={`flex-1 px-4 py-2 rounded-lg font-medium transition ${!isBuy
+                                ? 'bg-red-500 text-white'
+                                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                }`}
+                        >
+                            Sell
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-3 gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Total Amount (USDC)
+                    </label>
+                    <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={totalUsdc}
+                        onChange={(e) => setTotalUsdc(e.target.value)}
+                        placeholder="0.00"
+                        className={inputClass}
+                        required
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Start Price
+                    </label>
+                    <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        value={startPrice}
+                        onChange={(e) => setStartPrice(e.target.value)}
+                        placeholder={midPrice ? midPrice.toString() : '0.00'}
+                        className={inputClass}
+                        required
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        End Price
+                    </label>
+                    <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        value={endPrice}
+                        onChange={(e) => setEndPrice(e.target.value)}
+                        placeholder="0.00"
+                        className={inputClass}
+                        required
+                    />
+                </div>
+            </div>
+
+            <div className="grid grid-cols-3 gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Orders
+                    </label>
+                    <input
+                        type="number"
+                        step="1"
+                        min={SCALE_MIN_ORDERS}
+                        max={SCALE_MAX_ORDERS}
+                        value={count}
+                        onChange={(e) => setCount(e.target.value)}
+                        className={inputClass}
+                        required
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Price Spacing
+                    </label>
+                    <select value={spacing} onChange={(e) => setSpacing(e.target.value)} className={inputClass}>
+                        <option value={SCALE_SPACING.LINEAR}>Linear</option>
+                        <option value={SCALE_SPACING.GEOMETRIC}>Geometric</option>
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Size Skew
+                    </label>
+                    <input
+                        type="number"
+                        step="0.1"
+                        min="0.1"
+                        value={skew}
+                        onChange={(e) => setSkew(e.target.value)}
+                        className={inputClass}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Last order size / first order size</p>
+                </div>
+            </div>
+
+            <div className="flex items-center gap-6">
+                <label className="flex items-center text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={postOnly}
+                        onChange={(e) => setPostOnly(e.target.checked)}
+                        className="w-4 h-4 mr-2 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                    />
+                    Post Only (ALO)
+                </label>
+                <label className="flex items-center text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={reduceOnly}
+                        onChange={(e) => setReduceOnly(e.target.checked)}
+                        className="w-4 h-4 mr-2 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                    />
+                    Reduce Only
+                </label>
+            </div>
+
+            {ladderError && (
+                <p className="text-sm text-orange-600">{ladderError}</p>
+            )}
+
+            {(results || ladder).length > 0 && (
+                <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="border-b border-gray-200 bg-gray-50">
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">#</th>
+                                <th className="text-right py-2 px-3 font-semibold text-gray-700">Price</th>
+                                <th className="text-right py-2 px-3 font-semibold text-gray-700">Size ({coin})</th>
+                                <th className="text-right py-2 px-3 font-semibold text-gray-700">Notional</th>
+                                {results && <th className="text-left py-2 px-3 font-semibold text-gray-700">Status</th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {(results || ladder).map((rung, index) => (
+                                <tr key={`${rung.px}-${index}`} className="border-b border-gray-100">
+                                    <td className="py-1.5 px-3 text-gray-500">{index + 1}</td>
+                                    <td className="py-1.5 px-3 text-right font-mono text-gray-900">${formatPrice(rung.px)}</td>
+                                    <td className="py-1.5 px-3 text-right font-mono text-gray-900">{rung.sz.toFixed(szDecimals)}</td>
+                                    <td className="py-1.5 px-3 text-right font-mono text-gray-700">${rung.notional.toFixed(2)}</td>
+                                    {results && (
+                                        <td className={`py-1.5 px-3 text-xs ${STATUS_STYLES[rung.fill.state]}`}>
+                                            {describeStatus(rung.fill)}
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {!results && (
+                        <p className="px-3 py-2 text-xs text-gray-500 bg-gray-50">
+                            Total ${ladder.reduce((sum, rung) => sum + rung.notional, 0).toFixed(2)} across {ladder.length} orders
+                            {crossingCount > 0 && (
+                                <span className="text-orange-600">
+                                    {' '}· {crossingCount} order{crossingCount > 1 ? 's are' : ' is'} through the current mid and will {postOnly ? 'be rejected (post only)' : 'fill immediately'}
+                                </span>
+                            )}
+                        </p>
+                    )}
+                </div>
+            )}
+
+            {results && !error && (
+                <div className="p-3 bg-green-50 border border-green-200 rounded-lg flex items-center gap-2 text-green-600">
+                    <CheckCircle className="w-5 h-5" />
+                    <span className="text-sm">All {results.length} scale orders accepted</span>
+                </div>
+            )}
+
+            {error && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2 text-red-600">
+                    <AlertCircle className="w-5 h-5" />
+                    <span className="text-sm">{error}</span>
+                </div>
+            )}
+
+            <div className="flex gap-2">
+                {results && (
+                    <button
+                        type="button"
+                        onClick={() => {
+                            setResults(null);
+                            setError(null);
+                        }}
+                        className="px-6 py-3 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition"
+                    >
+                        New Ladder
+                    </button>
+                )}
+                <button
+                    type="submit"
+                    disabled={loading || disabled || !!results || ladder.length === 0}
+                    className="flex-1 px-6 py-3 bg-primary-600 text-white rounded-lg font-medium hover:bg-primary-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {loading ? 'Placing Orders...' : `Place ${ladder.length || ''} Orders`}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default ScaleOrder;
@@ -0,0 +1,195 @@
+import { useState, useMemo, useEffect } from 'react';
+import { Receipt, RefreshCw, AlertCircle, Layers } from 'lucide-react';
+import { useWallet } from '../hooks/useWallet';
+import { useUserFills } from '../hooks/useUserFills';
+import DateRangeFilter from './DateRangeFilter';
+import { getRangeTimes, groupFillsByOrder } from '../utils/history';
+
+const FILLS_VISIBLE_STEP = 100;
+
+const formatNumber = (value, digits = 4) => parseFloat(Number(value).toFixed(digits)).toString();
+
+const formatPnl = (value) => {
+    const num = parseFloat(value);
+    if (!num) return '—';
+    return `${num > 0 ? '+' : '-'}$${Math.abs(num).toFixed(2)}`;
+};
+
+const pnlClass = (value) => {
+    const num = parseFloat(value);
+    if (num > 0) return 'text-green-600';
+    if (num < 0) return 'text-red-600';
+    return 'text-gray-500';
+};
+
+/**
+ * Trade fills of the connected user in a date range (userFillsByTime)
+ * Fills are loaded from the start of the range in pages of up to 2000; partial
+ * fills can be grouped per order with a size-weighted average price.
+ */
+const TradeFills = () => {
+    const { account } = useWallet();
+    const [rangeId, setRangeId] = useState('7d');
+    const [custom, setCustom] = useState({});
+    const [rangeAnchor, setRangeAnchor] = useState(() => Date.now());
+    const [grouped, setGrouped] = useState(false);
+    const [visibleCount, setVisibleCount] = useState(FILLS_VISIBLE_STEP);
+
+    // Anchored when the range changes or the user refreshes, so the window does not move on every render
+    const { startTime, endTime } = useMemo(() => getRangeTimes(rangeId, custom, rangeAnchor), [rangeId, custom, rangeAnchor]);
+    const { fills, error, loading, hasMore, loadMore } = useUserFills(account, startTime, endTime);
+
+    const rows = useMemo(() => (
+        grouped ? groupFillsByOrder(fills) : [...fills].sort((a, b) => b.time - a.time)
+    ), [fills, grouped]);
+
+    const totals = useMemo(() => fills.reduce((sum, fill) => ({
+        fee: sum.fee + parseFloat(fill.fee || 0),
+        closedPnl: sum.closedPnl + parseFloat(fill.closedPnl || 0)
+    }), { fee: 0, closedPnl: 0 }), [fills]);
+
+    useEffect(() => {
+        setVisibleCount(FILLS_VISIBLE_STEP);
+    }, [startTime, endTime, grouped]);
+
+    const handleRangeChange = (nextRangeId, nextCustom) => {
+        setRangeId(nextRangeId);
+        setCustom(nextCustom);
+        setRangeAnchor(Date.now());
+    };
+
+    if (!account) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <Receipt className="w-5 h-5 text-primary-600" />
+                    <h2 className="text-xl font-bold text-gray-900">Trade Fills</h2>
+                </div>
+                <div className="flex gap-2">
+                    <button
+                        onClick={() => setGrouped(g => !g)}
+                        className={`px-3 py-1.5 rounded-lg transition flex items-center gap-2 text-sm ${grouped
+                            ? 'bg-primary-600 text-white hover:bg-primary-700'
+                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                            }`}
+                        title="Combine partial fills of the same order"
+                    >
+                        <Layers className="w-4 h-4" />
+                        Group by order
+                    </button>
+                    <button
+                        onClick={() => setRangeAnchor(Date.now())}
+                        className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm"
+                    >
+                        <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                        Refresh
+                    </button>
+                </div>
+            </div>
+
+            <div className="mb-4">
+                <DateRangeFilter rangeId={rangeId} custom={custom} onChange={handleRangeChange} />
+            </div>
+
+            {fills.length > 0 && (
+                <div className="grid grid-cols-3 gap-3 mb-4 text-sm">
+                    <div className="p-3 bg-gray-50 rounded-lg">
+                        <div className="text-gray-500 text-xs">Fills loaded</div>
+                        <div className="font-mono text-gray-900">{fills.length}</div>
+                    </div>
+                    <div className="p-3 bg-gray-50 rounded-lg">
+                        <div className="text-gray-500 text-xs">Fees paid</div>
+                        <div className="font-mono text-gray-900">${totals.fee.toFixed(2)}</div>
+                    </div>
+                    <div className="p-3 bg-gray-50 rounded-lg">
+                        <div className="text-gray-500 text-xs">Closed PnL</div>
+                        <div className={`font-mono ${pnlClass(totals.closedPnl)}`}>{formatPnl(totals.closedPnl)}</div>
+                    </div>
+                </div>
+            )}
+
+            {error && fills.length === 0 ? (
+                <div className="flex items-center gap-2 text-red-600 text-sm">
+                    <AlertCircle className="w-4 h-4" />
+                    <span>{error.message || 'Failed to load fills'}</span>
+                </div>
+            ) : loading && fills.length === 0 ? (
+                <p className="text-center py-8 text-gray-500">Loading fills...</p>
+            ) : rows.length === 0 ? (
+                <p className="text-center py-8 text-gray-500">No fills in this range</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="border-b border-gray-200">
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Time</th>
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Coin</th>
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Direction</th>
+                                <th className="text-right py-2 px-3 font-semibold text-gray-700">{grouped ? 'Avg Price' : 'Price'}</th>
+                                <th className="text-right py-2 px-3 font-semibold text-gray-700">Size</th>
+                                <th className="text-right py-2 px-3 font-semibold text-gray-700">Fee</th>
+                                <th className="text-right py-2 px-3 font-semibold text-gray-700">Closed PnL</th>
+                                <th className="text-left py-2 px-3 font-semibold text-gray-700">Role</th>
+                                {grouped && <th className="text-right py-2 px-3 font-semibold text-gray-700">Fills</th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.slice(0, visibleCount).map((row) => (
+                                <tr key={grouped ? row.oid : row.tid} className="border-b border-gray-100 hover:bg-gray-50">
+                                    <td className="py-2 px-3 text-gray-500 whitespace-nowrap">{new Date(row.time).toLocaleString()}</td>
+                                    <td className="py-2 px-3 text-gray-900 font-medium">{row.coin}</td>
+                                    <td className={`py-2 px-3 whitespace-nowrap ${row.side === 'B' ? 'text-green-700' : 'text-red-700'}`}>
+                                        {row.dir || (row.side === 'B' ? 'Buy' : 'Sell')}
+                                    </td>
+                                    <td className="py-2 px-3 text-right font-mono text-gray-900">${grouped ? formatNumber(row.px, 6) : row.px}</td>
+                                    <td className="py-2 px-3 text-right font-mono text-gray-900">{grouped ? formatNumber(row.sz, 8) : row.sz}</td>
+                                    <td className="py-2 px-3 text-right font-mono text-gray-700">
+                                        {formatNumber(row.fee, 6)} {row.feeToken}
+                                    </td>
+                                    <td className={`py-2 px-3 text-right font-mono ${pnlClass(row.closedPnl)}`}>{formatPnl(row.closedPnl)}</td>
+                                    <td className="py-2 px-3">
+                                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${row.crossed ? 'bg-orange-100 text-orange-700' : 'bg-blue-100 text-blue-700'}`}>
+                                            {row.crossed ? 'Taker' : 'Maker'}
+                                        </span>
+                                    </td>
+                                    {grouped && <td className="py-2 px-3 text-right text-gray-700">{row.count}</td>}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    {rows.length > visibleCount && (
+                        <button
+                            onClick={() => setVisibleCount(count => count + FILLS_VISIBLE_STEP)}
+                            className="mt-3 w-full py-2 text-sm text-primary-600 hover:bg-gray-50 rounded"
+                        >
+                            Show more ({rows.length - visibleCount} older)
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {hasMore && (
+                <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center justify-between gap-3 text-sm text-yellow-800">
+                    <span>
+                        Loaded fills up to {new Date(fills[fills.length - 1].time).toLocaleString()}; the range has more.
+                    </span>
+                    <button
+                        onClick={loadMore}
+                        disabled={loading}
+                        className="px-3 py-1 bg-yellow-600 text-white rounded hover:bg-yellow-700 transition disabled:opacity-50 whitespace-nowrap"
+                    >
+                        {loading ? 'Loading...' : 'Load later fills'}
+                    </button>
+                </div>
+            )}
+            <p className="mt-2 text-xs text-gray-500">Hyperliquid keeps the 10000 most recent fills per account.</p>
+        </div>
+    );
+};
+
+export default TradeFills;
@@ -0,0 +1,256 @@
+import { useState } from 'react';
+import { getErrorMessage } from '../services/api';
+import { placeTwapOrder } from '../services/trading';
+import { AlertCircle, CheckCircle } from 'lucide-react';
+import { useWallet } from '../hooks/useWallet';
+import { useAllMids } from '../hooks/useAllMids';
+import { useMeta } from '../hooks/useMeta';
+import { getAgentAddress, getAgentPrivateKey } from '../utils/agent-storage';
+import { TWAP_MIN_MINUTES, TWAP_MAX_MINUTES } from '../utils/hyperliquid-signing';
+import { validateSizeLot } from '../utils/precision';
+
+// Hyperliquid sends one slice every 30 seconds
+const TWAP_SLICE_SECONDS = 30;
+
+const DURATION_PRESETS = [
+    { label: '5m', minutes: 5 },
+    { label: '30m', minutes: 30 },
+    { label: '1h', minutes: 60 },
+    { label: '4h', minutes: 240 },
+    { label: '24h', minutes: 1440 }
+];
+
+/**
+ * TWAP order form
+ * The size is split into slices executed every 30 seconds over the duration
+ * @param {string} coin - Selected coin
+ * @param {Array<string>} coins - Perpetual coins to choose from
+ * @param {Function} onCoinChange - Called with the newly selected coin
+ * @param {boolean} disabled - Block submission (e.g. agent needs re-approval)
+ */
+const TwapOrder = ({ coin, coins, onCoinChange, disabled = false }) => {
+    const { account } = useWallet();
+    const { data: mids } = useAllMids();
+    const { data: meta } = useMeta();
+    const [isBuy, setIsBuy] = useState(true);
+    const [size, setSize] = useState('');
+    const [minutes, setMinutes] = useState('30');
+    const [randomize, setRandomize] = useState(false);
+    const [reduceOnly, setReduceOnly] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const szDecimals = meta?.universe?.find(item => item.name === coin)?.szDecimals ?? 0;
+    const midPrice = parseFloat(mids?.[coin] || 0);
+    const duration = parseInt(minutes);
+    const sliceCount = duration > 0 ? (duration * 60) / TWAP_SLICE_SECONDS : 0;
+    const sizeValue = parseFloat(size);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const sizeError = validateSizeLot(size, szDecimals);
+        if (sizeError) {
+            setError(sizeError);
+            return;
+        }
+
+        if (!duration || duration < TWAP_MIN_MINUTES || duration > TWAP_MAX_MINUTES) {
+            setError(`Duration must be between ${TWAP_MIN_MINUTES} and ${TWAP_MAX_MINUTES} minutes`);
+            return;
+        }
+
+        const agentAddress = getAgentAddress(account);
+        if (agentAddress && !getAgentPrivateKey(account)) {
+            setError('Agent keystore is locked. Unlock it with your passphrase first.');
+            return;
+        }
+        if (!agentAddress) {
+            setError('No agent found. Please create an agent first before placing orders.');
+            return;
+        }
+
+        setLoading(true);
+        setError(null);
+        setSuccess(null);
+
+        try {
+            const result = await placeTwapOrder({
+                coin,
+                is_buy: isBuy,
+                sz: sizeValue,
+                minutes: duration,
+                reduce_only: reduceOnly,
+                randomize
+            }, account);
+
+            setSuccess(`TWAP ${result.twapId ?? ''} started: ${isBuy ? 'buy' : 'sell'} ${sizeValue} ${coin} over ${duration} minutes`);
+            setSize('');
+            setTimeout(() => setSuccess(null), 5000);
+        } catch (err) {
+            const errorMessage = err.userMessage || getErrorMessage(err) || 'Failed to start TWAP';
+            setError(errorMessage);
+            console.error('Error placing TWAP:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Perpetual Coin
+                    </label>
+                    <select
+                        value={coin}
+                        onChange={(e) => onCoinChange(e.target.value)}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        required
+                    >
+                        {coins.map((coinOption) => (
+                            <option key={coinOption} value={coinOption}>
+                                {coinOption} (Perp)
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Side
+                    </label>
+                    <div className="flex gap-2">
+                        <button
+                            type="button"
+                            onClick={() => setIsBuy(true)}
+                            className={`flex-1 px-4 py-2 rounded-lg font-medium transition ${isBuy
+                                ? 'bg-green-500 text-white'
+                                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                }`}
+                        >
+                            Buy
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setIsBuy(false)}
+                            className={`flex-1 px-4 py-2 rounded-lg font-medium transition ${!isBuy
+                                ? 'bg-red-500 text-white'
+                                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                }`}
+                        >
+                            Sell
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Size ({coin})
+                    </label>
+                    <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        value={size}
+                        onChange={(e) => setSize(e.target.value)}
+                        placeholder={szDecimals > 0 ? (0).toFixed(szDecimals) : '0'}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        required
+                    />
+                    {sizeValue > 0 && midPrice > 0 && (
+                        <p className="text-xs text-gray-500 mt-1">
+                            ≈ ${(sizeValue * midPrice).toFixed(2)} USDC at the current mid
+                        </p>
+                    )}
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Duration (minutes)
+                    </label>
+                    <input
+                        type="number"
+                        step="1"
+                        min={TWAP_MIN_MINUTES}
+                        max={TWAP_MAX_MINUTES}
+                        value={minutes}
+                        onChange={(e) => setMinutes(e.target.value)}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        required
+                    />
+                    <div className="mt-2 flex gap-1">
+                        {DURATION_PRESETS.map((preset) => (
+                            <button
+                                key={preset.label}
+                                type="button"
+                                onClick={() => setMinutes(preset.minutes.toString())}
+                                className={`px-2 py-1 text-xs rounded ${minutes === preset.minutes.toString()
+                                    ? 'bg-primary-600 text-white'
+                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                    }`}
+                            >
+                                {preset.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            {sliceCount > 0 && sizeValue > 0 && (
+                <p className="text-xs text-gray-500">
+                    About {sliceCount} slices of {(sizeValue / sliceCount).toFixed(szDecimals + 2)} {coin}, one every {TWAP_SLICE_SECONDS} seconds
+                </p>
+            )}
+
+            <div className="flex items-center gap-6">
+                <label className="flex items-center text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={randomize}
+                        onChange={(e) => setRandomize(e.target.checked)}
+                        className="w-4 h-4 mr-2 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                    />
+                    Randomize
+                </label>
+                <label className="flex items-center text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={reduceOnly}
+                        onChange={(e) => setReduceOnly(e.target.checked)}
+                        className="w-4 h-4 mr-2 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                    />
+                    Reduce Only
+                </label>
+            </div>
+
+            {error && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2 text-red-600">
+                    <AlertCircle className="w-5 h-5" />
+                    <span className="text-sm">{error}</span>
+                </div>
+            )}
+
+            {success && (
+                <div className="p-3 bg-green-50 border border-green-200 rounded-lg flex items-center gap-2 text-green-600">
+                    <CheckCircle className="w-5 h-5" />
+                    <span className="text-sm">{success}</span>
+                </div>
+            )}
+
+            <button
+                type="submit"
+                disabled={loading || disabled}
+                className="w-full px-6 py-3 bg-primary-600 text-white rounded-lg font-medium hover:bg-primary-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                {loading ? 'Starting TWAP...' : 'Start TWAP'}
+            </button>
+        </form>
+    );
+};
+
+export default TwapOrder;
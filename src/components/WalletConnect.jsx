@@ -1,26 +1,53 @@
+import { useState } from 'react';
 import { useWallet } from '../hooks/useWallet';
-import { formatAddress, getNetworkName } from '../utils/wallet';
-import { Wallet, LogOut, AlertCircle } from 'lucide-react';
+import HeadlessWalletConnect from './HeadlessWalletConnect';
+import { formatAddress, getNetworkName, getLastWalletId } from '../utils/wallet';
+import { Wallet, LogOut, AlertCircle, Loader } from 'lucide-react';
 
 const WalletConnect = () => {
-    const { account, chainId, isConnected, isConnecting, error, connect, disconnect, isMetaMaskInstalled } = useWallet();
+    const {
+        account,
+        chainId,
+        isConnected,
+        isConnecting,
+        error,
+        walletName,
+        wallets,
+        connect,
+        disconnect,
+        isWalletInstalled
+    } = useWallet();
+    const [connectingId, setConnectingId] = useState(null);
+    const lastWalletId = getLastWalletId();
 
-    if (!isMetaMaskInstalled) {
+    const handleConnect = async (walletId) => {
+        setConnectingId(walletId);
+        try {
+            await connect(walletId);
+        } finally {
+            setConnectingId(null);
+        }
+    };
+
+    if (!isWalletInstalled && !isConnected) {
         return (
-            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-center gap-3">
-                <AlertCircle className="w-5 h-5 text-yellow-600" />
-                <div>
-                    <p className="text-sm font-medium text-yellow-800">MetaMask not installed</p>
-                    <p className="text-xs text-yellow-600">Please install MetaMask to connect your wallet</p>
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+                <div className="flex items-center gap-3">
+                    <AlertCircle className="w-5 h-5 text-yellow-600" />
+                    <div className="text-left">
+                        <p className="text-sm font-medium text-yellow-800">No browser wallet detected</p>
+                        <p className="text-xs text-yellow-600">Install a wallet extension such as MetaMask, Rabby, Coinbase Wallet or Frame</p>
+                    </div>
+                    <a
+                        href="https://metamask.io/download/"
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="ml-auto px-4 py-2 bg-yellow-600 text-white rounded-lg text-sm font-medium hover:bg-yellow-700 transition"
+                    >
+                        Install MetaMask
+                    </a>
                 </div>
-                <a
-                    href="https://metamask.io/download/"
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="ml-auto px-4 py-2 bg-yellow-600 text-white rounded-lg text-sm font-medium hover:bg-yellow-700 transition"
-                >
-                    Install MetaMask
-                </a>
+                <HeadlessWalletConnect />
             </div>
         );
     }
@@ -35,7 +62,10 @@ const WalletConnect = () => {
                         </div>
                         <div>
                             <p className="text-sm font-medium text-gray-900">{formatAddress(account)}</p>
-                            <p className="text-xs text-gray-500">{chainId ? getNetworkName(chainId) : 'Unknown Network'}</p>
+                            <p className="text-xs text-gray-500">
+                                {chainId ? getNetworkName(chainId) : 'Unknown Network'}
+                                {walletName && ` · ${walletName}`}
+                            </p>
                         </div>
                     </div>
                     <button
@@ -59,22 +89,36 @@ const WalletConnect = () => {
         <div className="bg-white rounded-lg shadow-lg p-6 text-center">
             <Wallet className="w-12 h-12 text-gray-400 mx-auto mb-4" />
             <h3 className="text-lg font-semibold text-gray-900 mb-2">Connect Your Wallet</h3>
-            <p className="text-sm text-gray-600 mb-4">Connect your MetaMask wallet to view your trading data</p>
-            <button
-                onClick={connect}
-                disabled={isConnecting}
-                className="w-full px-6 py-3 bg-primary-600 text-white rounded-lg font-medium hover:bg-primary-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-                {isConnecting ? 'Connecting...' : 'Connect MetaMask'}
-            </button>
+            <p className="text-sm text-gray-600 mb-4">Choose a wallet to view your trading data</p>
+            <div className="space-y-2">
+                {wallets.map((wallet) => (
+                    <button
+                        key={wallet.id}
+                        onClick={() => handleConnect(wallet.id)}
+                        disabled={isConnecting}
+                        className="w-full px-4 py-3 border border-gray-200 rounded-lg font-medium text-gray-900 hover:bg-gray-50 hover:border-primary-300 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-3"
+                    >
+                        {wallet.icon ? (
+                            <img src={wallet.icon} alt="" className="w-6 h-6" />
+                        ) : (
+                            <Wallet className="w-6 h-6 text-gray-500" />
+                        )}
+                        <span className="flex-1 text-left">{wallet.name}</span>
+                        {wallet.id === lastWalletId && (
+                            <span className="px-2 py-0.5 bg-gray-100 text-gray-600 text-xs rounded">Last used</span>
+                        )}
+                        {connectingId === wallet.id && <Loader className="w-4 h-4 animate-spin" />}
+                    </button>
+                ))}
+            </div>
             {error && (
                 <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-600">
                     {error}
                 </div>
             )}
+            <HeadlessWalletConnect />
         </div>
     );
 };
 
 export default WalletConnect;
-
@@ -1,12 +1,16 @@
 import { useState, useEffect } from 'react';
 import { useWallet } from '../hooks/useWallet';
+import { useClearinghouseState } from '../hooks/useClearinghouseState';
 import { getTokenBalance } from '../utils/token-balance';
-import { getUserPerpBalance } from '../services/hyperliquid-api';
+import { toPerpBalance } from '../services/hyperliquid-api';
 import { withdrawUSDC, withdrawUSDT } from '../utils/withdrawal';
+import { getNetworkConfig, isOnNetworkChain } from '../utils/network';
 import { ArrowDownCircle, AlertCircle, CheckCircle, RefreshCw } from 'lucide-react';
 
 const Withdraw = () => {
     const { account, signer, chainId, provider } = useWallet();
+    const network = getNetworkConfig();
+    const onNetworkChain = isOnNetworkChain(chainId);
     const [amount, setAmount] = useState('');
     const [token, setToken] = useState('USDC');
     const [loading, setLoading] = useState(false);
@@ -14,8 +18,22 @@ const Withdraw = () => {
     const [success, setSuccess] = useState(false);
     const [tokenBalance, setTokenBalance] = useState(null);
     const [loadingBalance, setLoadingBalance] = useState(false);
-    const [hyperliquidBalance, setHyperliquidBalance] = useState(null);
-    const [loadingHyperliquidBalance, setLoadingHyperliquidBalance] = useState(false);
+    // Hyperliquid balance from the shared clearinghouse state
+    const {
+        data: userState,
+        error: userStateError,
+        loading: loadingHyperliquidBalance,
+        refresh: fetchHyperliquidBalance
+    } = useClearinghouseState(account);
+    let hyperliquidBalance = null;
+    if (account && userStateError) {
+        hyperliquidBalance = {
+            ...toPerpBalance(account, userState ?? null),
+            message: `Error: ${userStateError.message || 'Failed to fetch balance'}`
+        };
+    } else if (account && userState !== undefined) {
+        hyperliquidBalance = toPerpBalance(account, userState);
+    }
 
     // Fetch token balance on Arbitrum
     const fetchTokenBalance = async () => {
@@ -24,9 +42,8 @@ const Withdraw = () => {
             return;
         }
 
-        // Only fetch if on Arbitrum network
-        const isArbitrum = chainId === '42161' || chainId === 42161 || chainId === '421614' || chainId === 421614;
-        if (!isArbitrum) {
+        // Only fetch if on the selected network's Arbitrum chain
+        if (!onNetworkChain) {
             setTokenBalance(null);
             return;
         }
@@ -43,47 +60,12 @@ const Withdraw = () => {
         }
     };
 
-    // Fetch Hyperliquid balance (perp balance) directly from Hyperliquid API
-    const fetchHyperliquidBalance = async () => {
-        if (!account || !chainId) {
-            setHyperliquidBalance(null);
-            return;
-        }
-
-        setLoadingHyperliquidBalance(true);
-        try {
-            // Fetch balance directly from Hyperliquid info endpoint
-            const balance = await getUserPerpBalance(account, chainId);
-            console.log('Fetched Hyperliquid balance:', balance);
-            // Always set balance, even if it's 0 or has a message
-            setHyperliquidBalance(balance || {
-                account_address: account,
-                total_collateral: 0,
-                total_margin_used: 0,
-                message: 'Unable to fetch balance'
-            });
-        } catch (err) {
-            console.error('Error fetching Hyperliquid balance:', err);
-            // Set a default balance object so the UI still shows
-            setHyperliquidBalance({
-                account_address: account,
-                total_collateral: 0,
-                total_margin_used: 0,
-                message: `Error: ${err.message || 'Failed to fetch balance'}`
-            });
-        } finally {
-            setLoadingHyperliquidBalance(false);
-        }
-    };
-
     // Fetch balance when account, provider, chainId, or token changes
     useEffect(() => {
         fetchTokenBalance();
-        fetchHyperliquidBalance();
         if (account && provider && chainId) {
             const interval = setInterval(() => {
                 fetchTokenBalance();
-                fetchHyperliquidBalance();
             }, 10000); // Refresh every 10 seconds
             return () => clearInterval(interval);
         }
@@ -204,12 +186,12 @@ const Withdraw = () => {
             </div>
 
             {/* Token Balance Display on Arbitrum */}
-            {tokenBalance && (chainId === '42161' || chainId === 42161 || chainId === '421614' || chainId === 421614) && (
+            {tokenBalance && onNetworkChain && (
                 <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
                     <div className="flex items-center justify-between">
                         <div className="flex items-center gap-2">
                             <span className="text-sm font-medium text-blue-900">
-                                {token} Balance on Arbitrum:
+                                {token} Balance on {network.chain.chainName}:
                             </span>
                             {loadingBalance ? (
                                 <RefreshCw className="w-4 h-4 text-blue-600 animate-spin" />
@@ -242,7 +224,7 @@ const Withdraw = () => {
                         className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                     >
                         <option value="USDC">USDC</option>
-                        <option value="USDT">USDT</option>
+                        {network.usdtAddress && <option value="USDT">USDT</option>}
                     </select>
                 </div>
 
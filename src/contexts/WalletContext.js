@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Kept apart from WalletProvider so the provider module only exports components (Fast Refresh)
+export const WalletContext = createContext(null);
@@ -0,0 +1,229 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import {
+    connectWallet,
+    getCurrentAccount,
+    onAccountsChanged,
+    onChainChanged,
+    startWalletDiscovery,
+    getDiscoveredWallets,
+    onWalletsDiscovered
+} from '../utils/wallet';
+import {
+    getHeadlessSigner,
+    getHeadlessChainId,
+    unlockHeadlessWallet,
+    lockHeadlessWallet,
+    onHeadlessWalletChange
+} from '../utils/headless-wallet';
+import { WalletContext } from './WalletContext';
+
+/**
+ * Single owner of the wallet connection
+ * Holds provider, signer, account and chainId for the whole app and subscribes
+ * once to the selected wallet's accountsChanged/chainChanged events; components
+ * read it through useWallet()
+ */
+export const WalletProvider = ({ children }) => {
+    const [account, setAccount] = useState(null);
+    const [signer, setSigner] = useState(null);
+    const [provider, setProvider] = useState(null);
+    const [chainId, setChainId] = useState(null);
+    const [isConnecting, setIsConnecting] = useState(false);
+    const [error, setError] = useState(null);
+    const [walletType, setWalletType] = useState(null); // 'injected' | 'headless'
+    const [wallets, setWallets] = useState([]);
+    const [selectedWallet, setSelectedWallet] = useState(null);
+    const walletTypeRef = useRef(null);
+    walletTypeRef.current = walletType;
+
+    // Discover EIP-6963 wallets (Rabby, Coinbase Wallet, Frame, MetaMask...)
+    useEffect(() => {
+        const cleanup = onWalletsDiscovered(setWallets);
+        startWalletDiscovery();
+        setWallets(getDiscoveredWallets());
+        return cleanup;
+    }, []);
+
+    // An unlocked headless signer takes precedence over a browser wallet
+    const applyHeadlessWallet = useCallback(() => {
+        const headlessSigner = getHeadlessSigner();
+        if (!headlessSigner) {
+            return false;
+        }
+        setAccount(headlessSigner.address);
+        setSigner(headlessSigner);
+        setProvider(headlessSigner.provider);
+        setChainId(getHeadlessChainId());
+        setWalletType('headless');
+        return true;
+    }, []);
+
+    // Follow headless wallet unlock/lock
+    useEffect(() => {
+        const cleanup = onHeadlessWalletChange(() => {
+            if (applyHeadlessWallet() || walletTypeRef.current !== 'headless') {
+                return;
+            }
+            setAccount(null);
+            setSigner(null);
+            setProvider(null);
+            setChainId(null);
+            setWalletType(null);
+        });
+        return cleanup;
+    }, [applyHeadlessWallet]);
+
+    // Check for existing connection on mount
+    useEffect(() => {
+        const checkConnection = async () => {
+            if (applyHeadlessWallet()) {
+                return;
+            }
+            try {
+                const wallet = await getCurrentAccount();
+                if (wallet) {
+                    setAccount(wallet.address);
+                    setSigner(wallet.signer);
+                    setProvider(wallet.provider);
+                    const network = await wallet.provider.getNetwork();
+                    setChainId(network.chainId.toString());
+                    setSelectedWallet(wallet.wallet);
+                    setWalletType('injected');
+                }
+            } catch (err) {
+                console.error('Error checking wallet connection:', err);
+            }
+        };
+
+        checkConnection();
+    }, [applyHeadlessWallet]);
+
+    // Listen for account changes
+    useEffect(() => {
+        const handleAccountsChanged = async (accounts) => {
+            // Browser wallet events don't apply while signing with a headless wallet
+            if (getHeadlessSigner()) {
+                return;
+            }
+
+            if (accounts.length === 0) {
+                setAccount(null);
+                setSigner(null);
+                setProvider(null);
+                setChainId(null);
+                setWalletType(null);
+            } else {
+                try {
+                    const wallet = await getCurrentAccount();
+                    if (wallet) {
+                        setAccount(wallet.address);
+                        setSigner(wallet.signer);
+                        setProvider(wallet.provider);
+                        const network = await wallet.provider.getNetwork();
+                        setChainId(network.chainId.toString());
+                        setSelectedWallet(wallet.wallet);
+                        setWalletType('injected');
+                    }
+                } catch (err) {
+                    console.error('Error handling account change:', err);
+                }
+            }
+        };
+
+        const cleanupAccounts = onAccountsChanged(handleAccountsChanged, selectedWallet?.provider);
+        return cleanupAccounts;
+    }, [selectedWallet]);
+
+    // Listen for chain changes
+    useEffect(() => {
+        const handleChainChanged = async (chainIdHex) => {
+            if (getHeadlessSigner()) {
+                return;
+            }
+            const newChainId = parseInt(chainIdHex, 16).toString();
+            setChainId(newChainId);
+            // Reload page on chain change (EIP-1193 recommendation)
+            window.location.reload();
+        };
+
+        const cleanupChain = onChainChanged(handleChainChanged, selectedWallet?.provider);
+        return cleanupChain;
+    }, [selectedWallet]);
+
+    // Connect a discovered wallet (defaults to the last used or only wallet)
+    const connect = useCallback(async (walletId = null) => {
+        if (getDiscoveredWallets().length === 0) {
+            setError('No browser wallet found. Please install a wallet extension to continue.');
+            return;
+        }
+
+        setIsConnecting(true);
+        setError(null);
+
+        try {
+            const wallet = await connectWallet(walletId);
+            setAccount(wallet.address);
+            setSigner(wallet.signer);
+            setProvider(wallet.provider);
+            setChainId(wallet.network);
+            setSelectedWallet(wallet.wallet);
+            setWalletType('injected');
+        } catch (err) {
+            setError(err.message || 'Failed to connect wallet');
+            console.error('Wallet connection error:', err);
+        } finally {
+            setIsConnecting(false);
+        }
+    }, []);
+
+    // Unlock the imported keyfile wallet; state is applied by the change listener
+    const connectHeadless = useCallback(async (password) => {
+        setIsConnecting(true);
+        setError(null);
+
+        try {
+            await unlockHeadlessWallet(password);
+        } catch (err) {
+            setError(err.message || 'Failed to unlock keyfile wallet');
+            throw err;
+        } finally {
+            setIsConnecting(false);
+        }
+    }, []);
+
+    const disconnect = useCallback(() => {
+        if (walletTypeRef.current === 'headless') {
+            lockHeadlessWallet();
+        }
+        setAccount(null);
+        setSigner(null);
+        setProvider(null);
+        setChainId(null);
+        setWalletType(null);
+        setError(null);
+    }, []);
+
+    const value = useMemo(() => ({
+        account,
+        signer,
+        provider,
+        chainId,
+        isConnected: !!account,
+        isConnecting,
+        error,
+        walletType,
+        walletName: walletType === 'headless' ? 'Keyfile' : selectedWallet?.name || null,
+        wallets,
+        connect,
+        connectHeadless,
+        disconnect,
+        isWalletInstalled: wallets.length > 0
+    }), [account, signer, provider, chainId, isConnecting, error, walletType, selectedWallet, wallets, connect, connectHeadless, disconnect]);
+
+    return (
+        <WalletContext.Provider value={value}>
+            {children}
+        </WalletContext.Provider>
+    );
+};
+
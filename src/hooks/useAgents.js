@@ -0,0 +1,71 @@
+import { useState, useEffect, useCallback } from 'react';
+import { listAgents, getAgent, onAgentsChange } from '../utils/agent-storage';
+import { onKeystoreChange } from '../utils/agent-keystore';
+import { reconcileAgents, getReconciliation, onReconciliationChange } from '../utils/agent-reconcile';
+
+// Attach the last reconciled on-chain status (null until verified)
+const withStatus = (agent, reconciliation) => {
+    if (!agent) return null;
+    return {
+        ...agent,
+        status: reconciliation?.statuses[agent.agent_address.toLowerCase()] || null
+    };
+};
+
+/**
+ * Subscribe to the agent registry for a user on the current network
+ * Agents are reconciled against Hyperliquid when the wallet connects and
+ * whenever the registry changes
+ * @param {string} account - User's MetaMask address
+ */
+export const useAgents = (account) => {
+    const [agents, setAgents] = useState([]);
+    const [activeAgent, setActive] = useState(null);
+    const [untrackedAgents, setUntrackedAgents] = useState([]);
+
+    const refresh = useCallback(() => {
+        if (!account) {
+            setAgents([]);
+            setActive(null);
+            setUntrackedAgents([]);
+            return;
+        }
+        const reconciliation = getReconciliation(account);
+        setAgents(listAgents(account).map(agent => withStatus(agent, reconciliation)));
+        setActive(withStatus(getAgent(account), reconciliation));
+        setUntrackedAgents(reconciliation?.untrackedAgents || []);
+    }, [account]);
+
+    const reconcile = useCallback(async (force = true) => {
+        if (!account) return;
+        await reconcileAgents(account, force);
+    }, [account]);
+
+    useEffect(() => {
+        refresh();
+        const cleanupAgents = onAgentsChange(() => {
+            refresh();
+            reconcile(true);
+        });
+        const cleanupKeystore = onKeystoreChange(refresh);
+        const cleanupReconciliation = onReconciliationChange(refresh);
+        return () => {
+            cleanupAgents();
+            cleanupKeystore();
+            cleanupReconciliation();
+        };
+    }, [refresh, reconcile]);
+
+    // Reconcile on wallet connect and on account or network switch
+    useEffect(() => {
+        reconcile(false);
+    }, [reconcile]);
+
+    return {
+        agents,
+        activeAgent,
+        untrackedAgents,
+        refresh,
+        reconcile
+    };
+};
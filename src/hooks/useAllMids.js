@@ -0,0 +1,7 @@
+import { useInfoQuery } from './useInfoQuery';
+
+/**
+ * Shared mid prices for all coins
+ * @returns {Object} data (coin -> mid price string), error, loading, refresh
+ */
+export const useAllMids = () => useInfoQuery({ type: 'allMids' });
@@ -0,0 +1,83 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getCandleSnapshot, CANDLE_INTERVALS } from '../services/hyperliquid-api';
+import { subscribe, getWsStatus, onWsStatusChange, WS_STATUS } from '../services/hyperliquid-ws';
+
+const CANDLE_COUNT = 120;
+
+// Replace the candle with the same open time, or append a newer one
+const mergeCandle = (candles, candle) => {
+    const last = candles[candles.length - 1];
+    if (last && last.t === candle.t) {
+        return [...candles.slice(0, -1), candle];
+    }
+    if (!last || candle.t > last.t) {
+        return [...candles, candle].slice(-CANDLE_COUNT);
+    }
+    return candles;
+};
+
+/**
+ * Recent candles for a coin, kept current by the candle WebSocket feed
+ * The snapshot is reloaded after a reconnect to fill any gap
+ * @param {string} coin - Coin name
+ * @param {string} interval - Candle interval (see CANDLE_INTERVALS)
+ * @returns {Object} candles (oldest first), error, loading, reload
+ */
+export const useCandles = (coin, interval) => {
+    const [candles, setCandles] = useState([]);
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(!!coin);
+    const currentKey = useRef(null);
+
+    const reload = useCallback(async () => {
+        const key = `${coin}:${interval}`;
+        if (!coin || !CANDLE_INTERVALS[interval]) {
+            setCandles([]);
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const now = Date.now();
+            const snapshot = await getCandleSnapshot(coin, interval, now - CANDLE_INTERVALS[interval] * CANDLE_COUNT, now);
+            if (currentKey.current !== key) return; // coin or interval changed meanwhile
+            // Keep live candles that arrived while the snapshot was loading
+            setCandles(current => current.reduce(mergeCandle, snapshot.slice(-CANDLE_COUNT)));
+            setError(null);
+        } catch (err) {
+            console.error(`Error fetching ${interval} candles for ${coin}:`, err);
+            if (currentKey.current === key) setError(err);
+        } finally {
+            if (currentKey.current === key) setLoading(false);
+        }
+    }, [coin, interval]);
+
+    useEffect(() => {
+        currentKey.current = `${coin}:${interval}`;
+        setCandles([]);
+        reload();
+
+        if (!coin || !CANDLE_INTERVALS[interval]) {
+            return undefined;
+        }
+
+        const unsubscribe = subscribe({ type: 'candle', coin, interval }, (candle) => {
+            setCandles(current => mergeCandle(current, candle));
+        });
+
+        // Only a reconnect needs a reload; the first connect follows the snapshot above
+        let hasConnected = getWsStatus() === WS_STATUS.OPEN;
+        const stopStatus = onWsStatusChange((status) => {
+            if (status !== WS_STATUS.OPEN) return;
+            if (hasConnected) reload();
+            hasConnected = true;
+        });
+
+        return () => {
+            unsubscribe();
+            stopStatus();
+        };
+    }, [coin, interval, reload]);
+
+    return { candles, error, loading, reload };
+};
@@ -0,0 +1,16 @@
+import { useInfoQuery } from './useInfoQuery';
+
+/**
+ * Shared clearinghouse state (balances, margin, positions) for a user
+ * A 404 (account not on Hyperliquid yet) is reported as data: null
+ * @param {string} account - User's wallet address
+ * @returns {Object} data, error, loading, refresh
+ */
+export const useClearinghouseState = (account) => {
+    const query = useInfoQuery(account ? { type: 'clearinghouseState', user: account } : null);
+
+    if (query.error?.status === 404) {
+        return { ...query, data: null, error: null, loading: false };
+    }
+    return query;
+};
@@ -0,0 +1,66 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getNetworkConfig } from '../utils/network';
+import { getAgentPrivateKey, onAgentsChange } from '../utils/agent-storage';
+import {
+    getDeadMansSwitchState,
+    onDeadMansSwitchChange,
+    enableDeadMansSwitch,
+    disableDeadMansSwitch,
+    isDeadMansSwitchSaved
+} from '../utils/dead-mans-switch';
+
+/**
+ * Follow the dead man's switch for an account, with a ticking countdown
+ * A switch left on before a reload is resumed once the agent keystore is unlocked
+ * and the account's agent key is available
+ * @param {string} account - User's wallet address
+ * @returns {Object} enabled, deadline, remainingMs, renewing, error, lockedDeadline
+ *   (scheduled cancel left behind when the keystore locked the switch off), enable, disable
+ */
+export const useDeadMansSwitch = (account) => {
+    const [switchState, setSwitchState] = useState(getDeadMansSwitchState);
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        setSwitchState(getDeadMansSwitchState());
+        return onDeadMansSwitchChange(setSwitchState);
+    }, []);
+
+    useEffect(() => {
+        if (!account) return undefined;
+
+        // The keystore is locked after a reload and renewals cannot be signed until
+        // the agent key is decrypted, so wait for that instead of failing and
+        // forgetting the switch
+        const resume = () => {
+            if (getAgentPrivateKey(account) && isDeadMansSwitchSaved(account) && !getDeadMansSwitchState().enabled) {
+                // Errors show up in the switch state; a failed resume is not remembered
+                enableDeadMansSwitch(account).catch(() => { });
+            }
+        };
+        resume();
+        return onAgentsChange(resume);
+    }, [account]);
+
+    const ownState = switchState.user === account && switchState.network === getNetworkConfig().key;
+    const enabled = switchState.enabled && ownState;
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [enabled]);
+
+    const enable = useCallback(() => enableDeadMansSwitch(account), [account]);
+
+    return {
+        enabled,
+        deadline: enabled ? switchState.deadline : null,
+        remainingMs: enabled && switchState.deadline ? Math.max(0, switchState.deadline - now) : null,
+        renewing: enabled && switchState.renewing,
+        error: ownState ? switchState.error : null,
+        lockedDeadline: ownState ? switchState.lockedDeadline : null,
+        enable,
+        disable: disableDeadMansSwitch
+    };
+};
@@ -0,0 +1,14 @@
+import { getUserFillsHistory } from '../services/hyperliquid-api';
+import { useTimeWindow } from './useTimeWindow';
+
+/**
+ * Fills of a user in a time window, all pages loaded (userFillsByTime)
+ * @param {string} account - User's wallet address
+ * @param {number} startTime - Window start (ms)
+ * @param {number} endTime - Window end (ms)
+ * @returns {Object} fills (oldest first), truncatedAt, error, loading, reload as from useTimeWindow
+ */
+export const useFillsHistory = (account, startTime, endTime) => {
+    const { entries, ...query } = useTimeWindow(getUserFillsHistory, account, startTime, endTime);
+    return { fills: entries, ...query };
+};
@@ -0,0 +1,18 @@
+import { useState, useEffect } from 'react';
+import { getNextFundingTime } from '../utils/funding';
+
+/**
+ * Time left until the next hourly funding payment, ticking every second
+ * @returns {Object} nextFundingTime (ms), remainingMs
+ */
+export const useFundingCountdown = () => {
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const nextFundingTime = getNextFundingTime(now);
+    return { nextFundingTime, remainingMs: nextFundingTime - now };
+};
@@ -0,0 +1,25 @@
+import { useMemo } from 'react';
+import { useInfoQuery } from './useInfoQuery';
+import { toFundingRates } from '../utils/funding';
+
+/**
+ * Current and predicted hourly funding rates of all perps
+ * Shared by the market list and positions (metaAndAssetCtxs, predictedFundings)
+ * @returns {Object} rates (coin -> {current, predicted, nextFundingTime, premium, markPx}), error, loading, refresh
+ */
+export const useFundingRates = () => {
+    const ctxQuery = useInfoQuery({ type: 'metaAndAssetCtxs' });
+    const predictedQuery = useInfoQuery({ type: 'predictedFundings' });
+
+    const rates = useMemo(
+        () => toFundingRates(ctxQuery.data, predictedQuery.data),
+        [ctxQuery.data, predictedQuery.data]
+    );
+
+    return {
+        rates,
+        error: ctxQuery.error,
+        loading: ctxQuery.loading,
+        refresh: () => Promise.all([ctxQuery.refresh(), predictedQuery.refresh()])
+    };
+};
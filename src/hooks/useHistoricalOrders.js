@@ -0,0 +1,19 @@
+import { useInfoQuery } from './useInfoQuery';
+
+// Stable while loading, so components can depend on the array
+const NO_ORDERS = [];
+
+/**
+ * Recent orders of a user in any state (historicalOrders)
+ * Entries carry {order: {coin, side, limitPx, sz, origSz, oid, cloid, orderType,
+ * reduceOnly, timestamp, ...}, status, statusTimestamp}; at most the 2000 most recent
+ * @param {string} account - User's wallet address
+ * @returns {Object} data (array, newest first), error, loading, refresh
+ */
+export const useHistoricalOrders = (account) => {
+    const query = useInfoQuery(account ? { type: 'historicalOrders', user: account } : null);
+    return {
+        ...query,
+        data: Array.isArray(query.data) ? query.data : NO_ORDERS
+    };
+};
@@ -0,0 +1,43 @@
+import { useState, useEffect, useCallback } from 'react';
+import { infoRequest, peekInfo, subscribeInfo } from '../services/hyperliquid-api';
+
+/**
+ * Subscribe to a Hyperliquid info query through the shared info client
+ * Components using the same query share one request and one refresh interval
+ * @param {Object|null} body - Info request body, or null to skip
+ * @returns {Object} data (undefined until loaded), error, loading, refresh
+ */
+export const useInfoQuery = (body) => {
+    const queryKey = body ? JSON.stringify(body) : null;
+    const [state, setState] = useState(() => ({
+        data: body ? peekInfo(body) : undefined,
+        error: null
+    }));
+
+    useEffect(() => {
+        if (!queryKey) {
+            setState({ data: undefined, error: null });
+            return undefined;
+        }
+
+        const query = JSON.parse(queryKey);
+        setState({ data: peekInfo(query), error: null });
+
+        return subscribeInfo(query, (data, error) => {
+            setState(error ? prev => ({ ...prev, error }) : { data, error: null });
+        });
+    }, [queryKey]);
+
+    const refresh = useCallback(() => {
+        if (!queryKey) return Promise.resolve();
+        // Errors reach the component through the subscription
+        return infoRequest(JSON.parse(queryKey), { force: true }).catch(() => { });
+    }, [queryKey]);
+
+    return {
+        data: state.data,
+        error: state.error,
+        loading: !!queryKey && state.data === undefined && !state.error,
+        refresh
+    };
+};
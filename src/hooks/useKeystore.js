@@ -0,0 +1,44 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+    isKeystoreInitialized,
+    isKeystoreUnlocked,
+    lockKeystore,
+    onKeystoreChange
+} from '../utils/agent-keystore';
+import { hasPlaintextAgent, unlockAgents, onAgentsChange } from '../utils/agent-storage';
+
+const readState = () => ({
+    isInitialized: isKeystoreInitialized(),
+    isUnlocked: isKeystoreUnlocked(),
+    needsMigration: hasPlaintextAgent()
+});
+
+export const useKeystore = () => {
+    const [state, setState] = useState(readState);
+
+    useEffect(() => {
+        const update = () => setState(readState());
+        const cleanupKeystore = onKeystoreChange(update);
+        // Registry writes (legacy migration, agent removal) can change needsMigration
+        const cleanupAgents = onAgentsChange(update);
+        return () => {
+            cleanupKeystore();
+            cleanupAgents();
+        };
+    }, []);
+
+    const unlock = useCallback(async (passphrase) => {
+        await unlockAgents(passphrase);
+        setState(readState());
+    }, []);
+
+    const lock = useCallback(() => {
+        lockKeystore();
+    }, []);
+
+    return {
+        ...state,
+        unlock,
+        lock
+    };
+};
@@ -0,0 +1,13 @@
+import { useInfoQuery } from './useInfoQuery';
+import { getL2BookRequest } from '../services/hyperliquid-api';
+
+/**
+ * Live order book for a coin (l2Book WebSocket feed, polled as fallback)
+ * Only the full-precision book is streamed; a grouped book is polled
+ * @param {string} coin - Coin name
+ * @param {number|null} nSigFigs - Price grouping, or null for full precision
+ * @returns {Object} data ({coin, time, levels: [bids, asks]}), error, loading, refresh
+ */
+export const useL2Book = (coin, nSigFigs = null) => {
+    return useInfoQuery(coin ? getL2BookRequest(coin, nSigFigs) : null);
+};
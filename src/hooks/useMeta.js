@@ -0,0 +1,7 @@
+import { useInfoQuery } from './useInfoQuery';
+
+/**
+ * Shared perpetuals metadata
+ * @returns {Object} data ({universe}), error, loading, refresh
+ */
+export const useMeta = () => useInfoQuery({ type: 'meta' });
@@ -0,0 +1,16 @@
+import { useInfoQuery } from './useInfoQuery';
+
+/**
+ * Shared open orders for a user (kept live by the webData2 feed)
+ * Uses frontendOpenOrders so trigger orders come with orderType, triggerPx,
+ * triggerCondition and isPositionTpsl
+ * @param {string} account - User's wallet address
+ * @returns {Object} data (array of orders), error, loading, refresh
+ */
+export const useOpenOrders = (account) => {
+    const query = useInfoQuery(account ? { type: 'frontendOpenOrders', user: account } : null);
+    return {
+        ...query,
+        data: Array.isArray(query.data) ? query.data : []
+    };
+};
@@ -0,0 +1,15 @@
+import { useInfoQuery } from './useInfoQuery';
+
+/**
+ * Account value and PnL histories of a user per period (portfolio)
+ * See getPortfolioPeriod in utils/portfolio for reading one period
+ * @param {string} account - User's wallet address
+ * @returns {Object} data (array of [period, data] pairs), error, loading, refresh
+ */
+export const usePortfolio = (account) => {
+    const query = useInfoQuery(account ? { type: 'portfolio', user: account } : null);
+    return {
+        ...query,
+        data: Array.isArray(query.data) ? query.data : []
+    };
+};
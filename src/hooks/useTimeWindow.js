@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Entries of a user in a time window, all pages loaded
+ * @param {Function} fetcher - (account, startTime, endTime) => Promise<{entries, truncatedAt}>,
+ *   e.g. getUserFundingHistory; must be a stable reference
+ * @param {string} account - User's wallet address
+ * @param {number} startTime - Window start (ms)
+ * @param {number} endTime - Window end (ms)
+ * @returns {Object} entries (oldest first), truncatedAt (time entries may be missing from,
+ *   null when the whole window loaded), error, loading, reload
+ */
+export const useTimeWindow = (fetcher, account, startTime, endTime) => {
+    const [entries, setEntries] = useState([]);
+    const [truncatedAt, setTruncatedAt] = useState(null);
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const currentKey = useRef(null);
+
+    const reload = useCallback(async () => {
+        const key = `${account}:${startTime}:${endTime}`;
+        if (!account) {
+            setEntries([]);
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const history = await fetcher(account, startTime, endTime);
+            if (currentKey.current !== key) return; // window changed meanwhile
+            setEntries(history.entries);
+            setTruncatedAt(history.truncatedAt);
+            setError(null);
+        } catch (err) {
+            console.error('Error fetching time window:', err);
+            if (currentKey.current === key) setError(err);
+        } finally {
+            if (currentKey.current === key) setLoading(false);
+        }
+    }, [fetcher, account, startTime, endTime]);
+
+    useEffect(() => {
+        currentKey.current = `${account}:${startTime}:${endTime}`;
+        setEntries([]);
+        setTruncatedAt(null);
+        setError(null);
+        reload();
+    }, [account, startTime, endTime, reload]);
+
+    return { entries, truncatedAt, error, loading, reload };
+};
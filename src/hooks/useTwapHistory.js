@@ -0,0 +1,16 @@
+import { useInfoQuery } from './useInfoQuery';
+
+/**
+ * TWAP orders of a user with their state and status (twapHistory)
+ * Entries carry {time, state: {coin, side, sz, executedSz, executedNtl, minutes,
+ * reduceOnly, randomize, timestamp}, status: {status}, twapId}
+ * @param {string} account - User's wallet address
+ * @returns {Object} data (array, oldest first), error, loading, refresh
+ */
+export const useTwapHistory = (account) => {
+    const query = useInfoQuery(account ? { type: 'twapHistory', user: account } : null);
+    return {
+        ...query,
+        data: Array.isArray(query.data) ? query.data : []
+    };
+};
@@ -0,0 +1,14 @@
+import { useInfoQuery } from './useInfoQuery';
+
+/**
+ * Fills of a user's TWAP slices (userTwapSliceFills)
+ * @param {string} account - User's wallet address
+ * @returns {Object} data (array of {fill, twapId}), error, loading, refresh
+ */
+export const useTwapSliceFills = (account) => {
+    const query = useInfoQuery(account ? { type: 'userTwapSliceFills', user: account } : null);
+    return {
+        ...query,
+        data: Array.isArray(query.data) ? query.data : []
+    };
+};
@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getUserFillsByTime, FILLS_PAGE_LIMIT } from '../services/hyperliquid-api';
+
+// Merge a page into the loaded fills, dropping fills already seen (pages overlap by one ms)
+const mergeFills = (fills, page) => {
+    const seen = new Set(fills.map(fill => fill.tid));
+    return [...fills, ...page.filter(fill => !seen.has(fill.tid))];
+};
+
+/**
+ * Fills of a user in a time window, loaded page by page (userFillsByTime)
+ * Each page holds up to FILLS_PAGE_LIMIT fills from the start of the window;
+ * loadMore continues from the last loaded fill.
+ * @param {string} account - User's wallet address
+ * @param {number} startTime - Window start (ms)
+ * @param {number} endTime - Window end (ms)
+ * @returns {Object} fills (oldest first), error, loading, hasMore, loadMore, reload
+ */
+export const useUserFills = (account, startTime, endTime) => {
+    const [fills, setFills] = useState([]);
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [nextStart, setNextStart] = useState(null); // null once the window is exhausted
+    const currentKey = useRef(null);
+
+    const loadPage = useCallback(async (pageStart, replace) => {
+        const key = `${account}:${startTime}:${endTime}`;
+        setLoading(true);
+        try {
+            const page = await getUserFillsByTime(account, pageStart, endTime);
+            if (currentKey.current !== key) return; // window changed meanwhile
+            setFills(current => replace ? page : mergeFills(current, page));
+
+            // A full page may have more fills behind it; restart at the last fill's time
+            const lastTime = page.length > 0 ? page[page.length - 1].time : null;
+            setNextStart(page.length >= FILLS_PAGE_LIMIT
+                ? (lastTime > pageStart ? lastTime : pageStart + 1)
+                : null);
+            setError(null);
+        } catch (err) {
+            console.error('Error fetching fills:', err);
+            if (currentKey.current === key) setError(err);
+        } finally {
+            if (currentKey.current === key) setLoading(false);
+        }
+    }, [account, startTime, endTime]);
+
+    const reload = useCallback(() => {
+        if (!account) return Promise.resolve();
+        return loadPage(startTime, true);
+    }, [account, startTime, loadPage]);
+
+    const loadMore = useCallback(() => {
+        if (!account || nextStart === null || loading) return Promise.resolve();
+        return loadPage(nextStart, false);
+    }, [account, nextStart, loading, loadPage]);
+
+    useEffect(() => {
+        currentKey.current = `${account}:${startTime}:${endTime}`;
+        setFills([]);
+        setNextStart(null);
+        setError(null);
+        reload();
+    }, [account, startTime, endTime, reload]);
+
+    return { fills, error, loading, hasMore: nextStart !== null, loadMore, reload };
+};
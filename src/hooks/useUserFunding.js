@@ -0,0 +1,13 @@
+import { getUserFundingHistory } from '../services/hyperliquid-api';
+import { useTimeWindow } from './useTimeWindow';
+
+/**
+ * Funding payments of a user in a time window, all pages loaded (userFunding)
+ * @param {string} account - User's wallet address
+ * @param {number} startTime - Window start (ms)
+ * @param {number} endTime - Window end (ms)
+ * @returns {Object} entries (oldest first), truncatedAt, error, loading, reload as from useTimeWindow
+ */
+export const useUserFunding = (account, startTime, endTime) => {
+    return useTimeWindow(getUserFundingHistory, account, startTime, endTime);
+};
@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { getWsStatus, onWsStatusChange } from '../services/hyperliquid-ws';
+
+/**
+ * Follow the WebSocket connection status
+ * @returns {string} One of WS_STATUS
+ */
+export const useWsStatus = () => {
+    const [status, setStatus] = useState(getWsStatus);
+
+    useEffect(() => {
+        setStatus(getWsStatus());
+        return onWsStatusChange(setStatus);
+    }, []);
+
+    return status;
+};
@@ -0,0 +1,29 @@
+import { useState, useEffect, useRef } from 'react';
+import { subscribe } from '../services/hyperliquid-ws';
+
+/**
+ * Subscribe to a Hyperliquid WebSocket feed for the lifetime of the component
+ * @param {Object|null} subscription - e.g. {type: 'trades', coin: 'BTC'}, or null to skip
+ * @param {Function} onMessage - Optional callback for every message
+ * @returns {any} Latest message data (undefined until the first message)
+ */
+export const useWsSubscription = (subscription, onMessage = null) => {
+    const subscriptionKey = subscription ? JSON.stringify(subscription) : null;
+    const [data, setData] = useState(undefined);
+    const onMessageRef = useRef(onMessage);
+    onMessageRef.current = onMessage;
+
+    useEffect(() => {
+        setData(undefined);
+        if (!subscriptionKey) {
+            return undefined;
+        }
+
+        return subscribe(JSON.parse(subscriptionKey), (message) => {
+            setData(message);
+            onMessageRef.current?.(message);
+        });
+    }, [subscriptionKey]);
+
+    return data;
+};
@@ -1,11 +1,14 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { WalletProvider } from './contexts/WalletProvider.jsx'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
-        <App />
+        <WalletProvider>
+            <App />
+        </WalletProvider>
     </React.StrictMode>,
 )
 
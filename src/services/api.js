@@ -2,6 +2,19 @@ import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'https://hyperliquid-demo.velvetdao.xyz';
 
+// Agent signing mode: 'browser' (default) signs with the agent key locally,
+// 'backend' opts in to the legacy flow that sends the agent key to the backend
+const AGENT_SIGNING_MODE = import.meta.env.VITE_AGENT_SIGNING_MODE || 'browser';
+
+export const isBackendSigningEnabled = () => AGENT_SIGNING_MODE === 'backend';
+
+// Guard for endpoints that receive agent_private_key
+const assertBackendSigning = (endpoint) => {
+    if (!isBackendSigningEnabled()) {
+        throw new Error(`Backend signing is disabled; refusing to send the agent key to ${endpoint}. Set VITE_AGENT_SIGNING_MODE=backend to opt in.`);
+    }
+};
+
 const api = axios.create({
     baseURL: API_BASE_URL,
     headers: {
@@ -116,6 +129,8 @@ export const getOpenOrders = async (userAddress) => {
 };
 
 export const placeOrder = async (orderData, agentAddress, agentPrivateKey) => {
+    assertBackendSigning('/orders/place');
+
     // Log what we're sending to backend
     console.log('='.repeat(60));
     console.log('SENDING TO BACKEND /orders/place:');
@@ -190,6 +205,10 @@ export const withdraw = async (amount, token = 'USDC') => {
 };
 
 export const deposit = async (amount, token = 'USDC', agentAddress = null, agentPrivateKey = null) => {
+    if (agentPrivateKey) {
+        assertBackendSigning('/account/deposit');
+    }
+
     const response = await api.post('/account/deposit', {
         amount,
         token,
@@ -218,6 +237,8 @@ export const getUserAgents = async (userAddress) => {
 };
 
 export const closePosition = async (coin, agentAddress, agentPrivateKey, userAddress = null, sz = null, px = null, slippage = 0.01) => {
+    assertBackendSigning('/positions/close');
+
     // Log request parameters
     console.log('='.repeat(60));
     console.log('API CALL - closePosition:');
@@ -253,6 +274,8 @@ export const closePosition = async (coin, agentAddress, agentPrivateKey, userAdd
 
 // Set leverage for a coin
 export const setLeverage = async (coin, leverage, isCross, agentAddress, agentPrivateKey) => {
+    assertBackendSigning('/account/set-leverage');
+
     // Log what we're sending to backend
     console.log('='.repeat(60));
     console.log('SENDING TO BACKEND /account/set-leverage:');
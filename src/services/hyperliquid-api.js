@@ -3,201 +3,441 @@
  * Calls Hyperliquid endpoints directly without going through our backend
  */
 
+import { getNetworkConfig } from '../utils/network';
+import { subscribe as subscribeWs } from './hyperliquid-ws';
+
 /**
- * Get Hyperliquid API base URL based on chain ID
- * @param {string|number} chainId - Chain ID from MetaMask
+ * Get Hyperliquid API base URL for the selected network
  * @returns {string} Hyperliquid API base URL
  */
-const getHyperliquidBaseUrl = (chainId) => {
-    // Arbitrum One (42161) and Ethereum Mainnet (1) use mainnet
-    // Arbitrum Sepolia (421614) uses testnet
-    const isMainnet = chainId === '1' || chainId === 1 ||
-        chainId === '42161' || chainId === 42161;
+const getHyperliquidBaseUrl = () => getNetworkConfig().apiUrl;
+
+/**
+ * Shared info client
+ *
+ * Every /info query goes through infoRequest, which keeps one in-flight
+ * request per query (concurrent callers share it) and caches the response for
+ * a per-query TTL. Components subscribe with subscribeInfo (or the
+ * useClearinghouseState/useAllMids/useMeta hooks) instead of running their own
+ * intervals; a subscribed query is polled once for all of its subscribers.
+ * Queries with a WebSocket feed are kept current by the feed, and polling
+ * only kicks in while the feed is silent.
+ */
+
+// How long a cached response is served before refetching (ms)
+const INFO_CACHE_TTL = {
+    clearinghouseState: 5000,
+    openOrders: 5000,
+    frontendOpenOrders: 5000,
+    activeAssetData: 5000,
+    twapHistory: 5000,
+    userTwapSliceFills: 5000,
+    historicalOrders: 30000,
+    metaAndAssetCtxs: 10000,
+    predictedFundings: 30000,
+    portfolio: 30000,
+    allMids: 2000,
+    l2Book: 1000,
+    meta: 5 * 60 * 1000,
+    extraAgents: 0 // agent-reconcile keeps its own cache
+};
+const DEFAULT_INFO_CACHE_TTL = 5000;
+
+// How often subscribed queries are refreshed (ms)
+const INFO_POLL_INTERVAL = {
+    clearinghouseState: 10000,
+    allMids: 5000,
+    l2Book: 2000,
+    twapHistory: 5000,
+    userTwapSliceFills: 5000,
+    historicalOrders: 60000,
+    metaAndAssetCtxs: 30000,
+    predictedFundings: 60000,
+    portfolio: 60000,
+    meta: 5 * 60 * 1000
+};
+const DEFAULT_INFO_POLL_INTERVAL = 10000;
+
+// User queries that change after an exchange action
+const USER_INFO_TYPES = ['clearinghouseState', 'openOrders', 'frontendOpenOrders', 'activeAssetData', 'twapHistory', 'userTwapSliceFills', 'historicalOrders'];
+
+// WebSocket feeds that carry an info query's response
+const LIVE_INFO_FEEDS = {
+    allMids: () => ({ subscription: { type: 'allMids' }, select: data => data?.mids }),
+    // Book messages don't say which grouping they carry, so only the full-precision book
+    // is streamed (one l2Book subscription per coin); grouped books are polled
+    l2Book: ({ type, coin, nSigFigs, mantissa }) => (nSigFigs || mantissa
+        ? null
+        : { subscription: { type, coin }, select: data => data }),
+    clearinghouseState: ({ user }) => ({ subscription: { type: 'webData2', user }, select: data => data?.clearinghouseState }),
+    openOrders: ({ user }) => ({ subscription: { type: 'webData2', user }, select: data => data?.openOrders }),
+    // webData2 open orders carry the frontend fields (orderType, triggerPx, isPositionTpsl, ...)
+    frontendOpenOrders: ({ user }) => ({ subscription: { type: 'webData2', user }, select: data => data?.openOrders })
+};
+
+const infoCache = new Map(); // key -> {data, fetchedAt}
+const infoInFlight = new Map(); // key -> Promise
+const infoSubscriptions = new Map(); // key -> {body, listeners, timer, stopLive, liveAt}
+
+// Queries are cached per network so toggling never serves the other network's data
+const getInfoKey = (body) => `${getNetworkConfig().key}:${JSON.stringify(body)}`;
+
+const notifyInfo = (key, data, error = null) => {
+    infoSubscriptions.get(key)?.listeners.forEach(listener => listener(data, error));
+};
+
+const fetchInfo = async (body) => {
+    const infoUrl = `${getHyperliquidBaseUrl()}/info`;
+
+    const response = await fetch(infoUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Hyperliquid API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json();
+};
+
+/**
+ * Run an info query through the shared cache
+ * Concurrent calls for the same query share one request
+ * @param {Object} body - Info request body (e.g. {type: 'clearinghouseState', user})
+ * @param {Object} options - {ttl, force}; force skips the cache
+ * @returns {Promise<any>} Response data
+ */
+export const infoRequest = async (body, { ttl = INFO_CACHE_TTL[body.type] ?? DEFAULT_INFO_CACHE_TTL, force = false } = {}) => {
+    const key = getInfoKey(body);
+    const cached = infoCache.get(key);
+    if (!force && cached && Date.now() - cached.fetchedAt < ttl) {
+        return cached.data;
+    }
+
+    if (infoInFlight.has(key)) {
+        return infoInFlight.get(key);
+    }
+
+    const request = (async () => {
+        const startedAt = Date.now();
+        try {
+            const data = await fetchInfo(body);
+            // A WebSocket push that landed while this request was out is newer
+            const pushed = infoCache.get(key);
+            if (pushed && pushed.fetchedAt > startedAt) {
+                return pushed.data;
+            }
+            // Queries with a zero TTL (e.g. time-ranged ones) are deduped but never stored
+            if (ttl > 0) {
+                infoCache.set(key, { data, fetchedAt: Date.now() });
+            }
+            notifyInfo(key, data);
+            return data;
+        } catch (error) {
+            notifyInfo(key, infoCache.get(key)?.data, error);
+            throw error;
+        } finally {
+            infoInFlight.delete(key);
+        }
+    })();
+
+    infoInFlight.set(key, request);
+    return request;
+};
+
+/**
+ * Get the cached response of a query without fetching
+ * @param {Object} body - Info request body
+ * @returns {any} Cached data or undefined
+ */
+export const peekInfo = (body) => infoCache.get(getInfoKey(body))?.data;
+
+// Store a response pushed by a WebSocket feed as if it had been fetched
+const primeInfo = (key, data) => {
+    infoCache.set(key, { data, fetchedAt: Date.now() });
+    notifyInfo(key, data);
+};
+
+const startLiveFeed = (key, body, subscription) => {
+    const feed = LIVE_INFO_FEEDS[body.type]?.(body);
+    if (!feed) {
+        return null;
+    }
+
+    return subscribeWs(feed.subscription, (message) => {
+        const data = feed.select(message);
+        if (data !== undefined) {
+            subscription.liveAt = Date.now();
+            primeInfo(key, data);
+        }
+    });
+};
+
+/**
+ * Subscribe to a query; it is fetched now and refreshed while anyone is subscribed
+ * @param {Object} body - Info request body
+ * @param {Function} listener - Called with (data, error) after every fetch or live update
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeInfo = (body, listener) => {
+    const key = getInfoKey(body);
+    let subscription = infoSubscriptions.get(key);
+
+    if (!subscription) {
+        const interval = INFO_POLL_INTERVAL[body.type] ?? DEFAULT_INFO_POLL_INTERVAL;
+        subscription = { body, listeners: new Set(), liveAt: 0 };
+        subscription.timer = setInterval(() => {
+            // Fallback polling, skipped while the WebSocket feed is delivering
+            if (Date.now() - subscription.liveAt < interval) return;
+            infoRequest(body).catch(() => { });
+        }, interval);
+        subscription.stopLive = startLiveFeed(key, body, subscription);
+        infoSubscriptions.set(key, subscription);
+    }
+
+    subscription.listeners.add(listener);
+    infoRequest(body).catch(() => { });
+
+    return () => {
+        subscription.listeners.delete(listener);
+        if (subscription.listeners.size === 0) {
+            clearInterval(subscription.timer);
+            subscription.stopLive?.();
+            infoSubscriptions.delete(key);
+        }
+    };
+};
+
+/**
+ * Drop cached responses so the next read refetches; subscribed queries refetch now
+ * @param {Array<string>} types - Query types to invalidate (all if omitted)
+ */
+export const invalidateInfo = (types = null) => {
+    const prefix = `${getNetworkConfig().key}:`;
+    for (const key of [...infoCache.keys()]) {
+        if (!key.startsWith(prefix)) continue;
+        const { type } = JSON.parse(key.slice(prefix.length));
+        if (!types || types.includes(type)) {
+            infoCache.delete(key);
+        }
+    }
 
-    return isMainnet
-        ? 'https://api.hyperliquid.xyz'
-        : 'https://api.hyperliquid-testnet.xyz';
+    infoSubscriptions.forEach(({ body }) => {
+        if (!types || types.includes(body.type)) {
+            infoRequest(body).catch(() => { });
+        }
+    });
 };
 
 /**
  * Get user state (clearinghouse state) from Hyperliquid info endpoint
  * This includes positions, balances, margin info, etc.
  * @param {string} address - User's wallet address
- * @param {string|number} chainId - Chain ID to determine mainnet/testnet
  * @returns {Promise<Object|null>} User state object or null on error
  */
-export const getUserState = async (address, chainId = '42161') => {
+export const getUserState = async (address) => {
     try {
         if (!address) {
             console.error('Address is required for getUserState');
             return null;
         }
 
-        const baseUrl = getHyperliquidBaseUrl(chainId);
-        const infoUrl = `${baseUrl}/info`;
-
-        console.log('='.repeat(60));
-        console.log('HYPERLIQUID API CALL - getUserState:');
-        console.log('='.repeat(60));
-        console.log('Address:', address);
-        console.log('Chain ID:', chainId);
-        console.log('Base URL:', baseUrl);
-        console.log('Info URL:', infoUrl);
-        console.log('='.repeat(60));
-
-        const response = await fetch(infoUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                type: 'clearinghouseState',
-                user: address
-            }),
-        });
+        return await infoRequest({ type: 'clearinghouseState', user: address });
+    } catch (error) {
+        // 404: user doesn't exist on Hyperliquid
+        if (error.status !== 404) {
+            console.error('Error fetching user state from Hyperliquid:', error);
+        }
+        return null;
+    }
+};
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('='.repeat(60));
-            console.error('HYPERLIQUID API ERROR:');
-            console.error('='.repeat(60));
-            console.error('Status:', response.status);
-            console.error('Status Text:', response.statusText);
-            console.error('Error Response:', errorText);
-            console.error('='.repeat(60));
-
-            // Return null for 404 (user doesn't exist on Hyperliquid)
-            if (response.status === 404) {
-                return null;
-            }
+/**
+ * Get mid prices for all coins
+ * @returns {Promise<Object>} Map of coin -> mid price (string)
+ */
+export const getMids = async () => {
+    return infoRequest({ type: 'allMids' });
+};
 
-            throw new Error(`Hyperliquid API error: ${response.status} - ${errorText}`);
-        }
+/**
+ * Build the l2Book query for a coin
+ * @param {string} coin - Coin name
+ * @param {number|null} nSigFigs - Price grouping (2-5 significant figures), or null for full precision
+ * @returns {Object} Info request body
+ */
+export const getL2BookRequest = (coin, nSigFigs = null) => {
+    return nSigFigs ? { type: 'l2Book', coin, nSigFigs } : { type: 'l2Book', coin };
+};
+
+/**
+ * Get the order book snapshot for a coin
+ * @param {string} coin - Coin name
+ * @param {number|null} nSigFigs - Price grouping, or null for full precision
+ * @returns {Promise<Object>} {coin, time, levels: [bids, asks]} with levels of {px, sz, n}
+ */
+export const getL2Book = async (coin, nSigFigs = null) => {
+    return infoRequest(getL2BookRequest(coin, nSigFigs));
+};
+
+/**
+ * Candle intervals offered by the chart, with their length in ms
+ */
+export const CANDLE_INTERVALS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
 
-        const data = await response.json();
+/**
+ * Get OHLCV candles for a coin
+ * @param {string} coin - Coin name
+ * @param {string} interval - Candle interval (see CANDLE_INTERVALS)
+ * @param {number} startTime - Start timestamp (ms)
+ * @param {number} endTime - End timestamp (ms), defaults to now
+ * @returns {Promise<Array>} Candles {t, T, s, i, o, c, h, l, v, n}, oldest first
+ */
+export const getCandleSnapshot = async (coin, interval, startTime, endTime = Date.now()) => {
+    const candles = await infoRequest({
+        type: 'candleSnapshot',
+        req: { coin, interval, startTime, endTime }
+    }, { ttl: 0 });
+    return Array.isArray(candles) ? candles : [];
+};
 
-        console.log('='.repeat(60));
-        console.log('HYPERLIQUID API RESPONSE:');
-        console.log('='.repeat(60));
-        console.log('Response:', JSON.stringify(data, null, 2));
-        console.log('='.repeat(60));
+/**
+ * Get perpetuals metadata
+ * @returns {Promise<Object>} Meta with universe ({name, szDecimals, maxLeverage}); the asset index is the position in universe
+ */
+export const getMeta = async () => {
+    return infoRequest({ type: 'meta' });
+};
 
-        return data;
-    } catch (error) {
-        console.error('Error fetching user state from Hyperliquid:', error);
-        return null;
+/**
+ * Get perpetuals metadata with the live context of each asset
+ * @returns {Promise<Array>} [meta, assetCtxs]; assetCtxs[i] ({funding, premium, markPx, oraclePx, openInterest, dayNtlVlm, ...}) belongs to meta.universe[i]
+ */
+export const getMetaAndAssetCtxs = async () => {
+    return infoRequest({ type: 'metaAndAssetCtxs' });
+};
+
+/**
+ * Get predicted funding rates per coin on Hyperliquid and other venues
+ * @returns {Promise<Array>} [[coin, [[venue, {fundingRate, nextFundingTime, fundingIntervalHours}|null], ...]], ...]
+ */
+export const getPredictedFundings = async () => {
+    const data = await infoRequest({ type: 'predictedFundings' });
+    return Array.isArray(data) ? data : [];
+};
+
+const emptyPerpBalance = (address, message) => ({
+    account_address: address,
+    total_collateral: 0,
+    total_noid_pnl: 0,
+    total_raw_usd: 0,
+    account_value: 0,
+    total_margin_used: 0,
+    total_ntl_pos: 0,
+    usdc_balance: 0,
+    message
+});
+
+/**
+ * Extract balance information from a clearinghouse state
+ * @param {string} address - User's wallet address
+ * @param {Object|null} userState - Clearinghouse state (null if the account doesn't exist)
+ * @returns {Object} Balance object with total_collateral, account_value, etc.
+ */
+export const toPerpBalance = (address, userState) => {
+    if (!userState) {
+        return emptyPerpBalance(address, 'Account not found on Hyperliquid');
     }
+
+    // Hyperliquid returns marginSummary with these fields
+    const marginSummary = userState.marginSummary || {};
+
+    // Use accountValue as the USDC balance
+    const accountValue = parseFloat(marginSummary.accountValue || 0);
+
+    return {
+        account_address: address,
+        total_collateral: parseFloat(marginSummary.totalCollateral || 0),
+        total_noid_pnl: parseFloat(marginSummary.totalNoidPnl || 0),
+        total_raw_usd: parseFloat(marginSummary.totalRawUsd || 0),
+        account_value: accountValue,
+        total_margin_used: parseFloat(marginSummary.totalMarginUsed || 0),
+        total_ntl_pos: parseFloat(marginSummary.totalNtlPos || 0),
+        usdc_balance: accountValue, // USDC balance is the accountValue
+        raw_data: userState // Include raw data for reference
+    };
 };
 
 /**
  * Get user's perpetual balance from Hyperliquid
- * Extracts balance information from clearinghouse state
  * @param {string} address - User's wallet address
- * @param {string|number} chainId - Chain ID to determine mainnet/testnet
- * @returns {Promise<Object|null>} Balance object with total_collateral, account_value, etc.
+ * @returns {Promise<Object>} Balance object with total_collateral, account_value, etc.
  */
-export const getUserPerpBalance = async (address, chainId = '42161') => {
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('🏦 CHECKING HYPERLIQUID BALANCE');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-
+export const getUserPerpBalance = async (address) => {
     try {
-        console.log('📝 Fetching user state for:', address);
-
-        const userState = await getUserState(address, chainId);
-
-        if (!userState) {
-            console.warn('⚠️ No user state returned');
-            console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-            return {
-                account_address: address,
-                total_collateral: 0,
-                total_noid_pnl: 0,
-                total_raw_usd: 0,
-                account_value: 0,
-                total_margin_used: 0,
-                total_ntl_pos: 0,
-                usdc_balance: 0,
-                message: 'Account not found on Hyperliquid'
-            };
-        }
-
-        console.log('✅ User state received');
-        console.log('📊 Margin Summary:', userState.marginSummary);
-
-        // Extract balance information from user state
-        // Hyperliquid returns marginSummary with these fields
-        const marginSummary = userState.marginSummary || {};
-
-        // Use accountValue as the USDC balance (as per user's example)
-        const accountValue = parseFloat(marginSummary.accountValue || 0);
-        const totalCollateral = parseFloat(marginSummary.totalCollateral || 0);
-        const totalMarginUsed = parseFloat(marginSummary.totalMarginUsed || 0);
-
-        console.log('💰 Hyperliquid Balance (accountValue):', accountValue, 'USDC');
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-
-        return {
-            account_address: address,
-            total_collateral: totalCollateral,
-            total_noid_pnl: parseFloat(marginSummary.totalNoidPnl || 0),
-            total_raw_usd: parseFloat(marginSummary.totalRawUsd || 0),
-            account_value: accountValue,
-            total_margin_used: totalMarginUsed,
-            total_ntl_pos: parseFloat(marginSummary.totalNtlPos || 0),
-            usdc_balance: accountValue, // USDC balance is the accountValue
-            raw_data: userState // Include raw data for reference
-        };
+        const userState = await getUserState(address);
+        return toPerpBalance(address, userState);
     } catch (error) {
-        console.log('\n❌ ERROR FETCHING HYPERLIQUID BALANCE');
-        console.error('Error:', error.message);
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-        return {
-            account_address: address,
-            total_collateral: 0,
-            total_noid_pnl: 0,
-            total_raw_usd: 0,
-            account_value: 0,
-            total_margin_used: 0,
-            total_ntl_pos: 0,
-            usdc_balance: 0,
-            message: `Error: ${error.message || 'Failed to fetch balance'}`
-        };
+        console.error('Error fetching Hyperliquid balance:', error);
+        return emptyPerpBalance(address, `Error: ${error.message || 'Failed to fetch balance'}`);
     }
 };
 
 /**
- * Get user's positions from Hyperliquid
- * @param {string} address - User's wallet address
- * @param {string|number} chainId - Chain ID to determine mainnet/testnet
- * @returns {Promise<Array>} Array of position objects
+ * Extract open positions from a clearinghouse state
+ * @param {Object|null} userState - Clearinghouse state
+ * @returns {Array} Array of position objects
  */
-export const getUserPositions = async (address, chainId = '42161') => {
-    try {
-        const userState = await getUserState(address, chainId);
+export const toPositions = (userState) => {
+    if (!userState || !userState.assetPositions) {
+        return [];
+    }
 
-        if (!userState || !userState.assetPositions) {
-            return [];
+    const positions = [];
+    userState.assetPositions.forEach((pos) => {
+        const positionData = pos.position || {};
+        const szi = parseFloat(positionData.szi || 0);
+
+        if (szi !== 0) {
+            positions.push({
+                coin: positionData.coin || '',
+                size: szi.toString(),
+                entry_px: parseFloat(positionData.entryPx || 0),
+                leverage: positionData.leverage?.value || 0,
+                unrealized_pnl: parseFloat(positionData.unrealizedPnl || 0),
+                liquidation_px: parseFloat(positionData.liquidationPx || 0),
+                // cumFunding counts funding paid; flip it so received funding is positive
+                funding_since_open: -parseFloat(positionData.cumFunding?.sinceOpen || 0)
+            });
         }
+    });
 
-        const positions = [];
-        userState.assetPositions.forEach((pos) => {
-            const positionData = pos.position || {};
-            const szi = parseFloat(positionData.szi || 0);
-
-            if (szi !== 0) {
-                positions.push({
-                    coin: positionData.coin || '',
-                    size: szi.toString(),
-                    entry_px: parseFloat(positionData.entryPx || 0),
-                    leverage: positionData.leverage?.value || 0,
-                    unrealized_pnl: parseFloat(positionData.unrealizedPnl || 0),
-                    liquidation_px: parseFloat(positionData.liquidationPx || 0)
-                });
-            }
-        });
+    return positions;
+};
 
-        return positions;
+/**
+ * Get user's positions from Hyperliquid
+ * @param {string} address - User's wallet address
+ * @returns {Promise<Array>} Array of position objects
+ */
+export const getUserPositions = async (address) => {
+    try {
+        const userState = await getUserState(address);
+        return toPositions(userState);
     } catch (error) {
         console.error('Error getting user positions:', error);
         return [];
@@ -208,37 +448,15 @@ export const getUserPositions = async (address, chainId = '42161') => {
  * Get leverage settings for a specific coin
  * @param {string} address - User's wallet address
  * @param {string} coin - Coin symbol (e.g., 'BTC')
- * @param {string|number} chainId - Chain ID to determine mainnet/testnet
  * @returns {Promise<Object|null>} Leverage data or null
  */
-export const getCoinLeverage = async (address, coin, chainId = '42161') => {
+export const getCoinLeverage = async (address, coin) => {
     try {
-        const baseUrl = getHyperliquidBaseUrl(chainId);
-        const infoUrl = `${baseUrl}/info`;
-
-        const response = await fetch(infoUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                type: 'activeAssetData',
-                user: address,
-                coin: coin
-            }),
-        });
-
-        if (!response.ok) {
-            if (response.status === 404) {
-                return null;
-            }
-            throw new Error(`Hyperliquid API error: ${response.status}`);
-        }
-
-        const data = await response.json();
-        return data;
+        return await infoRequest({ type: 'activeAssetData', user: address, coin });
     } catch (error) {
-        console.error(`Error getting leverage for ${coin}:`, error);
+        if (error.status !== 404) {
+            console.error(`Error getting leverage for ${coin}:`, error);
+        }
         return null;
     }
 };
@@ -247,17 +465,16 @@ export const getCoinLeverage = async (address, coin, chainId = '42161') => {
  * Get leverage settings for all coins
  * @param {string} address - User's wallet address
  * @param {Array<string>} coins - Array of coin symbols
- * @param {string|number} chainId - Chain ID to determine mainnet/testnet
  * @returns {Promise<Object>} Map of coin -> leverage value
  */
-export const getAllCoinLeverages = async (address, coins, chainId = '42161') => {
+export const getAllCoinLeverages = async (address, coins) => {
     const leverages = {};
 
     // Fetch leverage for each coin sequentially with delay to avoid rate limiting
     for (let i = 0; i < coins.length; i++) {
         const coin = coins[i];
         try {
-            const leverageData = await getCoinLeverage(address, coin, chainId);
+            const leverageData = await getCoinLeverage(address, coin);
             console.log(`Leverage data for ${coin}:`, leverageData);
 
             if (leverageData) {
@@ -308,37 +525,277 @@ export const getAllCoinLeverages = async (address, coins, chainId = '42161') =>
 /**
  * Get user's open orders from Hyperliquid
  * @param {string} address - User's wallet address
- * @param {string|number} chainId - Chain ID to determine mainnet/testnet
  * @returns {Promise<Array>} Array of open order objects
  */
-export const getUserOpenOrders = async (address, chainId = '42161') => {
+export const getUserOpenOrders = async (address) => {
     try {
-        const baseUrl = getHyperliquidBaseUrl(chainId);
-        const infoUrl = `${baseUrl}/info`;
-
-        const response = await fetch(infoUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                type: 'openOrders',
-                user: address
-            }),
+        const data = await infoRequest({ type: 'openOrders', user: address });
+        return Array.isArray(data) ? data : [];
+    } catch (error) {
+        if (error.status !== 404) {
+            console.error('Error getting user open orders:', error);
+        }
+        return [];
+    }
+};
+
+/**
+ * Get the most recent orders of a user in any final or open state (historicalOrders)
+ * Hyperliquid returns at most the 2000 most recent orders
+ * @param {string} address - User's wallet address
+ * @returns {Promise<Array>} Entries of {order, status, statusTimestamp}, newest first
+ */
+export const getHistoricalOrders = async (address) => {
+    const data = await infoRequest({ type: 'historicalOrders', user: address });
+    return Array.isArray(data) ? data : [];
+};
+
+// Hyperliquid returns at most this many fills per userFillsByTime response
+export const FILLS_PAGE_LIMIT = 2000;
+
+/**
+ * Get one page of a user's fills in a time window (userFillsByTime)
+ * A full page (FILLS_PAGE_LIMIT fills) means there may be more: continue from
+ * the last returned time + 1. Only the 10000 most recent fills are available.
+ * @param {string} address - User's wallet address
+ * @param {number} startTime - Start timestamp (ms, inclusive)
+ * @param {number} endTime - End timestamp (ms), defaults to now
+ * @returns {Promise<Array>} Fills {coin, px, sz, side, time, dir, closedPnl, fee, feeToken, crossed, oid, tid, hash}
+ */
+export const getUserFillsByTime = async (address, startTime, endTime = Date.now()) => {
+    const fills = await infoRequest({
+        type: 'userFillsByTime',
+        user: address,
+        startTime,
+        endTime
+    }, { ttl: 0 });
+    return Array.isArray(fills) ? fills : [];
+};
+
+// Hyperliquid returns at most this many entries per userFunding response
+export const FUNDING_PAGE_LIMIT = 500;
+// Stop paging a time window after this many pages
+const MAX_TIME_WINDOW_PAGES = 50;
+
+/**
+ * Load every entry of a time-windowed info query (userFunding, userFillsByTime, ...)
+ * Pages restart at the last entry's time until a page comes back short (or, when
+ * the page size is not known, until a page adds nothing new); entries on the page
+ * boundary are deduplicated by key. A full page whose entries all share one
+ * timestamp cannot be paged past within that millisecond, so the rest of that
+ * millisecond is skipped and the window is flagged as truncated.
+ * @param {Function} fetchPage - (startTime, endTime) => Promise<Array> with entries oldest first
+ * @param {number} startTime - Window start (ms)
+ * @param {number} endTime - Window end (ms)
+ * @param {number|null} pageLimit - Entries in a full page, null when unknown
+ * @param {Function} getKey - Entry => unique key
+ * @returns {Promise<Object>} {entries (oldest first), truncatedAt: null when the whole
+ *   window loaded, else the time (ms) from which entries may be missing}
+ */
+export const fetchTimeWindow = async (fetchPage, startTime, endTime, pageLimit, getKey) => {
+    const entries = [];
+    const seen = new Set();
+    let pageStart = startTime;
+    let truncatedAt = null;
+
+    for (let pageIndex = 0; pageIndex < MAX_TIME_WINDOW_PAGES; pageIndex++) {
+        const page = await fetchPage(pageStart, endTime);
+        let added = 0;
+        page.forEach((entry) => {
+            const key = getKey(entry);
+            if (!seen.has(key)) {
+                seen.add(key);
+                entries.push(entry);
+                added++;
+            }
         });
 
-        if (!response.ok) {
-            if (response.status === 404) {
-                return [];
+        if (pageLimit ? page.length < pageLimit : added === 0) {
+            return { entries, truncatedAt };
+        }
+
+        // pageStart only moves forward, so paging always ends
+        const lastTime = page[page.length - 1].time;
+        if (lastTime > pageStart) {
+            pageStart = lastTime;
+        } else {
+            // Only a known page size tells that the page was cut off
+            if (pageLimit) {
+                truncatedAt = truncatedAt ?? pageStart;
             }
-            throw new Error(`Hyperliquid API error: ${response.status}`);
+            pageStart += 1;
         }
+    }
 
-        const data = await response.json();
+    return { entries, truncatedAt: truncatedAt ?? pageStart };
+};
+
+/**
+ * Get one page of a user's funding payments in a time window (userFunding)
+ * @param {string} address - User's wallet address
+ * @param {number} startTime - Start timestamp (ms, inclusive)
+ * @param {number} endTime - End timestamp (ms), defaults to now
+ * @returns {Promise<Array>} Entries {time, hash, delta: {type: 'funding', coin, usdc, szi, fundingRate, nSamples}}, oldest first
+ */
+export const getUserFunding = async (address, startTime, endTime = Date.now()) => {
+    const entries = await infoRequest({
+        type: 'userFunding',
+        user: address,
+        startTime,
+        endTime
+    }, { ttl: 0 });
+    return Array.isArray(entries) ? entries : [];
+};
+
+/**
+ * Get all of a user's funding payments in a time window, across pages
+ * @param {string} address - User's wallet address
+ * @param {number} startTime - Start timestamp (ms)
+ * @param {number} endTime - End timestamp (ms), defaults to now
+ * @returns {Promise<Object>} {entries as from getUserFunding (oldest first), truncatedAt} as from fetchTimeWindow
+ */
+export const getUserFundingHistory = async (address, startTime, endTime = Date.now()) => {
+    return fetchTimeWindow(
+        (pageStart, pageEnd) => getUserFunding(address, pageStart, pageEnd),
+        startTime,
+        endTime,
+        FUNDING_PAGE_LIMIT,
+        entry => `${entry.time}:${entry.delta?.coin}`
+    );
+};
+
+/**
+ * Get all of a user's fills in a time window, across pages
+ * @param {string} address - User's wallet address
+ * @param {number} startTime - Start timestamp (ms)
+ * @param {number} endTime - End timestamp (ms), defaults to now
+ * @returns {Promise<Object>} {entries: fills as from getUserFillsByTime (oldest first), truncatedAt} as from fetchTimeWindow
+ */
+export const getUserFillsHistory = async (address, startTime, endTime = Date.now()) => {
+    return fetchTimeWindow(
+        (pageStart, pageEnd) => getUserFillsByTime(address, pageStart, pageEnd),
+        startTime,
+        endTime,
+        FILLS_PAGE_LIMIT,
+        fill => fill.tid
+    );
+};
+
+/**
+ * Get one page of a user's non-funding ledger updates in a time window
+ * (deposits, withdrawals, transfers, liquidations, vault and spot moves)
+ * @param {string} address - User's wallet address
+ * @param {number} startTime - Start timestamp (ms, inclusive)
+ * @param {number} endTime - End timestamp (ms), defaults to now
+ * @returns {Promise<Array>} Entries {time, hash, delta: {type, usdc, ...}}, oldest first
+ */
+export const getUserNonFundingLedgerUpdates = async (address, startTime, endTime = Date.now()) => {
+    const entries = await infoRequest({
+        type: 'userNonFundingLedgerUpdates',
+        user: address,
+        startTime,
+        endTime
+    }, { ttl: 0 });
+    return Array.isArray(entries) ? entries : [];
+};
+
+/**
+ * Get all of a user's non-funding ledger updates in a time window, across pages
+ * The page size of userNonFundingLedgerUpdates is not documented, so pages are
+ * loaded until one adds no new entries
+ * @param {string} address - User's wallet address
+ * @param {number} startTime - Start timestamp (ms)
+ * @param {number} endTime - End timestamp (ms), defaults to now
+ * @returns {Promise<Object>} {entries as from getUserNonFundingLedgerUpdates (oldest first), truncatedAt} as from fetchTimeWindow
+ */
+export const getLedgerHistory = async (address, startTime, endTime = Date.now()) => {
+    return fetchTimeWindow(
+        (pageStart, pageEnd) => getUserNonFundingLedgerUpdates(address, pageStart, pageEnd),
+        startTime,
+        endTime,
+        null,
+        entry => JSON.stringify(entry)
+    );
+};
+
+/**
+ * Get a user's account value and PnL history (portfolio)
+ * @param {string} address - User's wallet address
+ * @returns {Promise<Array>} [[period, {accountValueHistory: [[time, value]], pnlHistory: [[time, value]], vlm}], ...]
+ *  for day, week, month, allTime and their perp-only variants (perpDay, ...)
+ */
+export const getPortfolio = async (address) => {
+    const data = await infoRequest({ type: 'portfolio', user: address });
+    return Array.isArray(data) ? data : [];
+};
+
+/**
+ * Look up one order of a user by order ID or client order ID
+ * Always fetched fresh so the status reflects the exchange right now
+ * @param {string} address - User's wallet address
+ * @param {number|string} oidOrCloid - Numeric oid, or a 0x-prefixed cloid
+ * @returns {Promise<Object>} {status: 'order', order: {order, status, statusTimestamp}} or {status: 'unknownOid'}
+ */
+export const getOrderStatus = async (address, oidOrCloid) => {
+    const oid = typeof oidOrCloid === 'string' && oidOrCloid.startsWith('0x') ? oidOrCloid.toLowerCase() : Number(oidOrCloid);
+    return infoRequest({ type: 'orderStatus', user: address, oid }, { ttl: 0 });
+};
+
+/**
+ * Get the agents (API wallets) currently approved for a user on Hyperliquid
+ * @param {string} address - User's wallet address
+ * @returns {Promise<Array|null>} Array of {address, name, validUntil} or null on error
+ */
+export const getExtraAgents = async (address) => {
+    try {
+        const data = await infoRequest({ type: 'extraAgents', user: address });
         return Array.isArray(data) ? data : [];
     } catch (error) {
-        console.error('Error getting user open orders:', error);
-        return [];
+        console.error('Error getting extra agents:', error);
+        return null;
     }
 };
 
+/**
+ * Submit a signed action to the Hyperliquid exchange endpoint
+ * @param {Object} payload - Signed payload ({action, nonce, signature})
+ * @returns {Promise<Object>} Exchange response ({status: 'ok', response})
+ */
+export const postExchange = async (payload) => {
+    const baseUrl = getHyperliquidBaseUrl();
+    const exchangeUrl = `${baseUrl}/exchange`;
+
+    console.log('='.repeat(60));
+    console.log('HYPERLIQUID EXCHANGE CALL:');
+    console.log('='.repeat(60));
+    console.log('Exchange URL:', exchangeUrl);
+    console.log('Action Type:', payload.action?.type);
+    console.log('Nonce:', payload.nonce);
+    console.log('='.repeat(60));
+
+    const response = await fetch(exchangeUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Hyperliquid API error: ${response.status} - ${errorText}`);
+    }
+
+    const result = await response.json();
+    console.log('Exchange Response:', JSON.stringify(result, null, 2));
+
+    // Hyperliquid reports rejected actions with HTTP 200 and status 'err'
+    if (result?.status === 'err') {
+        throw new Error(typeof result.response === 'string' ? result.response : JSON.stringify(result.response));
+    }
+
+    // Balances, positions and orders are stale after any accepted action
+    invalidateInfo(USER_INFO_TYPES);
+
+    return result;
+};
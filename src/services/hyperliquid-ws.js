@@ -0,0 +1,252 @@
+/**
+ * Hyperliquid WebSocket client
+ *
+ * One socket per page carries every subscription (allMids, l2Book, trades,
+ * candle, orderUpdates, userFills, userEvents, webData2). Subscriptions are
+ * reference counted, re-sent after every reconnect, and the socket reconnects
+ * with exponential backoff. A ping keeps the connection alive and a connection that
+ * stays silent is dropped and reopened.
+ */
+
+import { getNetworkConfig } from '../utils/network';
+
+const PING_INTERVAL_MS = 30000;
+// Hyperliquid closes connections idle for 60s; treat longer silence as dead
+const STALE_TIMEOUT_MS = 65000;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+// Keep the socket briefly after the last unsubscribe (remounts resubscribe right away)
+const IDLE_CLOSE_DELAY_MS = 5000;
+
+// Subscription types whose messages arrive on a differently named channel
+const CHANNEL_BY_TYPE = {
+    userEvents: 'user'
+};
+
+export const WS_STATUS = {
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    CLOSED: 'closed'
+};
+
+let socket = null;
+let status = WS_STATUS.CLOSED;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let pingTimer = null;
+let idleTimer = null;
+let lastMessageAt = 0;
+
+const subscriptions = new Map(); // key -> {subscription, listeners}
+const statusListeners = new Set();
+
+// Stable key regardless of property order
+const getSubscriptionKey = (subscription) => JSON.stringify(subscription, Object.keys(subscription).sort());
+
+const setStatus = (next) => {
+    if (status === next) return;
+    status = next;
+    statusListeners.forEach(listener => listener(status));
+};
+
+const send = (message) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+};
+
+// Route a channel message to the subscriptions it belongs to
+const matchesMessage = (subscription, channel, data) => {
+    if ((CHANNEL_BY_TYPE[subscription.type] || subscription.type) !== channel) {
+        return false;
+    }
+
+    switch (subscription.type) {
+        case 'l2Book':
+            // Book messages do not echo nSigFigs, so keep one grouping per coin subscribed
+            // (the info client only streams the full-precision book)
+            return data?.coin === subscription.coin;
+        case 'candle':
+            return data?.s === subscription.coin && data?.i === subscription.interval;
+        case 'trades':
+            return Array.isArray(data) && data[0]?.coin === subscription.coin;
+        case 'userFills':
+        case 'webData2':
+            return !data?.user || data.user.toLowerCase() === subscription.user.toLowerCase();
+        default:
+            return true;
+    }
+};
+
+const handleMessage = (event) => {
+    lastMessageAt = Date.now();
+
+    let message;
+    try {
+        message = JSON.parse(event.data);
+    } catch (error) {
+        console.error('[ws] Unparseable message:', event.data);
+        return;
+    }
+
+    const { channel, data } = message;
+    if (channel === 'pong' || channel === 'subscriptionResponse') {
+        return;
+    }
+    if (channel === 'error') {
+        console.error('[ws] Hyperliquid error:', data);
+        return;
+    }
+
+    subscriptions.forEach(({ subscription, listeners }) => {
+        if (matchesMessage(subscription, channel, data)) {
+            listeners.forEach(listener => listener(data));
+        }
+    });
+};
+
+const scheduleReconnect = () => {
+    if (reconnectTimer || subscriptions.size === 0) {
+        return;
+    }
+
+    const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempts);
+    reconnectAttempts += 1;
+    console.log(`[ws] Reconnecting in ${delay}ms (attempt ${reconnectAttempts})`);
+
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect();
+    }, delay);
+};
+
+// Forget the current socket; its late close event is ignored
+const dropSocket = () => {
+    const ws = socket;
+    socket = null;
+    clearInterval(pingTimer);
+    pingTimer = null;
+    if (ws && ws.readyState !== WebSocket.CLOSED) {
+        ws.close();
+    }
+    setStatus(WS_STATUS.CLOSED);
+};
+
+const connect = () => {
+    if (socket || subscriptions.size === 0) {
+        return;
+    }
+
+    const { wsUrl } = getNetworkConfig();
+    setStatus(WS_STATUS.CONNECTING);
+
+    const ws = new WebSocket(wsUrl);
+    socket = ws;
+
+    ws.onopen = () => {
+        if (socket !== ws) return;
+        console.log('[ws] Connected to', wsUrl);
+        reconnectAttempts = 0;
+        lastMessageAt = Date.now();
+        setStatus(WS_STATUS.OPEN);
+
+        subscriptions.forEach(({ subscription }) => send({ method: 'subscribe', subscription }));
+
+        pingTimer = setInterval(() => {
+            if (Date.now() - lastMessageAt > STALE_TIMEOUT_MS) {
+                console.warn('[ws] Connection went silent, reconnecting');
+                dropSocket();
+                scheduleReconnect();
+                return;
+            }
+            send({ method: 'ping' });
+        }, PING_INTERVAL_MS);
+    };
+
+    ws.onmessage = (event) => {
+        if (socket === ws) handleMessage(event);
+    };
+
+    // An error is always followed by close, which handles the reconnect
+    ws.onerror = () => {
+        console.error('[ws] Connection error');
+    };
+
+    ws.onclose = () => {
+        if (socket !== ws) return;
+        console.log('[ws] Connection closed');
+        dropSocket();
+        scheduleReconnect();
+    };
+};
+
+// Reconnect right away when the browser comes back online
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => {
+        if (socket || subscriptions.size === 0) return;
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        reconnectAttempts = 0;
+        connect();
+    });
+}
+
+/**
+ * Subscribe to a Hyperliquid WebSocket feed
+ * Listeners of the same subscription share one server-side subscription
+ * @param {Object} subscription - e.g. {type: 'l2Book', coin: 'BTC'} or {type: 'userFills', user}
+ * @param {Function} listener - Called with the message data
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (subscription, listener) => {
+    const key = getSubscriptionKey(subscription);
+    let entry = subscriptions.get(key);
+
+    if (!entry) {
+        entry = { subscription, listeners: new Set() };
+        subscriptions.set(key, entry);
+        send({ method: 'subscribe', subscription });
+    }
+    entry.listeners.add(listener);
+
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    connect();
+
+    return () => {
+        entry.listeners.delete(listener);
+        if (entry.listeners.size > 0 || subscriptions.get(key) !== entry) {
+            return;
+        }
+
+        subscriptions.delete(key);
+        send({ method: 'unsubscribe', subscription });
+
+        if (subscriptions.size === 0) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+            idleTimer = setTimeout(() => {
+                idleTimer = null;
+                if (subscriptions.size === 0) dropSocket();
+            }, IDLE_CLOSE_DELAY_MS);
+        }
+    };
+};
+
+/**
+ * Get the connection status
+ * @returns {string} One of WS_STATUS
+ */
+export const getWsStatus = () => status;
+
+/**
+ * Subscribe to connection status changes
+ * @param {Function} listener - Called with the new status
+ * @returns {Function} Unsubscribe function
+ */
+export const onWsStatusChange = (listener) => {
+    statusListeners.add(listener);
+    return () => {
+        statusListeners.delete(listener);
+    };
+};
@@ -0,0 +1,181 @@
+/**
+ * Trading actions that need the agent key
+ *
+ * By default orders (including TP/SL, scale ladders, modifications and TWAPs),
+ * position closes and leverage changes are signed in the browser with the agent
+ * wallet and sent straight to Hyperliquid. The legacy backend path (which receives
+ * agent_private_key) is only used when VITE_AGENT_SIGNING_MODE=backend.
+ */
+
+import * as backend from './api';
+import { getAgentAddress, getAgentPrivateKey } from '../utils/agent-storage';
+import {
+    placeOrderWithAgent,
+    placeOrdersWithAgent,
+    modifyOrderWithAgent,
+    batchModifyOrdersWithAgent,
+    closePositionWithAgent,
+    setLeverageWithAgent,
+    setPositionTpslWithAgent,
+    placeTwapWithAgent,
+    cancelTwapWithAgent,
+    cancelByCloidWithAgent,
+    scheduleCancelWithAgent
+} from '../utils/agent-signer';
+
+// The backend only places, closes and re-levers plain orders
+const requireAgentSigning = (feature) => {
+    if (backend.isBackendSigningEnabled()) {
+        throw new Error(`${feature} requires in-browser agent signing (unset VITE_AGENT_SIGNING_MODE).`);
+    }
+};
+
+/**
+ * Place an order for the connected user
+ * @param {Object} orderData - Order parameters (coin, is_buy, sz, limit_px, order_type, tif, reduce_only, optional tp_px/sl_px)
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Order result
+ */
+export const placeOrder = async (orderData, userAddress) => {
+    if (orderData.tp_px || orderData.sl_px) {
+        requireAgentSigning('Take profit / stop loss');
+    }
+    // The backend always places limit orders as Gtc
+    if (orderData.order_type === 'Limit' && orderData.tif && orderData.tif !== 'Gtc') {
+        requireAgentSigning(`Time in force ${orderData.tif}`);
+    }
+    if (backend.isBackendSigningEnabled()) {
+        return backend.placeOrder(orderData, getAgentAddress(userAddress), getAgentPrivateKey(userAddress));
+    }
+    return placeOrderWithAgent(orderData, userAddress);
+};
+
+/**
+ * Place several independent orders (e.g. a scale ladder) in one signed action
+ * @param {Array<Object>} orders - Order parameters as in placeOrder (without TP/SL)
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Result with one status per order
+ */
+export const placeOrders = async (orders, userAddress) => {
+    requireAgentSigning('Scale orders');
+    return placeOrdersWithAgent(orders, userAddress);
+};
+
+/**
+ * Modify a resting order in place (keeps its oid and cloid)
+ * @param {number|string} oid - Order ID of the resting order
+ * @param {Object} orderData - Full new order parameters
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Modify result
+ */
+export const modifyOrder = async (oid, orderData, userAddress) => {
+    requireAgentSigning('Order modification');
+    return modifyOrderWithAgent(oid, orderData, userAddress);
+};
+
+/**
+ * Modify several resting orders in one action
+ * @param {Array<Object>} modifies - List of {oid, order}
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Result with per-order errors
+ */
+export const batchModifyOrders = async (modifies, userAddress) => {
+    requireAgentSigning('Order modification');
+    return batchModifyOrdersWithAgent(modifies, userAddress);
+};
+
+/**
+ * Cancel resting orders by client order ID (cancelByCloid)
+ * @param {Array<Object>} cancels - List of {coin, cloid}
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Cancel result
+ */
+export const cancelOrdersByCloid = async (cancels, userAddress) => {
+    requireAgentSigning('Cancel by client order ID');
+    return cancelByCloidWithAgent(cancels, userAddress);
+};
+
+/**
+ * Schedule a cancel of all open orders, or remove the schedule
+ * @param {number|null} time - Unix ms when all orders are canceled; null removes the schedule
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Exchange response
+ */
+export const scheduleCancel = async (time, userAddress) => {
+    requireAgentSigning('Scheduled cancel');
+    return scheduleCancelWithAgent(time, userAddress);
+};
+
+/**
+ * Close a position for the connected user
+ * @param {string} coin - Coin symbol (e.g., 'BTC')
+ * @param {string} userAddress - User's MetaMask address
+ * @param {number|null} sz - Size to close (null closes the full position)
+ * @param {number|null} px - Limit price (null uses mid price with slippage)
+ * @param {number} slippage - Slippage applied to the mid price
+ * @returns {Promise<Object>} Close result
+ */
+export const closePosition = async (coin, userAddress, sz = null, px = null, slippage = 0.01) => {
+    if (backend.isBackendSigningEnabled()) {
+        return backend.closePosition(
+            coin,
+            getAgentAddress(userAddress),
+            getAgentPrivateKey(userAddress),
+            userAddress,
+            sz,
+            px,
+            slippage
+        );
+    }
+    return closePositionWithAgent(coin, userAddress, sz, px, slippage);
+};
+
+/**
+ * Add take profit and/or stop loss to an open position
+ * @param {string} coin - Coin symbol (e.g., 'BTC')
+ * @param {string} userAddress - User's MetaMask address
+ * @param {Object} tpsl - {tp_px, sl_px}; at least one is required
+ * @returns {Promise<Object>} Result
+ */
+export const setPositionTpsl = async (coin, userAddress, tpsl) => {
+    requireAgentSigning('Take profit / stop loss');
+    return setPositionTpslWithAgent(coin, userAddress, tpsl);
+};
+
+/**
+ * Start a TWAP order
+ * @param {Object} twapData - TWAP parameters (coin, is_buy, sz, minutes, reduce_only, randomize)
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Result with the twapId
+ */
+export const placeTwapOrder = async (twapData, userAddress) => {
+    requireAgentSigning('TWAP orders');
+    return placeTwapWithAgent(twapData, userAddress);
+};
+
+/**
+ * Cancel a running TWAP
+ * @param {string} coin - Coin of the TWAP
+ * @param {number} twapId - TWAP ID
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Cancel result
+ */
+export const cancelTwapOrder = async (coin, twapId, userAddress) => {
+    requireAgentSigning('TWAP orders');
+    return cancelTwapWithAgent(coin, twapId, userAddress);
+};
+
+/**
+ * Set leverage for a coin
+ * @param {string} coin - Coin symbol (e.g., 'BTC')
+ * @param {number} leverage - Leverage multiplier
+ * @param {boolean} isCross - True for cross margin, false for isolated
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Leverage update result
+ */
+export const setLeverage = async (coin, leverage, isCross, userAddress) => {
+    if (backend.isBackendSigningEnabled()) {
+        return backend.setLeverage(coin, leverage, isCross, getAgentAddress(userAddress), getAgentPrivateKey(userAddress));
+    }
+    return setLeverageWithAgent(coin, leverage, isCross, userAddress);
+};
@@ -5,6 +5,26 @@
 
 import { ethers } from 'ethers';
 import { encode } from '@msgpack/msgpack';
+import { saveAgent } from './agent-storage';
+import { NETWORKS, getNetworkConfig, toSignatureChainId } from './network';
+
+// Expiry presets offered when approving an agent (days, null = never)
+export const AGENT_EXPIRY_OPTIONS = [
+    { label: 'Never', days: null },
+    { label: '1 day', days: 1 },
+    { label: '7 days', days: 7 },
+    { label: '30 days', days: 30 },
+    { label: '90 days', days: 90 },
+];
+
+/**
+ * Convert an expiry preset to a validUntil timestamp
+ * @param {number|null} days - Days from now (null = never expires)
+ * @returns {number|null} Expiry timestamp in ms or null
+ */
+export const getValidUntil = (days) => {
+    return days ? Date.now() + days * 24 * 60 * 60 * 1000 : null;
+};
 
 /**
  * Convert Ethereum address to bytes
@@ -79,7 +99,7 @@ const actionHash = (action, vaultAddress, nonce, expiresAfter) => {
  */
 const constructPhantomAgent = (hash, isMainnet) => {
     return {
-        source: isMainnet ? "a" : "b",
+        source: (isMainnet ? NETWORKS.mainnet : NETWORKS.testnet).source,
         connectionId: hash
     };
 };
@@ -147,7 +167,7 @@ const signL1Action = async (signer, action, activePool, nonce, expiresAfter, isM
 const userSignedPayload = (primaryType, payloadTypes, action, networkChainId) => {
     // Use the actual network chainId (from MetaMask) for the domain
     // MetaMask requires the domain chainId to match the active network
-    // The signatureChainId in the action is separate and used by Hyperliquid
+    // The signatureChainId in the action is built from this same chainId
     const chainId = networkChainId || 42161;
 
     // ethers v6 handles EIP712Domain automatically, so we don't include it in types
@@ -174,12 +194,6 @@ const userSignedPayload = (primaryType, payloadTypes, action, networkChainId) =>
  * Signs a user-signed action (for agent approval)
  */
 const signUserSignedAction = async (signer, action, payloadTypes, primaryType, isMainnet, networkChainId) => {
-    // Add required fields to action (matching SDK)
-    // Use Arbitrum mainnet chain ID (42161 = 0xa4b1) for signatureChainId
-    // This is used by Hyperliquid for signature validation, not for the EIP-712 domain
-    action.signatureChainId = isMainnet ? "0xa4b1" : "0x66eee"; // Arbitrum mainnet (42161) or testnet
-    action.hyperliquidChain = isMainnet ? "Mainnet" : "Testnet";
-
     // Get the actual network chainId from the signer/provider
     // MetaMask requires the domain chainId to match the active network
     let actualChainId = networkChainId;
@@ -193,9 +207,14 @@ const signUserSignedAction = async (signer, action, payloadTypes, primaryType, i
         }
     }
 
+    // Add required fields to action (matching SDK)
+    // Hyperliquid recovers the signer with signatureChainId, so it must be the domain chainId
+    action.signatureChainId = toSignatureChainId(actualChainId);
+    action.hyperliquidChain = (isMainnet ? NETWORKS.mainnet : NETWORKS.testnet).hyperliquidChain;
+
     // Create EIP-712 payload with actual network chainId
     // Note: We use networkChainId for the domain (must match MetaMask)
-    // But signatureChainId stays in the action (used by Hyperliquid)
+    // signatureChainId in the action carries the same chainId for Hyperliquid
     const data = userSignedPayload(primaryType, payloadTypes, action, actualChainId);
 
     // For ethers v6, ensure types object only contains the primary type
@@ -281,13 +300,16 @@ const signUserSignedAction = async (signer, action, payloadTypes, primaryType, i
 
 /**
  * Creates a Hyperliquid agent using MetaMask wallet
+ * The Hyperliquid network comes from getNetworkConfig(); the EIP-712 domain
+ * chain is read from the signer's provider, since the wallet requires it to match
+ * its active network
  * @param {ethers.Signer} signer - MetaMask signer
  * @param {string} userAddress - User's MetaMask address
- * @param {string} chainId - Chain ID (e.g., '42161' for Arbitrum One)
  * @param {string|null} agentName - Optional agent name
+ * @param {number|null} validUntil - Optional expiry timestamp in ms (sent as "valid_until" in the agent name)
  * @returns {Promise<Object>} Agent credentials (address and private key)
  */
-export const createAgentOnFrontend = async (signer, userAddress, chainId, agentName = null) => {
+export const createAgentOnFrontend = async (signer, userAddress, agentName = null, validUntil = null) => {
     try {
         if (!signer) {
             throw new Error('Signer is required');
@@ -297,13 +319,7 @@ export const createAgentOnFrontend = async (signer, userAddress, chainId, agentN
             throw new Error('User address is required');
         }
 
-        // Determine if mainnet based on chainId
-        const isMainnet = chainId === '1' || chainId === '42161' || chainId === 1 || chainId === 42161;
-
-        // Get base URL
-        const baseUrl = isMainnet
-            ? 'https://api.hyperliquid.xyz'
-            : 'https://api.hyperliquid-testnet.xyz';
+        const { isMainnet, apiUrl: baseUrl } = getNetworkConfig();
 
         const exchangeUrl = `${baseUrl}/exchange`;
 
@@ -316,11 +332,16 @@ export const createAgentOnFrontend = async (signer, userAddress, chainId, agentN
         // Get timestamp (nonce) - matching SDK's get_timestamp_ms()
         const timestamp = Date.now();
 
+        // Hyperliquid reads an optional expiry from the agent name suffix
+        const approvedName = validUntil
+            ? `${agentName || ''} valid_until ${validUntil}`.trim()
+            : (agentName || "");
+
         // Create action structure (matching SDK's approve_agent)
         const action = {
             type: "approveAgent",
             agentAddress: agentAddress,
-            agentName: agentName || "",
+            agentName: approvedName,
             nonce: timestamp
         };
 
@@ -340,7 +361,6 @@ export const createAgentOnFrontend = async (signer, userAddress, chainId, agentN
         console.log('='.repeat(60));
         console.log('Action:', JSON.stringify(action, null, 2));
         console.log('Is Mainnet:', isMainnet);
-        console.log('Chain ID:', chainId);
         console.log('Payload Types:', JSON.stringify(payloadTypes, null, 2));
         console.log('Primary Type:', primaryType);
         console.log('User Address:', userAddress);
@@ -350,17 +370,13 @@ export const createAgentOnFrontend = async (signer, userAddress, chainId, agentN
         console.log('='.repeat(60));
 
         // Get network chainId for EIP-712 domain (must match MetaMask's active network)
-        let networkChainId = chainId;
-        if (typeof networkChainId === 'string') {
-            networkChainId = parseInt(networkChainId, 10);
-        }
-        if (!networkChainId && signer.provider) {
+        let networkChainId = 42161; // Default to Arbitrum One
+        if (signer.provider) {
             try {
                 const network = await signer.provider.getNetwork();
                 networkChainId = Number(network.chainId);
             } catch (e) {
                 console.warn('Could not get chainId from provider:', e);
-                networkChainId = 42161; // Default to Arbitrum One
             }
         }
 
@@ -378,7 +394,7 @@ export const createAgentOnFrontend = async (signer, userAddress, chainId, agentN
         );
 
         // Remove agentName if it's empty (matching SDK behavior)
-        if (!agentName) {
+        if (!approvedName) {
             delete action.agentName;
         }
 
@@ -460,6 +476,12 @@ export const createAgentOnFrontend = async (signer, userAddress, chainId, agentN
         console.log('Response Keys:', result ? Object.keys(result) : 'null');
         console.log('='.repeat(60));
 
+        // Hyperliquid reports rejected actions with HTTP 200 and status 'err';
+        // nothing may be saved or reported as approved in that case
+        if (result?.status === 'err') {
+            throw new Error(typeof result.response === 'string' ? result.response : JSON.stringify(result.response));
+        }
+
         // Log final return structure
         const returnData = {
             status: 'success',
@@ -467,13 +489,13 @@ export const createAgentOnFrontend = async (signer, userAddress, chainId, agentN
             agent_private_key: agentPrivateKey,
             user_address: userAddress,
             agent_name: agentName,
+            valid_until: validUntil,
             api_response: result
         };
 
         console.log('='.repeat(60));
         console.log('AGENT CREATION RETURN DATA:');
         console.log('='.repeat(60));
-        console.log('Return Data:', JSON.stringify(returnData, null, 2));
         console.log('Agent Address:', returnData.agent_address);
         console.log('User Address:', returnData.user_address);
         console.log('Agent Name:', returnData.agent_name || '(none)');
@@ -488,3 +510,56 @@ export const createAgentOnFrontend = async (signer, userAddress, chainId, agentN
     }
 };
 
+
+/**
+ * Revoke an agent by approving a replacement under the same name
+ * Hyperliquid deregisters the previous agent with that name (or the previous
+ * unnamed agent), and the replacement is stored as the new active agent
+ * @param {ethers.Signer} signer - MetaMask signer
+ * @param {string} userAddress - User's MetaMask address
+ * @param {Object} agent - Agent record to revoke (from the registry)
+ * @param {number|null} validUntil - Optional expiry for the replacement
+ * @returns {Promise<Object>} Replacement agent credentials
+ */
+export const revokeAgent = async (signer, userAddress, agent, validUntil = null) => {
+    const replacement = await createAgentOnFrontend(
+        signer,
+        userAddress,
+        agent.agent_name || null,
+        validUntil
+    );
+
+    const saved = await saveAgent(
+        userAddress,
+        replacement.agent_address,
+        replacement.agent_private_key,
+        replacement.agent_name,
+        replacement.valid_until
+    );
+
+    if (!saved) {
+        throw new Error('Replacement agent was approved but could not be saved to local storage');
+    }
+
+    console.log('Agent revoked:', agent.agent_address, '-> replaced by', replacement.agent_address);
+    return replacement;
+};
+
+/**
+ * Re-approve an agent that is expired or no longer approved on Hyperliquid
+ * Approves a replacement under the same name with the same lifetime as the original.
+ * A rejected approval throws before anything is saved, so the stale record and its
+ * warning stay in place
+ * @param {ethers.Signer} signer - MetaMask signer
+ * @param {string} userAddress - User's MetaMask address
+ * @param {Object} agent - Agent record to re-approve (from the registry)
+ * @returns {Promise<Object>} Replacement agent credentials
+ */
+export const reapproveAgent = async (signer, userAddress, agent) => {
+    const lifetimeMs = agent.valid_until && agent.created_at
+        ? agent.valid_until - new Date(agent.created_at).getTime()
+        : null;
+    const validUntil = lifetimeMs && lifetimeMs > 0 ? Date.now() + lifetimeMs : null;
+
+    return revokeAgent(signer, userAddress, agent, validUntil);
+};
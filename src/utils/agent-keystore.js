@@ -0,0 +1,226 @@
+/**
+ * Passphrase-protected keystore for agent private keys
+ *
+ * Agent keys are encrypted with AES-GCM using a key derived from the user's
+ * passphrase with PBKDF2 (WebCrypto). The derived key and decrypted agent keys
+ * only live in memory while the session is unlocked, and the session locks
+ * itself after a period of inactivity.
+ */
+
+const KEYSTORE_STORAGE_KEY = 'hyperliquid_keystore';
+const KEYSTORE_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const CHECK_PLAINTEXT = 'hyperliquid-agent-keystore';
+
+// Lock automatically after 15 minutes without user activity
+export const IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'touchstart', 'scroll'];
+
+// In-memory session state (never persisted)
+let sessionKey = null;
+let idleTimer = null;
+let lastActivity = null;
+const listeners = new Set();
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const bytesToBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+/**
+ * Derive a non-extractable AES-GCM key from a passphrase
+ */
+const deriveKey = async (passphrase, salt, iterations) => {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        textEncoder.encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+const encryptWithKey = async (key, plaintext) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        textEncoder.encode(plaintext)
+    );
+    return {
+        iv: bytesToBase64(iv),
+        ciphertext: bytesToBase64(ciphertext)
+    };
+};
+
+const decryptWithKey = async (key, encrypted) => {
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(encrypted.iv) },
+        key,
+        base64ToBytes(encrypted.ciphertext)
+    );
+    return textDecoder.decode(plaintext);
+};
+
+const readKeystoreMeta = () => {
+    try {
+        const stored = localStorage.getItem(KEYSTORE_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.error('Error reading keystore from local storage:', error);
+        return null;
+    }
+};
+
+const notify = () => {
+    listeners.forEach(listener => listener());
+};
+
+const handleActivity = () => {
+    lastActivity = Date.now();
+};
+
+const stopIdleTracking = () => {
+    if (idleTimer) {
+        clearInterval(idleTimer);
+        idleTimer = null;
+    }
+    ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+};
+
+const startIdleTracking = () => {
+    stopIdleTracking();
+    lastActivity = Date.now();
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+    idleTimer = setInterval(() => {
+        if (Date.now() - lastActivity >= IDLE_TIMEOUT_MS) {
+            console.log('Agent keystore auto-locked after inactivity');
+            lockKeystore();
+        }
+    }, 30000);
+};
+
+/**
+ * Check if a keystore passphrase has been set up
+ * @returns {boolean} True if the keystore is initialized
+ */
+export const isKeystoreInitialized = () => readKeystoreMeta() !== null;
+
+/**
+ * Check if the keystore is unlocked for this session
+ * @returns {boolean} True if agent keys can be decrypted
+ */
+export const isKeystoreUnlocked = () => sessionKey !== null;
+
+/**
+ * Create the keystore with a new passphrase and unlock it
+ * @param {string} passphrase - Passphrase used to encrypt agent keys
+ */
+export const initializeKeystore = async (passphrase) => {
+    if (isKeystoreInitialized()) {
+        throw new Error('Keystore already exists. Unlock it with your passphrase.');
+    }
+    if (!passphrase || passphrase.length < 8) {
+        throw new Error('Passphrase must be at least 8 characters');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const check = await encryptWithKey(key, CHECK_PLAINTEXT);
+
+    localStorage.setItem(KEYSTORE_STORAGE_KEY, JSON.stringify({
+        version: KEYSTORE_VERSION,
+        kdf: 'PBKDF2-SHA256',
+        iterations: PBKDF2_ITERATIONS,
+        salt: bytesToBase64(salt),
+        check
+    }));
+
+    sessionKey = key;
+    startIdleTracking();
+    notify();
+};
+
+/**
+ * Unlock the keystore for this session
+ * @param {string} passphrase - Keystore passphrase
+ */
+export const unlockKeystore = async (passphrase) => {
+    const meta = readKeystoreMeta();
+    if (!meta) {
+        throw new Error('No keystore found. Please set a passphrase first.');
+    }
+
+    const key = await deriveKey(passphrase, base64ToBytes(meta.salt), meta.iterations);
+
+    try {
+        const check = await decryptWithKey(key, meta.check);
+        if (check !== CHECK_PLAINTEXT) {
+            throw new Error('Keystore check mismatch');
+        }
+    } catch (error) {
+        throw new Error('Incorrect passphrase');
+    }
+
+    sessionKey = key;
+    startIdleTracking();
+    notify();
+};
+
+/**
+ * Lock the keystore and drop all decrypted key material from memory
+ */
+export const lockKeystore = () => {
+    sessionKey = null;
+    stopIdleTracking();
+    notify();
+};
+
+/**
+ * Encrypt a private key with the unlocked session key
+ * @param {string} privateKey - Private key to encrypt
+ * @returns {Promise<Object>} Encrypted payload ({iv, ciphertext})
+ */
+export const encryptSecret = async (privateKey) => {
+    if (!sessionKey) {
+        throw new Error('Agent keystore is locked. Unlock it with your passphrase first.');
+    }
+    handleActivity();
+    return encryptWithKey(sessionKey, privateKey);
+};
+
+/**
+ * Decrypt a private key with the unlocked session key
+ * @param {Object} encrypted - Encrypted payload ({iv, ciphertext})
+ * @returns {Promise<string>} Decrypted private key
+ */
+export const decryptSecret = async (encrypted) => {
+    if (!sessionKey) {
+        throw new Error('Agent keystore is locked. Unlock it with your passphrase first.');
+    }
+    handleActivity();
+    return decryptWithKey(sessionKey, encrypted);
+};
+
+/**
+ * Subscribe to lock/unlock changes
+ * @param {Function} listener - Called whenever the keystore state changes
+ * @returns {Function} Unsubscribe function
+ */
+export const onKeystoreChange = (listener) => {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
@@ -0,0 +1,167 @@
+/**
+ * Reconcile locally stored agents against Hyperliquid's extraAgents info query
+ *
+ * A stored agent can stop working without the app noticing: it may have been
+ * replaced by a newer approval with the same name (from another device or
+ * app), revoked, or it may have expired. Results are cached per user and
+ * network so the header badge and the order form share one lookup.
+ */
+
+import { getExtraAgents } from '../services/hyperliquid-api';
+import { getAgentNetwork, listAgents } from './agent-storage';
+
+export const AGENT_STATUS = {
+    APPROVED: 'approved',
+    EXPIRED: 'expired',
+    STALE: 'stale',     // another agent now holds this agent's name
+    UNKNOWN: 'unknown'  // Hyperliquid has no record of this agent
+};
+
+// Reuse a reconciliation younger than this unless forced
+const RECONCILE_MAX_AGE_MS = 60 * 1000;
+
+const results = new Map();
+const inFlight = new Map();
+const listeners = new Set();
+
+const getResultKey = (userAddress) => `${userAddress.toLowerCase()}:${getAgentNetwork()}`;
+
+// extraAgents may report the name with the "valid_until" suffix used at approval
+const normalizeAgentName = (name) => (name || '').replace(/\s*valid_until\s+\d+$/, '').trim();
+
+const getAgentStatus = (agent, remoteAgents) => {
+    const remote = remoteAgents.find(r => r.address?.toLowerCase() === agent.agent_address.toLowerCase());
+
+    if (remote) {
+        const expired = agent.is_expired || (!!remote.validUntil && remote.validUntil <= Date.now());
+        return expired ? AGENT_STATUS.EXPIRED : AGENT_STATUS.APPROVED;
+    }
+
+    if (agent.is_expired) {
+        return AGENT_STATUS.EXPIRED;
+    }
+
+    const nameTaken = remoteAgents.some(r => normalizeAgentName(r.name) === (agent.agent_name || ''));
+    return nameTaken ? AGENT_STATUS.STALE : AGENT_STATUS.UNKNOWN;
+};
+
+/**
+ * Compare stored agents with the agents Hyperliquid has approved for the user
+ * @param {string} userAddress - User's MetaMask address
+ * @param {boolean} force - Ignore a recent cached result
+ * @returns {Promise<Object|null>} {statuses, remoteAgents, untrackedAgents, checkedAt} or null if the lookup failed
+ */
+export const reconcileAgents = async (userAddress, force = false) => {
+    if (!userAddress) {
+        return null;
+    }
+
+    const key = getResultKey(userAddress);
+    const cached = results.get(key);
+    if (!force && cached && Date.now() - cached.checkedAt < RECONCILE_MAX_AGE_MS) {
+        return cached;
+    }
+
+    if (inFlight.has(key)) {
+        return inFlight.get(key);
+    }
+
+    const request = (async () => {
+        const remoteAgents = await getExtraAgents(userAddress);
+        if (!remoteAgents) {
+            // Could not verify; keep the previous result rather than blocking trading
+            return results.get(key) || null;
+        }
+
+        const localAgents = listAgents(userAddress);
+        const statuses = {};
+        localAgents.forEach((agent) => {
+            statuses[agent.agent_address.toLowerCase()] = getAgentStatus(agent, remoteAgents);
+        });
+
+        const result = {
+            statuses,
+            remoteAgents,
+            // Approved on Hyperliquid but with no key in this browser
+            untrackedAgents: remoteAgents.filter(r =>
+                !localAgents.some(a => a.agent_address.toLowerCase() === r.address?.toLowerCase())
+            ),
+            checkedAt: Date.now()
+        };
+
+        // Warn once when an agent stops working, not on every poll
+        const previous = results.get(key)?.statuses || {};
+        Object.entries(statuses).forEach(([agentAddress, status]) => {
+            if ((status === AGENT_STATUS.STALE || status === AGENT_STATUS.UNKNOWN) && previous[agentAddress] !== status) {
+                console.warn(`Agent ${agentAddress} is ${status} on ${getAgentNetwork()}`);
+            }
+        });
+
+        results.set(key, result);
+        listeners.forEach(listener => listener());
+        return result;
+    })();
+
+    inFlight.set(key, request);
+    try {
+        return await request;
+    } finally {
+        inFlight.delete(key);
+    }
+};
+
+/**
+ * Get the last reconciliation result without fetching
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Object|null} Cached result or null if not reconciled yet
+ */
+export const getReconciliation = (userAddress) => {
+    if (!userAddress) {
+        return null;
+    }
+    return results.get(getResultKey(userAddress)) || null;
+};
+
+/**
+ * Get the last known status of a stored agent
+ * @param {string} userAddress - User's MetaMask address
+ * @param {string} agentAddress - Agent address
+ * @returns {string|null} One of AGENT_STATUS, or null if unverified
+ */
+export const getAgentReconciledStatus = (userAddress, agentAddress) => {
+    const result = getReconciliation(userAddress);
+    if (!result || !agentAddress) {
+        return null;
+    }
+    return result.statuses[agentAddress.toLowerCase()] || null;
+};
+
+/**
+ * Describe a non-approved status for error messages and badges
+ * @param {string|null} status - One of AGENT_STATUS
+ * @returns {string|null} Message or null if the agent is usable
+ */
+export const getAgentStatusMessage = (status) => {
+    switch (status) {
+        case AGENT_STATUS.EXPIRED:
+            return 'Agent approval has expired on Hyperliquid.';
+        case AGENT_STATUS.STALE:
+            return 'Agent was replaced by a newer approval with the same name.';
+        case AGENT_STATUS.UNKNOWN:
+            return 'Agent is not approved on Hyperliquid (revoked or never registered).';
+        default:
+            return null;
+    }
+};
+
+/**
+ * Subscribe to reconciliation results
+ * @param {Function} listener - Called whenever a reconciliation completes
+ * @returns {Function} Unsubscribe function
+ */
+export const onReconciliationChange = (listener) => {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
@@ -0,0 +1,422 @@
+/**
+ * In-browser agent signer
+ *
+ * Signs L1 actions with the agent key kept in local storage and submits them
+ * straight to Hyperliquid's /exchange endpoint. The agent private key never
+ * leaves the browser.
+ */
+
+import { ethers } from 'ethers';
+import { getMids, getUserPositions, postExchange } from '../services/hyperliquid-api';
+import { getAgent, getAgentPrivateKey, isAgentExpired } from './agent-storage';
+import { AGENT_STATUS, getAgentReconciledStatus, getAgentStatusMessage } from './agent-reconcile';
+import {
+    buildOrderAction,
+    buildModifyAction,
+    buildBatchModifyAction,
+    buildUpdateLeverageAction,
+    buildTwapOrderAction,
+    buildTwapCancelAction,
+    buildCancelByCloidAction,
+    buildScheduleCancelAction,
+    signAgentAction,
+    ORDER_GROUPING
+} from './hyperliquid-signing';
+import { getSlippagePrice, getSzDecimals } from './precision';
+import { buildTpslOrders } from './tpsl';
+import { CLOID_STRATEGY, generateCloid, parseCloid } from './cloid';
+import { recordOrders } from './order-journal';
+
+/**
+ * Build an ethers.Wallet from the active agent's key
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {ethers.Wallet|null} Agent wallet or null if no agent is stored or the keystore is locked
+ */
+export const getAgentWallet = (userAddress) => {
+    const agentPrivateKey = getAgentPrivateKey(userAddress);
+    if (!agentPrivateKey) {
+        return null;
+    }
+    return new ethers.Wallet(agentPrivateKey);
+};
+
+/**
+ * Extract the first per-order error from an exchange order response
+ * Hyperliquid accepts the action but reports rejected orders in statuses
+ */
+const getOrderStatusError = (result) => {
+    const statuses = result?.response?.data?.statuses || [];
+    const failed = statuses.find(status => status && status.error);
+    return failed ? failed.error : null;
+};
+
+/**
+ * Sign an action with the agent wallet and submit it to Hyperliquid
+ * @param {Object} action - The action object to sign
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Exchange response
+ */
+export const submitAgentAction = async (action, userAddress) => {
+    const agent = getAgent(userAddress);
+    if (!agent) {
+        throw new Error('No agent found. Please create an agent first.');
+    }
+
+    if (isAgentExpired(agent)) {
+        throw new Error(`Active agent expired on ${new Date(agent.valid_until).toLocaleString()}. Please approve a new agent.`);
+    }
+
+    // Fail early with a clear message if reconciliation found the agent is no longer approved
+    const status = getAgentReconciledStatus(userAddress, agent.agent_address);
+    if (status && status !== AGENT_STATUS.APPROVED) {
+        throw new Error(`${getAgentStatusMessage(status)} Please re-approve the agent.`);
+    }
+
+    const agentWallet = getAgentWallet(userAddress);
+    if (!agentWallet) {
+        throw new Error('Agent keystore is locked. Unlock it with your passphrase to sign.');
+    }
+
+    const payload = await signAgentAction(agentWallet, action);
+    return postExchange(payload);
+};
+
+// Give every order a cloid (order.strategy picks the prefix) so it can be traced
+const tagOrders = (orders, userAddress) => orders.map(({ strategy = CLOID_STRATEGY.MANUAL, ...order }) => ({
+    ...order,
+    cloid: order.cloid || generateCloid(userAddress, strategy)
+}));
+
+// Record sent orders in the local journal with the exchange's answer for each
+const journalOrders = (userAddress, orders, statuses) => {
+    recordOrders(userAddress, orders.map((order, index) => {
+        const status = statuses[index];
+        return {
+            cloid: order.cloid,
+            coin: order.coin,
+            side: order.is_buy ? 'B' : 'A',
+            sz: order.sz,
+            px: order.limit_px,
+            strategy: parseCloid(order.cloid)?.strategy || null,
+            oid: status?.resting?.oid ?? status?.filled?.oid ?? null,
+            status: status?.error ? 'rejected' : status?.filled ? 'filled' : status?.resting ? 'resting' : 'sent',
+            error: status?.error || null
+        };
+    }));
+};
+
+/**
+ * Tag, sign and submit an order action and journal it
+ * Returns the result with the tagged orders; does not throw on rejected orders
+ */
+const sendOrders = async (orders, grouping, userAddress) => {
+    const tagged = tagOrders(orders, userAddress);
+    const action = await buildOrderAction(tagged, grouping);
+    const result = await submitAgentAction(action, userAddress);
+    journalOrders(userAddress, tagged, result.response?.data?.statuses || []);
+    return result;
+};
+
+/**
+ * Sign and submit an order action, failing on the first rejected order
+ */
+const submitOrders = async (orders, grouping, userAddress) => {
+    const result = await sendOrders(orders, grouping, userAddress);
+
+    const orderError = getOrderStatusError(result);
+    if (orderError) {
+        throw new Error(orderError);
+    }
+    return result;
+};
+
+/**
+ * Place an order signed by the agent wallet
+ * With tp_px and/or sl_px the TP/SL legs are sent in the same action
+ * (normalTpsl grouping) and only become active once the entry fills
+ * Orders without a cloid get one generated (prefix from orderData.strategy)
+ * @param {Object} orderData - Order parameters (coin, is_buy, sz, limit_px, order_type, tif, reduce_only, cloid, strategy, tp_px, sl_px)
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Order result with exchange statuses
+ */
+export const placeOrderWithAgent = async (orderData, userAddress) => {
+    const { tp_px, sl_px, ...entry } = orderData;
+    const hasTpsl = !!(tp_px || sl_px);
+
+    const orders = [entry];
+    if (hasTpsl) {
+        const legs = buildTpslOrders({
+            coin: entry.coin,
+            isLong: entry.is_buy,
+            sz: entry.sz,
+            tpPx: tp_px,
+            slPx: sl_px,
+            szDecimals: await getSzDecimals(entry.coin)
+        });
+        orders.push(...legs.map(leg => ({ ...leg, strategy: CLOID_STRATEGY.TPSL })));
+    }
+
+    const result = await submitOrders(orders, hasTpsl ? ORDER_GROUPING.NORMAL_TPSL : ORDER_GROUPING.NA, userAddress);
+
+    return {
+        status: 'ok',
+        message: hasTpsl ? `Order placed for ${entry.coin} with TP/SL` : `Order placed for ${entry.coin}`,
+        statuses: result.response?.data?.statuses || [],
+        response: result
+    };
+};
+
+/**
+ * Place several independent orders in one action signed by the agent wallet
+ * Hyperliquid accepts or rejects each order on its own; failures are reported
+ * per order rather than thrown
+ * @param {Array<Object>} orders - Orders as in placeOrderWithAgent (without TP/SL)
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Result with one status per order and the errors that occurred
+ */
+export const placeOrdersWithAgent = async (orders, userAddress) => {
+    const result = await sendOrders(orders, ORDER_GROUPING.NA, userAddress);
+
+    const statuses = result.response?.data?.statuses || [];
+    const errors = statuses.filter(status => status?.error).map(status => status.error);
+
+    return {
+        status: errors.length === 0 ? 'ok' : errors.length === orders.length ? 'error' : 'partial',
+        message: errors.length === 0
+            ? `${orders.length} orders placed`
+            : `${orders.length - errors.length} of ${orders.length} orders placed`,
+        statuses,
+        errors,
+        response: result
+    };
+};
+
+/**
+ * Add take profit and/or stop loss to an open position (positionTpsl grouping)
+ * @param {string} coin - Coin symbol (e.g., 'BTC')
+ * @param {string} userAddress - User's MetaMask address (owner of the position)
+ * @param {Object} tpsl - {tp_px, sl_px}; at least one is required
+ * @returns {Promise<Object>} Result with exchange statuses
+ */
+export const setPositionTpslWithAgent = async (coin, userAddress, { tp_px = null, sl_px = null } = {}) => {
+    if (!tp_px && !sl_px) {
+        throw new Error('Enter a take profit or stop loss price');
+    }
+
+    const positions = await getUserPositions(userAddress);
+    const position = positions.find(p => p.coin === coin);
+    if (!position) {
+        throw new Error(`No open position found for ${coin}`);
+    }
+
+    const positionSize = parseFloat(position.size);
+    const orders = buildTpslOrders({
+        coin,
+        isLong: positionSize > 0,
+        sz: Math.abs(positionSize),
+        tpPx: tp_px,
+        slPx: sl_px,
+        szDecimals: await getSzDecimals(coin)
+    }).map(leg => ({ ...leg, strategy: CLOID_STRATEGY.TPSL }));
+
+    const result = await submitOrders(orders, ORDER_GROUPING.POSITION_TPSL, userAddress);
+
+    return {
+        status: 'ok',
+        message: `TP/SL set for ${coin} position`,
+        statuses: result.response?.data?.statuses || [],
+        response: result
+    };
+};
+
+/**
+ * Modify a resting order in place, keeping its oid and queue identity
+ * @param {number|string} oid - Order ID (or cloid) of the resting order
+ * @param {Object} orderData - Full new order (coin, is_buy, sz, limit_px, order_type, tif, reduce_only, cloid)
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Result with exchange statuses
+ */
+export const modifyOrderWithAgent = async (oid, orderData, userAddress) => {
+    const action = await buildModifyAction(oid, orderData);
+    const result = await submitAgentAction(action, userAddress);
+
+    const orderError = getOrderStatusError(result);
+    if (orderError) {
+        throw new Error(orderError);
+    }
+
+    return {
+        status: 'ok',
+        message: `Order ${oid} modified`,
+        statuses: result.response?.data?.statuses || [],
+        response: result
+    };
+};
+
+/**
+ * Modify several resting orders in one action
+ * Hyperliquid applies each modify independently; failures are reported per order
+ * @param {Array<Object>} modifies - List of {oid, order} (order as in modifyOrderWithAgent)
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Result with per-order statuses and the errors that occurred
+ */
+export const batchModifyOrdersWithAgent = async (modifies, userAddress) => {
+    const action = await buildBatchModifyAction(modifies);
+    const result = await submitAgentAction(action, userAddress);
+
+    const statuses = result.response?.data?.statuses || [];
+    const errors = statuses
+        .map((status, index) => (status?.error ? { oid: modifies[index]?.oid, error: status.error } : null))
+        .filter(Boolean);
+
+    return {
+        status: errors.length === 0 ? 'ok' : 'partial',
+        message: errors.length === 0
+            ? `${modifies.length} orders modified`
+            : `${modifies.length - errors.length} of ${modifies.length} orders modified`,
+        statuses,
+        errors,
+        response: result
+    };
+};
+
+/**
+ * Start a TWAP order signed by the agent wallet
+ * @param {Object} twapData - TWAP parameters (coin, is_buy, sz, minutes, reduce_only, randomize)
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Result with the new twapId
+ */
+export const placeTwapWithAgent = async (twapData, userAddress) => {
+    const action = await buildTwapOrderAction(twapData);
+    const result = await submitAgentAction(action, userAddress);
+
+    // Response data is {status: {running: {twapId}}} or {status: {error}}
+    const twapStatus = result.response?.data?.status;
+    if (twapStatus?.error) {
+        throw new Error(twapStatus.error);
+    }
+
+    return {
+        status: 'ok',
+        message: `TWAP started for ${twapData.coin}`,
+        twapId: twapStatus?.running?.twapId,
+        response: result
+    };
+};
+
+/**
+ * Cancel a running TWAP with an action signed by the agent wallet
+ * @param {string} coin - Coin of the TWAP
+ * @param {number} twapId - TWAP ID
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Cancel result
+ */
+export const cancelTwapWithAgent = async (coin, twapId, userAddress) => {
+    const action = await buildTwapCancelAction(coin, twapId);
+    const result = await submitAgentAction(action, userAddress);
+
+    // Response data is {status: 'success'} or {status: {error}}
+    const cancelStatus = result.response?.data?.status;
+    if (cancelStatus?.error) {
+        throw new Error(cancelStatus.error);
+    }
+
+    return {
+        status: 'ok',
+        message: `TWAP ${twapId} canceled`,
+        response: result
+    };
+};
+
+/**
+ * Cancel resting orders by client order ID with an action signed by the agent wallet
+ * @param {Array<Object>} cancels - List of {coin, cloid}
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Cancel result with exchange statuses
+ */
+export const cancelByCloidWithAgent = async (cancels, userAddress) => {
+    const action = await buildCancelByCloidAction(cancels);
+    const result = await submitAgentAction(action, userAddress);
+
+    const orderError = getOrderStatusError(result);
+    if (orderError) {
+        throw new Error(orderError);
+    }
+
+    return {
+        status: 'ok',
+        message: cancels.length === 1 ? `Order ${cancels[0].cloid} canceled` : `${cancels.length} orders canceled`,
+        statuses: result.response?.data?.statuses || [],
+        response: result
+    };
+};
+
+/**
+ * Schedule (or remove) a cancel of all open orders with an action signed by the agent wallet
+ * @param {number|null} time - Unix ms when all orders are canceled; null removes the schedule
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Exchange response
+ */
+export const scheduleCancelWithAgent = async (time, userAddress) => {
+    return submitAgentAction(buildScheduleCancelAction(time), userAddress);
+};
+
+/**
+ * Close a position with a reduce-only IOC order signed by the agent wallet
+ * @param {string} coin - Coin symbol (e.g., 'BTC')
+ * @param {string} userAddress - User's MetaMask address (owner of the position)
+ * @param {number|null} sz - Size to close (null closes the full position)
+ * @param {number|null} px - Limit price (null uses mid price with slippage)
+ * @param {number} slippage - Slippage applied to the mid price
+ * @returns {Promise<Object>} Close result with exchange statuses
+ */
+export const closePositionWithAgent = async (coin, userAddress, sz = null, px = null, slippage = 0.01) => {
+    const positions = await getUserPositions(userAddress);
+    const position = positions.find(p => p.coin === coin);
+
+    if (!position) {
+        throw new Error(`No open position found for ${coin}`);
+    }
+
+    const positionSize = parseFloat(position.size);
+    const isBuy = positionSize < 0; // Buy back shorts, sell longs
+    const closeSize = sz || Math.abs(positionSize);
+
+    let limitPx = px;
+    if (!limitPx) {
+        const [mids, szDecimals] = await Promise.all([getMids(), getSzDecimals(coin)]);
+        const midPrice = parseFloat(mids?.[coin] || 0);
+        if (!midPrice) {
+            throw new Error(`Could not get market price for ${coin}`);
+        }
+        limitPx = getSlippagePrice(midPrice, isBuy, slippage, szDecimals);
+    }
+
+    const result = await placeOrderWithAgent({
+        coin,
+        is_buy: isBuy,
+        sz: closeSize,
+        limit_px: limitPx,
+        order_type: 'Market',
+        reduce_only: true,
+        strategy: CLOID_STRATEGY.CLOSE
+    }, userAddress);
+
+    return {
+        ...result,
+        message: `Position closed successfully for ${coin}`
+    };
+};
+
+/**
+ * Update leverage for a coin with an action signed by the agent wallet
+ * @param {string} coin - Coin symbol (e.g., 'BTC')
+ * @param {number} leverage - Leverage multiplier
+ * @param {boolean} isCross - True for cross margin, false for isolated
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Promise<Object>} Exchange response
+ */
+export const setLeverageWithAgent = async (coin, leverage, isCross, userAddress) => {
+    const action = await buildUpdateLeverageAction(coin, leverage, isCross);
+    return submitAgentAction(action, userAddress);
+};
@@ -1,29 +1,168 @@
 /**
  * Utility functions for managing agent credentials in local storage
+ *
+ * Agents are kept in a registry keyed by user address and network
+ * (mainnet/testnet). Each entry holds several named agents and the address of
+ * the active one. Agent private keys are stored encrypted (see
+ * agent-keystore.js); decrypted keys are only kept in memory while the
+ * keystore is unlocked.
  */
 
-const AGENT_STORAGE_KEY = 'hyperliquid_agent';
+import {
+    encryptSecret,
+    decryptSecret,
+    initializeKeystore,
+    unlockKeystore,
+    isKeystoreInitialized,
+    isKeystoreUnlocked,
+    onKeystoreChange
+} from './agent-keystore';
+import { getNetworkConfig } from './network';
+
+const AGENT_REGISTRY_KEY = 'hyperliquid_agents';
+const LEGACY_AGENT_STORAGE_KEY = 'hyperliquid_agent';
+
+// Decrypted agent keys for the unlocked session (agent address -> private key)
+const unlockedKeys = new Map();
+const listeners = new Set();
+
+// Drop decrypted keys as soon as the keystore locks
+onKeystoreChange(() => {
+    if (!isKeystoreUnlocked()) {
+        unlockedKeys.clear();
+    }
+});
+
+/**
+ * Get the registry network for the selected Hyperliquid network
+ * @returns {string} 'mainnet' or 'testnet'
+ */
+export const getAgentNetwork = () => getNetworkConfig().key;
+
+const getRegistryKey = (userAddress) => `${userAddress.toLowerCase()}:${getAgentNetwork()}`;
+
+const readRegistry = () => {
+    try {
+        const stored = localStorage.getItem(AGENT_REGISTRY_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+        console.error('Error reading agent registry from local storage:', error);
+        return {};
+    }
+};
+
+const notifyListeners = () => {
+    listeners.forEach(listener => listener());
+};
+
+const writeRegistry = (registry) => {
+    localStorage.setItem(AGENT_REGISTRY_KEY, JSON.stringify(registry));
+    notifyListeners();
+};
 
 /**
- * Save agent credentials to local storage
+ * Move the legacy single-agent entry into the registry
+ * Runs once from unlockAgents, never from the read getters. The legacy entry has
+ * no network, so it is filed under the one selected at that unlock.
+ */
+const migrateLegacyAgent = () => {
+    try {
+        const stored = localStorage.getItem(LEGACY_AGENT_STORAGE_KEY);
+        if (!stored) {
+            return;
+        }
+
+        const legacy = JSON.parse(stored);
+        if (legacy?.user_address && legacy?.agent_address) {
+            const registry = readRegistry();
+            const key = getRegistryKey(legacy.user_address);
+            const entry = registry[key] || { active: null, agents: [] };
+
+            if (!entry.agents.some(a => a.agent_address.toLowerCase() === legacy.agent_address.toLowerCase())) {
+                entry.agents.push({
+                    agent_address: legacy.agent_address,
+                    agent_name: legacy.agent_name || null,
+                    created_at: legacy.created_at || new Date().toISOString(),
+                    valid_until: null,
+                    ...(legacy.encrypted_private_key
+                        ? { encrypted_private_key: legacy.encrypted_private_key }
+                        : { agent_private_key: legacy.agent_private_key })
+                });
+            }
+            entry.active = entry.active || legacy.agent_address;
+            registry[key] = entry;
+            writeRegistry(registry);
+        }
+
+        localStorage.removeItem(LEGACY_AGENT_STORAGE_KEY);
+    } catch (error) {
+        console.error('Error migrating legacy agent:', error);
+    }
+};
+
+const getRegistryEntry = (userAddress) => {
+    if (!userAddress) {
+        return null;
+    }
+    return readRegistry()[getRegistryKey(userAddress)] || null;
+};
+
+// Strip key material before handing records to callers
+const toPublicAgent = (agent, activeAddress) => {
+    const publicAgent = {
+        ...agent,
+        is_active: !!activeAddress && agent.agent_address.toLowerCase() === activeAddress.toLowerCase(),
+        is_expired: isAgentExpired(agent)
+    };
+    delete publicAgent.agent_private_key;
+    delete publicAgent.encrypted_private_key;
+    return publicAgent;
+};
+
+/**
+ * Check if an agent is past its validUntil expiry
+ * @param {Object} agent - Agent record
+ * @returns {boolean} True if the agent has expired
+ */
+export const isAgentExpired = (agent) => {
+    return !!agent?.valid_until && agent.valid_until <= Date.now();
+};
+
+/**
+ * Save agent credentials to the registry (private key encrypted) and make it active
+ * Agents with the same name are dropped: Hyperliquid replaces them on approval
+ * Requires an unlocked keystore
  * @param {string} userAddress - User's MetaMask address
  * @param {string} agentAddress - Agent address
  * @param {string} agentPrivateKey - Agent private key
  * @param {string} agentName - Optional agent name
+ * @param {number|null} validUntil - Optional expiry timestamp (ms)
+ * @returns {Promise<boolean>} True if the agent was saved
  */
-export const saveAgent = (userAddress, agentAddress, agentPrivateKey, agentName = null) => {
+export const saveAgent = async (userAddress, agentAddress, agentPrivateKey, agentName = null, validUntil = null) => {
     try {
-        const agentData = {
-            user_address: userAddress,
+        const encryptedPrivateKey = await encryptSecret(agentPrivateKey);
+
+        const registry = readRegistry();
+        const key = getRegistryKey(userAddress);
+        const entry = registry[key] || { active: null, agents: [] };
+
+        entry.agents = entry.agents.filter(a => (a.agent_name || null) !== (agentName || null));
+        entry.agents.push({
             agent_address: agentAddress,
-            agent_private_key: agentPrivateKey,
-            agent_name: agentName,
-            created_at: new Date().toISOString()
-        };
+            agent_name: agentName || null,
+            encrypted_private_key: encryptedPrivateKey,
+            created_at: new Date().toISOString(),
+            valid_until: validUntil
+        });
+        entry.active = agentAddress;
+        registry[key] = entry;
 
-        localStorage.setItem(AGENT_STORAGE_KEY, JSON.stringify(agentData));
-        console.log('Agent saved to local storage:', {
+        unlockedKeys.set(agentAddress.toLowerCase(), agentPrivateKey);
+        writeRegistry(registry);
+        console.log('Agent saved to registry (encrypted):', {
             user_address: userAddress,
+            network: getAgentNetwork(),
             agent_address: agentAddress,
             agent_name: agentName
         });
@@ -35,49 +174,84 @@ export const saveAgent = (userAddress, agentAddress, agentPrivateKey, agentName
 };
 
 /**
- * Get agent credentials from local storage
- * @param {string} userAddress - User's MetaMask address (optional, for validation)
- * @returns {Object|null} Agent data or null if not found
+ * List agents for a user on the selected network
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Array<Object>} Agent records (without private keys)
  */
-export const getAgent = (userAddress = null) => {
-    try {
-        const stored = localStorage.getItem(AGENT_STORAGE_KEY);
-        if (!stored) {
-            return null;
-        }
-
-        const agentData = JSON.parse(stored);
-
-        // If userAddress is provided, validate it matches
-        if (userAddress && agentData.user_address?.toLowerCase() !== userAddress.toLowerCase()) {
-            console.warn('Stored agent does not match current user address');
-            return null;
-        }
+export const listAgents = (userAddress) => {
+    const entry = getRegistryEntry(userAddress);
+    if (!entry) {
+        return [];
+    }
+    return entry.agents.map(agent => toPublicAgent(agent, entry.active));
+};
 
-        return agentData;
-    } catch (error) {
-        console.error('Error reading agent from local storage:', error);
+/**
+ * Get the active agent for a user on the selected network
+ * The returned record never contains the private key
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {Object|null} Agent data or null if not found
+ */
+export const getAgent = (userAddress) => {
+    const entry = getRegistryEntry(userAddress);
+    if (!entry || !entry.active) {
         return null;
     }
+
+    const agent = entry.agents.find(a => a.agent_address.toLowerCase() === entry.active.toLowerCase());
+    return agent ? toPublicAgent(agent, entry.active) : null;
 };
 
 /**
- * Check if agent exists in local storage
- * @param {string} userAddress - User's MetaMask address (optional)
+ * Check if an active agent exists
+ * @param {string} userAddress - User's MetaMask address
  * @returns {boolean} True if agent exists
  */
-export const hasAgent = (userAddress = null) => {
+export const hasAgent = (userAddress) => {
     const agent = getAgent(userAddress);
     return agent !== null;
 };
 
 /**
- * Remove agent from local storage
+ * Select the active agent for a user on the selected network
+ * @param {string} userAddress - User's MetaMask address
+ * @param {string} agentAddress - Agent address to activate
  */
-export const removeAgent = () => {
+export const setActiveAgent = (userAddress, agentAddress) => {
+    const registry = readRegistry();
+    const key = getRegistryKey(userAddress);
+    const entry = registry[key];
+
+    if (!entry || !entry.agents.some(a => a.agent_address.toLowerCase() === agentAddress.toLowerCase())) {
+        throw new Error(`Agent ${agentAddress} not found`);
+    }
+
+    entry.active = agentAddress;
+    writeRegistry(registry);
+};
+
+/**
+ * Remove an agent from the registry (does not revoke it on Hyperliquid)
+ * @param {string} userAddress - User's MetaMask address
+ * @param {string} agentAddress - Agent address to remove
+ */
+export const removeAgent = (userAddress, agentAddress) => {
     try {
-        localStorage.removeItem(AGENT_STORAGE_KEY);
-        console.log('Agent removed from local storage');
+        const registry = readRegistry();
+        const key = getRegistryKey(userAddress);
+        const entry = registry[key];
+        if (!entry) {
+            return false;
+        }
+
+        entry.agents = entry.agents.filter(a => a.agent_address.toLowerCase() !== agentAddress.toLowerCase());
+        if (entry.active?.toLowerCase() === agentAddress.toLowerCase()) {
+            entry.active = entry.agents[0]?.agent_address || null;
+        }
+
+        unlockedKeys.delete(agentAddress.toLowerCase());
+        writeRegistry(registry);
+        console.log('Agent removed from registry:', agentAddress);
         return true;
     } catch (error) {
         console.error('Error removing agent from local storage:', error);
@@ -86,22 +260,96 @@ export const removeAgent = () => {
 };
 
 /**
- * Get agent address from local storage
- * @param {string} userAddress - User's MetaMask address (optional)
+ * Check if any agent key is still stored unencrypted
+ * @returns {boolean} True if stored agents need to be migrated
+ */
+export const hasPlaintextAgent = () => {
+    try {
+        const legacy = JSON.parse(localStorage.getItem(LEGACY_AGENT_STORAGE_KEY) || 'null');
+        if (legacy?.agent_private_key) {
+            return true;
+        }
+    } catch (error) {
+        console.error('Error reading legacy agent from local storage:', error);
+    }
+
+    return Object.values(readRegistry()).some(entry =>
+        entry.agents.some(agent => !!agent.agent_private_key)
+    );
+};
+
+/**
+ * Unlock (or create) the agent keystore and decrypt all stored agent keys
+ * The legacy single-agent entry is moved into the registry and plaintext entries
+ * are encrypted on first unlock
+ * @param {string} passphrase - Keystore passphrase
+ */
+export const unlockAgents = async (passphrase) => {
+    if (isKeystoreInitialized()) {
+        await unlockKeystore(passphrase);
+    } else {
+        await initializeKeystore(passphrase);
+    }
+
+    migrateLegacyAgent();
+    const registry = readRegistry();
+    let migrated = false;
+
+    for (const entry of Object.values(registry)) {
+        for (const agent of entry.agents) {
+            if (agent.agent_private_key) {
+                agent.encrypted_private_key = await encryptSecret(agent.agent_private_key);
+                unlockedKeys.set(agent.agent_address.toLowerCase(), agent.agent_private_key);
+                delete agent.agent_private_key;
+                migrated = true;
+                console.log('Migrated plaintext agent key to encrypted keystore:', agent.agent_address);
+            } else if (agent.encrypted_private_key) {
+                const privateKey = await decryptSecret(agent.encrypted_private_key);
+                unlockedKeys.set(agent.agent_address.toLowerCase(), privateKey);
+            }
+        }
+    }
+
+    if (migrated) {
+        writeRegistry(registry);
+    } else {
+        // Keys are available now, even though the registry itself did not change
+        notifyListeners();
+    }
+};
+
+/**
+ * Get active agent address
+ * @param {string} userAddress - User's MetaMask address
  * @returns {string|null} Agent address or null
  */
-export const getAgentAddress = (userAddress = null) => {
+export const getAgentAddress = (userAddress) => {
     const agent = getAgent(userAddress);
     return agent?.agent_address || null;
 };
 
 /**
- * Get agent private key from local storage
- * @param {string} userAddress - User's MetaMask address (optional)
- * @returns {string|null} Agent private key or null
+ * Get active agent private key for the unlocked session
+ * @param {string} userAddress - User's MetaMask address
+ * @returns {string|null} Agent private key or null if missing or locked
  */
-export const getAgentPrivateKey = (userAddress = null) => {
+export const getAgentPrivateKey = (userAddress) => {
     const agent = getAgent(userAddress);
-    return agent?.agent_private_key || null;
+    if (!agent || !isKeystoreUnlocked()) {
+        return null;
+    }
+    return unlockedKeys.get(agent.agent_address.toLowerCase()) || null;
 };
 
+/**
+ * Subscribe to registry changes (agents added, removed or activated) and to
+ * agent keys becoming available after an unlock
+ * @param {Function} listener - Called whenever the registry changes
+ * @returns {Function} Unsubscribe function
+ */
+export const onAgentsChange = (listener) => {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
@@ -0,0 +1,79 @@
+/**
+ * Client order IDs (cloid)
+ *
+ * Hyperliquid lets every order carry a 128-bit client order ID, written as
+ * 0x followed by 32 hex characters. Orders placed from this app are tagged
+ * with a 4-byte prefix so they can be recognized and matched to the local
+ * order journal:
+ *
+ *   0x | user tag (2 bytes) | app marker (1 byte) | strategy (1 byte) | random (12 bytes)
+ *
+ * The user tag is the first two bytes of the user's address, which keeps IDs
+ * of different accounts apart in a shared journal.
+ */
+
+const APP_MARKER = 'a7';
+const RANDOM_BYTES = 12;
+
+// Strategy byte of the prefix
+export const CLOID_STRATEGY = {
+    MANUAL: 'manual',
+    SCALE: 'scale',
+    TPSL: 'tpsl',
+    CLOSE: 'close'
+};
+
+const STRATEGY_CODES = {
+    [CLOID_STRATEGY.MANUAL]: '01',
+    [CLOID_STRATEGY.SCALE]: '02',
+    [CLOID_STRATEGY.TPSL]: '03',
+    [CLOID_STRATEGY.CLOSE]: '04'
+};
+
+const CLOID_PATTERN = /^0x[0-9a-f]{32}$/;
+
+const getUserTag = (userAddress) => userAddress.toLowerCase().replace(/^0x/, '').slice(0, 4);
+
+/**
+ * Check that a value is a well-formed cloid
+ * @param {string} cloid - Value to check
+ * @returns {boolean} True for 0x + 32 lowercase hex characters
+ */
+export const isValidCloid = (cloid) => typeof cloid === 'string' && CLOID_PATTERN.test(cloid);
+
+/**
+ * Generate a cloid for an order placed by a user
+ * @param {string} userAddress - User's wallet address
+ * @param {string} strategy - One of CLOID_STRATEGY
+ * @returns {string} 0x-prefixed 128-bit hex cloid
+ */
+export const generateCloid = (userAddress, strategy = CLOID_STRATEGY.MANUAL) => {
+    const strategyCode = STRATEGY_CODES[strategy];
+    if (!strategyCode) {
+        throw new Error(`Unknown cloid strategy: ${strategy}`);
+    }
+
+    const random = crypto.getRandomValues(new Uint8Array(RANDOM_BYTES));
+    const randomHex = Array.from(random).map(b => b.toString(16).padStart(2, '0')).join('');
+    return `0x${getUserTag(userAddress)}${APP_MARKER}${strategyCode}${randomHex}`;
+};
+
+/**
+ * Read the prefix of a cloid generated by this app
+ * @param {string} cloid - Client order ID
+ * @param {string} userAddress - Only match cloids tagged for this user (optional)
+ * @returns {Object|null} {strategy} or null if the cloid was not generated here
+ */
+export const parseCloid = (cloid, userAddress = null) => {
+    const value = cloid?.toLowerCase();
+    if (!isValidCloid(value) || value.slice(6, 8) !== APP_MARKER) {
+        return null;
+    }
+    if (userAddress && value.slice(2, 6) !== getUserTag(userAddress)) {
+        return null;
+    }
+
+    const code = value.slice(8, 10);
+    const strategy = Object.keys(STRATEGY_CODES).find(key => STRATEGY_CODES[key] === code);
+    return strategy ? { strategy } : null;
+};
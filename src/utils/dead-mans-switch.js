@@ -0,0 +1,165 @@
+/**
+ * Dead man's switch
+ *
+ * While enabled, a scheduleCancel a few minutes ahead is signed and renewed
+ * every minute. If the tab dies (or the agent can no longer sign) the renewals
+ * stop and Hyperliquid cancels all open orders when the last deadline passes.
+ * The switch lives at module level so it keeps running while the user moves
+ * between pages; it is remembered per user and network and resumed the next
+ * time the app opens the Orders page with the agent keystore unlocked. Renewals
+ * do not hold the keystore open: when it auto-locks, the switch turns itself off
+ * (and is no longer remembered) and the last scheduled cancel is left to fire.
+ */
+
+import { scheduleCancel } from '../services/trading';
+import { getNetworkConfig } from './network';
+import { isKeystoreUnlocked, onKeystoreChange } from './agent-keystore';
+
+// How far ahead each scheduled cancel is set
+export const DEAD_MANS_SWITCH_WINDOW_MS = 5 * 60 * 1000;
+// Renew well before the deadline; background tabs may delay timers up to a minute
+const RENEW_INTERVAL_MS = 60 * 1000;
+
+const DEAD_MANS_SWITCH_STORAGE_KEY = 'hyperliquid_dead_mans_switch';
+
+let state = {
+    enabled: false,
+    user: null,
+    network: null, // network key the user's switch runs on
+    deadline: null, // last deadline Hyperliquid accepted (Unix ms)
+    renewing: false,
+    error: null,
+    lockedDeadline: null // deadline left to fire when the keystore locked the switch off
+};
+let renewTimer = null;
+const listeners = new Set();
+
+const setState = (updates) => {
+    state = { ...state, ...updates };
+    listeners.forEach(listener => listener(state));
+};
+
+const getStorageKey = (userAddress) => `${userAddress.toLowerCase()}:${getNetworkConfig().key}`;
+
+const readSaved = () => {
+    try {
+        const stored = localStorage.getItem(DEAD_MANS_SWITCH_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+        console.error('Error reading dead man\'s switch from local storage:', error);
+        return {};
+    }
+};
+
+const saveEnabled = (userAddress, enabled) => {
+    const saved = readSaved();
+    if (enabled) {
+        saved[getStorageKey(userAddress)] = true;
+    } else {
+        delete saved[getStorageKey(userAddress)];
+    }
+    localStorage.setItem(DEAD_MANS_SWITCH_STORAGE_KEY, JSON.stringify(saved));
+};
+
+const renew = async () => {
+    const { user } = state;
+    const deadline = Date.now() + DEAD_MANS_SWITCH_WINDOW_MS;
+
+    setState({ renewing: true });
+    try {
+        await scheduleCancel(deadline, user);
+        // Ignore answers that arrive after the switch was turned off
+        if (state.enabled && state.user === user) {
+            setState({ deadline, error: null });
+        }
+    } catch (error) {
+        console.error('Failed to renew scheduled cancel:', error);
+        if (state.enabled && state.user === user) {
+            setState({ error: error.message || 'Failed to renew scheduled cancel' });
+        }
+    } finally {
+        setState({ renewing: false });
+    }
+};
+
+// Renewals cannot be signed once the keystore locks: turn the switch off and forget
+// it, keeping user and network so the notice is shown to the right account
+onKeystoreChange(() => {
+    if (isKeystoreUnlocked() || !state.enabled) return;
+
+    clearInterval(renewTimer);
+    renewTimer = null;
+    saveEnabled(state.user, false);
+    setState({ enabled: false, lockedDeadline: state.deadline, error: null });
+});
+
+/**
+ * Get the current switch state
+ * @returns {Object} {enabled, user, network, deadline, renewing, error, lockedDeadline};
+ *   user and network stay set after a failed enable or a keystore lock so the error
+ *   or notice can be attributed
+ */
+export const getDeadMansSwitchState = () => state;
+
+/**
+ * Check whether the switch was left on for a user on the selected network
+ * @param {string} userAddress - User's wallet address
+ * @returns {boolean} True if it should be resumed
+ */
+export const isDeadMansSwitchSaved = (userAddress) => !!userAddress && !!readSaved()[getStorageKey(userAddress)];
+
+/**
+ * Turn the switch on: schedule a cancel now and keep renewing it
+ * @param {string} userAddress - User's wallet address
+ * @returns {Promise<void>} Resolves after the first schedule; throws if it was rejected
+ */
+export const enableDeadMansSwitch = async (userAddress) => {
+    if (state.enabled && state.user === userAddress) {
+        return;
+    }
+    // One account at a time: release the other account's schedule first
+    if (state.enabled) {
+        await disableDeadMansSwitch().catch(error => console.error('Failed to remove scheduled cancel:', error));
+    }
+    clearInterval(renewTimer);
+
+    setState({ enabled: true, user: userAddress, network: getNetworkConfig().key, deadline: null, error: null, lockedDeadline: null });
+    await renew();
+    if (state.error) {
+        // Forget a remembered switch too, so a failed resume is not retried on every mount
+        saveEnabled(userAddress, false);
+        setState({ enabled: false });
+        throw new Error(state.error);
+    }
+
+    saveEnabled(userAddress, true);
+    renewTimer = setInterval(renew, RENEW_INTERVAL_MS);
+};
+
+/**
+ * Turn the switch off and remove the scheduled cancel on Hyperliquid
+ * @returns {Promise<void>} Throws if the schedule could not be removed (it then still expires)
+ */
+export const disableDeadMansSwitch = async () => {
+    const { user, enabled } = state;
+    clearInterval(renewTimer);
+    renewTimer = null;
+
+    setState({ enabled: false, user: null, network: null, deadline: null, error: null, lockedDeadline: null });
+    if (!user || !enabled) return;
+
+    saveEnabled(user, false);
+    await scheduleCancel(null, user);
+};
+
+/**
+ * Subscribe to switch state changes
+ * @param {Function} listener - Called with the new state
+ * @returns {Function} Unsubscribe function
+ */
+export const onDeadMansSwitchChange = (listener) => {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
@@ -4,11 +4,10 @@
  */
 
 import { ethers } from 'ethers';
+import { getNetworkConfig } from './network';
 
-// Contract Addresses (Arbitrum One Mainnet)
-const USDC_ADDRESS = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831'; // USDC on Arbitrum One
-const USDT_ADDRESS = '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9'; // USDT on Arbitrum One
-const HYPERLIQUID_BRIDGE_ADDRESS = '0x2Df1c51E09aECF9cacB7bc98cB1742757f163dF7'; // Hyperliquid Bridge
+// Token and bridge addresses come from the selected network (see network.js)
+const getBridgeAddress = () => getNetworkConfig().bridgeAddress;
 
 // ERC20 ABI (minimal - just what we need)
 const ERC20_ABI = [
@@ -64,12 +63,15 @@ const ERC20_ABI = [
  * @returns {string} Token contract address
  */
 const getTokenAddress = (token) => {
-    if (token === 'USDC') {
-        return USDC_ADDRESS;
-    } else if (token === 'USDT') {
-        return USDT_ADDRESS;
+    const network = getNetworkConfig();
+    const address = token === 'USDC' ? network.usdcAddress
+        : token === 'USDT' ? network.usdtAddress
+            : null;
+
+    if (!address) {
+        throw new Error(`Unsupported token on ${network.name}: ${token}`);
     }
-    throw new Error(`Unsupported token: ${token}`);
+    return address;
 };
 
 /**
@@ -94,7 +96,7 @@ export const getAllowance = async (signer, token) => {
         const contract = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
         const address = await signer.getAddress();
 
-        const allowance = await contract.allowance(address, HYPERLIQUID_BRIDGE_ADDRESS);
+        const allowance = await contract.allowance(address, getBridgeAddress());
         return allowance.toString();
     } catch (error) {
         console.error('Error getting allowance:', error);
@@ -124,9 +126,9 @@ export const approveToken = async (signer, token, amount) => {
         console.log('  - Token:', token);
         console.log('  - Amount:', amount, token);
         console.log('  - Amount (units):', amountInUnits.toString());
-        console.log('  - Bridge Address:', HYPERLIQUID_BRIDGE_ADDRESS);
+        console.log('  - Bridge Address:', getBridgeAddress());
 
-        const tx = await contract.approve(HYPERLIQUID_BRIDGE_ADDRESS, amountInUnits);
+        const tx = await contract.approve(getBridgeAddress(), amountInUnits);
         console.log('✅ Approval transaction sent!');
         console.log('  - Transaction hash:', tx.hash);
         console.log('  - Waiting for confirmation...');
@@ -175,7 +177,7 @@ export const depositUSDC = async (signer, amount, token = 'USDC') => {
         console.log('  - Amount:', amount, token);
         console.log('  - Amount (units):', amountInUnits.toString());
         console.log('  - From:', address);
-        console.log('  - To (Bridge):', HYPERLIQUID_BRIDGE_ADDRESS);
+        console.log('  - To (Bridge):', getBridgeAddress());
         console.log('  - Token Address:', tokenAddress);
 
         // Get token contract
@@ -186,7 +188,7 @@ export const depositUSDC = async (signer, amount, token = 'USDC') => {
         console.log('  - Bridge will automatically credit your Hyperliquid account');
 
         // Transfer token to bridge address
-        const tx = await tokenContract.transfer(HYPERLIQUID_BRIDGE_ADDRESS, amountInUnits);
+        const tx = await tokenContract.transfer(getBridgeAddress(), amountInUnits);
 
         console.log('✅ Transaction sent!');
         console.log('  - Transaction hash:', tx.hash);
@@ -0,0 +1,252 @@
+/**
+ * Account record export
+ *
+ * Loads fills, funding payments, orders and non-funding ledger updates for a
+ * time range and flattens them into one record shape, so CSV and JSON exports
+ * share the same columns. Timestamps are UTC; amounts keep the exchange's
+ * string precision.
+ */
+
+import {
+    getUserFillsHistory,
+    getUserFundingHistory,
+    getHistoricalOrders,
+    getLedgerHistory
+} from '../services/hyperliquid-api';
+import { getNetworkConfig } from './network';
+
+export const EXPORT_FORMATS = {
+    CSV: 'csv',
+    JSON: 'json'
+};
+
+// Record sources, in the order they are loaded
+export const EXPORT_SOURCES = [
+    { id: 'fills', label: 'Trade fills', infoType: 'userFillsByTime' },
+    { id: 'funding', label: 'Funding payments', infoType: 'userFunding' },
+    { id: 'orders', label: 'Order history', infoType: 'historicalOrders' },
+    { id: 'ledger', label: 'Deposits, withdrawals and transfers', infoType: 'userNonFundingLedgerUpdates' }
+];
+
+// historicalOrders returns at most this many of the most recent orders
+const HISTORICAL_ORDERS_LIMIT = 2000;
+// userFillsByTime only serves this many of the most recent fills
+const FILLS_HISTORY_LIMIT = 10000;
+
+export const EXPORT_COLUMNS = [
+    'timestamp_utc',
+    'record_type',
+    'coin',
+    'side',
+    'px',
+    'sz',
+    'fee',
+    'fee_token',
+    'realized_pnl',
+    'tx_hash',
+    'oid',
+    'status',
+    'details'
+];
+
+const toRecord = (fields) => {
+    const record = {};
+    EXPORT_COLUMNS.forEach((column) => {
+        record[column] = fields[column] ?? '';
+    });
+    return record;
+};
+
+const toUtc = (time) => new Date(time).toISOString();
+
+const toSide = (side) => (side === 'B' ? 'buy' : side === 'A' ? 'sell' : '');
+
+const fromFill = (fill) => toRecord({
+    timestamp_utc: toUtc(fill.time),
+    record_type: 'fill',
+    coin: fill.coin,
+    side: toSide(fill.side),
+    px: fill.px,
+    sz: fill.sz,
+    fee: fill.fee,
+    fee_token: fill.feeToken,
+    realized_pnl: fill.closedPnl,
+    tx_hash: fill.hash,
+    oid: fill.oid,
+    details: [fill.dir, fill.crossed ? 'taker' : 'maker', fill.liquidation ? 'liquidation' : null].filter(Boolean).join('; ')
+});
+
+const fromFunding = ({ time, hash, delta }) => toRecord({
+    timestamp_utc: toUtc(time),
+    record_type: 'funding',
+    coin: delta.coin,
+    side: parseFloat(delta.szi) > 0 ? 'long' : 'short',
+    sz: String(delta.szi).replace('-', ''),
+    realized_pnl: delta.usdc,
+    tx_hash: hash,
+    details: `funding rate ${delta.fundingRate}`
+});
+
+const fromOrder = ({ order, status, statusTimestamp }) => toRecord({
+    timestamp_utc: toUtc(statusTimestamp || order.timestamp),
+    record_type: 'order',
+    coin: order.coin,
+    side: toSide(order.side),
+    px: order.limitPx,
+    sz: order.origSz,
+    oid: order.oid,
+    status,
+    details: [
+        order.orderType,
+        order.tif,
+        order.reduceOnly ? 'reduce only' : null,
+        order.isTrigger ? order.triggerCondition : null,
+        order.cloid ? `cloid ${order.cloid}` : null,
+        `placed ${toUtc(order.timestamp)}`
+    ].filter(Boolean).join('; ')
+});
+
+const fromLedgerUpdate = ({ time, hash, delta }) => {
+    const { type, usdc, amount, token, coin, fee, ...rest } = delta;
+    return toRecord({
+        timestamp_utc: toUtc(time),
+        record_type: type,
+        coin: token || coin || 'USDC',
+        sz: usdc ?? amount,
+        fee,
+        fee_token: fee !== undefined ? 'USDC' : '',
+        tx_hash: hash,
+        // Type-specific fields (destination, vault, leverage, ...) as key=value pairs
+        details: Object.entries(rest)
+            .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+            .join('; ')
+    });
+};
+
+/**
+ * Load and normalize the records of the chosen sources
+ * The time-windowed sources are paged through; one that stops paging early is
+ * missing its records from that time on. userFillsByTime only serves the 10000
+ * most recent fills, so when that many come back and the oldest is newer than
+ * startTime, the fills before it are missing. historicalOrders (which has no time
+ * window) is filtered to the range locally; when it is capped and its oldest
+ * order is newer than startTime, the orders before that are missing.
+ * @param {string} address - User's wallet address
+ * @param {Array<string>} sourceIds - EXPORT_SOURCES ids
+ * @param {number} startTime - Range start (ms)
+ * @param {number} endTime - Range end (ms)
+ * @param {Function} onProgress - Called with the id of the source being loaded
+ * @returns {Promise<Object>} {records (oldest first), counts: {sourceId: number},
+ *   truncated: {sourceId: {start, end} (ms) the loaded records cover}}
+ */
+export const loadExportRecords = async (address, sourceIds, startTime, endTime, onProgress = () => { }) => {
+    const records = [];
+    const counts = {};
+    const truncated = {};
+
+    for (const source of EXPORT_SOURCES.filter(s => sourceIds.includes(s.id))) {
+        onProgress(source.id);
+        let sourceRecords = [];
+
+        if (source.id === 'fills') {
+            const { entries, truncatedAt } = await getUserFillsHistory(address, startTime, endTime);
+            const capped = entries.length >= FILLS_HISTORY_LIMIT && entries[0].time > startTime;
+            if (capped || truncatedAt !== null) {
+                truncated.fills = { start: capped ? entries[0].time : startTime, end: truncatedAt ?? endTime };
+            }
+            sourceRecords = entries.map(fromFill);
+        } else if (source.id === 'funding') {
+            const { entries, truncatedAt } = await getUserFundingHistory(address, startTime, endTime);
+            if (truncatedAt !== null) {
+                truncated.funding = { start: startTime, end: truncatedAt };
+            }
+            sourceRecords = entries.filter(entry => entry.delta?.type === 'funding').map(fromFunding);
+        } else if (source.id === 'orders') {
+            const orders = await getHistoricalOrders(address);
+            const oldest = Math.min(...orders.map(entry => entry.statusTimestamp || entry.order?.timestamp));
+            if (orders.length >= HISTORICAL_ORDERS_LIMIT && oldest > startTime) {
+                truncated.orders = { start: oldest, end: endTime };
+            }
+            sourceRecords = orders
+                .filter((entry) => {
+                    const time = entry.statusTimestamp || entry.order?.timestamp;
+                    return time >= startTime && time <= endTime;
+                })
+                .map(fromOrder);
+        } else if (source.id === 'ledger') {
+            const { entries, truncatedAt } = await getLedgerHistory(address, startTime, endTime);
+            if (truncatedAt !== null) {
+                truncated.ledger = { start: startTime, end: truncatedAt };
+            }
+            sourceRecords = entries.map(fromLedgerUpdate);
+        }
+
+        counts[source.id] = sourceRecords.length;
+        records.push(...sourceRecords);
+    }
+
+    // ISO timestamps sort chronologically as strings
+    records.sort((a, b) => a.timestamp_utc.localeCompare(b.timestamp_utc));
+    return { records, counts, truncated };
+};
+
+const escapeCsv = (value) => {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize records as CSV with a header row
+ * @param {Array<Object>} records - Normalized records
+ * @returns {string} CSV text
+ */
+export const toCsv = (records) => [
+    EXPORT_COLUMNS.join(','),
+    ...records.map(record => EXPORT_COLUMNS.map(column => escapeCsv(record[column])).join(','))
+].join('\r\n');
+
+/**
+ * Serialize records as JSON with what was exported
+ * @param {Array<Object>} records - Normalized records
+ * @param {Object} meta - {user, startTime, endTime, sources}
+ * @returns {string} JSON text
+ */
+export const toJson = (records, { user, startTime, endTime, sources }) => JSON.stringify({
+    user,
+    network: getNetworkConfig().key,
+    range: { start_utc: toUtc(startTime), end_utc: toUtc(endTime) },
+    sources,
+    exported_at_utc: toUtc(Date.now()),
+    columns: EXPORT_COLUMNS,
+    records
+}, null, 2);
+
+/**
+ * Build a file name for an export
+ * @param {string} user - User's wallet address
+ * @param {number} startTime - Range start (ms)
+ * @param {number} endTime - Range end (ms)
+ * @param {string} format - EXPORT_FORMATS value
+ * @returns {string} e.g. hyperliquid-mainnet-0x1234abcd-2026-01-01-2026-01-31.csv
+ */
+export const getExportFileName = (user, startTime, endTime, format) => {
+    const day = time => toUtc(time).slice(0, 10);
+    return `hyperliquid-${getNetworkConfig().key}-${user.slice(0, 10).toLowerCase()}-${day(startTime)}-${day(endTime)}.${format}`;
+};
+
+/**
+ * Save text as a file through the browser's download
+ * @param {string} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,115 @@
+/**
+ * Funding rate helpers
+ *
+ * Hyperliquid perps pay funding every hour. metaAndAssetCtxs carries the rate
+ * for the current hour (paid at the top of the hour); predictedFundings the
+ * venue predictions, with Hyperliquid's own under 'HlPerp'.
+ */
+
+export const FUNDING_INTERVAL_MS = 60 * 60 * 1000;
+const HOURS_PER_YEAR = 24 * 365;
+
+/**
+ * Annualize an hourly funding rate
+ * @param {number|string} hourlyRate - Funding rate per hour (0.0001 = 0.01%)
+ * @returns {number} Rate per year, same unit
+ */
+export const annualizeFundingRate = (hourlyRate) => parseFloat(hourlyRate || 0) * HOURS_PER_YEAR;
+
+/**
+ * Format a funding rate as a signed percentage
+ * @param {number|string} rate - Rate as a fraction
+ * @param {number} digits - Decimals of the percentage
+ * @returns {string} e.g. "+0.0013%"
+ */
+export const formatFundingRate = (rate, digits = 4) => {
+    const percent = parseFloat(rate || 0) * 100;
+    return `${percent > 0 ? '+' : ''}${percent.toFixed(digits)}%`;
+};
+
+/**
+ * Time of the next funding payment
+ * @param {number} now - Current time (ms)
+ * @returns {number} Next top of the hour (ms)
+ */
+export const getNextFundingTime = (now = Date.now()) => Math.floor(now / FUNDING_INTERVAL_MS) * FUNDING_INTERVAL_MS + FUNDING_INTERVAL_MS;
+
+/**
+ * Format the time left until a deadline as mm:ss (or h:mm:ss)
+ * @param {number} ms - Milliseconds left
+ * @returns {string} Countdown text
+ */
+export const formatFundingCountdown = (ms) => {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+/**
+ * Combine current and predicted funding per coin
+ * @param {Array|undefined} metaAndAssetCtxs - [meta, assetCtxs] from metaAndAssetCtxs
+ * @param {Array|undefined} predictedFundings - predictedFundings response
+ * @returns {Object} coin -> {current, predicted, nextFundingTime, premium, markPx}; rates are hourly fractions, predicted may be null
+ */
+export const toFundingRates = (metaAndAssetCtxs, predictedFundings) => {
+    const rates = {};
+    const [meta, assetCtxs] = Array.isArray(metaAndAssetCtxs) ? metaAndAssetCtxs : [];
+
+    (meta?.universe || []).forEach((asset, index) => {
+        const ctx = assetCtxs?.[index];
+        if (!ctx) return;
+        rates[asset.name] = {
+            current: parseFloat(ctx.funding || 0),
+            predicted: null,
+            nextFundingTime: null,
+            premium: parseFloat(ctx.premium || 0),
+            markPx: parseFloat(ctx.markPx || 0)
+        };
+    });
+
+    (Array.isArray(predictedFundings) ? predictedFundings : []).forEach(([coin, venues]) => {
+        const hyperliquid = (venues || []).find(([venue]) => venue === 'HlPerp')?.[1];
+        if (!hyperliquid || !rates[coin]) return;
+        // Normalize to an hourly rate in case the venue reports a longer interval
+        const intervalHours = hyperliquid.fundingIntervalHours || 1;
+        rates[coin].predicted = parseFloat(hyperliquid.fundingRate || 0) / intervalHours;
+        rates[coin].nextFundingTime = hyperliquid.nextFundingTime || null;
+    });
+
+    return rates;
+};
+
+/**
+ * Sum funding payments per coin
+ * @param {Array} entries - userFunding entries, oldest first
+ * @returns {Object} {coins: [{coin, total, count, lastTime}] largest absolute total first,
+ *  total, series: [{time, coin, usdc, fundingRate, cumulative}] oldest first}; received funding is positive
+ */
+export const summarizeFunding = (entries) => {
+    const byCoin = new Map();
+    let cumulative = 0;
+
+    const series = entries
+        .filter(entry => entry.delta?.type === 'funding')
+        .map((entry) => {
+            const { coin } = entry.delta;
+            const usdc = parseFloat(entry.delta.usdc || 0);
+            cumulative += usdc;
+
+            const summary = byCoin.get(coin) || { coin, total: 0, count: 0, lastTime: 0 };
+            summary.total += usdc;
+            summary.count += 1;
+            summary.lastTime = Math.max(summary.lastTime, entry.time);
+            byCoin.set(coin, summary);
+
+            return { time: entry.time, coin, usdc, fundingRate: parseFloat(entry.delta.fundingRate || 0), cumulative };
+        });
+
+    return {
+        coins: Array.from(byCoin.values()).sort((a, b) => Math.abs(b.total) - Math.abs(a.total)),
+        total: cumulative,
+        series
+    };
+};
@@ -0,0 +1,218 @@
+/**
+ * Headless signer (no MetaMask)
+ *
+ * Lets the user import an encrypted JSON keystore file, or paste a private key
+ * that is encrypted into a JSON keystore straight away. Only the encrypted
+ * keystore is written to local storage; the decrypted ethers.Wallet lives in
+ * memory until the wallet is locked or the page is reloaded. The wallet is
+ * connected to a public Arbitrum RPC so it exposes the same signer/provider
+ * pair useWallet returns for MetaMask. Intended for testnet bots and demos.
+ */
+
+import { ethers } from 'ethers';
+import { NETWORKS } from './network';
+
+const HEADLESS_WALLET_STORAGE_KEY = 'hyperliquid_headless_wallet';
+
+// Networks a headless wallet can be bound to (no wallet_switchEthereumChain here)
+export const HEADLESS_NETWORKS = Object.fromEntries(
+    Object.values(NETWORKS).map(({ name, chain }) => [
+        chain.chainId,
+        { name: `${chain.chainName} (${name})`, rpcUrl: chain.rpcUrls[0] }
+    ])
+);
+
+let sessionWallet = null;
+const listeners = new Set();
+
+const notify = () => {
+    listeners.forEach(listener => listener());
+};
+
+const readStoredWallet = () => {
+    try {
+        const stored = localStorage.getItem(HEADLESS_WALLET_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.error('Error reading headless wallet from local storage:', error);
+        return null;
+    }
+};
+
+const getProvider = (chainId) => {
+    const network = HEADLESS_NETWORKS[chainId];
+    if (!network) {
+        throw new Error(`Unsupported network for headless wallet: ${chainId}`);
+    }
+    return new ethers.JsonRpcProvider(network.rpcUrl, Number(chainId), { staticNetwork: true });
+};
+
+// Make sure the RPC answers and serves the chain the wallet is being bound to
+const verifyProvider = async (provider, chainId) => {
+    let remoteChainId;
+    try {
+        remoteChainId = await provider.send('eth_chainId', []);
+    } catch (error) {
+        throw new Error(`Could not reach the ${HEADLESS_NETWORKS[chainId].name} RPC`);
+    }
+    if (BigInt(remoteChainId) !== BigInt(chainId)) {
+        throw new Error(`RPC is on chain ${BigInt(remoteChainId)}, expected ${chainId}`);
+    }
+};
+
+const startSession = (wallet, provider) => {
+    sessionWallet = wallet.connect(provider);
+    notify();
+};
+
+const storeKeystore = (address, keystoreJson, chainId) => {
+    localStorage.setItem(HEADLESS_WALLET_STORAGE_KEY, JSON.stringify({
+        address,
+        chain_id: chainId,
+        keystore: keystoreJson,
+        imported_at: new Date().toISOString()
+    }));
+};
+
+// Validate the network before anything is stored, so a failed import leaves nothing behind
+const importWallet = async (wallet, keystoreJson, chainId) => {
+    const provider = getProvider(chainId);
+    await verifyProvider(provider, chainId);
+    storeKeystore(wallet.address, keystoreJson, chainId);
+    startSession(wallet, provider);
+};
+
+/**
+ * Get the stored headless wallet (address and network, never the keystore)
+ * @returns {Object|null} {address, chain_id, imported_at} or null if none is stored
+ */
+export const getHeadlessWalletInfo = () => {
+    const stored = readStoredWallet();
+    if (!stored) {
+        return null;
+    }
+    return {
+        address: stored.address,
+        chain_id: stored.chain_id,
+        imported_at: stored.imported_at
+    };
+};
+
+/**
+ * Import an encrypted JSON keystore file (geth/ethers V3 format)
+ * @param {string} keystoreJson - Keystore file contents
+ * @param {string} password - Keystore password
+ * @param {string} chainId - Network to bind the wallet to (see HEADLESS_NETWORKS)
+ * @returns {Promise<string>} Wallet address
+ */
+export const importKeystoreFile = async (keystoreJson, password, chainId) => {
+    if (!ethers.isKeystoreJson(keystoreJson)) {
+        throw new Error('File is not a valid JSON keystore');
+    }
+
+    let wallet;
+    try {
+        wallet = await ethers.Wallet.fromEncryptedJson(keystoreJson, password);
+    } catch (error) {
+        throw new Error('Incorrect keystore password');
+    }
+
+    await importWallet(wallet, keystoreJson, chainId);
+    console.log('Headless wallet imported from keystore file:', wallet.address);
+    return wallet.address;
+};
+
+/**
+ * Import a pasted private key, encrypting it into a JSON keystore immediately
+ * @param {string} privateKey - Hex private key
+ * @param {string} password - Password used to encrypt the keystore (min 8 characters)
+ * @param {string} chainId - Network to bind the wallet to (see HEADLESS_NETWORKS)
+ * @returns {Promise<string>} Wallet address
+ */
+export const importPrivateKey = async (privateKey, password, chainId) => {
+    if (!password || password.length < 8) {
+        throw new Error('Password must be at least 8 characters');
+    }
+
+    let wallet;
+    try {
+        const key = privateKey.trim();
+        wallet = new ethers.Wallet(key.startsWith('0x') ? key : `0x${key}`);
+    } catch (error) {
+        throw new Error('Invalid private key');
+    }
+
+    const keystoreJson = await wallet.encrypt(password);
+    await importWallet(wallet, keystoreJson, chainId);
+    console.log('Headless wallet imported from private key (encrypted):', wallet.address);
+    return wallet.address;
+};
+
+/**
+ * Decrypt the stored keystore and start a signing session
+ * @param {string} password - Keystore password
+ * @returns {Promise<string>} Wallet address
+ */
+export const unlockHeadlessWallet = async (password) => {
+    const stored = readStoredWallet();
+    if (!stored) {
+        throw new Error('No headless wallet imported');
+    }
+
+    let wallet;
+    try {
+        wallet = await ethers.Wallet.fromEncryptedJson(stored.keystore, password);
+    } catch (error) {
+        throw new Error('Incorrect keystore password');
+    }
+
+    startSession(wallet, getProvider(stored.chain_id));
+    return wallet.address;
+};
+
+/**
+ * Get the signer for the unlocked headless wallet
+ * @returns {ethers.Wallet|null} Wallet connected to its network provider, or null if locked
+ */
+export const getHeadlessSigner = () => {
+    return sessionWallet;
+};
+
+/**
+ * Get the chain ID the headless wallet is bound to
+ * @returns {string|null} Chain ID or null if none is stored
+ */
+export const getHeadlessChainId = () => {
+    return readStoredWallet()?.chain_id || null;
+};
+
+/**
+ * End the signing session (the encrypted keystore stays stored)
+ */
+export const lockHeadlessWallet = () => {
+    if (sessionWallet) {
+        sessionWallet = null;
+        notify();
+    }
+};
+
+/**
+ * Delete the stored keystore and end the signing session
+ */
+export const removeHeadlessWallet = () => {
+    localStorage.removeItem(HEADLESS_WALLET_STORAGE_KEY);
+    sessionWallet = null;
+    notify();
+};
+
+/**
+ * Subscribe to headless wallet session changes
+ * @param {Function} listener - Called when the wallet is unlocked, locked or removed
+ * @returns {Function} Unsubscribe function
+ */
+export const onHeadlessWalletChange = (listener) => {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
@@ -0,0 +1,139 @@
+/**
+ * Order and fill history helpers
+ *
+ * Shared by the order history and trade fills pages: date range presets,
+ * readable order statuses and grouping of partial fills per order.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date range presets; `days: null` means everything the API still returns
+export const HISTORY_RANGES = [
+    { id: '1d', label: '24h', days: 1 },
+    { id: '7d', label: '7d', days: 7 },
+    { id: '30d', label: '30d', days: 30 },
+    { id: '90d', label: '90d', days: 90 },
+    { id: 'all', label: 'All', days: null },
+    { id: 'custom', label: 'Custom', days: null }
+];
+
+// Readable text for the final statuses historicalOrders reports
+const ORDER_STATUS_TEXT = {
+    open: 'Open',
+    filled: 'Filled',
+    canceled: 'Canceled by user',
+    triggered: 'Triggered',
+    rejected: 'Rejected',
+    marginCanceled: 'Canceled: insufficient margin',
+    vaultWithdrawalCanceled: 'Canceled: vault withdrawal',
+    openInterestCapCanceled: 'Canceled: open interest cap',
+    selfTradeCanceled: 'Canceled: self trade',
+    reduceOnlyCanceled: 'Canceled: reduce only would increase position',
+    siblingFilledCanceled: 'Canceled: sibling TP/SL filled',
+    delistedCanceled: 'Canceled: asset delisted',
+    liquidatedCanceled: 'Canceled: liquidation',
+    scheduledCancel: 'Canceled: scheduled cancel',
+    tickRejected: 'Rejected: invalid tick price',
+    minTradeNtlRejected: 'Rejected: below minimum notional',
+    perpMarginRejected: 'Rejected: insufficient margin',
+    reduceOnlyRejected: 'Rejected: reduce only would increase position',
+    badAloPxRejected: 'Rejected: post only would cross',
+    iocCancelRejected: 'Rejected: IOC could not match',
+    badTriggerPxRejected: 'Rejected: invalid trigger price',
+    marketOrderNoLiquidityRejected: 'Rejected: no liquidity for market order',
+    positionIncreaseAtOpenInterestCapRejected: 'Rejected: open interest cap',
+    positionFlipAtOpenInterestCapRejected: 'Rejected: open interest cap',
+    tooAggressiveAtOpenInterestCapRejected: 'Rejected: too aggressive at open interest cap',
+    openInterestIncreaseRejected: 'Rejected: open interest increase',
+    insufficientSpotBalanceRejected: 'Rejected: insufficient spot balance',
+    oracleRejected: 'Rejected: too far from oracle price',
+    perpMaxPositionRejected: 'Rejected: max position size'
+};
+
+/**
+ * Bucket an order status into open, filled, canceled or rejected
+ * @param {string} status - Status from historicalOrders
+ * @returns {string} Status group
+ */
+export const getOrderStatusGroup = (status) => {
+    if (status === 'open') return 'open';
+    if (status === 'filled' || status === 'triggered') return 'filled';
+    if (status === 'rejected' || status?.endsWith('Rejected')) return 'rejected';
+    return 'canceled';
+};
+
+/**
+ * Describe an order status, with the reason for cancels and rejections
+ * @param {string} status - Status from historicalOrders
+ * @returns {string} Readable status
+ */
+export const describeOrderStatus = (status) => ORDER_STATUS_TEXT[status] || status || 'Unknown';
+
+/**
+ * Resolve a range preset (or custom dates) to timestamps
+ * @param {string} rangeId - HISTORY_RANGES id
+ * @param {Object} custom - {from, to} as yyyy-mm-dd strings for the custom range
+ * @param {number} now - Time the range is anchored to (ms)
+ * @returns {Object} {startTime, endTime} in ms; startTime 0 means no lower bound
+ */
+export const getRangeTimes = (rangeId, custom = {}, now = Date.now()) => {
+    if (rangeId === 'custom') {
+        const startTime = custom.from ? new Date(`${custom.from}T00:00:00`).getTime() : 0;
+        const endTime = custom.to ? new Date(`${custom.to}T23:59:59.999`).getTime() : now;
+        return { startTime: startTime || 0, endTime: Math.min(endTime || now, now) };
+    }
+    const range = HISTORY_RANGES.find(r => r.id === rangeId);
+    return { startTime: range?.days ? now - range.days * DAY_MS : 0, endTime: now };
+};
+
+/**
+ * Group fills by order ID, combining the partial fills of each order
+ * @param {Array} fills - Fills from userFills/userFillsByTime
+ * @returns {Array} Groups {oid, coin, side, dir, sz, px (size-weighted), fee, closedPnl,
+ *  crossed, count, time (last fill), firstTime, fills}, newest first
+ */
+export const groupFillsByOrder = (fills) => {
+    const groups = new Map();
+
+    fills.forEach((fill) => {
+        const sz = parseFloat(fill.sz);
+        const group = groups.get(fill.oid);
+        if (!group) {
+            groups.set(fill.oid, {
+                oid: fill.oid,
+                coin: fill.coin,
+                side: fill.side,
+                dir: fill.dir,
+                sz,
+                notional: sz * parseFloat(fill.px),
+                fee: parseFloat(fill.fee || 0),
+                feeToken: fill.feeToken,
+                closedPnl: parseFloat(fill.closedPnl || 0),
+                crossed: fill.crossed,
+                time: fill.time,
+                firstTime: fill.time,
+                fills: [fill]
+            });
+            return;
+        }
+
+        group.sz += sz;
+        group.notional += sz * parseFloat(fill.px);
+        group.fee += parseFloat(fill.fee || 0);
+        group.closedPnl += parseFloat(fill.closedPnl || 0);
+        // An order that crossed on arrival and then rested has both taker and maker fills
+        group.crossed = group.crossed || fill.crossed;
+        group.time = Math.max(group.time, fill.time);
+        group.firstTime = Math.min(group.firstTime, fill.time);
+        group.fills.push(fill);
+    });
+
+    return Array.from(groups.values())
+        .map(group => ({
+            ...group,
+            px: group.sz > 0 ? group.notional / group.sz : 0,
+            count: group.fills.length,
+            fills: group.fills.sort((a, b) => b.time - a.time)
+        }))
+        .sort((a, b) => b.time - a.time);
+};
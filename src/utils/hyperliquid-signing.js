@@ -9,7 +9,16 @@
 
 import { ethers } from 'ethers';
 import { encode } from '@msgpack/msgpack';
-import { getMarketMeta } from '../services/api';
+import { getMeta } from '../services/hyperliquid-api';
+import { NETWORKS, getNetworkConfig } from './network';
+import { floatToWire, roundPrice, roundSize } from './precision';
+
+/**
+ * EIP-712 domain chainId used for L1 actions (matches the Python SDK)
+ * MetaMask refuses to sign for a chainId other than the active network,
+ * but in-browser agent wallets have no such restriction
+ */
+export const L1_SIGNATURE_CHAIN_ID = 1337;
 
 /**
  * Convert Ethereum address to integer (as Hyperliquid expects)
@@ -83,12 +92,33 @@ const actionHash = (action, vaultAddress, nonce, expiresAfter) => {
     return ethers.keccak256(hexString);
 };
 
+/**
+ * Look up a perp's asset index (its position in the universe) and size decimals
+ */
+const getAssetInfo = async (coin) => {
+    const metaData = await getMeta();
+
+    if (!metaData || !metaData.universe) {
+        throw new Error('Market metadata with a perp universe is required for signing');
+    }
+
+    const assetId = metaData.universe.findIndex(asset => asset.name === coin);
+
+    if (assetId === -1) {
+        throw new Error(`Coin ${coin} not found in the perp universe`);
+    }
+
+    return { assetId, szDecimals: metaData.universe[assetId].szDecimals };
+};
+
+const getAssetId = async (coin) => (await getAssetInfo(coin)).assetId;
+
 /**
  * Constructs a phantom agent from a hash and network flag
  */
 const constructPhantomAgent = (hash, isMainnet) => {
     return {
-        source: isMainnet ? "a" : "b",
+        source: (isMainnet ? NETWORKS.mainnet : NETWORKS.testnet).source,
         connectionId: hash
     };
 };
@@ -159,31 +189,380 @@ const signInner = async (signer, data) => {
  * @param {boolean} isMainnet - Whether this is for mainnet (true) or testnet (false)
  * @returns {Promise<Object>} Promise resolving to signature object with r, s, v fields
  */
-const signL1Action = async (signer, action, activePool, nonce, expiresAfter, isMainnet, chainId) => {
+export const signL1Action = async (signer, action, activePool, nonce, expiresAfter, isMainnet, chainId) => {
     const hash = actionHash(action, activePool, nonce, expiresAfter);
     const phantomAgent = constructPhantomAgent(hash, isMainnet);
     const data = l1Payload(phantomAgent, chainId);
     return signInner(signer, data);
 };
 
+/**
+ * Time in force for limit orders
+ * Gtc rests until canceled, Ioc fills what it can immediately and cancels the
+ * rest, Alo (add liquidity only, post-only) is rejected if it would cross
+ */
+export const TIME_IN_FORCE = {
+    GTC: 'Gtc',
+    IOC: 'Ioc',
+    ALO: 'Alo'
+};
+
+/**
+ * Order groupings accepted by Hyperliquid
+ * na: independent orders; normalTpsl: an entry with TP/SL children that only
+ * become active once the entry fills; positionTpsl: TP/SL for the whole open position
+ */
+export const ORDER_GROUPING = {
+    NA: 'na',
+    NORMAL_TPSL: 'normalTpsl',
+    POSITION_TPSL: 'positionTpsl'
+};
+
+/**
+ * Build the order type wire (matching SDK's order_type_to_wire)
+ * Key order matters: the action is msgpack-hashed as-is
+ */
+const buildOrderTypeWire = (orderParams, szDecimals) => {
+    const { order_type, trigger } = orderParams;
+
+    if (order_type === 'Trigger') {
+        if (!trigger || !trigger.trigger_px || trigger.trigger_px <= 0) {
+            throw new Error('Trigger orders need a trigger price');
+        }
+        if (trigger.tpsl !== 'tp' && trigger.tpsl !== 'sl') {
+            throw new Error('Trigger orders must be take profit (tp) or stop loss (sl)');
+        }
+        return {
+            trigger: {
+                isMarket: trigger.is_market !== false,
+                triggerPx: floatToWire(roundPrice(trigger.trigger_px, szDecimals)),
+                tpsl: trigger.tpsl
+            }
+        };
+    }
+
+    // Market orders are always Immediate or Cancel
+    if (order_type === 'Market') {
+        return { limit: { tif: TIME_IN_FORCE.IOC } };
+    }
+
+    const tif = orderParams.tif || TIME_IN_FORCE.GTC;
+    if (!Object.values(TIME_IN_FORCE).includes(tif)) {
+        throw new Error(`Unknown time in force: ${tif}`);
+    }
+    return { limit: { tif } };
+};
+
+/**
+ * Build the wire form of a single order
+ * Sizes are rounded to the asset's lot size and prices to its tick rules, then
+ * formatted like the SDK's float_to_wire so the signed hash matches the exchange's
+ */
+const buildOrderWire = async (orderParams) => {
+    const {
+        coin,
+        is_buy,
+        sz,
+        limit_px,
+        reduce_only,
+        cloid
+    } = orderParams;
+
+    // Validate inputs
+    if (!coin || sz <= 0 || !limit_px || limit_px <= 0) {
+        throw new Error('Invalid order parameters');
+    }
+
+    // Get asset index from meta (fetched earlier, includes coin_to_asset_index map)
+    // For perps: a is the index in meta.universe (a small integer)
+    // For spot: a = 10000 + index in spotMeta.universe
+    const { assetId, szDecimals } = await getAssetInfo(coin);
+
+    const size = roundSize(sz, szDecimals);
+    if (size <= 0) {
+        throw new Error(`Size ${sz} is below the minimum lot size of ${10 ** -szDecimals} ${coin}`);
+    }
+
+    // Create order wire structure matching Hyperliquid SDK format
+    // Note: Hyperliquid is strict about field types and null values
+    // a must be a Number (asset id), not a string
+    const orderWire = {
+        a: assetId, // Number, not string - this is the asset index
+        b: is_buy,
+        p: floatToWire(roundPrice(limit_px, szDecimals)), // Price as string
+        s: floatToWire(size), // Size as string
+        r: reduce_only || false,
+        t: buildOrderTypeWire(orderParams, szDecimals)
+    };
+
+    // Only add 'c' field if cloid is provided (don't send null)
+    if (cloid) {
+        orderWire.c = cloid.toString();
+    }
+
+    return orderWire;
+};
+
+/**
+ * Build a Hyperliquid order action from order parameters
+ * Shared by MetaMask signing (signOrder) and the in-browser agent signer
+ *
+ * @param {Object|Array<Object>} orderParams - Order parameters (see signOrder), or a list for grouped orders
+ * @param {string} grouping - One of ORDER_GROUPING; TP/SL groupings list the entry (if any) first
+ * @returns {Promise<Object>} Order action ready to be signed
+ */
+export const buildOrderAction = async (orderParams, grouping = ORDER_GROUPING.NA) => {
+    const orders = Array.isArray(orderParams) ? orderParams : [orderParams];
+    if (orders.length === 0) {
+        throw new Error('No orders to place');
+    }
+    if (!Object.values(ORDER_GROUPING).includes(grouping)) {
+        throw new Error(`Unknown order grouping: ${grouping}`);
+    }
+
+    // Create the action structure (Hyperliquid format)
+    return {
+        type: 'order',
+        orders: await Promise.all(orders.map(buildOrderWire)),
+        grouping
+    };
+};
+
+/**
+ * Build a modify action that replaces a resting order in place
+ * The order keeps its oid (and cloid, if passed in orderParams)
+ * @param {number|string} oid - Order ID, or the order's cloid
+ * @param {Object} orderParams - New order parameters (see signOrder)
+ * @returns {Promise<Object>} modify action ready to be signed
+ */
+export const buildModifyAction = async (oid, orderParams) => {
+    if (!oid) {
+        throw new Error('Order ID is required to modify an order');
+    }
+
+    return {
+        type: 'modify',
+        oid,
+        order: await buildOrderWire(orderParams)
+    };
+};
+
+/**
+ * Build a batchModify action (matching SDK's bulk_modify_orders_new)
+ * @param {Array<Object>} modifies - List of {oid, order} with order parameters as in signOrder
+ * @returns {Promise<Object>} batchModify action ready to be signed
+ */
+export const buildBatchModifyAction = async (modifies) => {
+    if (!modifies || modifies.length === 0) {
+        throw new Error('No orders to modify');
+    }
+    if (modifies.some(modify => !modify.oid)) {
+        throw new Error('Order ID is required to modify an order');
+    }
+
+    return {
+        type: 'batchModify',
+        modifies: await Promise.all(modifies.map(async ({ oid, order }) => ({
+            oid,
+            order: await buildOrderWire(order)
+        })))
+    };
+};
+
+/**
+ * Build a cancel action for resting orders by order ID
+ * @param {Array<Object>} cancels - List of {coin, oid}
+ * @returns {Promise<Object>} cancel action ready to be signed
+ */
+export const buildCancelAction = async (cancels) => {
+    if (!cancels || cancels.length === 0) {
+        throw new Error('No orders to cancel');
+    }
+    if (cancels.some(cancel => !cancel.oid)) {
+        throw new Error('Order ID is required to cancel by oid');
+    }
+
+    return {
+        type: 'cancel',
+        cancels: await Promise.all(cancels.map(async ({ coin, oid }) => ({
+            a: await getAssetId(coin),
+            o: Number(oid)
+        })))
+    };
+};
+
+/**
+ * Build a cancelByCloid action (matching SDK's bulk_cancel_by_cloid)
+ * @param {Array<Object>} cancels - List of {coin, cloid}
+ * @returns {Promise<Object>} cancelByCloid action ready to be signed
+ */
+export const buildCancelByCloidAction = async (cancels) => {
+    if (!cancels || cancels.length === 0) {
+        throw new Error('No orders to cancel');
+    }
+    if (cancels.some(cancel => !cancel.cloid)) {
+        throw new Error('Client order ID is required to cancel by cloid');
+    }
+
+    return {
+        type: 'cancelByCloid',
+        cancels: await Promise.all(cancels.map(async ({ coin, cloid }) => ({
+            asset: await getAssetId(coin),
+            cloid: cloid.toString()
+        })))
+    };
+};
+
+/**
+ * Build a scheduleCancel action (dead man's switch)
+ * At the scheduled time Hyperliquid cancels all open orders of the user.
+ * Without a time the scheduled cancel is removed.
+ * @param {number|null} time - Unix ms, at least 5 seconds ahead; null to unschedule
+ * @returns {Object} scheduleCancel action ready to be signed
+ */
+export const buildScheduleCancelAction = (time = null) => {
+    if (time === null || time === undefined) {
+        return { type: 'scheduleCancel' };
+    }
+    if (time < Date.now() + 5000) {
+        throw new Error('Scheduled cancel time must be at least 5 seconds in the future');
+    }
+    return { type: 'scheduleCancel', time: Math.floor(time) };
+};
+
+// Hyperliquid accepts TWAP durations from 5 minutes to 24 hours
+export const TWAP_MIN_MINUTES = 5;
+export const TWAP_MAX_MINUTES = 24 * 60;
+
+/**
+ * Build a twapOrder action (matching SDK's twap order wire)
+ * Hyperliquid splits the size into a slice every 30 seconds over the duration
+ * @param {Object} twapParams - TWAP parameters
+ * @param {string} twapParams.coin - Trading pair (e.g., 'BTC')
+ * @param {boolean} twapParams.is_buy - True for buy, false for sell
+ * @param {number} twapParams.sz - Total size in coins
+ * @param {number} twapParams.minutes - Duration in minutes
+ * @param {boolean} twapParams.reduce_only - Only reduce an open position
+ * @param {boolean} twapParams.randomize - Randomize slice timing and size
+ * @returns {Promise<Object>} twapOrder action ready to be signed
+ */
+export const buildTwapOrderAction = async ({ coin, is_buy, sz, minutes, reduce_only = false, randomize = false }) => {
+    const duration = parseInt(minutes);
+    if (!duration || duration < TWAP_MIN_MINUTES || duration > TWAP_MAX_MINUTES) {
+        throw new Error(`TWAP duration must be between ${TWAP_MIN_MINUTES} and ${TWAP_MAX_MINUTES} minutes`);
+    }
+
+    const { assetId, szDecimals } = await getAssetInfo(coin);
+    const size = roundSize(sz, szDecimals);
+    if (size <= 0) {
+        throw new Error(`Size ${sz} is below the minimum lot size of ${10 ** -szDecimals} ${coin}`);
+    }
+
+    // Key order matters: the action is msgpack-hashed as-is
+    return {
+        type: 'twapOrder',
+        twap: {
+            a: assetId,
+            b: is_buy,
+            s: floatToWire(size),
+            r: reduce_only || false,
+            m: duration,
+            t: randomize || false
+        }
+    };
+};
+
+/**
+ * Build a twapCancel action
+ * @param {string} coin - Trading pair of the TWAP
+ * @param {number} twapId - TWAP ID returned when it was placed
+ * @returns {Promise<Object>} twapCancel action ready to be signed
+ */
+export const buildTwapCancelAction = async (coin, twapId) => {
+    if (twapId === undefined || twapId === null) {
+        throw new Error('TWAP ID is required to cancel a TWAP');
+    }
+
+    return {
+        type: 'twapCancel',
+        a: await getAssetId(coin),
+        t: twapId
+    };
+};
+
+/**
+ * Build an updateLeverage action (matching SDK's update_leverage)
+ * @param {string} coin - Trading pair (e.g., 'BTC')
+ * @param {number} leverage - Leverage multiplier
+ * @param {boolean} isCross - True for cross margin, false for isolated
+ * @returns {Promise<Object>} updateLeverage action ready to be signed
+ */
+export const buildUpdateLeverageAction = async (coin, leverage, isCross) => {
+    const assetId = await getAssetId(coin);
+
+    return {
+        type: 'updateLeverage',
+        asset: assetId,
+        isCross: isCross,
+        leverage: parseInt(leverage)
+    };
+};
+
+/**
+ * Sign an L1 action with an agent wallet and wrap it in the /exchange payload
+ * The agent wallet is a plain ethers.Wallet, so the EIP-712 domain uses
+ * L1_SIGNATURE_CHAIN_ID and the selected network decides mainnet or testnet
+ *
+ * @param {ethers.Wallet} agentWallet - Agent wallet built from the stored agent key
+ * @param {Object} action - The action object to sign
+ * @returns {Promise<Object>} Payload with action, nonce and signature
+ */
+export const signAgentAction = async (agentWallet, action) => {
+    if (!agentWallet) {
+        throw new Error('Agent wallet is required. Please create an agent first.');
+    }
+
+    const nonce = Date.now();
+    const { isMainnet } = getNetworkConfig();
+
+    const signature = await signL1Action(
+        agentWallet,
+        action,
+        null,
+        nonce,
+        null,
+        isMainnet,
+        L1_SIGNATURE_CHAIN_ID
+    );
+
+    return {
+        action,
+        nonce,
+        signature
+    };
+};
+
 /**
  * Sign a Hyperliquid order using private key wallet or MetaMask signer
  * Based on Hyperliquid Python SDK's signing mechanism
  * 
- * @param {Object} orderParams - Order parameters
+ * @param {Object|Array<Object>} orderParams - Order parameters, or a list of them for grouped orders
  * @param {string} orderParams.coin - Trading pair (e.g., 'BTC')
  * @param {boolean} orderParams.is_buy - True for buy, false for sell
  * @param {number} orderParams.sz - Order size
  * @param {number} orderParams.limit_px - Limit price
- * @param {string} orderParams.order_type - 'Limit' or 'Market'
+ * @param {string} orderParams.order_type - 'Limit', 'Market' or 'Trigger'
+ * @param {Object} orderParams.trigger - For trigger orders: {trigger_px, is_market, tpsl: 'tp'|'sl'}
+ * @param {string} orderParams.tif - Time in force for limit orders (TIME_IN_FORCE, default Gtc); market orders are always Ioc
  * @param {boolean} orderParams.reduce_only - Reduce only flag
  * @param {string} orderParams.cloid - Client order ID (optional)
  * @param {string} userAddress - User's MetaMask wallet address (required)
  * @param {ethers.Signer} signer - MetaMask signer (required)
  * @param {string|number} chainId - The chain ID (required for EIP-712)
+ * @param {string} grouping - One of ORDER_GROUPING when orderParams is a list (default 'na')
  * @returns {Promise<Object>} Signed order data ready to send to backend
  */
-export const signOrder = async (orderParams, userAddress = null, signer = null, chainId = null) => {
+export const signOrder = async (orderParams, userAddress = null, signer = null, chainId = null, grouping = ORDER_GROUPING.NA) => {
     try {
         // Signer and userAddress must be provided (from MetaMask)
         if (!signer) {
@@ -199,66 +578,11 @@ export const signOrder = async (orderParams, userAddress = null, signer = null,
             throw new Error('Chain ID is required. Please ensure your wallet is connected to a network.');
         }
 
-        const {
-            coin,
-            is_buy,
-            sz,
-            limit_px,
-            order_type,
-            reduce_only,
-            cloid
-        } = orderParams;
-
-        // Validate inputs
-        if (!coin || sz <= 0 || !limit_px || limit_px <= 0) {
-            throw new Error('Invalid order parameters');
-        }
-
         if (!userAddress) {
             throw new Error('User address is required');
         }
 
-        // Get asset index from meta (fetched earlier, includes coin_to_asset_index map)
-        // For perps: a is the index in meta.universe (a small integer)
-        // For spot: a = 10000 + index in spotMeta.universe
-        const { getMarketMeta } = await import('../services/api');
-        const metaData = await getMarketMeta();
-
-        if (!metaData || !metaData.coin_to_asset_index) {
-            throw new Error('Market metadata with coin_to_asset_index is required for signing');
-        }
-
-        const assetId = metaData.coin_to_asset_index[coin];
-
-        if (assetId === undefined) {
-            throw new Error(`Coin ${coin} not found in asset index map. Available coins: ${Object.keys(metaData.coin_to_asset_index).join(', ')}`);
-        }
-
-        // Create order wire structure matching Hyperliquid SDK format
-        // Note: Hyperliquid is strict about field types and null values
-        // a must be a Number (asset id), not a string
-        const orderWire = {
-            a: assetId, // Number, not string - this is the asset index
-            b: is_buy,
-            p: limit_px.toString(), // Price as string
-            s: sz.toString(), // Size as string
-            r: reduce_only || false,
-            t: order_type === 'Market'
-                ? { limit: { tif: 'Ioc' } }  // Immediate or Cancel for market
-                : { limit: { tif: 'Gtc' } }, // Good Till Cancel for limit
-        };
-
-        // Only add 'c' field if cloid is provided (don't send null)
-        if (cloid) {
-            orderWire.c = cloid.toString();
-        }
-
-        // Create the action structure (Hyperliquid format)
-        const action = {
-            type: 'order',
-            orders: [orderWire],
-            grouping: 'na'
-        };
+        const action = await buildOrderAction(orderParams, grouping);
 
         // Hyperliquid signing: use signL1Action (matching Python SDK)
         // Get nonce (timestamp in milliseconds)
@@ -270,9 +594,7 @@ export const signOrder = async (orderParams, userAddress = null, signer = null,
         // Expires after is null (not using expiration)
         const expiresAfter = null;
 
-        // Determine if mainnet based on chainId
-        // Arbitrum One (42161) and Ethereum Mainnet (1) are considered mainnet
-        const isMainnet = chainId === '1' || chainId === '42161' || chainId === 1 || chainId === 42161;
+        const { isMainnet } = getNetworkConfig();
 
         // Validate chainId is provided
         if (!chainId) {
@@ -315,7 +637,7 @@ export const signOrder = async (orderParams, userAddress = null, signer = null,
         // - vaultAddress: optional, omit if not used (don't send null)
         // - expiresAfter: optional, omit if not used (don't send null)
         // Note: connectionId is NOT in the payload - it's only used in the EIP-712 signing
-        const W = {
+        const signedPayload = {
             action: action,
             nonce: nonce,
             signature: signatureObj // Use r, s, v format
@@ -353,8 +675,8 @@ export const signOrder = async (orderParams, userAddress = null, signer = null,
  * 
  * @param {Object} cancelParams - Cancel parameters
  * @param {string} cancelParams.coin - Trading pair (required for asset index)
- * @param {number} cancelParams.oid - Order ID to cancel (optional)
- * @param {string} cancelParams.cloid - Client order ID to cancel (optional)
+ * @param {number} cancelParams.oid - Order ID to cancel (optional if cloid is given)
+ * @param {string} cancelParams.cloid - Client order ID, used when no oid is given (cancelByCloid)
  * @param {string} userAddress - User's MetaMask wallet address (required)
  * @param {ethers.Signer} signer - MetaMask signer (required)
  * @param {string|number} chainId - The chain ID (required for EIP-712)
@@ -384,40 +706,14 @@ export const signCancelOrder = async (cancelParams, userAddress = null, signer =
             throw new Error('Coin is required for cancel orders to get asset index');
         }
 
-        const { getMarketMeta } = await import('../services/api');
-        const metaData = await getMarketMeta();
-
-        if (!metaData || !metaData.coin_to_asset_index) {
-            throw new Error('Market metadata with coin_to_asset_index is required for signing');
+        if (!oid && !cloid) {
+            throw new Error('Order ID or client order ID is required to cancel an order');
         }
 
-        const assetId = metaData.coin_to_asset_index[coin];
-
-        if (assetId === undefined) {
-            throw new Error(`Coin ${coin} not found in asset index map for cancel order`);
-        }
-
-        if (!userAddress) {
-            throw new Error('User address is required');
-        }
-
-        // Create cancel action
-        // a must be a Number (asset id), not a string
-        const cancelEntry = {
-            a: assetId // Number - asset index, not address
-        };
-
-        if (oid) {
-            cancelEntry.o = oid; // Should be number, not string
-        }
-        if (cloid) {
-            cancelEntry.c = cloid.toString();
-        }
-
-        const action = {
-            type: 'cancel',
-            cancels: [cancelEntry]
-        };
+        // Cancel by oid when known; orders only tagged with a cloid use cancelByCloid
+        const action = oid
+            ? await buildCancelAction([{ coin, oid }])
+            : await buildCancelByCloidAction([{ coin, cloid }]);
 
         // Validate chainId is provided
         if (!chainId) {
@@ -429,8 +725,7 @@ export const signCancelOrder = async (cancelParams, userAddress = null, signer =
         const expiresAfter = null;
         const nonce = Date.now();
 
-        // Determine if mainnet based on chainId
-        const isMainnet = chainId === '1' || chainId === '42161' || chainId === 1 || chainId === 42161;
+        const { isMainnet } = getNetworkConfig();
 
         // Sign using signL1Action (matching Python SDK's sign_l1_action)
         if (!signer) {
@@ -518,8 +813,7 @@ export const signCancelAllOrders = async (cancelAllParams, userAddress = null, s
         const expiresAfter = null;
         const nonce = Date.now();
 
-        // Determine if mainnet based on chainId
-        const isMainnet = chainId === '1' || chainId === '42161' || chainId === 1 || chainId === 42161;
+        const { isMainnet } = getNetworkConfig();
 
         // Sign using signL1Action (matching Python SDK's sign_l1_action)
         if (!signer) {
@@ -571,8 +865,7 @@ export const signCancelAllOrders = async (cancelAllParams, userAddress = null, s
  */
 export const getMetaForOrder = async () => {
     try {
-        const meta = await getMarketMeta();
-        return meta.meta || meta;
+        return await getMeta();
     } catch (error) {
         console.error('Error fetching market meta:', error);
         throw error;
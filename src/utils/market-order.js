@@ -0,0 +1,89 @@
+/**
+ * Market order helpers
+ *
+ * Hyperliquid has no true market order: like the SDK's market_open, a market
+ * order is an IOC limit order priced away from the mid by a maximum slippage,
+ * so it takes liquidity up to that price and cancels whatever is left.
+ */
+
+// Default maximum slippage (matches the SDK's DEFAULT_SLIPPAGE)
+export const DEFAULT_MARKET_SLIPPAGE = 0.05;
+
+/**
+ * Estimate how a market order would fill against the current book
+ * Walks the opposite side level by level. l2Book only carries the top levels,
+ * so a large order can run past the known book (fullyFilled is then false).
+ * @param {Object} book - l2Book data ({levels: [bids, asks]})
+ * @param {number} size - Order size in coins
+ * @param {boolean} isBuy - Buys walk the asks, sells walk the bids
+ * @param {number} limitPx - Aggressive limit price; levels beyond it are not taken
+ * @returns {Object|null} {avgPx, worstPx, filledSz, fullyFilled} or null if nothing would fill
+ */
+export const estimateMarketFill = (book, size, isBuy, limitPx) => {
+    const levels = book?.levels?.[isBuy ? 1 : 0] || [];
+    let remaining = size;
+    let filledSz = 0;
+    let notional = 0;
+    let worstPx = null;
+
+    for (const level of levels) {
+        if (remaining <= 0) break;
+        const px = parseFloat(level.px);
+        if (limitPx && (isBuy ? px > limitPx : px < limitPx)) break;
+
+        const take = Math.min(remaining, parseFloat(level.sz));
+        filledSz += take;
+        notional += take * px;
+        remaining -= take;
+        worstPx = px;
+    }
+
+    if (filledSz <= 0) {
+        return null;
+    }
+
+    return {
+        avgPx: notional / filledSz,
+        worstPx,
+        filledSz,
+        // Allow for float dust left over from the subtraction
+        fullyFilled: remaining <= size * 1e-9
+    };
+};
+
+/**
+ * Slippage of a fill price against the mid, signed so that a worse price is positive
+ * @param {number} fillPx - Average fill price
+ * @param {number} midPrice - Mid price
+ * @param {boolean} isBuy - Order side
+ * @returns {number} Fraction, e.g. 0.002 for 0.2% worse than mid
+ */
+export const getFillSlippage = (fillPx, midPrice, isBuy) => {
+    if (!midPrice) return 0;
+    return isBuy ? (fillPx - midPrice) / midPrice : (midPrice - fillPx) / midPrice;
+};
+
+/**
+ * Summarize the exchange status of a single order
+ * @param {Object} status - One entry of response.data.statuses
+ * @param {number} requestedSz - Size that was sent
+ * @returns {Object} {state: 'filled'|'partial'|'resting'|'error'|'unknown', totalSz, avgPx, oid, error}
+ */
+export const summarizeOrderStatus = (status, requestedSz) => {
+    if (status?.filled) {
+        const totalSz = parseFloat(status.filled.totalSz);
+        return {
+            state: totalSz < requestedSz ? 'partial' : 'filled',
+            totalSz,
+            avgPx: parseFloat(status.filled.avgPx),
+            oid: status.filled.oid
+        };
+    }
+    if (status?.resting) {
+        return { state: 'resting', oid: status.resting.oid };
+    }
+    if (status?.error) {
+        return { state: 'error', error: status.error };
+    }
+    return { state: 'unknown' };
+};
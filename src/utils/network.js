@@ -0,0 +1,135 @@
+/**
+ * Network configuration
+ *
+ * Single source of truth for everything that differs between Hyperliquid
+ * mainnet and testnet. The active network is chosen explicitly with the
+ * Mainnet/Testnet toggle in the header and is independent of the chain the
+ * wallet happens to be on; the wallet only needs to be on the matching
+ * Arbitrum chain for deposits.
+ *
+ * Only hyperliquidChain (and the L1 phantom agent source) comes from the
+ * selected network when signing. User-signed actions (withdrawals, agent
+ * approvals) use the wallet's chain as the EIP-712 domain chainId, and
+ * Hyperliquid recovers the signer with signatureChainId, so that field must
+ * be built from the same domain chainId (see toSignatureChainId).
+ */
+
+const NETWORK_STORAGE_KEY = 'hyperliquid_network';
+
+export const NETWORKS = {
+    mainnet: {
+        key: 'mainnet',
+        name: 'Mainnet',
+        isMainnet: true,
+        apiUrl: 'https://api.hyperliquid.xyz',
+        wsUrl: 'wss://api.hyperliquid.xyz/ws',
+        hyperliquidChain: 'Mainnet',
+        source: 'a', // Phantom agent source for L1 actions
+        bridgeAddress: '0x2Df1c51E09aECF9cacB7bc98cB1742757f163dF7',
+        usdcAddress: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', // Native USDC on Arbitrum One
+        usdtAddress: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9',
+        chain: {
+            chainId: '42161',
+            chainIdHex: '0xa4b1',
+            chainName: 'Arbitrum One',
+            rpcUrls: ['https://arb1.arbitrum.io/rpc'],
+            blockExplorerUrls: ['https://arbiscan.io'],
+            nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+        }
+    },
+    testnet: {
+        key: 'testnet',
+        name: 'Testnet',
+        isMainnet: false,
+        apiUrl: 'https://api.hyperliquid-testnet.xyz',
+        wsUrl: 'wss://api.hyperliquid-testnet.xyz/ws',
+        hyperliquidChain: 'Testnet',
+        source: 'b',
+        bridgeAddress: '0x08cfc1B6b2dCF36A1480b99353A354AA8AC56f89',
+        usdcAddress: '0x1baAbB04529D43a73232B713C0FE471f7c7334d5', // Testnet USDC accepted by the testnet bridge
+        usdtAddress: null,
+        chain: {
+            chainId: '421614',
+            chainIdHex: '0x66eee',
+            chainName: 'Arbitrum Sepolia',
+            rpcUrls: ['https://sepolia-rollup.arbitrum.io/rpc'],
+            blockExplorerUrls: ['https://sepolia.arbiscan.io'],
+            nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+        }
+    }
+};
+
+/**
+ * Get the selected network key
+ * @returns {string} 'mainnet' or 'testnet'
+ */
+export const getNetworkMode = () => {
+    const stored = localStorage.getItem(NETWORK_STORAGE_KEY);
+    return NETWORKS[stored] ? stored : 'mainnet';
+};
+
+/**
+ * Select the network (callers reload the app so every view refetches)
+ * @param {string} mode - 'mainnet' or 'testnet'
+ */
+export const setNetworkMode = (mode) => {
+    if (!NETWORKS[mode]) {
+        throw new Error(`Unknown network: ${mode}`);
+    }
+    localStorage.setItem(NETWORK_STORAGE_KEY, mode);
+};
+
+/**
+ * Get the configuration of the selected (or given) network
+ * @param {string} mode - Optional network key; defaults to the selected network
+ * @returns {Object} Network configuration
+ */
+export const getNetworkConfig = (mode = getNetworkMode()) => {
+    return NETWORKS[mode];
+};
+
+/**
+ * signatureChainId for a user-signed action
+ * @param {string|number} chainId - EIP-712 domain chainId the action is signed with
+ * @returns {string} Hex chain ID, e.g. '0xa4b1'
+ */
+export const toSignatureChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+/**
+ * Check whether the wallet is on the Arbitrum chain of the selected network
+ * @param {string|number} chainId - Wallet chain ID
+ * @returns {boolean} True if deposits can be sent from this chain
+ */
+export const isOnNetworkChain = (chainId) => {
+    return !!chainId && chainId.toString() === getNetworkConfig().chain.chainId;
+};
+
+/**
+ * Ask the wallet to switch to the selected network's Arbitrum chain,
+ * adding the chain first if the wallet does not know it
+ * @param {ethers.BrowserProvider} provider - Wallet provider
+ */
+export const switchToNetworkChain = async (provider) => {
+    const { chain } = getNetworkConfig();
+
+    try {
+        await provider.send('wallet_switchEthereumChain', [{ chainId: chain.chainIdHex }]);
+    } catch (error) {
+        // 4902: chain not added to the wallet yet
+        const code = error?.error?.code ?? error?.info?.error?.code ?? error?.code;
+        if (code !== 4902) {
+            if (code === 4001 || code === 'ACTION_REJECTED') {
+                throw new Error(`Switch to ${chain.chainName} was rejected.`);
+            }
+            throw error;
+        }
+
+        await provider.send('wallet_addEthereumChain', [{
+            chainId: chain.chainIdHex,
+            chainName: chain.chainName,
+            rpcUrls: chain.rpcUrls,
+            blockExplorerUrls: chain.blockExplorerUrls,
+            nativeCurrency: chain.nativeCurrency
+        }]);
+    }
+};
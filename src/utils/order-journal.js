@@ -0,0 +1,62 @@
+/**
+ * Local order journal
+ *
+ * Every order the agent signer sends is recorded here with its cloid, keyed
+ * by user address and network. Entries can be matched to exchange state with
+ * the orderStatus info query by cloid.
+ */
+
+import { getNetworkConfig } from './network';
+
+const ORDER_JOURNAL_STORAGE_KEY = 'hyperliquid_order_journal';
+const MAX_JOURNAL_ENTRIES = 200;
+
+const getJournalKey = (userAddress) => `${userAddress.toLowerCase()}:${getNetworkConfig().key}`;
+
+const readJournals = () => {
+    try {
+        const stored = localStorage.getItem(ORDER_JOURNAL_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+        console.error('Error reading order journal from local storage:', error);
+        return {};
+    }
+};
+
+/**
+ * Get the journal of a user on the selected network
+ * @param {string} userAddress - User's wallet address
+ * @returns {Array<Object>} Entries, newest first ({cloid, coin, side, sz, px, strategy, placedAt, oid, status})
+ */
+export const getOrderJournal = (userAddress) => {
+    if (!userAddress) return [];
+    return readJournals()[getJournalKey(userAddress)] || [];
+};
+
+/**
+ * Record orders that were just sent, with what the exchange answered
+ * @param {string} userAddress - User's wallet address
+ * @param {Array<Object>} entries - {cloid, coin, side, sz, px, strategy, oid, status}
+ */
+export const recordOrders = (userAddress, entries) => {
+    const journals = readJournals();
+    const key = getJournalKey(userAddress);
+    const placedAt = Date.now();
+
+    journals[key] = [
+        ...entries.filter(entry => entry.cloid).map(entry => ({ ...entry, placedAt })),
+        ...(journals[key] || [])
+    ].slice(0, MAX_JOURNAL_ENTRIES);
+
+    localStorage.setItem(ORDER_JOURNAL_STORAGE_KEY, JSON.stringify(journals));
+};
+
+/**
+ * Clear the journal of a user on the selected network
+ * @param {string} userAddress - User's wallet address
+ */
+export const clearOrderJournal = (userAddress) => {
+    const journals = readJournals();
+    delete journals[getJournalKey(userAddress)];
+    localStorage.setItem(ORDER_JOURNAL_STORAGE_KEY, JSON.stringify(journals));
+};
@@ -0,0 +1,46 @@
+/**
+ * Saved order form preferences
+ */
+
+import { TIME_IN_FORCE } from './hyperliquid-signing';
+import { DEFAULT_MARKET_SLIPPAGE } from './market-order';
+
+const ORDER_PREFERENCES_STORAGE_KEY = 'hyperliquid_order_preferences';
+
+const DEFAULT_PREFERENCES = {
+    postOnlyDefault: false,
+    marketSlippage: DEFAULT_MARKET_SLIPPAGE
+};
+
+/**
+ * Get the saved order preferences
+ * @returns {Object} Preferences ({postOnlyDefault, marketSlippage})
+ */
+export const getOrderPreferences = () => {
+    try {
+        const stored = localStorage.getItem(ORDER_PREFERENCES_STORAGE_KEY);
+        return { ...DEFAULT_PREFERENCES, ...(stored ? JSON.parse(stored) : {}) };
+    } catch (error) {
+        console.error('Error reading order preferences from local storage:', error);
+        return { ...DEFAULT_PREFERENCES };
+    }
+};
+
+/**
+ * Update the saved order preferences
+ * @param {Object} updates - Preferences to change
+ * @returns {Object} The updated preferences
+ */
+export const setOrderPreferences = (updates) => {
+    const preferences = { ...getOrderPreferences(), ...updates };
+    localStorage.setItem(ORDER_PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+    return preferences;
+};
+
+/**
+ * Time in force the limit order form starts with
+ * @returns {string} Alo when post-only is the saved default, otherwise Gtc
+ */
+export const getDefaultTif = () => {
+    return getOrderPreferences().postOnlyDefault ? TIME_IN_FORCE.ALO : TIME_IN_FORCE.GTC;
+};
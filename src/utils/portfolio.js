@@ -0,0 +1,108 @@
+/**
+ * Portfolio helpers
+ *
+ * The portfolio info query returns account value and PnL histories for a
+ * fixed set of periods. Realized PnL, fees and funding are not broken out
+ * there, so they are summed from the fills and funding payments of the period.
+ */
+
+import { groupFillsByOrder } from './history';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods of the portfolio response; perpKey holds the perp-only figures
+export const PORTFOLIO_PERIODS = [
+    { id: 'day', perpKey: 'perpDay', label: '24h', days: 1 },
+    { id: 'week', perpKey: 'perpWeek', label: '7d', days: 7 },
+    { id: 'month', perpKey: 'perpMonth', label: '30d', days: 30 },
+    { id: 'allTime', perpKey: 'perpAllTime', label: 'All time', days: null }
+];
+
+/**
+ * Start of a portfolio period
+ * @param {string} periodId - PORTFOLIO_PERIODS id
+ * @param {number} now - Current time (ms)
+ * @returns {number} Start timestamp (ms); 0 for all time
+ */
+export const getPeriodStart = (periodId, now = Date.now()) => {
+    const period = PORTFOLIO_PERIODS.find(p => p.id === periodId);
+    return period?.days ? now - period.days * DAY_MS : 0;
+};
+
+/**
+ * Pick one period out of a portfolio response
+ * @param {Array} portfolio - portfolio response ([[period, data], ...])
+ * @param {string} periodId - PORTFOLIO_PERIODS id
+ * @param {boolean} perpOnly - Use the perp-only figures
+ * @returns {Object} {accountValue: [{time, value}], pnl: [{time, value}], volume}
+ */
+export const getPortfolioPeriod = (portfolio, periodId, perpOnly = false) => {
+    const period = PORTFOLIO_PERIODS.find(p => p.id === periodId);
+    const key = perpOnly ? period?.perpKey : period?.id;
+    const data = (Array.isArray(portfolio) ? portfolio : []).find(([name]) => name === key)?.[1] || {};
+    const toSeries = history => (history || []).map(([time, value]) => ({ time, value: parseFloat(value) }));
+
+    return {
+        accountValue: toSeries(data.accountValueHistory),
+        pnl: toSeries(data.pnlHistory),
+        volume: parseFloat(data.vlm || 0)
+    };
+};
+
+/**
+ * Largest peak-to-trough fall of the PnL curve
+ * PnL is used rather than account value so deposits and withdrawals don't count.
+ * @param {Array} pnl - [{time, value}] oldest first
+ * @param {Array} accountValue - [{time, value}] at the same times, for the percentage
+ * @returns {Object} {amount (USD, positive), percent (of account value at the peak, or null), peakTime, troughTime}
+ */
+export const getMaxDrawdown = (pnl, accountValue = []) => {
+    const accountByTime = new Map(accountValue.map(point => [point.time, point.value]));
+    let peak = null;
+    let worst = { amount: 0, percent: null, peakTime: null, troughTime: null };
+
+    pnl.forEach((point) => {
+        if (!peak || point.value > peak.value) {
+            peak = point;
+            return;
+        }
+        const amount = peak.value - point.value;
+        if (amount > worst.amount) {
+            const peakAccountValue = accountByTime.get(peak.time);
+            worst = {
+                amount,
+                percent: peakAccountValue > 0 ? (amount / peakAccountValue) * 100 : null,
+                peakTime: peak.time,
+                troughTime: point.time
+            };
+        }
+    });
+
+    return worst;
+};
+
+/**
+ * Realized PnL, fees and win rate from fills
+ * Orders that closed part of a position count as trades; a trade wins when
+ * its closed PnL is positive.
+ * @param {Array} fills - Fills in the period
+ * @returns {Object} {realizedPnl, fees, volume, trades, wins, losses, winRate (percent or null)}
+ */
+export const getTradeStats = (fills) => {
+    const totals = fills.reduce((sum, fill) => ({
+        realizedPnl: sum.realizedPnl + parseFloat(fill.closedPnl || 0),
+        fees: sum.fees + parseFloat(fill.fee || 0),
+        volume: sum.volume + parseFloat(fill.px) * parseFloat(fill.sz)
+    }), { realizedPnl: 0, fees: 0, volume: 0 });
+
+    const closingTrades = groupFillsByOrder(fills).filter(order => order.closedPnl !== 0);
+    const wins = closingTrades.filter(order => order.closedPnl > 0).length;
+
+    return {
+        ...totals,
+        trades: closingTrades.length,
+        wins,
+        losses: closingTrades.length - wins,
+        winRate: closingTrades.length > 0 ? (wins / closingTrades.length) * 100 : null
+    };
+};
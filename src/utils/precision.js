@@ -0,0 +1,159 @@
+/**
+ * Price and size precision for Hyperliquid perps
+ *
+ * Every asset has a lot size of 10^-szDecimals (szDecimals comes from meta).
+ * Prices may have at most 5 significant figures (integer prices are always
+ * allowed) and at most (6 - szDecimals) decimals. Numbers are sent to the
+ * exchange as strings formatted like the Python SDK's float_to_wire; any other
+ * formatting changes the signed action hash.
+ */
+
+import { getMeta } from '../services/hyperliquid-api';
+
+const MAX_PERP_PRICE_DECIMALS = 6;
+const MAX_PRICE_SIGNIFICANT_FIGURES = 5;
+
+/**
+ * Get the size decimals of a perp from meta
+ * @param {string} coin - Coin name
+ * @returns {Promise<number>} szDecimals
+ */
+export const getSzDecimals = async (coin) => {
+    const meta = await getMeta();
+    const asset = meta?.universe?.find(item => item.name === coin);
+    if (!asset) {
+        throw new Error(`Coin ${coin} not found in the perp universe`);
+    }
+    return asset.szDecimals;
+};
+
+/**
+ * Maximum number of price decimals for a perp
+ * @param {number} szDecimals - Size decimals of the asset
+ * @returns {number} Allowed price decimals
+ */
+export const getMaxPriceDecimals = (szDecimals) => Math.max(0, MAX_PERP_PRICE_DECIMALS - szDecimals);
+
+/**
+ * Round a size to the asset's lot size
+ * @param {number} size - Size to round
+ * @param {number} szDecimals - Size decimals of the asset
+ * @returns {number} Rounded size (may be 0 if below one lot)
+ */
+export const roundSize = (size, szDecimals) => {
+    return parseFloat(Number(size).toFixed(szDecimals));
+};
+
+/**
+ * Round a price to what Hyperliquid accepts for perps
+ * Matches the SDK's round(float(f"{px:.5g}"), 6 - szDecimals), except that
+ * prices of 100000 and above are rounded to an integer instead of to 5
+ * significant figures, since integer prices are always valid
+ * @param {number} price - Price to round
+ * @param {number} szDecimals - Size decimals of the asset
+ * @returns {number} Rounded price
+ */
+export const roundPrice = (price, szDecimals) => {
+    const px = Number(price);
+    if (Math.abs(px) >= 10 ** MAX_PRICE_SIGNIFICANT_FIGURES) {
+        return Math.round(px);
+    }
+    const significant = parseFloat(px.toPrecision(MAX_PRICE_SIGNIFICANT_FIGURES));
+    return parseFloat(significant.toFixed(getMaxPriceDecimals(szDecimals)));
+};
+
+/**
+ * Aggressive limit price for market orders (matching SDK's _slippage_price)
+ * @param {number} price - Reference price (mid or trigger price)
+ * @param {boolean} isBuy - Buy orders move the price up, sells down
+ * @param {number} slippage - Fraction, e.g. 0.01 for 1%
+ * @param {number} szDecimals - Size decimals of the asset
+ * @returns {number} Limit price
+ */
+export const getSlippagePrice = (price, isBuy, slippage, szDecimals) => {
+    const px = isBuy ? price * (1 + slippage) : price * (1 - slippage);
+    return roundPrice(px, szDecimals);
+};
+
+/**
+ * Format a number for the exchange wire (matching SDK's float_to_wire)
+ * Eight decimals at most, trailing zeros removed, never "-0"
+ * @param {number|string} value - Number to format
+ * @returns {string} Wire string, e.g. "0.001" or "105230"
+ */
+export const floatToWire = (value) => {
+    const x = Number(value);
+    if (!Number.isFinite(x)) {
+        throw new Error(`Cannot send ${value} to the exchange`);
+    }
+
+    const rounded = x.toFixed(8);
+    if (Math.abs(parseFloat(rounded) - x) >= 1e-12) {
+        throw new Error(`float_to_wire causes rounding: ${value}`);
+    }
+
+    const normalized = rounded.replace(/\.?0+$/, '');
+    return normalized === '-0' ? '0' : normalized;
+};
+
+const countDecimals = (value) => {
+    const [, fraction = ''] = value.toString().split('.');
+    return fraction.length;
+};
+
+const countSignificantFigures = (value) => {
+    const digits = value.toString().replace('-', '').replace('.', '').replace(/^0+/, '');
+    return digits.length;
+};
+
+// Wire text of a value, or null when it has more decimals than the wire format carries
+const toWireText = (value) => {
+    try {
+        return floatToWire(value);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Check a price against Hyperliquid's tick rules for perps
+ * @param {number|string} price - Limit price
+ * @param {number} szDecimals - Size decimals of the asset
+ * @returns {string|null} Error message, or null if the price is valid
+ */
+export const validatePriceTick = (price, szDecimals) => {
+    const px = parseFloat(price);
+    if (!px || px <= 0) {
+        return 'Price must be greater than 0';
+    }
+
+    const maxDecimals = getMaxPriceDecimals(szDecimals);
+    const text = toWireText(px); // drops trailing zeros the user typed
+    if (text === null || countDecimals(text) > maxDecimals) {
+        return `Price can have at most ${maxDecimals} decimals`;
+    }
+    if (!Number.isInteger(px) && countSignificantFigures(text) > MAX_PRICE_SIGNIFICANT_FIGURES) {
+        return `Price can have at most ${MAX_PRICE_SIGNIFICANT_FIGURES} significant figures`;
+    }
+    return null;
+};
+
+/**
+ * Check a size against the asset's lot size (10^-szDecimals)
+ * @param {number|string} size - Order size
+ * @param {number} szDecimals - Size decimals of the asset
+ * @returns {string|null} Error message, or null if the size is valid
+ */
+export const validateSizeLot = (size, szDecimals) => {
+    const sz = parseFloat(size);
+    if (!sz || sz <= 0) {
+        return 'Size must be greater than 0';
+    }
+    const text = toWireText(sz);
+    if (text === null || countDecimals(text) > szDecimals) {
+        return szDecimals === 0
+            ? 'Size must be a whole number'
+            : `Size can have at most ${szDecimals} decimals`;
+    }
+    return null;
+};
@@ -0,0 +1,76 @@
+/**
+ * Scale (ladder) orders
+ *
+ * Splits a USDC amount across several limit orders between two prices. The
+ * ladder is built client side and sent as one order action with an entry per
+ * rung, so every order carries its own status in the response.
+ */
+
+import { roundPrice, roundSize } from './precision';
+
+export const SCALE_SPACING = {
+    LINEAR: 'linear',
+    GEOMETRIC: 'geometric'
+};
+
+export const SCALE_MIN_ORDERS = 2;
+export const SCALE_MAX_ORDERS = 20;
+
+/**
+ * Build the rungs of a scale order
+ * Prices run from startPx to endPx, evenly spaced (linear) or by a constant
+ * ratio (geometric). Skew is the size of the last rung relative to the first:
+ * 1 splits the amount evenly, 2 makes the last rung twice the first.
+ * @param {Object} params
+ * @param {number} params.totalUsdc - Total notional to split
+ * @param {number} params.startPx - Price of the first rung
+ * @param {number} params.endPx - Price of the last rung
+ * @param {number} params.count - Number of orders
+ * @param {string} params.spacing - One of SCALE_SPACING
+ * @param {number} params.skew - Last rung size / first rung size
+ * @param {number} params.szDecimals - Size decimals of the asset
+ * @returns {Array<Object>} Rungs of {px, sz, notional}, first rung first
+ */
+export const buildScaleLadder = ({ totalUsdc, startPx, endPx, count, spacing = SCALE_SPACING.LINEAR, skew = 1, szDecimals }) => {
+    const orderCount = parseInt(count);
+    if (!orderCount || orderCount < SCALE_MIN_ORDERS || orderCount > SCALE_MAX_ORDERS) {
+        throw new Error(`Number of orders must be between ${SCALE_MIN_ORDERS} and ${SCALE_MAX_ORDERS}`);
+    }
+    if (!(startPx > 0) || !(endPx > 0)) {
+        throw new Error('Start and end prices must be greater than 0');
+    }
+    if (startPx === endPx) {
+        throw new Error('Start and end prices must differ');
+    }
+    if (!(totalUsdc > 0)) {
+        throw new Error('Total amount must be greater than 0');
+    }
+    if (!(skew > 0)) {
+        throw new Error('Size skew must be greater than 0');
+    }
+    if (!Object.values(SCALE_SPACING).includes(spacing)) {
+        throw new Error(`Unknown price spacing: ${spacing}`);
+    }
+
+    const steps = orderCount - 1;
+    const weights = Array.from({ length: orderCount }, (_, i) => 1 + ((skew - 1) * i) / steps);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const ladder = weights.map((weight, i) => {
+        const rawPx = spacing === SCALE_SPACING.GEOMETRIC
+            ? startPx * (endPx / startPx) ** (i / steps)
+            : startPx + ((endPx - startPx) * i) / steps;
+        const px = roundPrice(rawPx, szDecimals);
+        const sz = roundSize((totalUsdc * weight) / totalWeight / px, szDecimals);
+        return { px, sz, notional: px * sz };
+    });
+
+    if (ladder.some(rung => rung.sz <= 0)) {
+        throw new Error(`Some orders are below the minimum lot size of ${10 ** -szDecimals}. Use fewer orders or a larger amount.`);
+    }
+    if (new Set(ladder.map(rung => rung.px)).size !== ladder.length) {
+        throw new Error('Prices are too close together for this many orders after rounding to the tick size');
+    }
+
+    return ladder;
+};
@@ -1,13 +1,9 @@
 import { ethers } from 'ethers';
+import { NETWORKS } from './network';
 
-// USDC contract addresses on Arbitrum
-const USDC_ADDRESSES = {
-    // Arbitrum One - Native USDC
-    '42161': '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
-    // Arbitrum One - Bridged USDC (legacy)
-    // '42161': '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8',
-    // Arbitrum Sepolia Testnet
-    '421614': '0x75faf114eafb1BDbe2F0316DF893fd58cE89AF7E6',
+// Token addresses of the network whose Arbitrum chain the wallet is on
+const getChainNetwork = (chainId) => {
+    return Object.values(NETWORKS).find(network => network.chain.chainId === chainId?.toString()) || null;
 };
 
 // ERC20 ABI for balanceOf
@@ -42,7 +38,7 @@ export const getUSDCBalance = async (address, provider, chainId = '42161') => {
         }
 
         // Get USDC contract address for the chain
-        const usdcAddress = USDC_ADDRESSES[chainId.toString()];
+        const usdcAddress = getChainNetwork(chainId)?.usdcAddress;
         if (!usdcAddress) {
             console.warn(`USDC not configured for chain ${chainId}`);
             return { balance: '0', formatted: '0.00', symbol: 'USDC' };
@@ -84,11 +80,15 @@ export const getUSDTBalance = async (address, provider, chainId = '42161') => {
             return { balance: '0', formatted: '0.00', symbol: 'USDT' };
         }
 
-        // USDT contract address on Arbitrum One
-        const USDT_ADDRESS = '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9';
+        // Get USDT contract address for the chain
+        const usdtAddress = getChainNetwork(chainId)?.usdtAddress;
+        if (!usdtAddress) {
+            console.warn(`USDT not configured for chain ${chainId}`);
+            return { balance: '0', formatted: '0.00', symbol: 'USDT' };
+        }
 
         // Create contract instance
-        const contract = new ethers.Contract(USDT_ADDRESS, ERC20_ABI, provider);
+        const contract = new ethers.Contract(usdtAddress, ERC20_ABI, provider);
 
         // Get balance and decimals
         const [balance, decimals] = await Promise.all([
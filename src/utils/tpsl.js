@@ -0,0 +1,77 @@
+/**
+ * Take-profit / stop-loss helpers
+ *
+ * TP/SL legs are reduce-only market trigger orders on the closing side. They
+ * are sent either with a new entry (normalTpsl grouping: the legs only become
+ * active once the entry fills) or on their own for an open position
+ * (positionTpsl grouping: the legs follow the position size).
+ */
+
+import { getSlippagePrice, roundPrice } from './precision';
+
+// Limit price slippage of a triggered market order (matches the Hyperliquid UI)
+export const TPSL_SLIPPAGE = 0.1;
+
+/**
+ * Check TP/SL trigger prices against the position side and the current mid
+ * A take profit must sit on the profitable side of the mid and a stop loss on
+ * the losing side, otherwise it would trigger immediately
+ * @param {Object} params
+ * @param {boolean} params.isLong - Side of the position the legs protect
+ * @param {number} params.midPrice - Current mid price
+ * @param {number|null} params.tpPx - Take profit trigger price (optional)
+ * @param {number|null} params.slPx - Stop loss trigger price (optional)
+ * @returns {string|null} Error message, or null if the prices are valid
+ */
+export const validateTpslPrices = ({ isLong, midPrice, tpPx, slPx }) => {
+    if (!tpPx && !slPx) {
+        return 'Enter a take profit or stop loss price';
+    }
+    if ((tpPx && tpPx <= 0) || (slPx && slPx <= 0)) {
+        return 'Trigger prices must be greater than 0';
+    }
+    if (!midPrice) {
+        return 'Current price unavailable, cannot check trigger prices';
+    }
+
+    if (tpPx && (isLong ? tpPx <= midPrice : tpPx >= midPrice)) {
+        return `Take profit for a ${isLong ? 'long' : 'short'} must be ${isLong ? 'above' : 'below'} the current price (${midPrice})`;
+    }
+    if (slPx && (isLong ? slPx >= midPrice : slPx <= midPrice)) {
+        return `Stop loss for a ${isLong ? 'long' : 'short'} must be ${isLong ? 'below' : 'above'} the current price (${midPrice})`;
+    }
+    return null;
+};
+
+/**
+ * Build the TP/SL trigger orders that close a position
+ * @param {Object} params
+ * @param {string} params.coin - Coin name
+ * @param {boolean} params.isLong - Side of the position (the legs trade the other way)
+ * @param {number} params.sz - Size to close
+ * @param {number|null} params.tpPx - Take profit trigger price (optional)
+ * @param {number|null} params.slPx - Stop loss trigger price (optional)
+ * @param {number} params.szDecimals - Size decimals of the asset
+ * @returns {Array<Object>} Order parameters for buildOrderAction
+ */
+export const buildTpslOrders = ({ coin, isLong, sz, tpPx, slPx, szDecimals }) => {
+    const isBuy = !isLong;
+    const legs = [
+        tpPx ? { tpsl: 'tp', triggerPx: tpPx } : null,
+        slPx ? { tpsl: 'sl', triggerPx: slPx } : null
+    ].filter(Boolean);
+
+    return legs.map(({ tpsl, triggerPx }) => ({
+        coin,
+        is_buy: isBuy,
+        sz,
+        limit_px: getSlippagePrice(triggerPx, isBuy, TPSL_SLIPPAGE, szDecimals),
+        order_type: 'Trigger',
+        trigger: {
+            trigger_px: roundPrice(triggerPx, szDecimals),
+            is_market: true,
+            tpsl
+        },
+        reduce_only: true
+    }));
+};
@@ -1,37 +1,161 @@
 import { ethers } from 'ethers';
 
+const LAST_WALLET_STORAGE_KEY = 'hyperliquid_last_wallet';
+const LEGACY_WALLET_ID = 'injected';
+
+// EIP-6963 announced wallets (rdns -> {info, provider})
+const discoveredWallets = new Map();
+const discoveryListeners = new Set();
+let discoveryStarted = false;
+let selectedWalletId = null;
+
+const handleAnnounceProvider = (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info?.rdns || !provider) {
+        return;
+    }
+    discoveredWallets.set(info.rdns, { info, provider });
+    discoveryListeners.forEach(listener => listener(getDiscoveredWallets()));
+};
+
+/**
+ * Start EIP-6963 wallet discovery
+ * Wallets answer the request event by announcing themselves; late-loading
+ * extensions announce on their own
+ */
+export const startWalletDiscovery = () => {
+    if (typeof window === 'undefined') {
+        return;
+    }
+    if (!discoveryStarted) {
+        window.addEventListener('eip6963:announceProvider', handleAnnounceProvider);
+        discoveryStarted = true;
+    }
+    window.dispatchEvent(new Event('eip6963:requestProvider'));
+};
+
+/**
+ * Get wallets found by EIP-6963 discovery
+ * Falls back to window.ethereum for wallets that don't implement EIP-6963
+ * @returns {Array<Object>} Wallets as {id, name, icon, provider}
+ */
+export const getDiscoveredWallets = () => {
+    const wallets = Array.from(discoveredWallets.values()).map(({ info, provider }) => ({
+        id: info.rdns,
+        name: info.name,
+        icon: info.icon,
+        provider
+    }));
+
+    if (wallets.length === 0 && typeof window !== 'undefined' && window.ethereum) {
+        wallets.push({
+            id: LEGACY_WALLET_ID,
+            name: window.ethereum.isMetaMask ? 'MetaMask' : 'Browser Wallet',
+            icon: null,
+            provider: window.ethereum
+        });
+    }
+
+    return wallets;
+};
+
+/**
+ * Subscribe to newly announced wallets
+ * @param {Function} listener - Called with the updated wallet list
+ * @returns {Function} Unsubscribe function
+ */
+export const onWalletsDiscovered = (listener) => {
+    discoveryListeners.add(listener);
+    return () => {
+        discoveryListeners.delete(listener);
+    };
+};
+
+/**
+ * Check if any browser wallet is available
+ */
+export const isWalletInstalled = () => {
+    return getDiscoveredWallets().length > 0;
+};
+
+/**
+ * Get the id (rdns) of the last wallet the user connected with
+ * @returns {string|null} Wallet id or null
+ */
+export const getLastWalletId = () => {
+    return localStorage.getItem(LAST_WALLET_STORAGE_KEY);
+};
+
+const findWallet = (walletId) => {
+    return getDiscoveredWallets().find(wallet => wallet.id === walletId) || null;
+};
+
 /**
- * Check if MetaMask is installed
+ * Get the selected wallet (the last connected one, or the only one available)
+ * @returns {Object|null} Wallet as {id, name, icon, provider}
  */
-export const isMetaMaskInstalled = () => {
-    return typeof window !== 'undefined' && window.ethereum && window.ethereum.isMetaMask;
+export const getSelectedWallet = () => {
+    const wallets = getDiscoveredWallets();
+    return findWallet(selectedWalletId || getLastWalletId())
+        || (wallets.length === 1 ? wallets[0] : null);
+};
+
+// Give extensions a moment to answer the discovery request
+const waitForWallet = (walletId, timeoutMs = 500) => {
+    startWalletDiscovery();
+    const existing = findWallet(walletId);
+    if (existing) {
+        return Promise.resolve(existing);
+    }
+
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            cleanup();
+            resolve(findWallet(walletId));
+        }, timeoutMs);
+        const cleanup = onWalletsDiscovered(() => {
+            const wallet = findWallet(walletId);
+            if (wallet) {
+                clearTimeout(timer);
+                cleanup();
+                resolve(wallet);
+            }
+        });
+    });
 };
 
 /**
- * Request account access from MetaMask
+ * Request account access from a browser wallet
+ * @param {string} walletId - Wallet id (rdns) from getDiscoveredWallets
  */
-export const connectWallet = async () => {
-    if (!isMetaMaskInstalled()) {
-        throw new Error('MetaMask is not installed. Please install MetaMask to continue.');
+export const connectWallet = async (walletId) => {
+    const wallet = walletId ? findWallet(walletId) : getSelectedWallet();
+    if (!wallet) {
+        throw new Error('No browser wallet found. Please install a wallet extension to continue.');
     }
 
     try {
-        const provider = new ethers.BrowserProvider(window.ethereum);
+        const provider = new ethers.BrowserProvider(wallet.provider);
         const accounts = await provider.send('eth_requestAccounts', []);
 
         if (accounts.length === 0) {
-            throw new Error('No accounts found. Please unlock MetaMask.');
+            throw new Error(`No accounts found. Please unlock ${wallet.name}.`);
         }
 
         const signer = await provider.getSigner();
         const address = await signer.getAddress();
         const network = await provider.getNetwork();
 
+        // Remember the choice so the next visit reconnects to the same wallet
+        selectedWalletId = wallet.id;
+        localStorage.setItem(LAST_WALLET_STORAGE_KEY, wallet.id);
+
         return {
             address,
             signer,
             provider,
-            network: network.chainId.toString()
+            network: network.chainId.toString(),
+            wallet
         };
     } catch (error) {
         if (error.code === 4001) {
@@ -42,15 +166,17 @@ export const connectWallet = async () => {
 };
 
 /**
- * Get current connected account
+ * Get current connected account from the last used wallet
  */
 export const getCurrentAccount = async () => {
-    if (!isMetaMaskInstalled()) {
+    const lastWalletId = getLastWalletId();
+    const wallet = lastWalletId ? await waitForWallet(lastWalletId) : getSelectedWallet();
+    if (!wallet) {
         return null;
     }
 
     try {
-        const provider = new ethers.BrowserProvider(window.ethereum);
+        const provider = new ethers.BrowserProvider(wallet.provider);
         const accounts = await provider.send('eth_accounts', []);
 
         if (accounts.length === 0) {
@@ -59,11 +185,13 @@ export const getCurrentAccount = async () => {
 
         const signer = await provider.getSigner();
         const address = await signer.getAddress();
+        selectedWalletId = wallet.id;
 
         return {
             address,
             signer,
-            provider
+            provider,
+            wallet
         };
     } catch (error) {
         console.error('Error getting current account:', error);
@@ -72,32 +200,36 @@ export const getCurrentAccount = async () => {
 };
 
 /**
- * Listen for account changes
+ * Listen for account changes on a wallet's EIP-1193 provider
+ * @param {Function} callback - Called with the new accounts array
+ * @param {Object} walletProvider - EIP-1193 provider (defaults to the selected wallet)
  */
-export const onAccountsChanged = (callback) => {
-    if (!isMetaMaskInstalled()) {
+export const onAccountsChanged = (callback, walletProvider = getSelectedWallet()?.provider) => {
+    if (!walletProvider?.on) {
         return () => { };
     }
 
-    window.ethereum.on('accountsChanged', callback);
+    walletProvider.on('accountsChanged', callback);
 
     return () => {
-        window.ethereum.removeListener('accountsChanged', callback);
+        walletProvider.removeListener('accountsChanged', callback);
     };
 };
 
 /**
- * Listen for chain changes
+ * Listen for chain changes on a wallet's EIP-1193 provider
+ * @param {Function} callback - Called with the new chain ID (hex)
+ * @param {Object} walletProvider - EIP-1193 provider (defaults to the selected wallet)
  */
-export const onChainChanged = (callback) => {
-    if (!isMetaMaskInstalled()) {
+export const onChainChanged = (callback, walletProvider = getSelectedWallet()?.provider) => {
+    if (!walletProvider?.on) {
         return () => { };
     }
 
-    window.ethereum.on('chainChanged', callback);
+    walletProvider.on('chainChanged', callback);
 
     return () => {
-        window.ethereum.removeListener('chainChanged', callback);
+        walletProvider.removeListener('chainChanged', callback);
     };
 };
 
@@ -4,6 +4,7 @@
  */
 
 import { ethers } from 'ethers';
+import { getNetworkConfig, toSignatureChainId } from './network';
 
 /**
  * Split hex signature into {r, s, v} components
@@ -23,28 +24,12 @@ const splitSignature = (signatureHex) => {
     };
 };
 
-/**
- * Get Hyperliquid base URL based on chain ID
- * @param {string|number} chainId - Chain ID from MetaMask
- * @returns {string} Hyperliquid API base URL
- */
-const getHyperliquidBaseUrl = (chainId) => {
-    // Arbitrum One (42161) and Ethereum Mainnet (1) use mainnet
-    // Arbitrum Sepolia (421614) uses testnet
-    const isMainnet = chainId === '1' || chainId === 1 ||
-        chainId === '42161' || chainId === 42161;
-
-    return isMainnet
-        ? 'https://api.hyperliquid.xyz'
-        : 'https://api.hyperliquid-testnet.xyz';
-};
-
 /**
  * Withdraw USDC from Hyperliquid to Arbitrum
  * @param {ethers.Signer} signer - MetaMask signer
  * @param {string|number} amount - Amount to withdraw (as string or number)
  * @param {string} destination - Destination address on Arbitrum (defaults to signer address)
- * @param {string|number} chainId - Chain ID to determine mainnet/testnet
+ * @param {string|number} chainId - Wallet chain ID (EIP-712 domain fallback if the provider can't report it)
  * @returns {Promise<Object>} Withdrawal result
  */
 export const withdrawUSDC = async (signer, amount, destination = null, chainId = '42161') => {
@@ -58,11 +43,10 @@ export const withdrawUSDC = async (signer, amount, destination = null, chainId =
         const destinationAddress = destination || address;
         const amountStr = String(Number(amount)); // ensure string
 
-        // Determine if mainnet
-        const isMainnet = chainId === '1' || chainId === 1 ||
-            chainId === '42161' || chainId === 42161;
-        const baseUrl = getHyperliquidBaseUrl(chainId);
-        const exchangeUrl = `${baseUrl}/exchange`;
+        // Mainnet/testnet comes from the selected network
+        const network = getNetworkConfig();
+        const isMainnet = network.isMainnet;
+        const exchangeUrl = `${network.apiUrl}/exchange`;
 
         console.log('📝 Withdrawal Details:');
         console.log('  - Amount:', amountStr, 'USDC');
@@ -72,18 +56,6 @@ export const withdrawUSDC = async (signer, amount, destination = null, chainId =
         console.log('  - Is Mainnet:', isMainnet);
         console.log('  - Chain ID:', chainId);
 
-        // ✅ Action struct to sign
-        const action = {
-            type: 'withdraw3',
-            hyperliquidChain: isMainnet ? 'Mainnet' : 'Testnet',
-            signatureChainId: isMainnet ? '0xa4b1' : '0x66eee', // Arbitrum mainnet (42161) or testnet
-            amount: amountStr,
-            time: timestamp, // Number (uint64)
-            destination: ethers.getAddress(destinationAddress),
-        };
-
-        console.log('  - Action JSON:', JSON.stringify(action, null, 2));
-
         // Get network chainId for EIP-712 domain (must match MetaMask's active network)
         let networkChainId = chainId;
         if (typeof networkChainId === 'string') {
@@ -99,6 +71,18 @@ export const withdrawUSDC = async (signer, amount, destination = null, chainId =
             }
         }
 
+        // ✅ Action struct to sign
+        const action = {
+            type: 'withdraw3',
+            hyperliquidChain: network.hyperliquidChain,
+            signatureChainId: toSignatureChainId(networkChainId),
+            amount: amountStr,
+            time: timestamp, // Number (uint64)
+            destination: ethers.getAddress(destinationAddress),
+        };
+
+        console.log('  - Action JSON:', JSON.stringify(action, null, 2));
+
         // ✅ EIP-712 signing domain and types
         const domain = {
             name: 'HyperliquidSignTransaction',
@@ -186,7 +170,7 @@ export const withdrawUSDC = async (signer, amount, destination = null, chainId =
  * @param {ethers.Signer} signer - MetaMask signer
  * @param {string|number} amount - Amount to withdraw (as string or number)
  * @param {string} destination - Destination address on Arbitrum (defaults to signer address)
- * @param {string|number} chainId - Chain ID to determine mainnet/testnet
+ * @param {string|number} chainId - Wallet chain ID (EIP-712 domain fallback if the provider can't report it)
  * @returns {Promise<Object>} Withdrawal result
  */
 export const withdrawUSDT = async (signer, amount, destination = null, chainId = '42161') => {